@@ -150,7 +150,8 @@ class EC0249App {
         theme: this.config.get('theme.defaultTheme'),
         language: this.config.get('i18n.defaultLanguage'),
         notifications: true,
-        autoSave: true
+        autoSave: true,
+        candidateName: ''
       }
     };
   }
@@ -0,0 +1,183 @@
+/**
+ * Adaptive Tester - Item response theory helpers for computerized adaptive testing
+ * Estimates ability from the answered items, selects the most informative next item
+ * and decides when the estimate is precise enough to stop
+ */
+
+// Logistic scaling constant that approximates the normal ogive model
+const SCALING = 1.7;
+
+// Item difficulty (b parameter) for the difficulty tags of the question bank
+const DIFFICULTY_PARAMETERS = {
+  basic: -1,
+  intermediate: 0,
+  advanced: 1
+};
+
+// Quadrature grid for the ability posterior (theta from -4 to 4)
+const THETA_GRID = Array.from({ length: 81 }, (_, index) => -4 + index * 0.1);
+
+const Z_95 = 1.96;
+
+class AdaptiveTester {
+  /**
+   * @param {Object} options - Adaptive testing options
+   * @param {number} options.minItems - Items administered before the precision rule applies
+   * @param {number} options.maxItems - Hard limit of items per session
+   * @param {number} options.targetStandardError - Standard error at which the test stops
+   * @param {number} options.randomesque - Number of most informative items the next one is drawn from
+   * @param {Function} options.random - Random number generator (0 <= n < 1)
+   */
+  constructor({ minItems = 5, maxItems = 20, targetStandardError = 0.5, randomesque = 3, random = Math.random } = {}) {
+    this.minItems = minItems;
+    this.maxItems = maxItems;
+    this.targetStandardError = targetStandardError;
+    this.randomesque = randomesque;
+    this.random = random;
+  }
+
+  /**
+   * IRT parameters of an item; items can set their own "irt" ({ a, b }) or rely on their difficulty tag
+   * @param {Object} item - Question item
+   * @returns {Object} Parameters ({ a, b })
+   */
+  getParameters(item) {
+    return {
+      a: item.irt?.a ?? 1,
+      b: item.irt?.b ?? DIFFICULTY_PARAMETERS[item.difficulty] ?? 0
+    };
+  }
+
+  /**
+   * Probability of a correct answer (two-parameter logistic model)
+   * @param {number} theta - Ability
+   * @param {Object} item - Question item
+   * @returns {number} Probability from 0 to 1
+   */
+  probability(theta, item) {
+    const { a, b } = this.getParameters(item);
+    return 1 / (1 + Math.exp(-SCALING * a * (theta - b)));
+  }
+
+  /**
+   * Fisher information an item provides at an ability level
+   * @param {number} theta - Ability
+   * @param {Object} item - Question item
+   * @returns {number} Item information
+   */
+  information(theta, item) {
+    const { a } = this.getParameters(item);
+    const p = this.probability(theta, item);
+    return (SCALING * a) ** 2 * p * (1 - p);
+  }
+
+  /**
+   * Estimate ability from the answered items (expected a posteriori, standard normal prior)
+   * The prior keeps the estimate finite when every answer so far is correct or incorrect.
+   * @param {Array} answers - Answered items ({ item, correct })
+   * @returns {Object} Estimate ({ theta, standardError })
+   */
+  estimateAbility(answers = []) {
+    const weights = THETA_GRID.map(theta => {
+      const prior = Math.exp(-(theta ** 2) / 2);
+      return answers.reduce((likelihood, { item, correct }) => {
+        const p = this.probability(theta, item);
+        return likelihood * (correct ? p : 1 - p);
+      }, prior);
+    });
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const theta = THETA_GRID.reduce((sum, point, index) => sum + point * weights[index], 0) / total;
+    const variance = THETA_GRID.reduce((sum, point, index) => sum + (point - theta) ** 2 * weights[index], 0) / total;
+
+    return {
+      theta: this.round(theta),
+      standardError: this.round(Math.sqrt(variance))
+    };
+  }
+
+  /**
+   * Select the next item to administer
+   * With strata, the next item comes from the part of the pool furthest below its blueprint share;
+   * among the most informative candidates one is drawn at random to limit item exposure.
+   * @param {Array} pool - Eligible items
+   * @param {Object} state - Test state
+   * @param {number} state.theta - Current ability estimate
+   * @param {Array} state.administered - Items already administered
+   * @param {Array} state.strata - Optional blueprint strata ({ count, ...tagFilter })
+   * @param {Function} state.matches - Tag filter matcher (item, filter) => boolean
+   * @returns {Object|null} Next item, or null if the pool is exhausted
+   */
+  selectNextItem(pool, { theta = 0, administered = [], strata = [], matches = () => true } = {}) {
+    const administeredIds = new Set(administered.map(item => item.id));
+    let candidates = pool.filter(item => !administeredIds.has(item.id));
+    if (candidates.length === 0) return null;
+
+    if (strata.length > 0) {
+      const total = strata.reduce((sum, stratum) => sum + stratum.count, 0);
+      const deficits = strata
+        .map(stratum => ({
+          stratum,
+          deficit: (stratum.count / total) * (administered.length + 1) -
+            administered.filter(item => matches(item, stratum)).length
+        }))
+        .sort((a, b) => b.deficit - a.deficit);
+
+      const stratum = deficits.find(({ stratum }) => candidates.some(item => matches(item, stratum)))?.stratum;
+      if (stratum) {
+        candidates = candidates.filter(item => matches(item, stratum));
+      }
+    }
+
+    const ranked = candidates
+      .map(item => ({ item, information: this.information(theta, item) }))
+      .sort((a, b) => b.information - a.information)
+      .slice(0, this.randomesque);
+
+    return ranked[Math.floor(this.random() * ranked.length)].item;
+  }
+
+  /**
+   * Decide whether the test can stop
+   * @param {Object} estimate - Current estimate ({ standardError })
+   * @param {number} answeredCount - Items answered so far
+   * @param {boolean} hasMoreItems - Whether the pool still has items
+   * @returns {boolean} True when the test should stop
+   */
+  shouldStop(estimate, answeredCount, hasMoreItems = true) {
+    if (!hasMoreItems || answeredCount >= this.maxItems) return true;
+    return answeredCount >= this.minItems && estimate.standardError <= this.targetStandardError;
+  }
+
+  /**
+   * 95% confidence interval of an ability estimate
+   * @param {Object} estimate - Ability estimate ({ theta, standardError })
+   * @returns {Object} Interval ({ lower, upper, level })
+   */
+  getConfidenceInterval({ theta, standardError }) {
+    return {
+      lower: this.round(theta - Z_95 * standardError),
+      upper: this.round(theta + Z_95 * standardError),
+      level: 95
+    };
+  }
+
+  /**
+   * Expected percentage of correct answers over a set of items for an ability level
+   * Used to express the ability estimate on the usual 0-100 scale.
+   * @param {number} theta - Ability
+   * @param {Array} items - Reference items (usually the whole pool)
+   * @returns {number} Expected score from 0 to 100
+   */
+  expectedScore(theta, items = []) {
+    if (items.length === 0) return 0;
+    const expected = items.reduce((sum, item) => sum + this.probability(theta, item), 0) / items.length;
+    return Math.round(expected * 100);
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+export default AdaptiveTester;
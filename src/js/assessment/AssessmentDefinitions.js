@@ -1,6 +1,9 @@
 /**
- * Assessment Definitions - Contains all assessment questions and structure
+ * Assessment Definitions - Contains all assessment structures and form blueprints
  * Extracted from AssessmentEngine for better modularity
+ *
+ * Assessments either list fixed questions or describe a blueprint used to draw
+ * a new form from the QuestionBank on every attempt.
  */
 class AssessmentDefinitions {
   constructor() {
@@ -22,136 +25,11 @@ class AssessmentDefinitions {
         moduleId: 'module1',
         elementId: 'fundamentals',
         timeLimit: 1200, // 20 minutes
-        questions: [
-          {
-            id: 'q1_1',
-            type: 'multiple_choice',
-            question: '¿Cuál es el principio ético más importante en la consultoría?',
-            options: [
-              'Maximizar los honorarios del consultor',
-              'Mantener la confidencialidad del cliente',
-              'Implementar soluciones rápidas',
-              'Garantizar resultados inmediatos'
-            ],
-            correct: 1,
-            explanation: 'La confidencialidad es fundamental para mantener la confianza y proteger la información sensible del cliente.',
-            points: 10
-          },
-          {
-            id: 'q1_2',
-            type: 'multiple_choice',
-            question: '¿Cuáles son las cinco etapas principales del proceso de consultoría?',
-            options: [
-              'Contacto, Diagnóstico, Diseño, Implementación, Evaluación',
-              'Planificación, Ejecución, Control, Cierre, Reporte',
-              'Análisis, Síntesis, Propuesta, Negociación, Contrato',
-              'Identificación, Desarrollo, Presentación, Acuerdo, Seguimiento'
-            ],
-            correct: 0,
-            explanation: 'Las cinco etapas del proceso de consultoría son: Contacto inicial, Diagnóstico, Diseño de soluciones, Implementación y Evaluación/seguimiento.',
-            points: 10
-          },
-          {
-            id: 'q1_3',
-            type: 'multiple_choice',
-            question: '¿Qué característica NO es esencial en un consultor profesional?',
-            options: [
-              'Conocimientos técnicos especializados',
-              'Capacidad de trabajar sin supervisión',
-              'Objetividad e imparcialidad',
-              'Ética profesional y confidencialidad'
-            ],
-            correct: 1,
-            explanation: 'Trabajar sin supervisión no es una característica esencial. Los consultores deben mantener comunicación y colaboración con sus clientes.',
-            points: 10
-          },
-          {
-            id: 'q1_4',
-            type: 'true_false',
-            question: 'La consultoría interna siempre es más efectiva que la consultoría externa.',
-            correct: false,
-            explanation: 'Ambas modalidades tienen ventajas. La consultoría externa aporta perspectiva objetiva, mientras que la interna conoce mejor la organización.',
-            points: 10
-          },
-          {
-            id: 'q1_5',
-            type: 'multiple_choice',
-            question: '¿Cuál es el primer paso para manejar un conflicto de interés?',
-            options: [
-              'Ignorar el conflicto hasta que se resuelva solo',
-              'Identificar y evaluar el conflicto potencial',
-              'Rechazar inmediatamente el proyecto',
-              'Negociar honorarios más altos'
-            ],
-            correct: 1,
-            explanation: 'El primer paso es identificar y evaluar el conflicto potencial para determinar su impacto en la objetividad.',
-            points: 10
-          },
-          {
-            id: 'q1_6',
-            type: 'multiple_choice',
-            question: '¿Qué técnica de comunicación es más efectiva para confirmar comprensión?',
-            options: [
-              'Hablar más fuerte',
-              'Parafrasear lo escuchado',
-              'Interrumpir frecuentemente',
-              'Usar jerga técnica'
-            ],
-            correct: 1,
-            explanation: 'Parafrasear permite confirmar que hemos comprendido correctamente el mensaje del interlocutor.',
-            points: 10
-          },
-          {
-            id: 'q1_7',
-            type: 'multiple_choice',
-            question: '¿Cuál es una responsabilidad del consultor hacia la sociedad?',
-            options: [
-              'Maximizar las ganancias personales',
-              'Promover prácticas sostenibles',
-              'Mantener información confidencial indefinidamente',
-              'Trabajar solo con empresas grandes'
-            ],
-            correct: 1,
-            explanation: 'Los consultores tienen responsabilidad social de promover prácticas sostenibles y actuar en beneficio del interés público.',
-            points: 10
-          },
-          {
-            id: 'q1_8',
-            type: 'true_false',
-            question: 'La escucha activa requiere interrumpir frecuentemente para mostrar interés.',
-            correct: false,
-            explanation: 'La escucha activa implica prestar atención completa sin interrupciones prematuras, permitiendo al hablante expresarse completamente.',
-            points: 10
-          },
-          {
-            id: 'q1_9',
-            type: 'multiple_choice',
-            question: '¿Cuál es la mejor estrategia para manejar la resistencia al cambio?',
-            options: [
-              'Imponer el cambio por autoridad',
-              'Comunicación clara y frecuente',
-              'Ignorar las preocupaciones',
-              'Implementar cambios gradualmente sin avisar'
-            ],
-            correct: 1,
-            explanation: 'La comunicación clara y frecuente ayuda a reducir la incertidumbre y genera confianza en el proceso de cambio.',
-            points: 10
-          },
-          {
-            id: 'q1_10',
-            type: 'multiple_choice',
-            question: '¿Qué tipo de consultoría se enfoca en la mejora de procesos organizacionales?',
-            options: [
-              'Consultoría estratégica',
-              'Consultoría operacional',
-              'Consultoría financiera',
-              'Consultoría de recursos humanos'
-            ],
-            correct: 1,
-            explanation: 'La consultoría operacional se enfoca específicamente en la mejora de procesos, eficiencia y operaciones diarias.',
-            points: 10
-          }
-        ],
+        blueprint: {
+          size: 10,
+          pool: { element: 'fundamentals' },
+          difficulty: { basic: 0.4, intermediate: 0.4, advanced: 0.2 }
+        },
         passingScore: 70,
         allowedAttempts: 3,
         category: 'knowledge_test'
@@ -165,133 +43,106 @@ class AssessmentDefinitions {
         moduleId: 'module2',
         elementId: 'E0875',
         timeLimit: 1800, // 30 minutes
-        questions: [
-          {
-            id: 'e1_q1',
-            type: 'multiple_choice',
-            question: '¿Cuál es el primer paso en la metodología de identificación de problemas?',
-            options: [
-              'Proponer soluciones inmediatas',
-              'Definir la situación y/o problema',
-              'Realizar entrevistas masivas',
-              'Buscar información externa'
-            ],
-            correct: 1,
-            explanation: 'El primer paso es definir claramente la situación o problema, estableciendo los límites y contexto del análisis.',
-            points: 10
-          },
-          {
-            id: 'e1_q2',
-            type: 'multiple_choice',
-            question: '¿Qué debe incluir un programa de entrevistas efectivo?',
-            options: [
-              'Solo directivos de alto nivel',
-              'Cronograma, participantes y metodología',
-              'Únicamente preguntas cerradas',
-              'Entrevistas de más de 2 horas'
-            ],
-            correct: 1,
-            explanation: 'Un programa efectivo debe incluir cronograma detallado, identificación de participantes clave y metodología estructurada.',
-            points: 10
-          },
-          {
-            id: 'e1_q3',
-            type: 'true_false',
-            question: 'Las observaciones de campo deben realizarse sin que los empleados lo sepan.',
-            correct: false,
-            explanation: 'Las observaciones deben ser transparentes y éticas, informando a los participantes sobre el propósito y proceso.',
-            points: 10
-          },
-          {
-            id: 'e1_q4',
-            type: 'multiple_choice',
-            question: '¿Cuál es el propósito principal de una guía de entrevista?',
-            options: [
-              'Limitar las respuestas del entrevistado',
-              'Estructurar la conversación y obtener información relevante',
-              'Impresionar al cliente con preguntas complejas',
-              'Completar la entrevista en menos tiempo'
-            ],
-            correct: 1,
-            explanation: 'La guía estructura la entrevista para obtener información relevante de manera sistemática y completa.',
-            points: 10
-          },
-          {
-            id: 'e1_q5',
-            type: 'multiple_choice',
-            question: '¿Qué elementos debe contener un cuestionario elaborado?',
-            options: [
-              'Solo preguntas abiertas complejas',
-              'Propósito, datos generales, confidencialidad e instrucciones',
-              'Únicamente preguntas de opción múltiple',
-              'Preguntas personales del entrevistado'
-            ],
-            correct: 1,
-            explanation: 'Un cuestionario completo debe incluir propósito, sección de datos generales, aviso de confidencialidad e instrucciones claras.',
-            points: 10
-          },
-          {
-            id: 'e1_q6',
-            type: 'multiple_choice',
-            question: '¿Cómo se debe evaluar la información obtenida?',
-            options: [
-              'Aceptar toda la información sin cuestionarla',
-              'Verificar fuentes, contrastar datos y validar consistencia',
-              'Usar solo información cuantitativa',
-              'Priorizar opiniones de directivos únicamente'
-            ],
-            correct: 1,
-            explanation: 'La información debe evaluarse verificando fuentes, contrastando datos múltiples y validando consistencia.',
-            points: 10
-          },
-          {
-            id: 'e1_q7',
-            type: 'true_false',
-            question: 'La información documental interna es siempre más confiable que la externa.',
-            correct: false,
-            explanation: 'Ambos tipos de información son valiosos. La externa puede proporcionar perspectiva objetiva y benchmarks.',
-            points: 10
-          },
-          {
-            id: 'e1_q8',
-            type: 'multiple_choice',
-            question: '¿Qué debe incluir el reporte de visita de campo?',
-            options: [
-              'Solo conclusiones finales',
-              'Objetivo, alcance, observaciones detalladas y resultados',
-              'Únicamente aspectos negativos observados',
-              'Recomendaciones de solución inmediata'
-            ],
-            correct: 1,
-            explanation: 'El reporte debe ser completo incluyendo objetivo, alcance, observaciones detalladas y resultados obtenidos.',
-            points: 10
-          },
-          {
-            id: 'e1_q9',
-            type: 'multiple_choice',
-            question: '¿Cuál es la importancia de la integración de información?',
-            options: [
-              'Reducir el volumen de datos',
-              'Crear una visión comprehensiva y coherente del problema',
-              'Eliminar información contradictoria',
-              'Acelerar el proceso de consultoría'
-            ],
-            correct: 1,
-            explanation: 'La integración permite crear una visión comprehensiva que conecte todos los elementos del problema.',
-            points: 10
-          },
-          {
-            id: 'e1_q10',
-            type: 'short_answer',
-            question: 'Describa brevemente los componentes clave de una metodología de identificación de problemas.',
-            sampleAnswer: 'definición situación entrevistas observaciones documentación evaluación información integración análisis',
-            explanation: 'Los componentes incluyen: definición de la situación, programa de entrevistas, observaciones de campo, búsqueda documental, evaluación de información e integración de hallazgos.',
-            points: 15
-          }
-        ],
+        blueprint: {
+          size: 10,
+          pool: { element: 'E0875' },
+          difficulty: { basic: 0.3, intermediate: 0.5, advanced: 0.2 }
+        },
         passingScore: 75,
         allowedAttempts: 3,
         category: 'competency_assessment'
+      },
+
+      // Element 2 (E0876): Solution Development Assessment
+      element2_assessment: {
+        id: 'element2_assessment',
+        title: 'Evaluación: Desarrollo de Soluciones (E0876)',
+        description: 'Evaluación de competencias para analizar afectaciones y diseñar soluciones',
+        moduleId: 'module3',
+        elementId: 'E0876',
+        timeLimit: 1200, // 20 minutes
+        blueprint: {
+          size: 7,
+          pool: { element: 'E0876' },
+          difficulty: { basic: 0.3, intermediate: 0.4, advanced: 0.3 }
+        },
+        passingScore: 75,
+        allowedAttempts: 3,
+        category: 'competency_assessment'
+      },
+
+      // Element 3 (E0877): Solution Presentation Assessment
+      element3_assessment: {
+        id: 'element3_assessment',
+        title: 'Evaluación: Presentación de Propuestas (E0877)',
+        description: 'Evaluación de competencias para presentar la propuesta de solución y registrar acuerdos',
+        moduleId: 'module4',
+        elementId: 'E0877',
+        timeLimit: 1200, // 20 minutes
+        blueprint: {
+          size: 7,
+          pool: { element: 'E0877' },
+          difficulty: { basic: 0.3, intermediate: 0.4, advanced: 0.3 }
+        },
+        passingScore: 75,
+        allowedAttempts: 3,
+        category: 'competency_assessment'
+      },
+
+      // Practice exam covering the three elements of the standard
+      ec0249_practice_exam: {
+        id: 'ec0249_practice_exam',
+        title: 'Examen de Práctica EC0249',
+        description: 'Examen integral con la distribución de reactivos por elemento del estándar',
+        moduleId: null,
+        elementId: 'EC0249',
+        timeLimit: 1800, // 30 minutes
+        blueprint: {
+          size: 15,
+          pool: { element: ['E0875', 'E0876', 'E0877'] },
+          strata: [
+            { element: 'E0875', count: 6 },
+            { element: 'E0876', count: 5 },
+            { element: 'E0877', count: 4 }
+          ],
+          difficulty: { basic: 0.3, intermediate: 0.5, advanced: 0.2 }
+        },
+        passingScore: 75,
+        allowedAttempts: 5,
+        category: 'practice_exam'
+      },
+
+      // Mock certification exam: knowledge section of the dress rehearsal of the CONOCER evaluation
+      ec0249_mock_certification: {
+        id: 'ec0249_mock_certification',
+        title: 'Examen Simulado de Certificación EC0249',
+        description: 'Ensayo completo de la evaluación: conocimientos, desempeños simulados y productos',
+        moduleId: null,
+        elementId: 'EC0249',
+        timeLimit: 3600, // 60 minutes for the knowledge section
+        clockWhileAway: 'run', // As in the real exam, leaving does not stop the clock
+        blueprint: {
+          size: 24,
+          pool: { element: ['E0875', 'E0876', 'E0877'] },
+          strata: [
+            { element: 'E0875', count: 9 },
+            { element: 'E0876', count: 8 },
+            { element: 'E0877', count: 7 }
+          ],
+          difficulty: { basic: 0.25, intermediate: 0.5, advanced: 0.25 }
+        },
+        passingScore: 80,
+        allowedAttempts: 3,
+        category: 'mock_certification',
+        mockExam: {
+          timeLimit: 10800, // 3 hours for the whole exam
+          simulations: [
+            { type: 'interview', element: 'E0875', title: 'Entrevista con el consultante', simulationId: 'interview_director_general' },
+            { type: 'presentation', element: 'E0877', title: 'Presentación de la propuesta de solución', simulationId: 'presentation_executive_board' }
+          ],
+          // Share of each section in the overall score; readiness still requires every section
+          weights: { knowledge: 30, performance: 40, products: 30 }
+        }
       }
     };
 
@@ -354,10 +205,17 @@ class AssessmentDefinitions {
    * @returns {boolean} Validation result
    */
   validateAssessment(assessment) {
-    if (!assessment.id || !assessment.title || !assessment.questions) {
+    if (!assessment.id || !assessment.title || (!assessment.questions && !assessment.blueprint)) {
       return false;
     }
 
+    if (assessment.blueprint) {
+      const strata = assessment.blueprint.strata || [];
+      return assessment.blueprint.size > 0 &&
+        strata.every(stratum => stratum.count > 0) &&
+        (strata.length === 0 || strata.reduce((sum, stratum) => sum + stratum.count, 0) === assessment.blueprint.size);
+    }
+
     if (!Array.isArray(assessment.questions) || assessment.questions.length === 0) {
       return false;
     }
@@ -403,15 +261,24 @@ class AssessmentDefinitions {
     
     return {
       totalAssessments: assessments.length,
-      totalQuestions: assessments.reduce((sum, a) => sum + a.questions.length, 0),
+      totalQuestions: assessments.reduce((sum, a) => sum + this.getFormSize(a), 0),
       averageQuestions: assessments.length > 0 ? 
-        Math.round(assessments.reduce((sum, a) => sum + a.questions.length, 0) / assessments.length) : 0,
+        Math.round(assessments.reduce((sum, a) => sum + this.getFormSize(a), 0) / assessments.length) : 0,
       byModule: this.groupByField(assessments, 'moduleId'),
       byElement: this.groupByField(assessments, 'elementId'),
       byCategory: this.groupByField(assessments, 'category')
     };
   }
 
+  /**
+   * Get the number of questions an attempt of the assessment contains
+   * @param {Object} assessment - Assessment definition
+   * @returns {number} Questions per attempt
+   */
+  getFormSize(assessment) {
+    return assessment.blueprint ? assessment.blueprint.size : (assessment.questions?.length || 0);
+  }
+
   /**
    * Group assessments by field
    * @param {Array} assessments - Assessments array
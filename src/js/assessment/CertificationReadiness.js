@@ -0,0 +1,196 @@
+/**
+ * Certification Readiness - Single readiness report of a mock certification exam
+ * Combines the three parts of the CONOCER evaluation: knowledge (questionnaire),
+ * performance (interview and presentation simulations) and products (required documents).
+ * As in the real evaluation, a candidate is only ready when every part is passed;
+ * the weighted overall score shows how far the candidate is.
+ */
+
+const ELEMENT_TITLES = {
+  E0875: 'Identificación de Problemas',
+  E0876: 'Desarrollo de Soluciones',
+  E0877: 'Presentación de Propuestas'
+};
+
+const DEFAULT_WEIGHTS = { knowledge: 30, performance: 40, products: 30 };
+
+class CertificationReadiness {
+  /**
+   * Build the readiness report
+   * @param {Object} parts - Exam parts
+   * @param {Object} parts.knowledge - Results of the knowledge section (null if not taken)
+   * @param {Array} parts.simulations - Simulations recorded during the exam ({ type, simulationId, sessionId, percentage, certification })
+   * @param {Object} parts.products - Product checklist from DocumentEngine.getProductChecklist() (null if unavailable)
+   * @param {boolean} parts.overtime - Whether the exam was finished after its time limit
+   * @param {Object} config - Mock exam configuration ({ simulations, weights }) and knowledge passingScore
+   * @returns {Object} Report ({ ready, score, level, provisional, sections, elements, nextSteps })
+   */
+  evaluate({ knowledge = null, simulations = [], products = null, overtime = false }, config = {}) {
+    const sections = {
+      knowledge: this.evaluateKnowledge(knowledge, config.passingScore || 80),
+      performance: this.evaluatePerformance(simulations, config.simulations || []),
+      products: this.evaluateProducts(products)
+    };
+
+    const weights = { ...DEFAULT_WEIGHTS, ...config.weights };
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const score = Math.round(
+      Object.entries(sections).reduce((sum, [key, section]) => sum + section.score * (weights[key] || 0), 0) / totalWeight
+    );
+    // As in the real evaluation, an exam finished out of time is not passed
+    const ready = !overtime && Object.values(sections).every(section => section.passed);
+
+    return {
+      ready,
+      score,
+      level: this.getLevel(score, ready),
+      provisional: sections.knowledge.status === 'pending_review',
+      sections,
+      elements: this.evaluateElements(sections),
+      nextSteps: this.getNextSteps(sections, overtime)
+    };
+  }
+
+  /**
+   * Knowledge section, with the score of each element
+   */
+  evaluateKnowledge(results, passingScore) {
+    if (!results) {
+      return { score: 0, passed: false, passingScore, status: 'missing', sessionId: null, elements: {} };
+    }
+
+    const questions = new Map((results.questions || []).map(question => [question.id, question]));
+    const totals = {};
+    (results.score.questionResults || []).forEach(result => {
+      const element = questions.get(result.questionId)?.element;
+      if (!element) return;
+      totals[element] = totals[element] || { points: 0, maxPoints: 0 };
+      totals[element].points += result.points || 0;
+      totals[element].maxPoints += result.maxPoints || 0;
+    });
+
+    const elements = {};
+    Object.entries(totals).forEach(([element, { points, maxPoints }]) => {
+      elements[element] = maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 0;
+    });
+
+    return {
+      score: results.score.percentage,
+      passed: results.status !== 'pending_review' && results.score.percentage >= passingScore,
+      passingScore,
+      status: results.status,
+      sessionId: results.sessionId,
+      elements
+    };
+  }
+
+  /**
+   * Performance section: every required simulation must reach its own certification readiness
+   */
+  evaluatePerformance(simulations, required) {
+    const items = required.map(requirement => {
+      const result = simulations.find(simulation => simulation.type === requirement.type);
+      return {
+        type: requirement.type,
+        element: requirement.element,
+        title: requirement.title,
+        completed: !!result,
+        simulationId: result?.simulationId || null,
+        sessionId: result?.sessionId || null,
+        score: result?.certification?.score ?? result?.percentage ?? 0,
+        ready: !!result?.certification?.ready
+      };
+    });
+
+    return {
+      score: items.length > 0 ? Math.round(items.reduce((sum, item) => sum + item.score, 0) / items.length) : 0,
+      passed: items.length > 0 && items.every(item => item.ready),
+      items
+    };
+  }
+
+  /**
+   * Products section: every required document must be ready
+   */
+  evaluateProducts(checklist) {
+    if (!checklist) {
+      return { score: 0, passed: false, readyCount: 0, requiredCount: 0, items: [] };
+    }
+
+    return {
+      score: checklist.score,
+      passed: checklist.requiredCount > 0 && checklist.readyCount === checklist.requiredCount,
+      readyCount: checklist.readyCount,
+      requiredCount: checklist.requiredCount,
+      items: checklist.items
+    };
+  }
+
+  /**
+   * Average of the available evidence of each element
+   */
+  evaluateElements(sections) {
+    return Object.keys(ELEMENT_TITLES).map(element => {
+      const scores = [
+        sections.knowledge.elements[element],
+        ...sections.performance.items.filter(item => item.element === element).map(item => item.score),
+        ...sections.products.items.filter(item => item.element === element).map(item => item.score)
+      ].filter(score => score !== undefined);
+
+      return {
+        element,
+        title: ELEMENT_TITLES[element],
+        score: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0
+      };
+    });
+  }
+
+  getLevel(score, ready) {
+    if (ready) return score >= 90 ? 'excellent' : 'good';
+    return score >= 60 ? 'acceptable' : 'needs_improvement';
+  }
+
+  getNextSteps(sections, overtime = false) {
+    const steps = [];
+    const { knowledge, performance, products } = sections;
+
+    if (overtime) {
+      steps.push('Terminar el examen dentro del tiempo límite');
+    }
+
+    if (knowledge.status === 'missing') {
+      steps.push('Presentar la sección de conocimientos');
+    } else if (knowledge.status === 'pending_review') {
+      steps.push('Esperar la revisión de las respuestas abiertas por un mentor');
+    } else if (!knowledge.passed) {
+      const weakest = Object.entries(knowledge.elements).sort((a, b) => a[1] - b[1])[0];
+      steps.push(weakest
+        ? `Repasar ${ELEMENT_TITLES[weakest[0]] || weakest[0]} (${weakest[1]}% en conocimientos)`
+        : 'Repasar el material teórico');
+    }
+
+    performance.items.filter(item => !item.ready).forEach(item => {
+      steps.push(item.completed
+        ? `Practicar de nuevo: ${item.title} (${item.score}%)`
+        : `Realizar la simulación: ${item.title}`);
+    });
+
+    if (products.requiredCount === 0) {
+      steps.push('Elaborar los documentos requeridos del portafolio');
+    }
+
+    products.items.filter(item => !item.ready).forEach(item => {
+      steps.push(item.status === 'missing'
+        ? `Elaborar el documento: ${item.title}`
+        : `Completar el documento: ${item.title}`);
+    });
+
+    if (steps.length === 0) {
+      steps.push('Proceder con evaluación oficial');
+    }
+
+    return steps;
+  }
+}
+
+export default CertificationReadiness;
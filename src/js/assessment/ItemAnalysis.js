@@ -0,0 +1,229 @@
+/**
+ * Item Analysis - Classical test theory statistics of the question bank items
+ * Computed from the attempts stored in the assessment histories: difficulty (p-value),
+ * discrimination (corrected item-total correlation), distractor selection and average time.
+ */
+
+// Types whose answers are one of a fixed list of options
+const CHOICE_TYPES = ['multiple_choice', 'true_false'];
+
+const TRUE_FALSE_OPTIONS = ['Verdadero', 'Falso'];
+
+// Discrimination is not reported for items answered in fewer attempts
+const MIN_ATTEMPTS_FOR_DISCRIMINATION = 5;
+
+const THRESHOLDS = {
+  tooEasy: 0.9,
+  tooHard: 0.2,
+  lowDiscrimination: 0.2
+};
+
+class ItemAnalysis {
+  /**
+   * Summarize the items of a completed attempt for its history entry
+   * @param {Object} results - Assessment results (questions, responses and score)
+   * @returns {Array} Item summaries ({ questionId, option, credit, timeSpent })
+   */
+  summarizeAttempt(results) {
+    const questions = new Map((results.questions || []).map(question => [question.id, question]));
+    const responses = new Map(results.responses || []);
+
+    return (results.score.questionResults || []).map(result => {
+      const response = responses.get(result.questionId);
+      return {
+        questionId: result.questionId,
+        option: this.getSelectedOption(questions.get(result.questionId), response?.answer),
+        credit: result.credit ?? (result.isCorrect ? 1 : 0),
+        timeSpent: response?.timeSpent || 0
+      };
+    });
+  }
+
+  /**
+   * Text of the option chosen in a choice question; options are shuffled per attempt,
+   * so the index alone does not identify it
+   */
+  getSelectedOption(question, answer) {
+    if (!question || answer === undefined || answer === null) return null;
+    if (question.type === 'true_false') return answer ? TRUE_FALSE_OPTIONS[0] : TRUE_FALSE_OPTIONS[1];
+    if (question.type === 'multiple_choice') return question.options?.[answer] ?? null;
+    return null;
+  }
+
+  /**
+   * Analyze the items of a set of attempts
+   * @param {Array} attempts - History entries with item summaries ({ sessionId, items })
+   * @param {Function} getItem - Returns the question bank item of an ID
+   * @returns {Object} Analysis ({ attempts, items }), items with flags first
+   */
+  analyze(attempts, getItem) {
+    const observations = new Map();
+
+    attempts.forEach(attempt => {
+      const items = attempt.items || [];
+      const totalCredit = items.reduce((sum, item) => sum + item.credit, 0);
+
+      items.forEach(item => {
+        if (!observations.has(item.questionId)) {
+          observations.set(item.questionId, []);
+        }
+        observations.get(item.questionId).push({
+          ...item,
+          // Score on the rest of the attempt, so the item does not correlate with itself
+          restScore: items.length > 1 ? (totalCredit - item.credit) / (items.length - 1) : 0
+        });
+      });
+    });
+
+    const items = Array.from(observations.entries())
+      .map(([questionId, itemObservations]) => this.analyzeItem(questionId, itemObservations, getItem(questionId)))
+      .sort((a, b) => (b.flags.length > 0) - (a.flags.length > 0) || a.questionId.localeCompare(b.questionId));
+
+    return { attempts: attempts.length, items };
+  }
+
+  analyzeItem(questionId, observations, question) {
+    const credits = observations.map(observation => observation.credit);
+    const times = observations.map(observation => observation.timeSpent).filter(time => time > 0);
+
+    const difficulty = this.round(credits.reduce((sum, credit) => sum + credit, 0) / credits.length);
+    const discrimination = observations.length >= MIN_ATTEMPTS_FOR_DISCRIMINATION
+      ? this.correlation(credits, observations.map(observation => observation.restScore))
+      : null;
+    const distractors = this.getDistractors(question, observations);
+
+    return {
+      questionId,
+      question: question?.question || '',
+      type: question?.type || null,
+      element: question?.element || null,
+      difficultyLevel: question?.difficulty || null,
+      attempts: observations.length,
+      difficulty,
+      discrimination: discrimination === null ? null : this.round(discrimination),
+      averageTime: times.length > 0
+        ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length / 1000)
+        : null,
+      distractors,
+      flags: this.getFlags(difficulty, discrimination, distractors)
+    };
+  }
+
+  /**
+   * Selection frequency of every option; omitted answers are counted apart
+   */
+  getDistractors(question, observations) {
+    if (!question || !CHOICE_TYPES.includes(question.type)) return [];
+
+    const options = question.type === 'true_false' ? TRUE_FALSE_OPTIONS : question.options || [];
+    const correctOption = question.type === 'true_false'
+      ? TRUE_FALSE_OPTIONS[question.correct ? 0 : 1]
+      : options[question.correct];
+
+    const distractors = options.map(option => {
+      const count = observations.filter(observation => observation.option === option).length;
+      return {
+        option,
+        correct: option === correctOption,
+        count,
+        frequency: this.round(count / observations.length)
+      };
+    });
+
+    const omitted = observations.filter(observation => observation.option === null).length;
+    if (omitted > 0) {
+      distractors.push({ option: null, correct: false, count: omitted, frequency: this.round(omitted / observations.length) });
+    }
+
+    return distractors;
+  }
+
+  getFlags(difficulty, discrimination, distractors) {
+    const flags = [];
+
+    if (difficulty > THRESHOLDS.tooEasy) flags.push('too_easy');
+    if (difficulty < THRESHOLDS.tooHard) flags.push('too_hard');
+
+    if (discrimination !== null) {
+      if (discrimination < 0) {
+        flags.push('negative_discrimination');
+      } else if (discrimination < THRESHOLDS.lowDiscrimination) {
+        flags.push('low_discrimination');
+      }
+    }
+
+    // A wrong option chosen more often than the right one usually means a misleading question
+    const correct = distractors.find(distractor => distractor.correct);
+    if (correct && distractors.some(distractor => !distractor.correct && distractor.option !== null && distractor.count > correct.count)) {
+      flags.push('misleading_distractor');
+    }
+
+    return flags;
+  }
+
+  /**
+   * Export an analysis as CSV, one row per item
+   * @param {Object} analysis - Analysis from analyze()
+   * @returns {string} CSV content
+   */
+  toCSV(analysis) {
+    const header = [
+      'Reactivo', 'Elemento', 'Tipo', 'Nivel', 'Intentos', 'Dificultad (p)', 'Discriminación',
+      'Tiempo promedio (s)', 'Alertas', 'Distractores', 'Pregunta'
+    ];
+
+    const rows = analysis.items.map(item => [
+      item.questionId,
+      item.element,
+      item.type,
+      item.difficultyLevel,
+      item.attempts,
+      item.difficulty,
+      item.discrimination,
+      item.averageTime,
+      item.flags.join(' | '),
+      item.distractors
+        .map(distractor => `${distractor.option ?? 'Sin respuesta'}${distractor.correct ? ' (correcta)' : ''}: ${distractor.count}`)
+        .join(' | '),
+      item.question
+    ]);
+
+    return [header, ...rows]
+      .map(row => row.map(value => this.escapeCSV(value)).join(','))
+      .join('\r\n');
+  }
+
+  escapeCSV(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Spreadsheets run text cells that look like formulas; numbers such as a negative discrimination are kept as they are
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  correlation(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+      covariance += (xs[i] - meanX) * (ys[i] - meanY);
+      varianceX += (xs[i] - meanX) ** 2;
+      varianceY += (ys[i] - meanY) ** 2;
+    }
+
+    // Items everyone got right (or wrong) cannot discriminate
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+export default ItemAnalysis;
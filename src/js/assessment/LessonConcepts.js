@@ -0,0 +1,181 @@
+/**
+ * Lesson Concepts - Key concepts of each EC0249 lesson for the review deck
+ * Keyed by the lesson keys of VideoConfig (the same keys the question bank uses in its "lesson" tag)
+ */
+
+const lessonConcepts = {
+  // Module 1: Consulting Fundamentals
+  lesson1_1: [
+    {
+      id: 'lesson1_1_consulting',
+      concept: 'Consultoría',
+      definition: 'Servicio profesional especializado que ayuda a las organizaciones a identificar problemas, desarrollar soluciones y mejorar su desempeño desde una perspectiva externa y objetiva.'
+    },
+    {
+      id: 'lesson1_1_process',
+      concept: 'Etapas del proceso de consultoría',
+      definition: 'Identificar la situación problema, desarrollar opciones de solución y presentar la propuesta de solución al consultante.'
+    }
+  ],
+  lesson1_2: [
+    {
+      id: 'lesson1_2_active_listening',
+      concept: 'Escucha activa',
+      definition: 'Atender al consultante sin interrumpir, confirmar lo que se entendió y hacer preguntas que profundicen en la información.'
+    },
+    {
+      id: 'lesson1_2_rapport',
+      concept: 'Relación de confianza',
+      definition: 'Base del trabajo con el consultante; se construye con comunicación clara, respeto y cumplimiento de los compromisos.'
+    }
+  ],
+  lesson1_3: [
+    {
+      id: 'lesson1_3_confidentiality',
+      concept: 'Confidencialidad',
+      definition: 'Obligación del consultor de proteger la información del consultante y usarla solo para los fines acordados.'
+    },
+    {
+      id: 'lesson1_3_conflict_of_interest',
+      concept: 'Conflicto de interés',
+      definition: 'Situación en la que un interés propio o de terceros puede afectar la objetividad del consultor; debe declararse y evitarse.'
+    }
+  ],
+
+  // Module 2 (E0875): Problem Identification
+  interviews: [
+    {
+      id: 'interviews_purpose',
+      concept: 'Entrevista a las partes involucradas',
+      definition: 'Presentarse, explicar el propósito, solicitar información y evidencias, registrar las respuestas y cerrar la entrevista acordando los siguientes pasos.'
+    }
+  ],
+  problem_document: [
+    {
+      id: 'problem_document_contents',
+      concept: 'Documento que describe el problema',
+      definition: 'Describe la situación actual, el problema planteado, sus causas y su afectación, con base en la información obtenida.'
+    }
+  ],
+  impact_analysis: [
+    {
+      id: 'impact_analysis_definition',
+      concept: 'Afectación',
+      definition: 'Efecto que la situación problema tiene en las áreas, procesos y resultados de la organización; se expresa de forma medible cuando es posible.'
+    }
+  ],
+  information_integration: [
+    {
+      id: 'information_integration_definition',
+      concept: 'Integración de la información',
+      definition: 'Reunir y contrastar los hallazgos de entrevistas, cuestionarios, búsqueda documental y visitas de campo para sustentar la descripción del problema.'
+    }
+  ],
+  methodology_report: [
+    {
+      id: 'methodology_report_contents',
+      concept: 'Reporte de la metodología',
+      definition: 'Explica cómo se identificó el problema: definición de la situación, fuentes consultadas, instrumentos aplicados y forma de evaluar e integrar la información.'
+    }
+  ],
+  interview_guide: [
+    {
+      id: 'interview_guide_contents',
+      concept: 'Guía de entrevistas',
+      definition: 'Instrumento que lista el objetivo, los temas y las preguntas de la entrevista para obtener información de forma ordenada.'
+    }
+  ],
+  questionnaire_design: [
+    {
+      id: 'questionnaire_design_principles',
+      concept: 'Diseño de cuestionarios',
+      definition: 'Preguntas claras y sin sesgo, ordenadas de lo general a lo particular y alineadas con la información que se necesita obtener.'
+    }
+  ],
+  documentary_search: [
+    {
+      id: 'documentary_search_program',
+      concept: 'Programa de búsqueda documental',
+      definition: 'Plan que define qué documentos se consultarán, dónde, con qué objetivo y en qué fechas.'
+    }
+  ],
+  field_visit_report: [
+    {
+      id: 'field_visit_report_contents',
+      concept: 'Reporte de la visita de campo',
+      definition: 'Registra las observaciones hechas en el lugar de trabajo: fecha, áreas visitadas, hechos observados y evidencias recabadas.'
+    }
+  ],
+
+  // Module 3 (E0876): Solution Development
+  impact_report: [
+    {
+      id: 'impact_report_contents',
+      concept: 'Reporte de afectaciones',
+      definition: 'Documenta las afectaciones encontradas, sus causas y su magnitud, y sirve de base para diseñar la solución.'
+    },
+    {
+      id: 'impact_report_root_cause',
+      concept: 'Causa raíz',
+      definition: 'Origen del problema que, al atenderse, elimina o reduce sus efectos; se distingue de los síntomas.'
+    }
+  ],
+  solution_design: [
+    {
+      id: 'solution_design_contents',
+      concept: 'Diseño de la solución',
+      definition: 'Define objetivos, alternativas evaluadas, la alternativa elegida, responsables y etapas de implementación.'
+    },
+    {
+      id: 'solution_design_cost_benefit',
+      concept: 'Análisis costo-beneficio',
+      definition: 'Compara los costos de la solución con los beneficios esperados y sus riesgos para justificar la alternativa elegida.'
+    }
+  ],
+
+  // Module 4 (E0877): Solution Presentation
+  proposal_presentation: [
+    {
+      id: 'proposal_presentation_contents',
+      concept: 'Presentación de la propuesta',
+      definition: 'Describe la propuesta, su alcance, ventajas y desventajas, responsabilidades, etapas, entregables, implicaciones, recursos y costos, y atiende las preguntas del consultante.'
+    }
+  ],
+  work_proposal: [
+    {
+      id: 'work_proposal_contents',
+      concept: 'Propuesta de trabajo',
+      definition: 'Documento que formaliza los antecedentes, el alcance, la solución, el plan de trabajo y las condiciones económicas del servicio.'
+    }
+  ],
+  detailed_solution: [
+    {
+      id: 'detailed_solution_contents',
+      concept: 'Descripción detallada de la solución',
+      definition: 'Explica cómo la solución resuelve la situación problema, qué cambios implica y qué resultados se esperan.'
+    }
+  ],
+  work_plan: [
+    {
+      id: 'work_plan_contents',
+      concept: 'Plan de trabajo',
+      definition: 'Lista las etapas y actividades de la implementación con sus fechas, responsables y entregables.'
+    }
+  ],
+  activity_description: [
+    {
+      id: 'activity_description_contents',
+      concept: 'Descripción de actividades',
+      definition: 'Detalla para cada actividad del plan qué se hará, quién la hará, con qué recursos y en qué plazo.'
+    }
+  ],
+  agreement_record: [
+    {
+      id: 'agreement_record_contents',
+      concept: 'Registro de acuerdos',
+      definition: 'Documento firmado por las partes con los acuerdos alcanzados, los cambios de alcance y sus efectos en costo y tiempo.'
+    }
+  ]
+};
+
+export default lessonConcepts;
@@ -0,0 +1,135 @@
+/**
+ * Open Response Grader - Automatic pre-score of short answers and essays against a rubric
+ * Answers are normalized, stripped of Spanish stopwords, stemmed and mapped to synonym groups,
+ * so "evaluación de la información" matches the rubric keyword "evaluar datos".
+ * The pre-score is a first reading; essays still go to a mentor for the final grade.
+ */
+import TextNormalizer from './TextNormalizer.js';
+
+// Terms treated as the same concept when comparing answers with rubric keywords
+const SYNONYM_GROUPS = [
+  ['problema', 'situacion', 'dificultad', 'necesidad'],
+  ['cliente', 'consultante', 'organizacion', 'empresa'],
+  ['informacion', 'datos', 'hallazgos'],
+  ['analisis', 'evaluacion', 'diagnostico', 'evaluar', 'analizar'],
+  ['solucion', 'alternativa', 'propuesta'],
+  ['entrevista', 'conversacion'],
+  ['cuestionario', 'encuesta'],
+  ['documento', 'reporte', 'expediente'],
+  ['costo', 'gasto', 'inversion'],
+  ['beneficio', 'ventaja'],
+  ['riesgo', 'amenaza'],
+  ['objetivo', 'meta', 'proposito'],
+  ['plan', 'programa', 'cronograma', 'calendario'],
+  ['responsable', 'encargado'],
+  ['acuerdo', 'compromiso'],
+  ['implementar', 'ejecutar', 'aplicar'],
+  ['causa', 'origen'],
+  ['efecto', 'impacto', 'afectacion', 'consecuencia']
+];
+
+class OpenResponseGrader {
+  constructor() {
+    this.textNormalizer = new TextNormalizer();
+    this.synonyms = new Map();
+    SYNONYM_GROUPS.forEach(group => {
+      const canonical = this.stem(group[0]);
+      group.forEach(word => this.synonyms.set(this.stem(word), canonical));
+    });
+  }
+
+  /**
+   * Pre-score an answer against the question rubric
+   * Each criterion earns its points in proportion to the rubric keywords the answer covers;
+   * criteria without keywords can only be graded by a mentor.
+   * @param {Object} question - Short answer or essay question
+   * @param {string} answer - User's answer
+   * @returns {Object} Pre-score ({ score, points, maxPoints, criteria, wordCount, requiresReview })
+   */
+  preScore(question, answer) {
+    const terms = new Set(this.analyze(answer));
+
+    const criteria = this.getRubric(question).map(criterion => {
+      const keywords = criterion.keywords || [];
+      if (keywords.length === 0) {
+        return { criterion: criterion.criterion, maxPoints: criterion.maxPoints, points: null, matched: [], missing: [] };
+      }
+
+      const matched = keywords.filter(keyword => this.matchesKeyword(terms, keyword));
+      return {
+        criterion: criterion.criterion,
+        maxPoints: criterion.maxPoints,
+        points: Math.round((criterion.maxPoints * matched.length / keywords.length) * 10) / 10,
+        matched: matched.map(keyword => this.keywordLabel(keyword)),
+        missing: keywords.filter(keyword => !matched.includes(keyword)).map(keyword => this.keywordLabel(keyword))
+      };
+    });
+
+    const maxPoints = criteria.reduce((sum, criterion) => sum + criterion.maxPoints, 0);
+    const points = criteria.reduce((sum, criterion) => sum + (criterion.points || 0), 0);
+
+    return {
+      score: maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 0,
+      points: Math.round(points * 10) / 10,
+      maxPoints,
+      criteria,
+      wordCount: String(answer || '').split(/\s+/).filter(Boolean).length,
+      requiresReview: question.type === 'essay' || criteria.some(criterion => criterion.points === null)
+    };
+  }
+
+  /**
+   * Rubric of an open question
+   * Questions without a rubric are graded on the terms of their sample answer.
+   * @param {Object} question - Short answer or essay question
+   * @returns {Array} Rubric criteria ({ criterion, maxPoints, keywords })
+   */
+  getRubric(question) {
+    if (Array.isArray(question.rubric) && question.rubric.length > 0) {
+      return question.rubric;
+    }
+
+    return [{
+      criterion: 'Contenido',
+      maxPoints: question.points || 10,
+      keywords: [...new Set(this.tokenize(question.sampleAnswer))]
+    }];
+  }
+
+  /**
+   * Reduce a text to its comparable terms (normalized, without stopwords, stemmed, synonyms merged)
+   * @param {string} text - Text to analyze
+   * @returns {Array} Terms
+   */
+  analyze(text) {
+    return this.tokenize(text).map(word => {
+      const stem = this.stem(word);
+      return this.synonyms.get(stem) || stem;
+    });
+  }
+
+  tokenize(text) {
+    return this.textNormalizer.removeStopwords(this.textNormalizer.normalize(text).split(' '));
+  }
+
+  stem(word) {
+    return this.textNormalizer.stem(word);
+  }
+
+  /**
+   * A keyword is a word or phrase, or a list of alternatives; a phrase matches when all its terms appear
+   */
+  matchesKeyword(terms, keyword) {
+    const alternatives = Array.isArray(keyword) ? keyword : [keyword];
+    return alternatives.some(alternative => {
+      const keywordTerms = this.analyze(alternative);
+      return keywordTerms.length > 0 && keywordTerms.every(term => terms.has(term));
+    });
+  }
+
+  keywordLabel(keyword) {
+    return Array.isArray(keyword) ? keyword[0] : keyword;
+  }
+}
+
+export default OpenResponseGrader;
@@ -0,0 +1,213 @@
+/**
+ * Question Bank - Tagged item pool and balanced test form assembly
+ * Items are tagged by element, competency, difficulty and lesson; assessments describe
+ * their forms with a blueprint and each attempt draws a new form from the pool
+ */
+import questionBankItems from './QuestionBankItems.js';
+
+export const DIFFICULTY_LEVELS = ['basic', 'intermediate', 'advanced'];
+
+const TAGS = ['element', 'competency', 'difficulty', 'lesson', 'type'];
+
+class QuestionBank {
+  /**
+   * @param {Object} options - Bank options
+   * @param {Function} options.random - Random number generator (0 <= n < 1)
+   */
+  constructor({ random = Math.random } = {}) {
+    this.items = new Map();
+    this.random = random;
+    this.loadItems();
+  }
+
+  /**
+   * Load the built-in items
+   */
+  loadItems() {
+    this.addItems(questionBankItems);
+  }
+
+  /**
+   * Add items to the bank
+   * @param {Array} items - Tagged question items
+   * @returns {number} Number of items added or replaced
+   */
+  addItems(items) {
+    items.forEach(item => {
+      if (!item.id || !item.type || !item.question) {
+        throw new Error(`Invalid question bank item: ${item.id || '(no id)'}`);
+      }
+      if (item.difficulty && !DIFFICULTY_LEVELS.includes(item.difficulty)) {
+        throw new Error(`Invalid difficulty "${item.difficulty}" for item ${item.id}`);
+      }
+      this.items.set(item.id, item);
+    });
+    return items.length;
+  }
+
+  /**
+   * Remove an item from the bank
+   * @param {string} itemId - Item ID
+   * @returns {boolean} Success status
+   */
+  removeItem(itemId) {
+    return this.items.delete(itemId);
+  }
+
+  /**
+   * Get item by ID
+   * @param {string} itemId - Item ID
+   * @returns {Object|null} Item
+   */
+  getItem(itemId) {
+    return this.items.get(itemId) || null;
+  }
+
+  /**
+   * Get the items matching a tag filter
+   * Each filter value can be a single tag or a list of accepted tags.
+   * @param {Object} filter - Tag filter (element, competency, difficulty, lesson, type)
+   * @returns {Array} Matching items
+   */
+  getItems(filter = {}) {
+    return Array.from(this.items.values()).filter(item => this.matches(item, filter));
+  }
+
+  /**
+   * Assemble a test form from a blueprint
+   *
+   * Blueprint format:
+   * - size: number of questions in the form
+   * - pool: tag filter that limits the items used by the form
+   * - strata: optional list of { count, ...tagFilter } that fixes how many items come from each part of the pool
+   * - difficulty: optional proportions by difficulty level ({ basic: 0.3, intermediate: 0.5, advanced: 0.2 })
+   * - balanceBy: tag spread as evenly as possible across the form (default 'competency')
+   *
+   * Items seen least often in previous attempts are preferred, so retakes rotate through the pool.
+   *
+   * @param {Object} blueprint - Form blueprint
+   * @param {Object} options - Assembly options
+   * @param {Map} options.exposure - Times each item ID was shown in previous attempts
+   * @returns {Array} Form items
+   */
+  assembleForm(blueprint, { exposure = new Map() } = {}) {
+    const pool = this.getItems(blueprint.pool);
+    const strata = blueprint.strata?.length > 0
+      ? blueprint.strata
+      : [{ count: blueprint.size }];
+
+    const available = strata.reduce((sum, stratum) => sum + Math.min(stratum.count, this.filterItems(pool, stratum).length), 0);
+    if (available === 0) {
+      throw new Error('No question bank items match the assessment blueprint');
+    }
+
+    const selected = [];
+    const coverage = new Map();
+    const balanceBy = blueprint.balanceBy || 'competency';
+    const rank = new Map(pool.map(item => [item.id, this.random()]));
+
+    strata.forEach(stratum => {
+      const candidates = this.filterItems(pool, stratum).filter(item => !selected.includes(item));
+      const targets = this.apportion(stratum.count, blueprint.difficulty);
+      const picked = [];
+
+      Object.entries(targets).forEach(([difficulty, count]) => {
+        const levelCandidates = candidates.filter(item => item.difficulty === difficulty);
+        picked.push(...this.pickBalanced(levelCandidates, count, { balanceBy, coverage, exposure, rank }));
+      });
+
+      // Levels without enough items are made up from the rest of the stratum
+      const remaining = candidates.filter(item => !picked.includes(item));
+      picked.push(...this.pickBalanced(remaining, stratum.count - picked.length, { balanceBy, coverage, exposure, rank }));
+
+      selected.push(...picked);
+    });
+
+    return selected;
+  }
+
+  pickBalanced(candidates, count, { balanceBy, coverage, exposure, rank }) {
+    const remaining = [...candidates];
+    const picked = [];
+
+    while (picked.length < count && remaining.length > 0) {
+      remaining.sort((a, b) =>
+        (coverage.get(a[balanceBy]) || 0) - (coverage.get(b[balanceBy]) || 0) ||
+        (exposure.get(a.id) || 0) - (exposure.get(b.id) || 0) ||
+        rank.get(a.id) - rank.get(b.id));
+
+      const item = remaining.shift();
+      coverage.set(item[balanceBy], (coverage.get(item[balanceBy]) || 0) + 1);
+      picked.push(item);
+    }
+
+    return picked;
+  }
+
+  /**
+   * Split a number of questions across difficulty levels (largest remainder method)
+   * @param {number} count - Number of questions
+   * @param {Object} proportions - Proportions by difficulty level
+   * @returns {Object} Questions per difficulty level
+   */
+  apportion(count, proportions) {
+    const levels = Object.entries(proportions || {}).filter(([, share]) => share > 0);
+    const total = levels.reduce((sum, [, share]) => sum + share, 0);
+    if (total === 0) return {};
+
+    const quotas = levels.map(([level, share]) => {
+      const exact = (count * share) / total;
+      return { level, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+    let missing = count - quotas.reduce((sum, quota) => sum + quota.count, 0);
+    [...quotas]
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach(quota => {
+        if (missing > 0) {
+          quota.count++;
+          missing--;
+        }
+      });
+
+    return Object.fromEntries(quotas.map(quota => [quota.level, quota.count]));
+  }
+
+  filterItems(items, filter) {
+    return items.filter(item => this.matches(item, filter));
+  }
+
+  matches(item, filter = {}) {
+    return TAGS.every(tag => {
+      const accepted = filter[tag];
+      if (accepted === undefined || accepted === null) return true;
+      return Array.isArray(accepted) ? accepted.includes(item[tag]) : item[tag] === accepted;
+    });
+  }
+
+  /**
+   * Get bank statistics
+   * @returns {Object} Item counts by tag
+   */
+  getStatistics() {
+    const items = Array.from(this.items.values());
+
+    return {
+      totalItems: items.length,
+      byElement: this.groupByTag(items, 'element'),
+      byCompetency: this.groupByTag(items, 'competency'),
+      byDifficulty: this.groupByTag(items, 'difficulty'),
+      byLesson: this.groupByTag(items, 'lesson')
+    };
+  }
+
+  groupByTag(items, tag) {
+    return items.reduce((groups, item) => {
+      const key = item[tag] || 'unknown';
+      groups[key] = (groups[key] || 0) + 1;
+      return groups;
+    }, {});
+  }
+}
+
+export default QuestionBank;
@@ -0,0 +1,931 @@
+/**
+ * Question Bank Items - Tagged knowledge items for the EC0249 assessments
+ * Every item is tagged by element, competency, difficulty (basic, intermediate, advanced) and lesson
+ * Open questions (short answer, essay) carry a rubric whose keywords drive the automatic pre-score
+ */
+
+const questionBankItems = [
+  // Module 1: Consulting Fundamentals
+  {
+    id: 'q1_1',
+    type: 'multiple_choice',
+    element: 'fundamentals',
+    competency: 'ethics',
+    difficulty: 'basic',
+    lesson: 'lesson1_3',
+    question: '¿Cuál es el principio ético más importante en la consultoría?',
+    options: [
+      'Maximizar los honorarios del consultor',
+      'Mantener la confidencialidad del cliente',
+      'Implementar soluciones rápidas',
+      'Garantizar resultados inmediatos'
+    ],
+    correct: 1,
+    explanation: 'La confidencialidad es fundamental para mantener la confianza y proteger la información sensible del cliente.',
+    points: 10
+  },
+  {
+    id: 'q1_2',
+    type: 'multiple_choice',
+    element: 'fundamentals',
+    competency: 'consulting_process',
+    difficulty: 'basic',
+    lesson: 'lesson1_1',
+    question: '¿Cuáles son las cinco etapas principales del proceso de consultoría?',
+    options: [
+      'Contacto, Diagnóstico, Diseño, Implementación, Evaluación',
+      'Planificación, Ejecución, Control, Cierre, Reporte',
+      'Análisis, Síntesis, Propuesta, Negociación, Contrato',
+      'Identificación, Desarrollo, Presentación, Acuerdo, Seguimiento'
+    ],
+    correct: 0,
+    explanation: 'Las cinco etapas del proceso de consultoría son: Contacto inicial, Diagnóstico, Diseño de soluciones, Implementación y Evaluación/seguimiento.',
+    points: 10
+  },
+  {
+    id: 'q1_3',
+    type: 'multiple_choice',
+    element: 'fundamentals',
+    competency: 'consultant_skills',
+    difficulty: 'intermediate',
+    lesson: 'lesson1_2',
+    question: '¿Qué característica NO es esencial en un consultor profesional?',
+    options: [
+      'Conocimientos técnicos especializados',
+      'Capacidad de trabajar sin supervisión',
+      'Objetividad e imparcialidad',
+      'Ética profesional y confidencialidad'
+    ],
+    correct: 1,
+    explanation: 'Trabajar sin supervisión no es una característica esencial. Los consultores deben mantener comunicación y colaboración con sus clientes.',
+    points: 10
+  },
+  {
+    id: 'q1_4',
+    type: 'true_false',
+    element: 'fundamentals',
+    competency: 'consulting_process',
+    difficulty: 'intermediate',
+    lesson: 'lesson1_1',
+    question: 'La consultoría interna siempre es más efectiva que la consultoría externa.',
+    correct: false,
+    explanation: 'Ambas modalidades tienen ventajas. La consultoría externa aporta perspectiva objetiva, mientras que la interna conoce mejor la organización.',
+    points: 10
+  },
+  {
+    id: 'q1_5',
+    type: 'multiple_choice',
+    element: 'fundamentals',
+    competency: 'ethics',
+    difficulty: 'intermediate',
+    lesson: 'lesson1_3',
+    question: '¿Cuál es el primer paso para manejar un conflicto de interés?',
+    options: [
+      'Ignorar el conflicto hasta que se resuelva solo',
+      'Identificar y evaluar el conflicto potencial',
+      'Rechazar inmediatamente el proyecto',
+      'Negociar honorarios más altos'
+    ],
+    correct: 1,
+    explanation: 'El primer paso es identificar y evaluar el conflicto potencial para determinar su impacto en la objetividad.',
+    points: 10
+  },
+  {
+    id: 'q1_6',
+    type: 'multiple_choice',
+    element: 'fundamentals',
+    competency: 'consultant_skills',
+    difficulty: 'basic',
+    lesson: 'lesson1_2',
+    question: '¿Qué técnica de comunicación es más efectiva para confirmar comprensión?',
+    options: [
+      'Hablar más fuerte',
+      'Parafrasear lo escuchado',
+      'Interrumpir frecuentemente',
+      'Usar jerga técnica'
+    ],
+    correct: 1,
+    explanation: 'Parafrasear permite confirmar que hemos comprendido correctamente el mensaje del interlocutor.',
+    points: 10
+  },
+  {
+    id: 'q1_7',
+    type: 'multiple_choice',
+    element: 'fundamentals',
+    competency: 'ethics',
+    difficulty: 'intermediate',
+    lesson: 'lesson1_3',
+    question: '¿Cuál es una responsabilidad del consultor hacia la sociedad?',
+    options: [
+      'Maximizar las ganancias personales',
+      'Promover prácticas sostenibles',
+      'Mantener información confidencial indefinidamente',
+      'Trabajar solo con empresas grandes'
+    ],
+    correct: 1,
+    explanation: 'Los consultores tienen responsabilidad social de promover prácticas sostenibles y actuar en beneficio del interés público.',
+    points: 10
+  },
+  {
+    id: 'q1_8',
+    type: 'true_false',
+    element: 'fundamentals',
+    competency: 'consultant_skills',
+    difficulty: 'basic',
+    lesson: 'lesson1_2',
+    question: 'La escucha activa requiere interrumpir frecuentemente para mostrar interés.',
+    correct: false,
+    explanation: 'La escucha activa implica prestar atención completa sin interrupciones prematuras, permitiendo al hablante expresarse completamente.',
+    points: 10
+  },
+  {
+    id: 'q1_9',
+    type: 'multiple_choice',
+    element: 'fundamentals',
+    competency: 'consultant_skills',
+    difficulty: 'advanced',
+    lesson: 'lesson1_2',
+    question: '¿Cuál es la mejor estrategia para manejar la resistencia al cambio?',
+    options: [
+      'Imponer el cambio por autoridad',
+      'Comunicación clara y frecuente',
+      'Ignorar las preocupaciones',
+      'Implementar cambios gradualmente sin avisar'
+    ],
+    correct: 1,
+    explanation: 'La comunicación clara y frecuente ayuda a reducir la incertidumbre y genera confianza en el proceso de cambio.',
+    points: 10
+  },
+  {
+    id: 'q1_10',
+    type: 'multiple_choice',
+    element: 'fundamentals',
+    competency: 'consulting_process',
+    difficulty: 'intermediate',
+    lesson: 'lesson1_1',
+    question: '¿Qué tipo de consultoría se enfoca en la mejora de procesos organizacionales?',
+    options: [
+      'Consultoría estratégica',
+      'Consultoría operacional',
+      'Consultoría financiera',
+      'Consultoría de recursos humanos'
+    ],
+    correct: 1,
+    explanation: 'La consultoría operacional se enfoca específicamente en la mejora de procesos, eficiencia y operaciones diarias.',
+    points: 10
+  },
+  {
+    id: 'q1_11',
+    type: 'multiple_choice',
+    element: 'fundamentals',
+    competency: 'consulting_process',
+    difficulty: 'advanced',
+    lesson: 'lesson1_1',
+    question: '¿En qué momento del proceso se acuerdan el alcance, los entregables y las responsabilidades de cada parte?',
+    options: [
+      'Al presentar el informe final',
+      'Durante la implementación de la solución',
+      'En el contacto inicial, antes de iniciar el diagnóstico',
+      'Solo cuando surge un desacuerdo con el cliente'
+    ],
+    correct: 2,
+    explanation: 'El contacto inicial establece el marco de trabajo: alcance, entregables, responsabilidades y condiciones del servicio.',
+    points: 10
+  },
+  {
+    id: 'q1_12',
+    type: 'multiple_choice',
+    element: 'fundamentals',
+    competency: 'ethics',
+    difficulty: 'advanced',
+    lesson: 'lesson1_3',
+    question: 'Un cliente le pide información estratégica de otra empresa que usted asesoró. ¿Qué debe hacer?',
+    options: [
+      'Compartirla si no incluye datos financieros',
+      'Negarse y explicar su obligación de confidencialidad',
+      'Compartirla de forma anónima',
+      'Pedir autorización a su superior para compartirla'
+    ],
+    correct: 1,
+    explanation: 'La confidencialidad protege a todos los clientes; la información de un consultante nunca se usa en beneficio de otro.',
+    points: 10
+  },
+  {
+    id: 'q1_13',
+    type: 'multiple_choice',
+    element: 'fundamentals',
+    competency: 'consultant_skills',
+    difficulty: 'intermediate',
+    lesson: 'lesson1_2',
+    question: '¿Qué habilidad permite al consultor comprender la perspectiva y preocupaciones del personal del cliente?',
+    options: [
+      'La empatía',
+      'La persuasión',
+      'La negociación de honorarios',
+      'El dominio de herramientas estadísticas'
+    ],
+    correct: 0,
+    explanation: 'La empatía permite entender cómo vive el personal la situación, lo que mejora la calidad de la información y la aceptación de la solución.',
+    points: 10
+  },
+  {
+    id: 'q1_14',
+    type: 'true_false',
+    element: 'fundamentals',
+    competency: 'consulting_process',
+    difficulty: 'basic',
+    lesson: 'lesson1_1',
+    question: 'El consultor es quien toma las decisiones finales sobre los cambios en la organización del cliente.',
+    correct: false,
+    explanation: 'El consultor asesora y recomienda; las decisiones corresponden al consultante.',
+    points: 10
+  },
+  {
+    id: 'q1_15',
+    type: 'true_false',
+    element: 'fundamentals',
+    competency: 'ethics',
+    difficulty: 'basic',
+    lesson: 'lesson1_3',
+    question: 'La obligación de confidencialidad continúa después de terminar el servicio de consultoría.',
+    correct: true,
+    explanation: 'La información del cliente sigue siendo confidencial aun cuando el proyecto ha concluido.',
+    points: 10
+  },
+  {
+    id: 'q1_16',
+    type: 'ordering',
+    element: 'fundamentals',
+    competency: 'consulting_process',
+    difficulty: 'basic',
+    lesson: 'lesson1_1',
+    question: 'Ordena las etapas del proceso de consultoría, de la primera a la última.',
+    items: [
+      'Contacto inicial',
+      'Diagnóstico',
+      'Diseño de soluciones',
+      'Implementación',
+      'Evaluación y seguimiento'
+    ],
+    explanation: 'El proceso inicia con el contacto con el consultante, sigue con el diagnóstico y el diseño de soluciones, y termina con la implementación y su evaluación.',
+    points: 10
+  },
+
+  // Element 1 (E0875): Problem Identification
+  {
+    id: 'e1_q1',
+    type: 'multiple_choice',
+    element: 'E0875',
+    competency: 'problem_definition',
+    difficulty: 'basic',
+    lesson: 'problem_document',
+    question: '¿Cuál es el primer paso en la metodología de identificación de problemas?',
+    options: [
+      'Proponer soluciones inmediatas',
+      'Definir la situación y/o problema',
+      'Realizar entrevistas masivas',
+      'Buscar información externa'
+    ],
+    correct: 1,
+    explanation: 'El primer paso es definir claramente la situación o problema, estableciendo los límites y contexto del análisis.',
+    points: 10
+  },
+  {
+    id: 'e1_q2',
+    type: 'multiple_choice',
+    element: 'E0875',
+    competency: 'interviews',
+    difficulty: 'intermediate',
+    lesson: 'interviews',
+    question: '¿Qué debe incluir un programa de entrevistas efectivo?',
+    options: [
+      'Solo directivos de alto nivel',
+      'Cronograma, participantes y metodología',
+      'Únicamente preguntas cerradas',
+      'Entrevistas de más de 2 horas'
+    ],
+    correct: 1,
+    explanation: 'Un programa efectivo debe incluir cronograma detallado, identificación de participantes clave y metodología estructurada.',
+    points: 10
+  },
+  {
+    id: 'e1_q3',
+    type: 'true_false',
+    element: 'E0875',
+    competency: 'field_research',
+    difficulty: 'basic',
+    lesson: 'field_visit_report',
+    question: 'Las observaciones de campo deben realizarse sin que los empleados lo sepan.',
+    correct: false,
+    explanation: 'Las observaciones deben ser transparentes y éticas, informando a los participantes sobre el propósito y proceso.',
+    points: 10
+  },
+  {
+    id: 'e1_q4',
+    type: 'multiple_choice',
+    element: 'E0875',
+    competency: 'interviews',
+    difficulty: 'basic',
+    lesson: 'interview_guide',
+    question: '¿Cuál es el propósito principal de una guía de entrevista?',
+    options: [
+      'Limitar las respuestas del entrevistado',
+      'Estructurar la conversación y obtener información relevante',
+      'Impresionar al cliente con preguntas complejas',
+      'Completar la entrevista en menos tiempo'
+    ],
+    correct: 1,
+    explanation: 'La guía estructura la entrevista para obtener información relevante de manera sistemática y completa.',
+    points: 10
+  },
+  {
+    id: 'e1_q5',
+    type: 'multiple_choice',
+    element: 'E0875',
+    competency: 'questionnaires',
+    difficulty: 'intermediate',
+    lesson: 'questionnaire_design',
+    question: '¿Qué elementos debe contener un cuestionario elaborado?',
+    options: [
+      'Solo preguntas abiertas complejas',
+      'Propósito, datos generales, confidencialidad e instrucciones',
+      'Únicamente preguntas de opción múltiple',
+      'Preguntas personales del entrevistado'
+    ],
+    correct: 1,
+    explanation: 'Un cuestionario completo debe incluir propósito, sección de datos generales, aviso de confidencialidad e instrucciones claras.',
+    points: 10
+  },
+  {
+    id: 'e1_q6',
+    type: 'multiple_choice',
+    element: 'E0875',
+    competency: 'information_analysis',
+    difficulty: 'intermediate',
+    lesson: 'information_integration',
+    question: '¿Cómo se debe evaluar la información obtenida?',
+    options: [
+      'Aceptar toda la información sin cuestionarla',
+      'Verificar fuentes, contrastar datos y validar consistencia',
+      'Usar solo información cuantitativa',
+      'Priorizar opiniones de directivos únicamente'
+    ],
+    correct: 1,
+    explanation: 'La información debe evaluarse verificando fuentes, contrastando datos múltiples y validando consistencia.',
+    points: 10
+  },
+  {
+    id: 'e1_q7',
+    type: 'true_false',
+    element: 'E0875',
+    competency: 'documentary_research',
+    difficulty: 'intermediate',
+    lesson: 'documentary_search',
+    question: 'La información documental interna es siempre más confiable que la externa.',
+    correct: false,
+    explanation: 'Ambos tipos de información son valiosos. La externa puede proporcionar perspectiva objetiva y benchmarks.',
+    points: 10
+  },
+  {
+    id: 'e1_q8',
+    type: 'multiple_choice',
+    element: 'E0875',
+    competency: 'field_research',
+    difficulty: 'intermediate',
+    lesson: 'field_visit_report',
+    question: '¿Qué debe incluir el reporte de visita de campo?',
+    options: [
+      'Solo conclusiones finales',
+      'Objetivo, alcance, observaciones detalladas y resultados',
+      'Únicamente aspectos negativos observados',
+      'Recomendaciones de solución inmediata'
+    ],
+    correct: 1,
+    explanation: 'El reporte debe ser completo incluyendo objetivo, alcance, observaciones detalladas y resultados obtenidos.',
+    points: 10
+  },
+  {
+    id: 'e1_q9',
+    type: 'multiple_choice',
+    element: 'E0875',
+    competency: 'information_analysis',
+    difficulty: 'advanced',
+    lesson: 'information_integration',
+    question: '¿Cuál es la importancia de la integración de información?',
+    options: [
+      'Reducir el volumen de datos',
+      'Crear una visión comprehensiva y coherente del problema',
+      'Eliminar información contradictoria',
+      'Acelerar el proceso de consultoría'
+    ],
+    correct: 1,
+    explanation: 'La integración permite crear una visión comprehensiva que conecte todos los elementos del problema.',
+    points: 10
+  },
+  {
+    id: 'e1_q10',
+    type: 'short_answer',
+    element: 'E0875',
+    competency: 'problem_definition',
+    difficulty: 'advanced',
+    lesson: 'methodology_report',
+    question: 'Describa brevemente los componentes clave de una metodología de identificación de problemas.',
+    sampleAnswer: 'definición situación entrevistas observaciones documentación evaluación información integración análisis',
+    rubric: [
+      { criterion: 'Definición de la situación', maxPoints: 3, keywords: ['definición de la situación'] },
+      { criterion: 'Fuentes de información', maxPoints: 8, keywords: ['entrevistas', 'observación de campo', ['búsqueda documental', 'documentación'], 'cuestionarios'] },
+      { criterion: 'Evaluación e integración', maxPoints: 4, keywords: ['evaluación de la información', ['integración de hallazgos', 'integración']] }
+    ],
+    explanation: 'Los componentes incluyen: definición de la situación, programa de entrevistas, observaciones de campo, búsqueda documental, evaluación de información e integración de hallazgos.',
+    points: 15
+  },
+  {
+    id: 'e1_q11',
+    type: 'multiple_choice',
+    element: 'E0875',
+    competency: 'problem_definition',
+    difficulty: 'intermediate',
+    lesson: 'impact_analysis',
+    question: '¿Qué describe el análisis de afectaciones de la situación actual?',
+    options: [
+      'Las soluciones que se implementarán',
+      'Las consecuencias del problema en las áreas, procesos y resultados de la organización',
+      'El presupuesto del proyecto de consultoría',
+      'La trayectoria profesional del consultor'
+    ],
+    correct: 1,
+    explanation: 'El análisis de afectaciones identifica cómo y en qué medida el problema impacta a la organización.',
+    points: 10
+  },
+  {
+    id: 'e1_q12',
+    type: 'true_false',
+    element: 'E0875',
+    competency: 'questionnaires',
+    difficulty: 'basic',
+    lesson: 'questionnaire_design',
+    question: 'Un cuestionario debe informar al participante sobre la confidencialidad de sus respuestas.',
+    correct: true,
+    explanation: 'El aviso de confidencialidad es uno de los elementos requeridos del cuestionario y favorece respuestas honestas.',
+    points: 10
+  },
+  {
+    id: 'e1_q13',
+    type: 'multiple_choice',
+    element: 'E0875',
+    competency: 'documentary_research',
+    difficulty: 'intermediate',
+    lesson: 'documentary_search',
+    question: '¿Cuál de las siguientes es una fuente de información documental interna?',
+    options: [
+      'Estudios sectoriales publicados por cámaras empresariales',
+      'Manuales de procedimientos y reportes de la organización',
+      'Estadísticas oficiales del INEGI',
+      'Artículos de revistas especializadas'
+    ],
+    correct: 1,
+    explanation: 'Los manuales, reportes y registros generados por la propia organización son fuentes documentales internas.',
+    points: 10
+  },
+  {
+    id: 'e1_q14',
+    type: 'multiple_choice',
+    element: 'E0875',
+    competency: 'interviews',
+    difficulty: 'advanced',
+    lesson: 'interviews',
+    question: 'Durante una entrevista, el entrevistado se desvía constantemente del tema. ¿Qué debe hacer el consultor?',
+    options: [
+      'Terminar la entrevista de inmediato',
+      'Reconducir la conversación con amabilidad apoyándose en la guía de entrevista',
+      'Dejar que hable libremente aunque no se cubran los objetivos',
+      'Responder por el entrevistado para ahorrar tiempo'
+    ],
+    correct: 1,
+    explanation: 'La guía permite retomar los temas pendientes sin perder la relación con el entrevistado.',
+    points: 10
+  },
+  {
+    id: 'e1_q15',
+    type: 'multiple_choice',
+    element: 'E0875',
+    competency: 'problem_definition',
+    difficulty: 'intermediate',
+    lesson: 'methodology_report',
+    question: '¿Qué debe contener el reporte de la metodología empleada?',
+    options: [
+      'Solo la lista de personas entrevistadas',
+      'La definición del problema, los estudios o pruebas a realizar y los requerimientos de información',
+      'La propuesta económica del servicio',
+      'Únicamente los resultados finales'
+    ],
+    correct: 1,
+    explanation: 'El reporte de metodología explica cómo se investigará el problema y qué información se necesita.',
+    points: 10
+  },
+  {
+    id: 'e1_q16',
+    type: 'matching',
+    element: 'E0875',
+    competency: 'information_analysis',
+    difficulty: 'intermediate',
+    lesson: 'methodology_report',
+    question: 'Relaciona cada instrumento de recopilación de información con su propósito.',
+    pairs: [
+      { left: 'Entrevista', right: 'Conocer la percepción del problema de las personas involucradas' },
+      { left: 'Cuestionario', right: 'Recabar información de muchos informantes de forma estandarizada' },
+      { left: 'Visita de campo', right: 'Observar directamente las instalaciones y los procesos' },
+      { left: 'Búsqueda documental', right: 'Revisar registros, manuales y reportes existentes' }
+    ],
+    explanation: 'Cada instrumento aporta un tipo de información distinto; la metodología los combina para integrar el diagnóstico.',
+    points: 10
+  },
+
+  // Element 2 (E0876): Solution Development
+  {
+    id: 'e2_q1',
+    type: 'multiple_choice',
+    element: 'E0876',
+    competency: 'impact_analysis',
+    difficulty: 'basic',
+    lesson: 'impact_report',
+    question: '¿Qué debe incluir el reporte de las afectaciones encontradas?',
+    options: [
+      'La metodología aplicada, las afectaciones encontradas y la definición de la situación a resolver',
+      'Solo las opiniones del director general',
+      'El plan de trabajo de la implementación',
+      'Los honorarios del consultor'
+    ],
+    correct: 0,
+    explanation: 'El reporte describe la metodología aplicada, define las afectaciones encontradas y detalla la situación a resolver.',
+    points: 10
+  },
+  {
+    id: 'e2_q2',
+    type: 'true_false',
+    element: 'E0876',
+    competency: 'impact_analysis',
+    difficulty: 'basic',
+    lesson: 'impact_report',
+    question: 'Las afectaciones deben sustentarse en la información obtenida durante la identificación del problema.',
+    correct: true,
+    explanation: 'Cada afectación reportada debe poder rastrearse a la evidencia recabada en entrevistas, observaciones o documentos.',
+    points: 10
+  },
+  {
+    id: 'e2_q3',
+    type: 'multiple_choice',
+    element: 'E0876',
+    competency: 'impact_analysis',
+    difficulty: 'intermediate',
+    lesson: 'impact_report',
+    question: '¿Cuál es la mejor forma de priorizar las afectaciones encontradas?',
+    options: [
+      'Por orden alfabético',
+      'Según su impacto en la organización y la urgencia de atenderlas',
+      'Según las que sean más fáciles de resolver para el consultor',
+      'Según el área que contrató el servicio'
+    ],
+    correct: 1,
+    explanation: 'La priorización por impacto y urgencia orienta el diseño de soluciones hacia lo que más afecta al consultante.',
+    points: 10
+  },
+  {
+    id: 'e2_q4',
+    type: 'multiple_choice',
+    element: 'E0876',
+    competency: 'impact_analysis',
+    difficulty: 'advanced',
+    lesson: 'impact_report',
+    question: 'Dos fuentes de información muestran datos contradictorios sobre una afectación. ¿Qué debe hacer el consultor antes de reportarla?',
+    options: [
+      'Reportar el dato más favorable para el cliente',
+      'Omitir la afectación del reporte',
+      'Contrastar con una tercera fuente o validar con el consultante',
+      'Promediar ambos datos'
+    ],
+    correct: 2,
+    explanation: 'Las contradicciones se resuelven triangulando la información antes de establecer conclusiones.',
+    points: 10
+  },
+  {
+    id: 'e2_q5',
+    type: 'multiple_choice',
+    element: 'E0876',
+    competency: 'solution_design',
+    difficulty: 'basic',
+    lesson: 'solution_design',
+    question: '¿Con qué debe ser congruente la solución diseñada?',
+    options: [
+      'Con las soluciones aplicadas en otras empresas',
+      'Con la situación a resolver',
+      'Con las preferencias personales del consultor',
+      'Con el presupuesto máximo disponible'
+    ],
+    correct: 1,
+    explanation: 'La solución debe responder directamente a la situación y afectaciones identificadas.',
+    points: 10
+  },
+  {
+    id: 'e2_q6',
+    type: 'true_false',
+    element: 'E0876',
+    competency: 'solution_design',
+    difficulty: 'intermediate',
+    lesson: 'solution_design',
+    question: 'Para evitar objeciones, la solución diseñada debe presentar únicamente sus beneficios.',
+    correct: false,
+    explanation: 'La solución debe mencionar tanto sus beneficios como sus desventajas para que el consultante decida con información completa.',
+    points: 10
+  },
+  {
+    id: 'e2_q7',
+    type: 'multiple_choice',
+    element: 'E0876',
+    competency: 'solution_design',
+    difficulty: 'intermediate',
+    lesson: 'solution_design',
+    question: '¿Qué elemento NO forma parte de la justificación de una solución?',
+    options: [
+      'La relación entre la solución y las afectaciones encontradas',
+      'Las alternativas consideradas y por qué se descartaron',
+      'Los resultados esperados',
+      'La preferencia del consultor por una herramienta específica'
+    ],
+    correct: 3,
+    explanation: 'La justificación se basa en la evidencia y en los resultados esperados, no en preferencias personales.',
+    points: 10
+  },
+  {
+    id: 'e2_q8',
+    type: 'multiple_choice',
+    element: 'E0876',
+    competency: 'solution_design',
+    difficulty: 'advanced',
+    lesson: 'solution_design',
+    question: 'El consultante rechaza la solución propuesta por considerarla demasiado costosa. ¿Cuál es la respuesta más adecuada?',
+    options: [
+      'Mantener la propuesta sin cambios',
+      'Reducir el alcance sin explicar las consecuencias',
+      'Presentar alternativas de solución con sus ventajas, desventajas y costos',
+      'Abandonar el proyecto'
+    ],
+    correct: 2,
+    explanation: 'Desarrollar opciones de solución permite al consultante elegir conociendo las implicaciones de cada una.',
+    points: 10
+  },
+  {
+    id: 'e2_q9',
+    type: 'multiple_choice',
+    element: 'E0876',
+    competency: 'cost_benefit',
+    difficulty: 'intermediate',
+    lesson: 'solution_design',
+    question: '¿Qué deben mostrar las implicaciones de costo/beneficio de la solución?',
+    options: [
+      'Solo el costo total del proyecto',
+      'La comparación entre la inversión requerida y los beneficios esperados',
+      'Los honorarios de consultorías similares',
+      'El presupuesto anual de la organización'
+    ],
+    correct: 1,
+    explanation: 'El análisis costo/beneficio compara la inversión con los beneficios cuantificables y cualitativos esperados.',
+    points: 10
+  },
+  {
+    id: 'e2_q10',
+    type: 'multiple_choice',
+    element: 'E0876',
+    competency: 'cost_benefit',
+    difficulty: 'advanced',
+    lesson: 'solution_design',
+    question: 'Una solución cuesta $200,000 y genera ahorros de $50,000 mensuales. ¿En cuánto tiempo se recupera la inversión?',
+    options: [
+      '2 meses',
+      '4 meses',
+      '6 meses',
+      '12 meses'
+    ],
+    correct: 1,
+    explanation: 'El periodo de recuperación es la inversión entre el beneficio periódico: 200,000 / 50,000 = 4 meses.',
+    points: 10
+  },
+  {
+    id: 'e2_q11',
+    type: 'essay',
+    element: 'E0876',
+    competency: 'solution_design',
+    difficulty: 'advanced',
+    lesson: 'solution_design',
+    question: 'Una empresa tiene una alta rotación de personal. Explique cómo diseñaría la solución, desde el análisis de las afectaciones hasta la justificación costo-beneficio.',
+    rubric: [
+      { criterion: 'Análisis de afectaciones', maxPoints: 6, keywords: ['causas', 'efectos', 'áreas afectadas'] },
+      { criterion: 'Diseño de la solución', maxPoints: 8, keywords: ['objetivos', 'alternativas', 'responsables', 'etapas'] },
+      { criterion: 'Justificación costo-beneficio', maxPoints: 6, keywords: ['costos', 'beneficios', 'riesgos'] },
+      { criterion: 'Claridad y estructura', maxPoints: 5 }
+    ],
+    explanation: 'Una buena respuesta relaciona las causas y efectos del problema con los objetivos de la solución y justifica la alternativa elegida con sus costos, beneficios y riesgos.',
+    points: 25
+  },
+
+  // Element 3 (E0877): Solution Presentation
+  {
+    id: 'e3_q1',
+    type: 'multiple_choice',
+    element: 'E0877',
+    competency: 'proposal_presentation',
+    difficulty: 'basic',
+    lesson: 'work_proposal',
+    question: '¿Qué debe incluir la propuesta de trabajo?',
+    options: [
+      'Antecedentes, alcance, plan de trabajo, entregables y costo',
+      'Solo el costo del servicio',
+      'Únicamente el currículum del consultor',
+      'Los resultados de proyectos anteriores'
+    ],
+    correct: 0,
+    explanation: 'La propuesta integra los antecedentes y diagnóstico, el alcance, el plan de trabajo, los entregables y el costo de la solución.',
+    points: 10
+  },
+  {
+    id: 'e3_q2',
+    type: 'true_false',
+    element: 'E0877',
+    competency: 'proposal_presentation',
+    difficulty: 'basic',
+    lesson: 'proposal_presentation',
+    question: 'Durante la presentación de la propuesta se debe dar espacio para las preguntas y observaciones del consultante.',
+    correct: true,
+    explanation: 'Atender dudas y observaciones durante la presentación facilita llegar a acuerdos.',
+    points: 10
+  },
+  {
+    id: 'e3_q3',
+    type: 'multiple_choice',
+    element: 'E0877',
+    competency: 'proposal_presentation',
+    difficulty: 'intermediate',
+    lesson: 'detailed_solution',
+    question: '¿Qué describe la solución detallada de la propuesta?',
+    options: [
+      'La historia de la empresa consultora',
+      'Los componentes de la solución, cómo se implementarán y los resultados esperados',
+      'Solo los riesgos del proyecto',
+      'El organigrama del consultante'
+    ],
+    correct: 1,
+    explanation: 'La descripción detallada permite al consultante entender qué se hará, cómo y con qué resultados.',
+    points: 10
+  },
+  {
+    id: 'e3_q4',
+    type: 'multiple_choice',
+    element: 'E0877',
+    competency: 'proposal_presentation',
+    difficulty: 'advanced',
+    lesson: 'proposal_presentation',
+    question: 'Durante la presentación, un directivo objeta que la solución afectará la operación diaria. ¿Cuál es la mejor respuesta?',
+    options: [
+      'Ignorar la objeción para no perder tiempo',
+      'Reconocer la preocupación y explicar las medidas previstas para minimizar el impacto',
+      'Responder que el impacto es inevitable',
+      'Posponer la presentación indefinidamente'
+    ],
+    correct: 1,
+    explanation: 'Las objeciones se atienden reconociéndolas y mostrando cómo la propuesta las considera.',
+    points: 10
+  },
+  {
+    id: 'e3_q5',
+    type: 'multiple_choice',
+    element: 'E0877',
+    competency: 'work_plan',
+    difficulty: 'basic',
+    lesson: 'work_plan',
+    question: '¿Qué debe especificar el plan de trabajo?',
+    options: [
+      'Solo la fecha de inicio',
+      'Las etapas, actividades, responsables y tiempos de ejecución',
+      'Únicamente los entregables finales',
+      'La forma de pago'
+    ],
+    correct: 1,
+    explanation: 'El plan de trabajo organiza las etapas y actividades con sus responsables y tiempos.',
+    points: 10
+  },
+  {
+    id: 'e3_q6',
+    type: 'true_false',
+    element: 'E0877',
+    competency: 'work_plan',
+    difficulty: 'intermediate',
+    lesson: 'activity_description',
+    question: 'La descripción de las actividades del plan de trabajo debe indicar el resultado o entregable de cada actividad.',
+    correct: true,
+    explanation: 'Cada actividad debe tener un resultado verificable que permita dar seguimiento al avance.',
+    points: 10
+  },
+  {
+    id: 'e3_q7',
+    type: 'multiple_choice',
+    element: 'E0877',
+    competency: 'work_plan',
+    difficulty: 'advanced',
+    lesson: 'work_plan',
+    question: 'Una actividad crítica del plan se retrasa dos semanas. ¿Cuál es el efecto principal?',
+    options: [
+      'Ninguno, porque las actividades críticas tienen holgura',
+      'Se retrasa la fecha de término del proyecto si no se ajusta el plan',
+      'Solo se retrasa esa actividad',
+      'Se cancela la actividad'
+    ],
+    correct: 1,
+    explanation: 'Las actividades de la ruta crítica no tienen holgura: su retraso desplaza la fecha de término.',
+    points: 10
+  },
+  {
+    id: 'e3_q8',
+    type: 'multiple_choice',
+    element: 'E0877',
+    competency: 'agreement',
+    difficulty: 'basic',
+    lesson: 'agreement_record',
+    question: '¿Qué debe contener el registro de los acuerdos alcanzados?',
+    options: [
+      'Los acuerdos, responsables, fechas y firmas de las partes',
+      'Solo la firma del consultor',
+      'Un resumen informal de la reunión',
+      'Únicamente los temas pendientes'
+    ],
+    correct: 0,
+    explanation: 'El registro formaliza los acuerdos con sus responsables, fechas y la aceptación de las partes.',
+    points: 10
+  },
+  {
+    id: 'e3_q9',
+    type: 'true_false',
+    element: 'E0877',
+    competency: 'agreement',
+    difficulty: 'intermediate',
+    lesson: 'agreement_record',
+    question: 'Los acuerdos verbales alcanzados en la presentación no necesitan registrarse por escrito.',
+    correct: false,
+    explanation: 'Registrar por escrito los acuerdos evita malentendidos y sirve como referencia durante la implementación.',
+    points: 10
+  },
+  {
+    id: 'e3_q10',
+    type: 'multiple_choice',
+    element: 'E0877',
+    competency: 'agreement',
+    difficulty: 'advanced',
+    lesson: 'agreement_record',
+    question: 'El consultante acepta la propuesta pero solicita cambiar el alcance de una etapa. ¿Qué debe hacer el consultor?',
+    options: [
+      'Aceptar el cambio sin documentarlo',
+      'Registrar el cambio y sus implicaciones en costo y tiempo en el acta de acuerdos',
+      'Rechazar cualquier cambio',
+      'Iniciar el proyecto y negociar el cambio después'
+    ],
+    correct: 1,
+    explanation: 'Todo cambio de alcance debe registrarse junto con su efecto en costo y tiempo para que ambas partes lo acepten.',
+    points: 10
+  },
+  {
+    id: 'e3_q11',
+    type: 'essay',
+    element: 'E0877',
+    competency: 'proposal_presentation',
+    difficulty: 'advanced',
+    lesson: 'proposal_presentation',
+    question: 'Describa cómo presentaría la propuesta de solución al consultante y cómo registraría los acuerdos alcanzados.',
+    rubric: [
+      { criterion: 'Contenido de la propuesta', maxPoints: 8, keywords: ['alcance', 'ventajas y desventajas', 'etapas de implementación', 'entregables'] },
+      { criterion: 'Recursos y costos', maxPoints: 5, keywords: ['recursos', 'costos', 'responsabilidades'] },
+      { criterion: 'Registro de acuerdos', maxPoints: 7, keywords: ['acuerdos', 'firma', 'fechas'] },
+      { criterion: 'Comunicación con el consultante', maxPoints: 5 }
+    ],
+    explanation: 'La presentación debe cubrir alcance, ventajas y desventajas, etapas, entregables, recursos y costos, y cerrar con acuerdos firmados y fechados.',
+    points: 25
+  },
+  {
+    id: 'e3_q12',
+    type: 'ordering',
+    element: 'E0877',
+    competency: 'proposal_presentation',
+    difficulty: 'intermediate',
+    lesson: 'proposal_presentation',
+    question: 'Ordena los pasos para presentar la propuesta de solución al consultante.',
+    items: [
+      'Presentar el alcance de la propuesta',
+      'Explicar las ventajas y desventajas de la solución',
+      'Describir las etapas de implementación y los entregables',
+      'Aclarar las dudas del consultante',
+      'Registrar los acuerdos alcanzados'
+    ],
+    explanation: 'La presentación parte del alcance, justifica la solución, detalla cómo se implementará y cierra resolviendo dudas y registrando los acuerdos.',
+    points: 10
+  }
+];
+
+export default questionBankItems;
@@ -2,9 +2,17 @@
  * Question Types - Handles different types of assessment questions
  * Extracted from AssessmentEngine for better modularity
  */
+import OpenResponseGrader from './OpenResponseGrader.js';
+
+// Types scored with partial credit (the evaluation "score" is the fraction of the points earned)
+export const PARTIAL_CREDIT_TYPES = ['matching', 'ordering', 'fill_blank'];
+
+export const BLANK_MARKER = '[BLANK]';
+
 class QuestionTypes {
   constructor() {
-    this.supportedTypes = ['multiple_choice', 'true_false', 'short_answer', 'essay', 'matching'];
+    this.supportedTypes = ['multiple_choice', 'true_false', 'short_answer', 'essay', 'matching', 'ordering', 'fill_blank'];
+    this.grader = new OpenResponseGrader();
   }
 
   /**
@@ -33,6 +41,10 @@ class QuestionTypes {
         return this.validateEssay(question);
       case 'matching':
         return this.validateMatching(question);
+      case 'ordering':
+        return this.validateOrdering(question);
+      case 'fill_blank':
+        return this.validateFillBlank(question);
       default:
         return false;
     }
@@ -63,10 +75,15 @@ class QuestionTypes {
 
   /**
    * Validate short answer question
+   * Short answers are graded on their rubric, or on the terms of the sample answer.
    * @param {Object} question - Question object
    * @returns {boolean} Validation result
    */
   validateShortAnswer(question) {
+    if (question.rubric) {
+      return this.validateRubric(question.rubric);
+    }
+
     return question.sampleAnswer && 
            typeof question.sampleAnswer === 'string' && 
            question.sampleAnswer.length > 0;
@@ -78,9 +95,23 @@ class QuestionTypes {
    * @returns {boolean} Validation result
    */
   validateEssay(question) {
-    return question.rubric && 
-           Array.isArray(question.rubric) && 
-           question.rubric.length > 0;
+    return this.validateRubric(question.rubric);
+  }
+
+  /**
+   * Validate rubric of an open question
+   * Criteria list their points and, optionally, the keywords used for the automatic pre-score.
+   * @param {Array} rubric - Rubric criteria ({ criterion, maxPoints, keywords })
+   * @returns {boolean} Validation result
+   */
+  validateRubric(rubric) {
+    return Array.isArray(rubric) &&
+           rubric.length > 0 &&
+           rubric.every(criterion =>
+             criterion.criterion &&
+             typeof criterion.maxPoints === 'number' &&
+             criterion.maxPoints > 0 &&
+             (!criterion.keywords || Array.isArray(criterion.keywords)));
   }
 
   /**
@@ -92,7 +123,39 @@ class QuestionTypes {
     return question.pairs && 
            Array.isArray(question.pairs) && 
            question.pairs.length >= 2 &&
-           question.pairs.every(pair => pair.left && pair.right);
+           question.pairs.every(pair => pair.left && pair.right) &&
+           new Set(question.pairs.map(pair => pair.left)).size === question.pairs.length;
+  }
+
+  /**
+   * Validate ordering question
+   * Items are listed in their correct order; the renderer shuffles them.
+   * @param {Object} question - Question object
+   * @returns {boolean} Validation result
+   */
+  validateOrdering(question) {
+    return Array.isArray(question.items) &&
+           question.items.length >= 2 &&
+           question.items.every(item => typeof item === 'string' && item.trim().length > 0) &&
+           new Set(question.items).size === question.items.length;
+  }
+
+  /**
+   * Validate fill in the blank question
+   * The question text marks each blank with [BLANK] and correctAnswer lists the answers separated by "|".
+   * @param {Object} question - Question object
+   * @returns {boolean} Validation result
+   */
+  validateFillBlank(question) {
+    if (typeof question.correctAnswer !== 'string') return false;
+
+    const blanks = question.question.split(BLANK_MARKER).length - 1;
+    const answers = question.correctAnswer.split('|');
+
+    return blanks > 0 &&
+           answers.length === blanks &&
+           answers.every(answer => answer.trim().length > 0) &&
+           (!question.acceptableAnswers || Array.isArray(question.acceptableAnswers));
   }
 
   /**
@@ -117,6 +180,10 @@ class QuestionTypes {
         return this.evaluateEssay(question, userAnswer);
       case 'matching':
         return this.evaluateMatching(question, userAnswer);
+      case 'ordering':
+        return this.evaluateOrdering(question, userAnswer);
+      case 'fill_blank':
+        return this.evaluateFillBlank(question, userAnswer);
       default:
         throw new Error(`Unsupported question type: ${question.type}`);
     }
@@ -169,16 +236,11 @@ class QuestionTypes {
    * @returns {Object} Evaluation result
    */
   evaluateShortAnswer(question, userAnswer) {
-    const normalizedUser = this.normalizeText(userAnswer);
-    const normalizedSample = this.normalizeText(question.sampleAnswer);
-    
-    // Simple keyword matching - in production, use more sophisticated NLP
-    const keywords = normalizedSample.split(' ');
-    const userWords = normalizedUser.split(' ');
-    const matchedKeywords = keywords.filter(keyword => userWords.includes(keyword));
+    // Rubric keywords matched after stemming and synonym mapping
+    const preScore = this.grader.preScore(question, userAnswer);
     
-    const similarityScore = matchedKeywords.length / keywords.length;
-    const isCorrect = similarityScore >= 0.6; // 60% similarity threshold
+    const similarityScore = preScore.score / 100;
+    const isCorrect = preScore.score >= (question.passingScore || 60); // 60% of the rubric points by default
     const points = isCorrect ? (question.points || 0) : Math.floor((question.points || 0) * similarityScore);
 
     return {
@@ -187,8 +249,9 @@ class QuestionTypes {
       maxPoints: question.points || 0,
       feedback: question.explanation || '',
       similarityScore,
+      criteria: preScore.criteria,
       userAnswer,
-      requiresManualReview: similarityScore < 0.8 && similarityScore > 0.4
+      requiresManualReview: preScore.requiresReview || (similarityScore < 0.8 && similarityScore > 0.4)
     };
   }
 
@@ -199,7 +262,7 @@ class QuestionTypes {
    * @returns {Object} Evaluation result
    */
   evaluateEssay(question, userAnswer) {
-    // Essays require manual evaluation
+    // Essays require manual evaluation; the automatic pre-score guides the reviewer
     return {
       isCorrect: null, // To be determined by manual review
       points: 0, // To be assigned manually
@@ -207,6 +270,7 @@ class QuestionTypes {
       feedback: 'Esta respuesta requiere revisión manual.',
       userAnswer,
       requiresManualReview: true,
+      preScore: this.grader.preScore(question, userAnswer),
       rubric: question.rubric
     };
   }
@@ -229,16 +293,9 @@ class QuestionTypes {
     }
 
     const correctPairs = question.pairs;
-    let correctMatches = 0;
-
-    for (const userPair of userAnswer) {
-      const correctPair = correctPairs.find(pair => 
-        pair.left === userPair.left && pair.right === userPair.right
-      );
-      if (correctPair) {
-        correctMatches++;
-      }
-    }
+    // Only the last match given for each left item counts
+    const userMatches = new Map(userAnswer.map(pair => [pair?.left, pair?.right]));
+    const correctMatches = correctPairs.filter(pair => userMatches.get(pair.left) === pair.right).length;
 
     const totalPairs = correctPairs.length;
     const score = correctMatches / totalPairs;
@@ -257,6 +314,132 @@ class QuestionTypes {
     };
   }
 
+  /**
+   * Evaluate ordering answer
+   * Credit is the share of item pairs placed in the right relative order, so moving
+   * a single item out of place costs less than reversing the list.
+   * @param {Object} question - Question object
+   * @param {Array} userAnswer - Items in the order given by the user
+   * @returns {Object} Evaluation result
+   */
+  evaluateOrdering(question, userAnswer) {
+    const items = question.items;
+    const isComplete = Array.isArray(userAnswer) &&
+      userAnswer.length === items.length &&
+      items.every(item => userAnswer.includes(item));
+
+    if (!isComplete) {
+      return {
+        isCorrect: false,
+        points: 0,
+        maxPoints: question.points || 0,
+        feedback: 'Respuesta inválida',
+        userAnswer
+      };
+    }
+
+    const positions = userAnswer.map(item => items.indexOf(item));
+    let totalPairs = 0;
+    let orderedPairs = 0;
+    for (let i = 0; i < positions.length; i++) {
+      for (let j = i + 1; j < positions.length; j++) {
+        totalPairs++;
+        if (positions[i] < positions[j]) orderedPairs++;
+      }
+    }
+
+    const score = orderedPairs / totalPairs;
+    const isCorrect = score === 1;
+
+    return {
+      isCorrect,
+      points: Math.floor((question.points || 0) * score),
+      maxPoints: question.points || 0,
+      feedback: question.explanation || '',
+      correctPositions: positions.filter((position, index) => position === index).length,
+      totalItems: items.length,
+      score,
+      correctOrder: items,
+      userAnswer
+    };
+  }
+
+  /**
+   * Evaluate fill in the blank answer
+   * @param {Object} question - Question object
+   * @param {string|Array} userAnswer - Answers separated by "|" or as a list, one per blank
+   * @returns {Object} Evaluation result
+   */
+  evaluateFillBlank(question, userAnswer) {
+    const answers = Array.isArray(userAnswer) ? userAnswer : String(userAnswer ?? '').split('|');
+    const correctAnswers = question.correctAnswer.split('|');
+
+    const blankResults = correctAnswers.map((correct, index) => {
+      const accepted = [correct, ...(question.acceptableAnswers?.[index] || [])]
+        .map(answer => this.normalizeBlank(answer));
+      return accepted.includes(this.normalizeBlank(answers[index] || ''));
+    });
+
+    const correctBlanks = blankResults.filter(Boolean).length;
+    const score = correctBlanks / correctAnswers.length;
+
+    return {
+      isCorrect: score === 1,
+      points: Math.floor((question.points || 0) * score),
+      maxPoints: question.points || 0,
+      feedback: question.explanation || '',
+      correctBlanks,
+      totalBlanks: correctAnswers.length,
+      blankResults,
+      score,
+      userAnswer
+    };
+  }
+
+  /**
+   * Fraction of the points earned by an answer
+   * @param {Object} question - Question object
+   * @param {*} userAnswer - User's answer
+   * @returns {number} Credit from 0 to 1
+   */
+  getCredit(question, userAnswer) {
+    const evaluation = this.evaluateAnswer(question, userAnswer);
+    if (PARTIAL_CREDIT_TYPES.includes(question.type)) {
+      return evaluation.score || 0;
+    }
+    return evaluation.isCorrect ? 1 : 0;
+  }
+
+  /**
+   * Correct answer of a question as readable text (used on review cards)
+   * @param {Object} question - Question object
+   * @returns {string} Correct answer
+   */
+  formatCorrectAnswer(question) {
+    switch (question.type) {
+      case 'multiple_choice':
+        return question.options?.[question.correct] ?? '';
+      case 'true_false':
+        return question.correct ? 'Verdadero' : 'Falso';
+      case 'matching':
+        return (question.pairs || []).map(pair => `${pair.left} → ${pair.right}`).join('\n');
+      case 'ordering':
+        return (question.items || []).join(' → ');
+      case 'fill_blank':
+        return question.correctAnswer.split('|').join(', ');
+      case 'short_answer':
+      case 'essay':
+        return question.sampleAnswer ||
+          (question.rubric || []).map(criterion => criterion.criterion).join(', ');
+      default:
+        return '';
+    }
+  }
+
+  normalizeBlank(text) {
+    return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
   /**
    * Normalize text for comparison
    * @param {string} text - Text to normalize
@@ -280,7 +463,9 @@ class QuestionTypes {
       true_false: 'Verdadero/Falso',
       short_answer: 'Respuesta Corta',
       essay: 'Ensayo',
-      matching: 'Relacionar Columnas'
+      matching: 'Relacionar Columnas',
+      ordering: 'Ordenar Elementos',
+      fill_blank: 'Completar Espacios'
     };
     return names[type] || type;
   }
@@ -296,7 +481,9 @@ class QuestionTypes {
       true_false: '✅',
       short_answer: '✏️',
       essay: '📝',
-      matching: '🔗'
+      matching: '🔗',
+      ordering: '🔢',
+      fill_blank: '✍️'
     };
     return icons[type] || '❓';
   }
@@ -0,0 +1,187 @@
+/**
+ * Review Deck - Spaced-repetition flashcards built from missed questions and lesson concepts
+ * Cards are scheduled with the SM-2 algorithm: each review is graded from 0 (forgot) to 5 (perfect),
+ * and the interval until the next review grows with the card's ease factor.
+ */
+
+import lessonConcepts from './LessonConcepts.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Cards with an interval of at least this many days are considered learned
+const MATURE_INTERVAL = 21;
+
+class ReviewDeck {
+  /**
+   * @param {Object} options - Deck options
+   * @param {Function} options.now - Clock returning the current time in milliseconds
+   */
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.cards = new Map();
+  }
+
+  /**
+   * Restore the deck from its stored form
+   * @param {Object} data - Stored deck ({ cards })
+   */
+  load(data) {
+    this.cards.clear();
+    (data?.cards || []).forEach(card => this.cards.set(card.id, card));
+  }
+
+  /**
+   * Stored form of the deck
+   * @returns {Object} Deck data ({ cards })
+   */
+  toJSON() {
+    return { cards: Array.from(this.cards.values()) };
+  }
+
+  /**
+   * Add a missed question to the deck
+   * A question that is already in the deck counts as a lapse and becomes due again.
+   * @param {Object} question - Question as presented in the assessment
+   * @param {Object} context - Card context
+   * @param {string} context.answer - Correct answer as text
+   * @param {string} context.assessmentId - Assessment the question was missed in
+   * @returns {Object} Card
+   */
+  addMissedQuestion(question, { answer = '', assessmentId = null } = {}) {
+    const id = `question:${question.id}`;
+    const existing = this.cards.get(id);
+
+    if (existing) {
+      existing.repetitions = 0;
+      existing.interval = 0;
+      existing.lapses++;
+      existing.due = this.now();
+      return existing;
+    }
+
+    const back = [answer, question.explanation].filter(Boolean).join('\n\n');
+    return this.addCard({
+      id,
+      type: 'question',
+      front: question.question,
+      back,
+      lesson: question.lesson || null,
+      source: { questionId: question.id, assessmentId }
+    });
+  }
+
+  /**
+   * Add the key concepts of a lesson; concepts already in the deck are left as they are
+   * @param {string} lessonKey - Lesson key
+   * @returns {Array} Added cards
+   */
+  addConcepts(lessonKey) {
+    return (lessonConcepts[lessonKey] || [])
+      .filter(concept => !this.cards.has(`concept:${concept.id}`))
+      .map(concept => this.addCard({
+        id: `concept:${concept.id}`,
+        type: 'concept',
+        front: concept.concept,
+        back: concept.definition,
+        lesson: lessonKey,
+        source: { conceptId: concept.id }
+      }));
+  }
+
+  addCard(card) {
+    const entry = {
+      ...card,
+      ease: INITIAL_EASE,
+      interval: 0,
+      repetitions: 0,
+      lapses: 0,
+      due: this.now(),
+      lastReviewed: null,
+      createdAt: this.now()
+    };
+    this.cards.set(entry.id, entry);
+    return entry;
+  }
+
+  /**
+   * Record a review and schedule the next one (SM-2)
+   * @param {string} cardId - Card ID
+   * @param {number} quality - Recall quality from 0 (forgot) to 5 (perfect)
+   * @returns {Object} Updated card
+   */
+  review(cardId, quality) {
+    const card = this.cards.get(cardId);
+    if (!card) {
+      throw new Error(`Review card ${cardId} not found`);
+    }
+    if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+      throw new Error('Review quality must be an integer from 0 to 5');
+    }
+
+    if (quality < 3) {
+      card.repetitions = 0;
+      card.interval = 1;
+      card.lapses++;
+    } else {
+      card.repetitions++;
+      if (card.repetitions === 1) {
+        card.interval = 1;
+      } else if (card.repetitions === 2) {
+        card.interval = 6;
+      } else {
+        card.interval = Math.round(card.interval * card.ease);
+      }
+    }
+
+    card.ease = Math.max(MIN_EASE, Math.round((card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)) * 100) / 100);
+    card.lastReviewed = this.now();
+    card.due = this.startOfDay(this.now()) + card.interval * DAY;
+
+    return card;
+  }
+
+  /**
+   * Cards due for review by the end of a day, most overdue first
+   * @param {number} date - Day to check (defaults to today)
+   * @returns {Array} Due cards
+   */
+  getDueCards(date = this.now()) {
+    const endOfDay = this.startOfDay(date) + DAY;
+    return Array.from(this.cards.values())
+      .filter(card => card.due < endOfDay)
+      .sort((a, b) => a.due - b.due);
+  }
+
+  /**
+   * Remove a card from the deck
+   * @param {string} cardId - Card ID
+   * @returns {boolean} True if the card existed
+   */
+  removeCard(cardId) {
+    return this.cards.delete(cardId);
+  }
+
+  /**
+   * Deck statistics
+   * @returns {Object} Statistics ({ total, due, learning, mature })
+   */
+  getStatistics() {
+    const cards = Array.from(this.cards.values());
+    return {
+      total: cards.length,
+      due: this.getDueCards().length,
+      learning: cards.filter(card => card.interval < MATURE_INTERVAL).length,
+      mature: cards.filter(card => card.interval >= MATURE_INTERVAL).length
+    };
+  }
+
+  startOfDay(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+}
+
+export default ReviewDeck;
@@ -2,13 +2,36 @@
  * Scoring Engine - Handles assessment scoring and evaluation logic
  * Extracted from AssessmentEngine for better modularity
  */
+import AdaptiveTester from './AdaptiveTester.js';
+import QuestionTypes from './QuestionTypes.js';
+import OpenResponseGrader from './OpenResponseGrader.js';
+
+/**
+ * Certainty-based marking levels (Gardner-Medwin scheme)
+ * Each level has the mark of a right and of a wrong answer, and the accuracy range in which
+ * choosing it earns the best expected mark; a level used outside its range shows miscalibration.
+ */
+export const CONFIDENCE_LEVELS = {
+  low: { correct: 1, incorrect: 0, minAccuracy: 0, maxAccuracy: 2 / 3 },
+  medium: { correct: 2, incorrect: -2, minAccuracy: 2 / 3, maxAccuracy: 0.8 },
+  high: { correct: 3, incorrect: -6, minAccuracy: 0.8, maxAccuracy: 1 }
+};
+
+// Answers without a rating are marked as the safest level
+const DEFAULT_CONFIDENCE = 'low';
+
 class ScoringEngine {
   constructor() {
+    this.adaptiveTester = new AdaptiveTester();
+    this.questionTypes = new QuestionTypes();
+    this.openResponseGrader = new OpenResponseGrader();
+
     this.scoringMethods = {
       standard: this.standardScoring.bind(this),
       weighted: this.weightedScoring.bind(this),
       competency: this.competencyScoring.bind(this),
-      adaptive: this.adaptiveScoring.bind(this)
+      adaptive: this.adaptiveScoring.bind(this),
+      certainty: this.certaintyBasedScoring.bind(this)
     };
   }
 
@@ -49,7 +72,8 @@ class ScoringEngine {
 
       if (response) {
         const isCorrect = this.evaluateResponse(question, response);
-        const points = isCorrect ? questionPoints : 0;
+        const credit = this.getResponseCredit(question, response);
+        const points = this.roundPoints(questionPoints * credit);
         totalPoints += points;
         
         if (isCorrect) {
@@ -59,6 +83,7 @@ class ScoringEngine {
         questionResults.push({
           questionId: question.id,
           isCorrect,
+          credit,
           points,
           maxPoints: questionPoints,
           response: response.answer
@@ -116,7 +141,8 @@ class ScoringEngine {
 
       if (response) {
         const isCorrect = this.evaluateResponse(question, response);
-        const points = isCorrect ? weightedMaxPoints : 0;
+        const credit = this.getResponseCredit(question, response);
+        const points = this.roundPoints(weightedMaxPoints * credit);
         totalWeightedPoints += points;
         
         if (isCorrect) {
@@ -126,6 +152,7 @@ class ScoringEngine {
         questionResults.push({
           questionId: question.id,
           isCorrect,
+          credit,
           points,
           maxPoints: weightedMaxPoints,
           weight,
@@ -189,7 +216,8 @@ class ScoringEngine {
 
         if (response) {
           const isCorrect = this.evaluateResponse(question, response);
-          const points = isCorrect ? questionPoints : 0;
+          const credit = this.getResponseCredit(question, response);
+          const points = this.roundPoints(questionPoints * credit);
           competencyPoints += points;
           
           if (isCorrect) {
@@ -201,6 +229,7 @@ class ScoringEngine {
             questionId: question.id,
             competency,
             isCorrect,
+            credit,
             points,
             maxPoints: questionPoints,
             response: response.answer
@@ -251,17 +280,177 @@ class ScoringEngine {
   }
 
   /**
-   * Adaptive scoring - adjusts based on question difficulty and performance
-   * @param {Object} assessment - Assessment definition
+   * Adaptive scoring - ability estimate from the administered items (IRT)
+   * In an adaptive test everyone answers roughly half of the items correctly, so the
+   * percentage is the expected score over the reference items at the estimated ability.
+   * @param {Object} assessment - Assessment definition (questions are the administered items)
    * @param {Map} responses - User responses
    * @param {Object} options - Scoring options
+   * @param {Array} [options.referenceItems] - Items the percentage is expressed against (defaults to the administered ones)
    * @returns {Object} Score result
    */
   adaptiveScoring(assessment, responses, options = {}) {
-    // Placeholder for adaptive scoring algorithm
-    // In a full implementation, this would adjust scoring based on question difficulty
-    // and student performance patterns
-    return this.standardScoring(assessment, responses, options);
+    const result = this.standardScoring(assessment, responses, options);
+
+    const answers = assessment.questions
+      .filter(question => responses.has(question.id))
+      .map(question => ({ item: question, correct: this.evaluateResponse(question, responses.get(question.id)) }));
+
+    const estimate = this.adaptiveTester.estimateAbility(answers);
+    const interval = this.adaptiveTester.getConfidenceInterval(estimate);
+    const referenceItems = options.referenceItems || assessment.questions;
+    const percentage = this.adaptiveTester.expectedScore(estimate.theta, referenceItems);
+    const passingScore = assessment.passingScore || 70;
+
+    return {
+      ...result,
+      percentage,
+      passed: percentage >= passingScore,
+      gradeLetter: this.getGradeLetter(percentage),
+      timeBonus: 0,
+      finalScore: percentage,
+      ability: {
+        ...estimate,
+        confidenceInterval: interval,
+        scoreInterval: {
+          lower: this.adaptiveTester.expectedScore(interval.lower, referenceItems),
+          upper: this.adaptiveTester.expectedScore(interval.upper, referenceItems)
+        },
+        itemsAdministered: answers.length
+      },
+      scoringMethod: 'adaptive'
+    };
+  }
+
+  /**
+   * Certainty-based scoring - answers are marked by correctness and the confidence rated for them
+   * A confident right answer earns 3 marks and a confident wrong one loses 6, so guessing with high
+   * confidence does not pay off. Responses carry the rating in `confidence` ('low', 'medium', 'high').
+   * The percentage is the share of the maximum marks, floored at 0; `accuracy` keeps the standard score.
+   * @param {Object} assessment - Assessment definition
+   * @param {Map} responses - User responses with confidence ratings
+   * @param {Object} options - Scoring options
+   * @returns {Object} Score result with certainty marks and calibration
+   */
+  certaintyBasedScoring(assessment, responses, options = {}) {
+    const result = this.standardScoring(assessment, responses, options);
+
+    const questionResults = result.questionResults.map(questionResult => {
+      const response = responses.get(questionResult.questionId);
+      if (!response) return questionResult;
+
+      const confidence = CONFIDENCE_LEVELS[response.confidence] ? response.confidence : DEFAULT_CONFIDENCE;
+      return {
+        ...questionResult,
+        confidence,
+        certaintyMark: this.getCertaintyMark(questionResult.credit, confidence)
+      };
+    });
+
+    const summary = this.getCertaintySummary(questionResults);
+    const passingScore = assessment.passingScore || 70;
+
+    return {
+      ...result,
+      totalPoints: summary.totalPoints,
+      maxPoints: summary.maxPoints,
+      percentage: summary.percentage,
+      accuracy: result.percentage,
+      passed: summary.percentage >= passingScore,
+      questionResults,
+      gradeLetter: this.getGradeLetter(summary.percentage),
+      timeBonus: 0,
+      finalScore: summary.percentage,
+      calibration: summary.calibration,
+      scoringMethod: 'certainty'
+    };
+  }
+
+  /**
+   * Certainty mark of an answer; partial credit interpolates between the right and wrong marks
+   * @param {number} credit - Fraction of the question earned (0 to 1)
+   * @param {string} confidence - Confidence level
+   * @returns {number} Mark from -6 to 3
+   */
+  getCertaintyMark(credit, confidence) {
+    const level = CONFIDENCE_LEVELS[confidence] || CONFIDENCE_LEVELS[DEFAULT_CONFIDENCE];
+    return this.roundPoints(credit * level.correct + (1 - credit) * level.incorrect);
+  }
+
+  /**
+   * Certainty score and calibration of a set of rated answers
+   * Unanswered questions count as 0 marks.
+   * @param {Array} results - Question results ({ credit, confidence, certaintyMark, maxPoints })
+   * @returns {Object} Summary ({ totalPoints, maxPoints, percentage, calibration })
+   */
+  getCertaintySummary(results) {
+    const maxMark = CONFIDENCE_LEVELS.high.correct;
+    let totalPoints = 0;
+    let maxPoints = 0;
+
+    results.forEach(result => {
+      const questionPoints = result.maxPoints ?? 1;
+      maxPoints += questionPoints;
+      if (result.confidence) {
+        totalPoints += questionPoints * (result.certaintyMark ?? this.getCertaintyMark(result.credit, result.confidence)) / maxMark;
+      }
+    });
+
+    totalPoints = this.roundPoints(totalPoints);
+
+    return {
+      totalPoints,
+      maxPoints,
+      percentage: maxPoints > 0 ? Math.max(0, Math.round((totalPoints / maxPoints) * 100)) : 0,
+      calibration: this.getCalibration(results)
+    };
+  }
+
+  /**
+   * Compare the accuracy of the answers given at each confidence level with the range that level implies
+   * A level is overconfident when its answers are right less often than its range requires, and
+   * underconfident when they are right more often than the range of the level.
+   * @param {Array} results - Question results ({ questionId, credit, confidence })
+   * @returns {Object} Calibration ({ levels, overconfident, underconfident, confidentErrors })
+   */
+  getCalibration(results) {
+    const rated = results.filter(result => CONFIDENCE_LEVELS[result.confidence]);
+
+    const levels = Object.entries(CONFIDENCE_LEVELS).map(([level, definition]) => {
+      const answers = rated.filter(result => result.confidence === level);
+      const accuracy = answers.length > 0
+        ? this.roundPoints(answers.reduce((sum, result) => sum + (result.credit || 0), 0) / answers.length)
+        : null;
+
+      let status = null;
+      if (accuracy !== null) {
+        if (accuracy < definition.minAccuracy) {
+          status = 'overconfident';
+        } else if (accuracy > definition.maxAccuracy) {
+          status = 'underconfident';
+        } else {
+          status = 'calibrated';
+        }
+      }
+
+      return {
+        level,
+        count: answers.length,
+        accuracy,
+        expected: { min: this.roundPoints(definition.minAccuracy), max: this.roundPoints(definition.maxAccuracy) },
+        status
+      };
+    });
+
+    return {
+      levels,
+      overconfident: levels.some(level => level.status === 'overconfident'),
+      underconfident: levels.some(level => level.status === 'underconfident'),
+      // Wrong answers given with high confidence are the misconceptions worth reviewing first
+      confidentErrors: rated
+        .filter(result => result.confidence === 'high' && (result.credit || 0) < 1)
+        .map(result => result.questionId)
+    };
   }
 
   /**
@@ -277,16 +466,61 @@ class ScoringEngine {
       case 'true_false':
         return response.answer === question.correct;
       case 'short_answer':
-        return this.evaluateShortAnswer(response.answer, question.sampleAnswer);
+        return this.getOpenResponseScore(question, response) >= (question.passingScore || 60);
       case 'matching':
         return this.evaluateMatching(response.answer, question.pairs);
+      case 'ordering':
+        return this.questionTypes.evaluateOrdering(question, response.answer).isCorrect;
+      case 'fill_blank':
+        return this.questionTypes.evaluateFillBlank(question, response.answer).isCorrect;
       case 'essay':
-        return response.score >= (question.passingScore || 70);
+        return this.getOpenResponseScore(question, response) >= (question.passingScore || 70);
       default:
         return false;
     }
   }
 
+  /**
+   * Rubric score of a short answer or essay response
+   * A mentor review replaces the automatic pre-score.
+   * @param {Object} question - Question definition
+   * @param {Object} response - User response
+   * @returns {number} Score from 0 to 100
+   */
+  getOpenResponseScore(question, response) {
+    if (response.review) return response.review.score;
+    if (typeof response.score === 'number') return response.score;
+    return this.openResponseGrader.preScore(question, response.answer).score;
+  }
+
+  /**
+   * Fraction of the question points a response earns
+   * Matching, ordering and fill in the blank questions earn partial credit, open questions
+   * earn their share of the rubric points; every other type is all or nothing.
+   * @param {Object} question - Question definition
+   * @param {Object} response - User response
+   * @returns {number} Credit from 0 to 1
+   */
+  getResponseCredit(question, response) {
+    switch (question.type) {
+      case 'matching':
+        return this.questionTypes.evaluateMatching(question, response.answer).score || 0;
+      case 'ordering':
+        return this.questionTypes.evaluateOrdering(question, response.answer).score || 0;
+      case 'fill_blank':
+        return this.questionTypes.evaluateFillBlank(question, response.answer).score || 0;
+      case 'short_answer':
+      case 'essay':
+        return Math.min(1, this.getOpenResponseScore(question, response) / 100);
+      default:
+        return this.evaluateResponse(question, response) ? 1 : 0;
+    }
+  }
+
+  roundPoints(points) {
+    return Math.round(points * 100) / 100;
+  }
+
   /**
    * Evaluate short answer response
    * @param {string} userAnswer - User's answer
@@ -296,15 +530,8 @@ class ScoringEngine {
   evaluateShortAnswer(userAnswer, sampleAnswer) {
     if (!userAnswer || !sampleAnswer) return false;
 
-    const normalizedUser = this.normalizeText(userAnswer);
-    const normalizedSample = this.normalizeText(sampleAnswer);
-    
-    // Simple keyword matching - 60% threshold
-    const keywords = normalizedSample.split(' ');
-    const userWords = normalizedUser.split(' ');
-    const matchedKeywords = keywords.filter(keyword => userWords.includes(keyword));
-    
-    return (matchedKeywords.length / keywords.length) >= 0.6;
+    // Sample answer terms matched after stemming and synonym mapping - 60% threshold
+    return this.openResponseGrader.preScore({ type: 'short_answer', sampleAnswer }, userAnswer).score >= 60;
   }
 
   /**
@@ -318,15 +545,7 @@ class ScoringEngine {
       return false;
     }
 
-    let correctMatches = 0;
-    for (const userPair of userAnswer) {
-      const isCorrect = correctPairs.some(pair => 
-        pair.left === userPair.left && pair.right === userPair.right
-      );
-      if (isCorrect) correctMatches++;
-    }
-
-    return (correctMatches / correctPairs.length) >= 0.8; // 80% threshold
+    return this.questionTypes.evaluateMatching({ pairs: correctPairs }, userAnswer).isCorrect; // 80% threshold
   }
 
   /**
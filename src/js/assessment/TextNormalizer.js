@@ -0,0 +1,94 @@
+/**
+ * Text Normalizer - Shared text normalization for the open response grader and the simulation NLU
+ * Text is lowercased, stripped of accents and punctuation, filtered of stopwords and lightly stemmed,
+ * so both evaluators compare answers with the same terms.
+ */
+
+export const STOPWORDS = {
+  es: new Set([
+    'a', 'al', 'algo', 'algunas', 'algunos', 'ante', 'antes', 'aqui', 'cada', 'como', 'con', 'contra', 'cual',
+    'cuando', 'de', 'del', 'desde', 'donde', 'durante', 'e', 'el', 'ella', 'ellos', 'en', 'entre', 'era',
+    'es', 'esa', 'ese', 'eso', 'esta', 'estan', 'estas', 'este', 'esto', 'estos', 'fue', 'ha', 'han',
+    'hasta', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'mas', 'me', 'mi', 'mis', 'muy', 'ni', 'no', 'nos',
+    'o', 'otra', 'otras', 'otro', 'otros', 'para', 'pero', 'poco', 'por', 'porque', 'que', 'quien',
+    'se', 'ser', 'si', 'sin', 'sobre', 'son', 'su', 'sus', 'tambien', 'te', 'tengo', 'tiene', 'tienen', 'todo',
+    'todos', 'tu', 'u', 'un', 'una', 'unas', 'uno', 'unos', 'usted', 'y', 'ya'
+  ]),
+  en: new Set([
+    'a', 'about', 'all', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'do', 'does', 'for',
+    'from', 'had', 'has', 'have', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or',
+    'our', 'please', 'so', 'that', 'the', 'their', 'them', 'these', 'they', 'this', 'those', 'to', 'us',
+    'was', 'we', 'were', 'what', 'with', 'you', 'your'
+  ])
+};
+
+// Longest suffixes first; a suffix is only removed when at least three letters remain
+export const SUFFIXES = {
+  es: [
+    'acionales', 'amientos', 'imientos', 'aciones', 'uciones', 'aremos', 'eremos', 'iremos', 'amiento', 'imiento',
+    'acional', 'idades', 'ieron', 'encias', 'ancias', 'mente', 'acion', 'ucion', 'ancia', 'encia', 'istas', 'ismos',
+    'ables', 'ibles', 'iendo', 'idad', 'ista', 'ismo', 'able', 'ible', 'ando', 'ados', 'adas', 'idos', 'idas',
+    'ivos', 'ivas', 'osos', 'osas', 'aron', 'amos', 'emos', 'imos', 'aria', 'eria', 'iria', 'ales', 'ado', 'ada',
+    'ido', 'ida', 'ivo', 'iva', 'oso', 'osa', 'al', 'ar', 'er', 'ir', 'an', 'en', 'es', 'os', 'as', 'a', 'o', 'e', 's'
+  ],
+  en: ['ations', 'ation', 'ments', 'ment', 'ings', 'ing', 'ness', 'ied', 'ies', 'ed', 'ly', 'es', 'e', 's']
+};
+
+// Pronouns attached to Spanish infinitives and gerunds (proporcionarme, enviármelos)
+const ENCLITICS = /(ar|er|ir|ando|iendo)(selos|selas|selo|sela|melos|melas|me|nos|le|les|lo|la|los|las)$/;
+
+class TextNormalizer {
+  /**
+   * Lowercase a text and strip its accents and punctuation
+   * @param {string} text - Text to normalize
+   * @returns {string} Words separated by single spaces
+   */
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Words of a normalized text that carry meaning
+   * @param {Array} tokens - Normalized words
+   * @param {string} language - 'es' or 'en'
+   * @returns {Array} Words without stopwords or single letters
+   */
+  removeStopwords(tokens, language = 'es') {
+    return tokens.filter(token => token.length > 1 && !STOPWORDS[language].has(token));
+  }
+
+  /**
+   * Language of a text, from the stopwords only one of the languages has
+   * @param {Array} tokens - Normalized words
+   * @returns {string} 'es' or 'en'
+   */
+  detectLanguage(tokens) {
+    const spanish = tokens.filter(token => STOPWORDS.es.has(token) && !STOPWORDS.en.has(token)).length;
+    const english = tokens.filter(token => STOPWORDS.en.has(token) && !STOPWORDS.es.has(token)).length;
+    return english > spanish ? 'en' : 'es';
+  }
+
+  /**
+   * Light stemmer: drops attached pronouns and the longest known suffix of the language
+   * @param {string} word - Normalized word
+   * @param {string} language - 'es' or 'en'
+   * @returns {string} Stem
+   */
+  stem(word, language = 'es') {
+    let base = word;
+    if (language === 'es') {
+      base = base.replace(ENCLITICS, '$1');
+    }
+
+    const suffix = SUFFIXES[language].find(ending => base.endsWith(ending) && base.length - ending.length >= 3);
+    return suffix ? base.slice(0, -suffix.length) : base;
+  }
+}
+
+export default TextNormalizer;
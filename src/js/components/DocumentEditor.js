@@ -3,6 +3,7 @@
  * Provides form-based editing for EC0249 document templates with real-time saving
  */
 import BaseComponent from './BaseComponent.js';
+import DocumentImporter from '../importers/DocumentImporter.js';
 
 class DocumentEditor extends BaseComponent {
   constructor(element, options = {}) {
@@ -11,6 +12,11 @@ class DocumentEditor extends BaseComponent {
       events: {
         'input .field-input': 'handleFieldChange',
         'change .field-input': 'handleFieldChange',
+        'input .list-item-input': 'handleFieldChange',
+        'change .list-item-input': 'handleFieldChange',
+        'input .table-cell-input': 'handleFieldChange',
+        'change .table-cell-input': 'handleFieldChange',
+        'click .pull-reference-btn': 'handlePullReference',
         'click .add-row-btn': 'handleAddRow',
         'click .remove-row-btn': 'handleRemoveRow',
         'click .add-item-btn': 'handleAddItem',
@@ -20,7 +26,29 @@ class DocumentEditor extends BaseComponent {
         'click .validate-btn': 'handleValidate',
         'click .close-btn': 'handleClose',
         'click .document-close-btn': 'handleClose',
-        'click .watch-video-btn': 'handleVideoPlay'
+        'click .watch-video-btn': 'handleVideoPlay',
+        'click .import-btn': 'handleImportClick',
+        'change .import-file-input': 'handleImportFile',
+        'click .import-apply-btn': 'handleImportApply',
+        'click .import-cancel-btn': 'handleImportCancel',
+        'click .history-btn': 'handleHistoryToggle',
+        'click .revision-item': 'handleRevisionSelect',
+        'click .restore-revision-btn': 'handleRevisionRestore',
+        'click .rubric-btn': 'handleRubricToggle',
+        'change .rubric-input': 'handleRubricChange',
+        'click .add-evidence-btn': 'handleAddEvidence',
+        'click .remove-evidence-btn': 'handleRemoveEvidence',
+        'click .evidence-goto-btn': 'handleEvidenceGoto',
+        'click .save-rubric-btn': 'handleRubricSave',
+        'click .annotations-btn': 'handleAnnotationsToggle',
+        'change .annotation-author-input': 'handleAnnotationAuthorChange',
+        'change .annotation-filter': 'handleAnnotationFilter',
+        'click .add-annotation-btn': 'handleAddAnnotation',
+        'click .annotation-status-btn': 'handleAnnotationStatus',
+        'click .delete-annotation-btn': 'handleDeleteAnnotation',
+        'click .export-review-btn': 'handleExportReview',
+        'click .import-review-btn': 'handleImportReviewClick',
+        'change .review-file-input': 'handleImportReviewFile'
       },
       autoMount: true,
       reactive: true
@@ -40,6 +68,22 @@ class DocumentEditor extends BaseComponent {
     this.autoSaveInterval = null;
     this.validationResults = null;
 
+    // Draft import state
+    this.documentImporter = new DocumentImporter();
+    this.importReview = null;
+
+    // Revision history state
+    this.showHistory = false;
+    this.selectedRevisionId = null;
+
+    // Rubric evaluation state
+    this.rubricDraft = null;
+
+    // Annotation mode state
+    this.showAnnotations = false;
+    this.showResolvedAnnotations = true;
+    this.annotationAuthor = { name: '', role: 'candidate' };
+
     // Auto-save configuration
     this.autoSaveDelay = 2000; // 2 seconds after last change
     this.autoSaveTimer = null;
@@ -60,6 +104,12 @@ class DocumentEditor extends BaseComponent {
 
       // Load document and template
       await this.loadDocumentData();
+
+      // Restore the reviewer identity used for annotations
+      const savedAuthor = await this.storageService?.get('annotation_author');
+      if (savedAuthor) {
+        this.annotationAuthor = { ...this.annotationAuthor, ...savedAuthor };
+      }
       
       // Setup auto-save
       this.setupAutoSave();
@@ -80,16 +130,17 @@ class DocumentEditor extends BaseComponent {
           throw new Error(`Template ${this.templateId} not found`);
         }
         
-        this.document = this.documentEngine.createDocument(this.templateId);
+        this.document = this.copyDocument(this.documentEngine.createDocument(this.templateId));
         this.documentId = this.document.id;
         
         console.log('[DocumentEditor] Created new document:', this.documentId);
       } else if (this.documentId) {
         // Load existing document
-        this.document = this.documentEngine.getDocument(this.documentId);
-        if (!this.document) {
+        const stored = this.documentEngine.getDocument(this.documentId);
+        if (!stored) {
           throw new Error(`Document ${this.documentId} not found`);
         }
+        this.document = this.copyDocument(stored);
         
         this.template = this.documentEngine.getTemplate(this.document.templateId);
         this.templateId = this.document.templateId;
@@ -136,7 +187,11 @@ class DocumentEditor extends BaseComponent {
       <div class="document-editor" data-element="${this.template.element}">
         ${this.renderHeader()}
         ${this.renderProgressBar()}
+        ${this.renderAnnotationsToolbar()}
         ${this.renderForm()}
+        ${this.renderImportReview()}
+        ${this.renderHistoryPanel()}
+        ${this.renderRubricPanel()}
         ${this.renderFooter()}
         ${this.renderValidationResults()}
       </div>
@@ -201,7 +256,7 @@ class DocumentEditor extends BaseComponent {
 
   renderProgressBar() {
     const completedSections = this.getCompletedSections();
-    const totalSections = this.template.sections.length;
+    const totalSections = this.getVisibleTemplate().sections.length;
     const percentage = Math.round((completedSections / totalSections) * 100);
     
     return `
@@ -220,7 +275,7 @@ class DocumentEditor extends BaseComponent {
   getCompletedSections() {
     if (!this.document || !this.template) return 0;
     
-    return this.template.sections.filter(section => {
+    return this.getVisibleTemplate().sections.filter(section => {
       const sectionData = this.document.data[section.id];
       return sectionData && this.isSectionComplete(section, sectionData);
     }).length;
@@ -246,10 +301,11 @@ class DocumentEditor extends BaseComponent {
 
   renderForm() {
     const { template, document } = this;
+    this.visibleSectionsKey = this.getVisibleSectionsKey();
     
     return `
       <div class="document-form-content">
-        ${template.sections.map(section => this.renderSection(section, document.data[section.id])).join('')}
+        ${this.getVisibleTemplate().sections.map(section => this.renderSection(section, document.data[section.id])).join('')}
       </div>
     `;
   }
@@ -265,13 +321,19 @@ class DocumentEditor extends BaseComponent {
         </div>
         <div class="section-content" data-section-content="${section.id}">
           ${section.description ? `<p class="section-description">${section.description}</p>` : ''}
+          ${section.reference ? this.renderReference(section, section.id) : ''}
           ${this.renderSectionFields(section, data)}
+          ${this.renderSectionAnnotations(section)}
         </div>
       </div>
     `;
   }
 
   renderSectionFields(section, data) {
+    if (section.computed) {
+      return this.renderComputedField(section, data);
+    }
+
     switch (section.type) {
       case 'text':
         return this.renderTextField(section, data);
@@ -280,6 +342,7 @@ class DocumentEditor extends BaseComponent {
       case 'list':
         return this.renderListField(section, data);
       case 'table':
+      case 'matrix':
         return this.renderTableField(section, data);
       case 'structured':
         return this.renderStructuredField(section, data);
@@ -310,7 +373,7 @@ class DocumentEditor extends BaseComponent {
           class="field-input${validation.isValid ? '' : ' error'}"
           data-field="${section.id}"
           value="${value}"
-          placeholder="${section.placeholder || ''}"
+          placeholder="${this.escapeHtml(section.placeholder || '')}"
           maxlength="${maxLength}"
           ${isRequired ? 'required' : ''}
         />
@@ -338,7 +401,7 @@ class DocumentEditor extends BaseComponent {
           id="${fieldId}"
           class="field-input${validation.isValid ? '' : ' error'}"
           data-field="${section.id}"
-          placeholder="${section.placeholder || ''}"
+          placeholder="${this.escapeHtml(section.placeholder || '')}"
           maxlength="${maxLength}"
           rows="${minRows}"
           ${isRequired ? 'required' : ''}
@@ -398,6 +461,8 @@ class DocumentEditor extends BaseComponent {
   renderTableField(section, data) {
     const rows = Array.isArray(data) ? data : [];
     const headers = section.headers || [];
+    const logic = this.documentEngine.templateLogic;
+    const totals = logic.getColumnTotals(section, rows);
     const fieldId = `field-${section.id}`;
     const isRequired = section.required;
     
@@ -424,12 +489,13 @@ class DocumentEditor extends BaseComponent {
                       <td>
                         <input 
                           type="text" 
-                          class="table-cell-input"
-                          value="${row[colIndex] || ''}"
+                          class="table-cell-input${logic.isComputed(section, header) ? ' computed' : ''}"
+                          value="${this.escapeAttribute(logic.getCell(row, headers, header) ?? '')}"
                           data-field="${section.id}"
                           data-row="${rowIndex}"
                           data-col="${colIndex}"
-                          placeholder="${header}"
+                          placeholder="${this.escapeHtml(header)}"
+                          ${logic.isComputed(section, header) ? 'readonly tabindex="-1" data-computed="true"' : ''}
                         />
                       </td>
                     `).join('')}
@@ -441,6 +507,16 @@ class DocumentEditor extends BaseComponent {
                   </tr>
                 `).join('')}
               </tbody>
+              ${section.totals?.length ? `
+                <tfoot>
+                  <tr class="table-totals">
+                    ${headers.map((header, colIndex) => `
+                      <td data-total-field="${section.id}" data-col="${colIndex}">${colIndex === 0 && !totals[header] ? 'Total' : (totals[header] ?? '')}</td>
+                    `).join('')}
+                    <td></td>
+                  </tr>
+                </tfoot>
+              ` : ''}
             </table>
           </div>
           <button type="button" class="add-row-btn" data-action="add-row" data-field="${section.id}">
@@ -464,11 +540,13 @@ class DocumentEditor extends BaseComponent {
             <h4 class="structured-field-title">${section.title}</h4>
           </div>
           ${subsections.map(subsection => {
-            const subsectionData = structuredData[subsection.id] || {};
+            // Subsection fields are addressed by their path inside the section data
+            const field = { ...subsection, id: `${section.id}.${subsection.id}` };
             return `
               <div class="subsection" data-subsection="${subsection.id}">
                 <h5 class="subsection-title">${subsection.title}</h5>
-                ${this.renderSectionFields(subsection, subsectionData)}
+                ${subsection.reference ? this.renderReference(subsection, field.id) : ''}
+                ${this.renderSectionFields(field, structuredData[subsection.id])}
               </div>
             `;
           }).join('')}
@@ -477,6 +555,41 @@ class DocumentEditor extends BaseComponent {
     `;
   }
 
+  renderComputedField(section, data) {
+    return `
+      <div class="field-group">
+        <label class="field-label" for="field-${section.id}">${section.title}</label>
+        <input
+          type="text"
+          id="field-${section.id}"
+          class="field-input computed"
+          data-field="${section.id}"
+          data-computed="true"
+          value="${this.escapeAttribute(data ?? '')}"
+          readonly
+        />
+        <p class="field-description">Calculado automáticamente</p>
+      </div>
+    `;
+  }
+
+  renderReference(section, fieldPath) {
+    const source = this.documentEngine.templateLogic.resolveReference(section.reference);
+    const sourceTitle = source?.title || this.documentEngine.getTemplate(section.reference.document)?.title || section.reference.document;
+
+    return `
+      <div class="document-reference${source ? '' : ' unavailable'}">
+        <span class="reference-icon">🔗</span>
+        <span class="reference-text">
+          ${source
+            ? `Puede traer este contenido desde «${this.escapeHtml(sourceTitle)}»`
+            : `Se vincula con «${this.escapeHtml(sourceTitle)}», que aún no tiene contenido en esta sección`}
+        </span>
+        ${source ? `<button type="button" class="pull-reference-btn" data-field="${fieldPath}">Traer contenido</button>` : ''}
+      </div>
+    `;
+  }
+
   renderFormFields(section, data) {
     // This would handle complex form field collections
     // For now, render as structured field
@@ -533,10 +646,27 @@ class DocumentEditor extends BaseComponent {
             <span>${this.isDirty ? 'Guardando...' : 'Documento guardado'}</span>
           </div>
           <div class="document-stats">
-            <span>${this.getCompletedSections()}/${this.template.sections.length} secciones completadas</span>
+            <span>${this.getCompletedSections()}/${this.getVisibleTemplate().sections.length} secciones completadas</span>
           </div>
         </div>
         <div class="footer-actions">
+          <input type="file" class="import-file-input" accept=".docx,.md,.markdown,.txt" hidden />
+          <button type="button" class="doc-action-btn secondary import-btn" data-action="import">
+            <span>📥</span>
+            <span>Importar borrador</span>
+          </button>
+          <button type="button" class="doc-action-btn secondary annotations-btn${this.showAnnotations ? ' active' : ''}" data-action="annotations">
+            <span>💬</span>
+            <span>Comentarios${this.getOpenAnnotationCount() > 0 ? ` (${this.getOpenAnnotationCount()})` : ''}</span>
+          </button>
+          <button type="button" class="doc-action-btn secondary rubric-btn${this.rubricDraft ? ' active' : ''}" data-action="rubric">
+            <span>📋</span>
+            <span>Evaluar con rúbrica</span>
+          </button>
+          <button type="button" class="doc-action-btn secondary history-btn${this.showHistory ? ' active' : ''}" data-action="history">
+            <span>🕘</span>
+            <span>Historial</span>
+          </button>
           <button type="button" class="doc-action-btn secondary validate-btn" data-action="validate">
             <span>✓</span>
             <span>Validar</span>
@@ -576,55 +706,443 @@ class DocumentEditor extends BaseComponent {
     `;
   }
 
+  renderImportReview() {
+    if (!this.importReview) {
+      return '';
+    }
+
+    const { fileName, result } = this.importReview;
+    const assignableTargets = result.targets.filter(target => target.type !== 'structured');
+
+    return `
+      <div class="import-review-panel">
+        <div class="import-review-header">
+          <h4>Revisión de importación</h4>
+          <span class="import-file-name">${this.escapeHtml(fileName)}</span>
+        </div>
+        <div class="import-review-section">
+          <h5>Secciones reconocidas (${result.mappings.length})</h5>
+          ${result.mappings.length === 0 ? '<p class="import-empty">No se reconoció ninguna sección de la plantilla.</p>' : ''}
+          ${result.mappings.map(mapping => `
+            <label class="import-mapping">
+              <input type="checkbox" class="import-mapping-checkbox" data-key="${this.escapeHtml(mapping.key)}" checked />
+              <span class="import-mapping-heading">${this.escapeHtml(mapping.heading)}</span>
+              <span class="import-mapping-arrow">→</span>
+              <span class="import-mapping-target">${this.escapeHtml(mapping.title)}</span>
+              <span class="import-mapping-score">${mapping.score}%</span>
+            </label>
+          `).join('')}
+        </div>
+        <div class="import-review-section">
+          <h5>Contenido sin asignar (${result.unmapped.length})</h5>
+          ${result.unmapped.length === 0 ? '<p class="import-empty">Todo el contenido fue asignado.</p>' : ''}
+          ${result.unmapped.map(item => `
+            <div class="import-unmapped-item">
+              <div class="import-unmapped-heading">${item.heading ? this.escapeHtml(item.heading) : 'Texto sin encabezado'}</div>
+              <pre class="import-unmapped-text">${this.escapeHtml(item.text)}</pre>
+              <select class="import-assignment-select" data-unmapped-id="${item.id}" aria-label="Asignar contenido a una sección">
+                <option value="">Descartar</option>
+                ${assignableTargets.map(target => `<option value="${this.escapeHtml(target.key)}">${this.escapeHtml(target.title)}</option>`).join('')}
+              </select>
+            </div>
+          `).join('')}
+        </div>
+        <div class="import-review-actions">
+          <button type="button" class="doc-action-btn secondary import-cancel-btn">Cancelar</button>
+          <button type="button" class="doc-action-btn primary import-apply-btn">Aplicar y guardar</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderHistoryPanel() {
+    if (!this.showHistory) {
+      return '';
+    }
+
+    const revisions = this.documentEngine.getDocumentHistory(this.documentId);
+
+    return `
+      <div class="revision-history-panel">
+        <div class="revision-history-header">
+          <h4>Historial de versiones</h4>
+          <span class="revision-count">${revisions.length} ${revisions.length === 1 ? 'revisión' : 'revisiones'}</span>
+        </div>
+        ${revisions.length === 0 ? '<p class="revision-empty">Aún no hay revisiones guardadas para este documento.</p>' : `
+          <div class="revision-history-body">
+            <ul class="revision-list">
+              ${revisions.map(revision => `
+                <li>
+                  <button type="button" class="revision-item${revision.id === this.selectedRevisionId ? ' selected' : ''}" data-revision-id="${this.escapeHtml(revision.id)}">
+                    <span class="revision-date">${new Date(revision.timestamp).toLocaleString('es-MX')}</span>
+                    <span class="revision-meta">
+                      ${this.documentEngine.documentHistory.getReasonLabel(revision.reason)} · v${revision.version} · ${revision.completionPercentage}%
+                    </span>
+                  </button>
+                </li>
+              `).join('')}
+            </ul>
+            ${this.renderRevisionDiff()}
+          </div>
+        `}
+      </div>
+    `;
+  }
+
+  renderRevisionDiff() {
+    if (!this.selectedRevisionId) {
+      return '<div class="revision-diff revision-diff-placeholder">Seleccione una revisión para compararla con la versión actual.</div>';
+    }
+
+    const revision = this.documentEngine.documentHistory.getRevision(this.documentId, this.selectedRevisionId);
+    const sections = this.documentEngine.compareRevisions(this.documentId, this.selectedRevisionId);
+    const changed = sections.filter(section => section.status !== 'unchanged');
+    const statusLabels = { added: 'Agregada', removed: 'Eliminada', modified: 'Modificada' };
+
+    return `
+      <div class="revision-diff">
+        <div class="revision-diff-header">
+          <span>${changed.length} de ${sections.length} secciones difieren de la versión actual</span>
+          <button type="button" class="doc-action-btn primary restore-revision-btn" data-revision-id="${this.escapeHtml(revision.id)}">
+            <span>↩️</span>
+            <span>Restaurar esta versión</span>
+          </button>
+        </div>
+        ${changed.length === 0 ? '<p class="revision-empty">Esta revisión es idéntica a la versión actual.</p>' : ''}
+        ${changed.map(section => `
+          <div class="revision-diff-section ${section.status}">
+            <div class="revision-diff-title">
+              <span>${this.escapeHtml(section.title)}</span>
+              <span class="revision-diff-status">${statusLabels[section.status]}</span>
+            </div>
+            <div class="revision-diff-columns">
+              <div class="revision-diff-column">
+                <div class="revision-diff-column-label">Revisión del ${new Date(revision.timestamp).toLocaleString('es-MX')}</div>
+                ${section.lines.filter(line => line.type !== 'added').map(line => `
+                  <div class="diff-line ${line.type}">${this.escapeHtml(line.text) || '&nbsp;'}</div>
+                `).join('')}
+              </div>
+              <div class="revision-diff-column">
+                <div class="revision-diff-column-label">Versión actual</div>
+                ${section.lines.filter(line => line.type !== 'removed').map(line => `
+                  <div class="diff-line ${line.type}">${this.escapeHtml(line.text) || '&nbsp;'}</div>
+                `).join('')}
+              </div>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderAnnotationsToolbar() {
+    if (!this.showAnnotations) {
+      return '';
+    }
+
+    const roles = this.documentEngine.annotationManager.getAuthorRoles();
+    const annotations = this.documentEngine.getAnnotations(this.documentId);
+    const openCount = annotations.filter(annotation => annotation.status === 'open').length;
+
+    return `
+      <div class="annotations-toolbar">
+        <div class="annotations-summary">
+          <strong>Modo revisión</strong>
+          <span>${openCount} abiertos · ${annotations.length - openCount} resueltos</span>
+        </div>
+        <div class="annotations-controls">
+          <input type="text" class="annotation-author-input" data-author-field="name" value="${this.escapeAttribute(this.annotationAuthor.name)}" placeholder="Su nombre" aria-label="Nombre de quien comenta" />
+          <select class="annotation-author-input" data-author-field="role" aria-label="Rol de quien comenta">
+            ${Object.entries(roles).map(([role, label]) => `
+              <option value="${role}" ${this.annotationAuthor.role === role ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+          <label class="annotation-filter-label">
+            <input type="checkbox" class="annotation-filter" ${this.showResolvedAnnotations ? 'checked' : ''} />
+            <span>Mostrar resueltos</span>
+          </label>
+          <input type="file" class="review-file-input" accept=".json,application/json" hidden />
+          <button type="button" class="doc-action-btn secondary import-review-btn">
+            <span>📥</span>
+            <span>Importar revisión</span>
+          </button>
+          <button type="button" class="doc-action-btn secondary export-review-btn">
+            <span>📤</span>
+            <span>Exportar revisión</span>
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderSectionAnnotations(section) {
+    if (!this.showAnnotations) {
+      return '';
+    }
+
+    const roles = this.documentEngine.annotationManager.getAuthorRoles();
+    const anchors = this.documentEngine.annotationManager.getFieldAnchors(section);
+    const annotations = this.documentEngine.getAnnotations(this.documentId, { sectionId: section.id })
+      .filter(annotation => this.showResolvedAnnotations || annotation.status === 'open');
+    const anchorTitle = fieldId => anchors.find(anchor => anchor.id === fieldId)?.title || fieldId;
+
+    return `
+      <div class="section-annotations" data-section-annotations="${section.id}">
+        ${annotations.map(annotation => `
+          <div class="annotation ${this.escapeHtml(annotation.status)} ${this.escapeHtml(annotation.authorRole)}">
+            <div class="annotation-meta">
+              <span class="annotation-author">${this.escapeHtml(annotation.author || 'Sin nombre')} · ${this.escapeHtml(roles[annotation.authorRole] || annotation.authorRole)}</span>
+              ${annotation.fieldId ? `<span class="annotation-anchor">${this.escapeHtml(anchorTitle(annotation.fieldId))}</span>` : ''}
+              <span class="annotation-date">${new Date(annotation.createdAt).toLocaleString('es-MX')}</span>
+            </div>
+            <div class="annotation-text">${this.escapeHtml(annotation.text)}</div>
+            <div class="annotation-actions">
+              ${annotation.status === 'resolved'
+                ? `<span class="annotation-resolved">Resuelto${annotation.resolvedBy ? ` por ${this.escapeHtml(annotation.resolvedBy)}` : ''}</span>
+                   <button type="button" class="annotation-status-btn" data-annotation-id="${this.escapeHtml(annotation.id)}" data-status="open">Reabrir</button>`
+                : `<button type="button" class="annotation-status-btn" data-annotation-id="${this.escapeHtml(annotation.id)}" data-status="resolved">Marcar como resuelto</button>`}
+              <button type="button" class="delete-annotation-btn" data-annotation-id="${this.escapeHtml(annotation.id)}" aria-label="Eliminar comentario">✕</button>
+            </div>
+          </div>
+        `).join('')}
+        <div class="annotation-form${anchors.length === 0 ? ' no-anchors' : ''}">
+          ${anchors.length > 0 ? `
+            <select class="annotation-field-select" data-section="${section.id}" aria-label="Campo comentado">
+              <option value="">Toda la sección</option>
+              ${anchors.map(anchor => `<option value="${anchor.id}">${anchor.title}</option>`).join('')}
+            </select>
+          ` : ''}
+          <textarea class="annotation-input" data-section="${section.id}" rows="2" placeholder="Agregar un comentario a esta sección..."></textarea>
+          <button type="button" class="add-annotation-btn" data-section="${section.id}">Comentar</button>
+        </div>
+      </div>
+    `;
+  }
+
+  getOpenAnnotationCount() {
+    return this.documentEngine.getAnnotations(this.documentId, { status: 'open' }).length;
+  }
+
+  renderRubricPanel() {
+    if (!this.rubricDraft) {
+      return '';
+    }
+
+    const evaluator = this.documentEngine.rubricEvaluator;
+    const ratings = evaluator.getRatings();
+    const roles = evaluator.getEvaluatorRoles();
+    const score = evaluator.calculateScore(this.rubricDraft);
+    const { criteria } = this.rubricDraft;
+
+    return `
+      <div class="rubric-panel">
+        <div class="rubric-header">
+          <div>
+            <h4>Evaluación con rúbrica</h4>
+            <p class="rubric-subtitle">Verifique cada criterio de evaluación contra el documento y registre la evidencia.</p>
+          </div>
+          <div class="rubric-score ${score >= evaluator.readyThreshold ? 'ready' : ''}">
+            <span class="rubric-score-value">${score}%</span>
+            <span class="rubric-score-label">Preparación</span>
+          </div>
+        </div>
+        <div class="rubric-evaluator">
+          <select class="rubric-input" data-rubric-field="evaluatorRole" aria-label="Tipo de evaluación">
+            ${Object.entries(roles).map(([role, label]) => `
+              <option value="${role}" ${this.rubricDraft.evaluatorRole === role ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+          <input type="text" class="rubric-input" data-rubric-field="evaluatorName" value="${this.escapeAttribute(this.rubricDraft.evaluatorName)}" placeholder="Nombre de quien evalúa" />
+        </div>
+        ${criteria.length === 0 ? '<p class="rubric-empty">Esta plantilla no define criterios de evaluación.</p>' : ''}
+        ${criteria.map((item, criterionIndex) => `
+          <div class="rubric-criterion ${item.rating || 'unrated'}">
+            <div class="rubric-criterion-text">${criterionIndex + 1}. ${item.criterion}</div>
+            <div class="rubric-ratings" role="radiogroup">
+              ${Object.entries(ratings).map(([rating, { label }]) => `
+                <label class="rubric-rating">
+                  <input type="radio" class="rubric-input" name="rubric-rating-${criterionIndex}" data-criterion="${criterionIndex}" data-rubric-field="rating" value="${rating}" ${item.rating === rating ? 'checked' : ''} />
+                  <span>${label}</span>
+                </label>
+              `).join('')}
+            </div>
+            <div class="rubric-evidence">
+              ${item.evidence.map((note, noteIndex) => `
+                <div class="evidence-note">
+                  <select class="rubric-input" data-criterion="${criterionIndex}" data-note="${noteIndex}" data-rubric-field="sectionId" aria-label="Sección del documento">
+                    <option value="">Sin sección</option>
+                    ${this.template.sections.map(section => `
+                      <option value="${section.id}" ${note.sectionId === section.id ? 'selected' : ''}>${section.title}</option>
+                    `).join('')}
+                  </select>
+                  <textarea class="rubric-input" data-criterion="${criterionIndex}" data-note="${noteIndex}" data-rubric-field="note" rows="2" placeholder="Describa dónde y cómo el documento cumple el criterio...">${this.escapeHtml(note.note || '')}</textarea>
+                  <div class="evidence-actions">
+                    ${note.sectionId ? `<button type="button" class="evidence-goto-btn" data-section-id="${note.sectionId}">Ir a la sección</button>` : ''}
+                    <button type="button" class="remove-evidence-btn" data-criterion="${criterionIndex}" data-note="${noteIndex}" aria-label="Eliminar evidencia">✕</button>
+                  </div>
+                </div>
+              `).join('')}
+              <button type="button" class="add-evidence-btn" data-criterion="${criterionIndex}">
+                <span>+</span>
+                <span>Agregar evidencia</span>
+              </button>
+            </div>
+          </div>
+        `).join('')}
+        <div class="rubric-actions">
+          <span class="rubric-last-saved">${this.rubricDraft.evaluatedAt ? `Última evaluación: ${new Date(this.rubricDraft.evaluatedAt).toLocaleString('es-MX')}` : 'Sin evaluaciones guardadas'}</span>
+          <button type="button" class="doc-action-btn primary save-rubric-btn">
+            <span>💾</span>
+            <span>Guardar evaluación</span>
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
   // Event handlers
   async handleFieldChange(event) {
-    const target = event.target;
+    const target = event.currentTarget || event.target;
     const fieldId = target.dataset.field;
     const value = target.value;
     
-    if (!fieldId) return;
-    
-    // Update document data
-    if (!this.document.data[fieldId]) {
-      this.document.data[fieldId] = '';
-    }
+    if (!fieldId || target.dataset.computed) return;
     
     if (target.dataset.index !== undefined) {
       // Handle list item changes
       const index = parseInt(target.dataset.index);
-      if (!Array.isArray(this.document.data[fieldId])) {
-        this.document.data[fieldId] = [];
-      }
-      this.document.data[fieldId][index] = value;
+      this.getArrayField(fieldId)[index] = value;
     } else if (target.dataset.row !== undefined && target.dataset.col !== undefined) {
       // Handle table cell changes
+      const rows = this.getArrayField(fieldId);
       const row = parseInt(target.dataset.row);
       const col = parseInt(target.dataset.col);
-      if (!Array.isArray(this.document.data[fieldId])) {
-        this.document.data[fieldId] = [];
+      if (!rows[row] || typeof rows[row] !== 'object') {
+        rows[row] = [];
       }
-      if (!Array.isArray(this.document.data[fieldId][row])) {
-        this.document.data[fieldId][row] = [];
+      if (Array.isArray(rows[row])) {
+        rows[row][col] = value;
+      } else {
+        // Imported rows are keyed by column header
+        rows[row][this.findField(fieldId)?.headers?.[col]] = value;
       }
-      this.document.data[fieldId][row][col] = value;
     } else {
       // Handle simple field changes
-      this.document.data[fieldId] = value;
+      this.documentEngine.templateLogic.setValue(this.document.data, fieldId, value);
     }
     
     // Mark as dirty and schedule auto-save
     this.isDirty = true;
     this.scheduleAutoSave();
+
+    // Conditions are only re-evaluated once a value is committed so typing never loses focus
+    this.refreshDerivedFields(event.type === 'change');
     
     console.log('[DocumentEditor] Field changed:', fieldId, value);
   }
 
+  /**
+   * Template restricted to the sections enabled by the current data
+   */
+  getVisibleTemplate() {
+    return this.documentEngine.getDocumentTemplate(this.document) || this.template;
+  }
+
+  getVisibleSectionsKey() {
+    return JSON.stringify(this.getVisibleTemplate().sections.map(section =>
+      [section.id, (section.subsections || []).map(subsection => subsection.id)]));
+  }
+
+  /**
+   * Find the template section or subsection behind a field path
+   */
+  findField(fieldId) {
+    return this.documentEngine.templateLogic.findSection(this.template, fieldId);
+  }
+
+  getArrayField(fieldId) {
+    const logic = this.documentEngine.templateLogic;
+    if (!Array.isArray(logic.getValue(this.document.data, fieldId))) {
+      logic.setValue(this.document.data, fieldId, []);
+    }
+    return logic.getValue(this.document.data, fieldId);
+  }
+
+  /**
+   * Recalculate computed fields in place and re-render when conditional sections change
+   * @param {boolean} checkVisibility - Re-evaluate showIf conditions
+   */
+  refreshDerivedFields(checkVisibility = false) {
+    const logic = this.documentEngine.templateLogic;
+    logic.applyComputedFields(this.template, this.document.data);
+
+    if (checkVisibility && this.getVisibleSectionsKey() !== this.visibleSectionsKey) {
+      this.render();
+      return;
+    }
+
+    this.element.querySelectorAll('[data-computed]').forEach(input => {
+      const { field, row, col } = input.dataset;
+      let value = logic.getValue(this.document.data, field);
+      if (row !== undefined) {
+        const headers = this.findField(field)?.headers || [];
+        value = logic.getCell(value?.[row], headers, headers[col]);
+      }
+      input.value = value ?? '';
+    });
+
+    this.element.querySelectorAll('[data-total-field]').forEach(cell => {
+      const section = this.findField(cell.dataset.totalField);
+      const header = section?.headers?.[cell.dataset.col];
+      const totals = logic.getColumnTotals(section, logic.getValue(this.document.data, cell.dataset.totalField) || []);
+      if (header in totals) {
+        cell.textContent = totals[header];
+      }
+    });
+  }
+
+  async handlePullReference(event) {
+    event?.preventDefault();
+
+    const fieldId = event.currentTarget.dataset.field;
+    const section = this.findField(fieldId);
+    const logic = this.documentEngine.templateLogic;
+    const source = section?.reference ? logic.resolveReference(section.reference) : null;
+    if (!source) return;
+
+    if (logic.isFilled(logic.getValue(this.document.data, fieldId)) &&
+        !confirm(`¿Reemplazar el contenido actual con el de «${source.title}»?`)) {
+      return;
+    }
+
+    logic.setValue(this.document.data, fieldId, logic.adaptValue(section, source.value));
+    this.isDirty = true;
+    this.scheduleAutoSave();
+    this.render();
+  }
+
+  /**
+   * Working copy of a stored document, so edits reach the engine only when saved
+   */
+  copyDocument(document) {
+    return { ...document, data: JSON.parse(JSON.stringify(document.data ?? {})) };
+  }
+
   async handleSave(event) {
     event?.preventDefault();
-    
+    await this.saveDocument('save');
+  }
+
+  /**
+   * Persist the document, recording a revision with the given reason
+   * @param {string} reason - Revision reason (autosave, save, import)
+   */
+  async saveDocument(reason = 'autosave') {
     try {
       console.log('[DocumentEditor] Saving document...');
-      await this.documentEngine.saveDocument(this.document);
+      const saved = await this.documentEngine.saveDocument(this.documentId, this.document.data, { reason });
+      // Keep editing the working copy; take version, status and completion from the stored document
+      this.document = { ...saved, data: this.document.data };
       this.isDirty = false;
       console.log('[DocumentEditor] Document saved successfully');
       this.render(); // Re-render to show updated state
@@ -638,7 +1156,14 @@ class DocumentEditor extends BaseComponent {
     
     try {
       console.log('[DocumentEditor] Exporting document...');
-      await this.documentEngine.exportDocument(this.document, 'pdf');
+
+      // Flush pending edits so the PDF carries the current document
+      if (this.isDirty) {
+        await this.saveDocument('save');
+      }
+
+      const exportResult = await this.documentEngine.exportDocument(this.document.id, 'pdf');
+      this.downloadFile(exportResult);
     } catch (error) {
       console.error('[DocumentEditor] Export failed:', error);
     }
@@ -670,6 +1195,275 @@ class DocumentEditor extends BaseComponent {
     this.emit('document:close', { documentId: this.documentId });
   }
 
+  handleImportClick(event) {
+    event?.preventDefault();
+
+    const fileInput = this.element.querySelector('.import-file-input');
+    if (fileInput) {
+      fileInput.value = '';
+      fileInput.click();
+    }
+  }
+
+  async handleImportFile(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      console.log('[DocumentEditor] Importing draft:', file.name);
+      const result = await this.documentImporter.importFile(file, this.template);
+      this.importReview = { fileName: file.name, result };
+      this.render();
+    } catch (error) {
+      console.error('[DocumentEditor] Import failed:', error);
+      this.showError(`No se pudo importar el borrador: ${error.message}`);
+    }
+  }
+
+  async handleImportApply(event) {
+    event?.preventDefault();
+    if (!this.importReview) return;
+
+    const acceptedKeys = Array.from(this.element.querySelectorAll('.import-mapping-checkbox'))
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.dataset.key);
+
+    const assignments = {};
+    this.element.querySelectorAll('.import-assignment-select').forEach(select => {
+      if (select.value) {
+        assignments[select.dataset.unmappedId] = select.value;
+      }
+    });
+
+    this.documentImporter.applyImport(this.document.data, this.importReview.result, { acceptedKeys, assignments });
+    this.importReview = null;
+    this.isDirty = true;
+
+    await this.saveDocument('import');
+    this.showSuccess('Borrador importado correctamente');
+  }
+
+  handleImportCancel(event) {
+    event?.preventDefault();
+
+    this.importReview = null;
+    this.render();
+  }
+
+  handleHistoryToggle(event) {
+    event?.preventDefault();
+
+    this.showHistory = !this.showHistory;
+    this.selectedRevisionId = null;
+    this.render();
+  }
+
+  handleRevisionSelect(event) {
+    event?.preventDefault();
+
+    const revisionId = event.currentTarget.dataset.revisionId;
+    this.selectedRevisionId = this.selectedRevisionId === revisionId ? null : revisionId;
+    this.render();
+  }
+
+  async handleRevisionRestore(event) {
+    event?.preventDefault();
+
+    const revisionId = event.currentTarget.dataset.revisionId;
+    if (!confirm('¿Restaurar el documento a esta versión? La versión actual se conservará en el historial.')) {
+      return;
+    }
+
+    try {
+      // Flush pending edits first so the current state is kept as a revision
+      if (this.autoSaveTimer) {
+        clearTimeout(this.autoSaveTimer);
+      }
+      if (this.isDirty) {
+        await this.saveDocument('save');
+      }
+
+      this.document = this.copyDocument(await this.documentEngine.restoreRevision(this.documentId, revisionId));
+      this.isDirty = false;
+      this.selectedRevisionId = null;
+      this.render();
+      this.showSuccess('Documento restaurado a la versión seleccionada');
+    } catch (error) {
+      console.error('[DocumentEditor] Restore failed:', error);
+      this.showError(`No se pudo restaurar la versión: ${error.message}`);
+    }
+  }
+
+  handleRubricToggle(event) {
+    event?.preventDefault();
+
+    this.rubricDraft = this.rubricDraft ? null : this.documentEngine.getRubricEvaluation(this.documentId);
+    this.render();
+  }
+
+  handleRubricChange(event) {
+    const input = event.currentTarget;
+    const { rubricField, criterion, note } = input.dataset;
+
+    if (criterion === undefined) {
+      this.rubricDraft[rubricField] = input.value;
+      return;
+    }
+
+    const item = this.rubricDraft.criteria[parseInt(criterion)];
+    if (note !== undefined) {
+      item.evidence[parseInt(note)][rubricField] = input.value;
+      // The section link button depends on the selected section
+      if (rubricField === 'sectionId') this.render();
+      return;
+    }
+
+    item.rating = input.value;
+    this.render(); // Update the readiness score
+  }
+
+  handleAddEvidence(event) {
+    event?.preventDefault();
+
+    const criterionIndex = parseInt(event.currentTarget.dataset.criterion);
+    this.rubricDraft.criteria[criterionIndex].evidence.push({ sectionId: '', note: '' });
+    this.render();
+  }
+
+  handleRemoveEvidence(event) {
+    event?.preventDefault();
+
+    const { criterion, note } = event.currentTarget.dataset;
+    this.rubricDraft.criteria[parseInt(criterion)].evidence.splice(parseInt(note), 1);
+    this.render();
+  }
+
+  handleEvidenceGoto(event) {
+    event?.preventDefault();
+
+    const sectionId = event.currentTarget.dataset.sectionId;
+    const section = this.element.querySelector(`.document-section[data-section="${sectionId}"]`);
+    section?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  async handleRubricSave(event) {
+    event?.preventDefault();
+
+    try {
+      // Drop empty evidence notes before saving
+      this.rubricDraft.criteria.forEach(item => {
+        item.evidence = item.evidence.filter(note => note.sectionId || note.note?.trim());
+      });
+
+      this.rubricDraft = await this.documentEngine.saveRubricEvaluation(this.documentId, this.rubricDraft);
+      this.render();
+      this.showSuccess(`Evaluación guardada: ${this.rubricDraft.score}% de preparación`);
+    } catch (error) {
+      console.error('[DocumentEditor] Rubric save failed:', error);
+      this.showError(`No se pudo guardar la evaluación: ${error.message}`);
+    }
+  }
+
+  handleAnnotationsToggle(event) {
+    event?.preventDefault();
+
+    this.showAnnotations = !this.showAnnotations;
+    this.render();
+  }
+
+  async handleAnnotationAuthorChange(event) {
+    const input = event.currentTarget;
+    this.annotationAuthor[input.dataset.authorField] = input.value;
+    await this.storageService?.set('annotation_author', this.annotationAuthor);
+  }
+
+  handleAnnotationFilter(event) {
+    this.showResolvedAnnotations = event.currentTarget.checked;
+    this.render();
+  }
+
+  async handleAddAnnotation(event) {
+    event?.preventDefault();
+
+    const sectionId = event.currentTarget.dataset.section;
+    const textInput = this.element.querySelector(`.annotation-input[data-section="${sectionId}"]`);
+    const fieldSelect = this.element.querySelector(`.annotation-field-select[data-section="${sectionId}"]`);
+
+    try {
+      await this.documentEngine.addAnnotation(this.documentId, {
+        sectionId,
+        fieldId: fieldSelect?.value || null,
+        text: textInput?.value || '',
+        author: this.annotationAuthor.name,
+        authorRole: this.annotationAuthor.role
+      });
+      this.render();
+    } catch (error) {
+      console.error('[DocumentEditor] Failed to add annotation:', error);
+      this.showError(error.message);
+    }
+  }
+
+  async handleAnnotationStatus(event) {
+    event?.preventDefault();
+
+    const { annotationId, status } = event.currentTarget.dataset;
+    try {
+      await this.documentEngine.setAnnotationStatus(this.documentId, annotationId, status, this.annotationAuthor.name);
+      this.render();
+    } catch (error) {
+      console.error('[DocumentEditor] Failed to update annotation:', error);
+      this.showError(error.message);
+    }
+  }
+
+  async handleDeleteAnnotation(event) {
+    event?.preventDefault();
+
+    if (!confirm('¿Eliminar este comentario?')) {
+      return;
+    }
+
+    await this.documentEngine.deleteAnnotation(this.documentId, event.currentTarget.dataset.annotationId);
+    this.render();
+  }
+
+  async handleExportReview(event) {
+    event?.preventDefault();
+
+    // Flush pending edits so the review carries the current document
+    if (this.isDirty) {
+      await this.saveDocument('save');
+    }
+
+    const review = this.documentEngine.exportReview(this.documentId, { exportedBy: this.annotationAuthor.name });
+    this.downloadFile(review);
+  }
+
+  handleImportReviewClick(event) {
+    event?.preventDefault();
+
+    const fileInput = this.element.querySelector('.review-file-input');
+    if (fileInput) {
+      fileInput.value = '';
+      fileInput.click();
+    }
+  }
+
+  async handleImportReviewFile(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const result = await this.documentEngine.importReview(await file.text(), { targetDocumentId: this.documentId });
+      this.render();
+      this.showSuccess(`Revisión importada: ${result.added} comentarios nuevos, ${result.updated} actualizados`);
+    } catch (error) {
+      console.error('[DocumentEditor] Review import failed:', error);
+      this.showError(`No se pudo importar la revisión: ${error.message}`);
+    }
+  }
+
   handleVideoPlay(event) {
     event?.preventDefault();
     
@@ -682,21 +1476,15 @@ class DocumentEditor extends BaseComponent {
   handleAddRow(event) {
     event?.preventDefault();
     
-    const button = event.target;
-    const fieldId = button.dataset.fieldId;
+    const fieldId = event.currentTarget.dataset.field;
     
     if (!fieldId) {
       console.error('[DocumentEditor] No field ID found for add row action');
       return;
     }
     
-    // Initialize field data if it doesn't exist
-    if (!Array.isArray(this.document.data[fieldId])) {
-      this.document.data[fieldId] = [];
-    }
-    
     // Add a new empty row (array)
-    this.document.data[fieldId].push([]);
+    this.getArrayField(fieldId).push([]);
     
     // Mark as dirty and schedule auto-save
     this.isDirty = true;
@@ -711,9 +1499,9 @@ class DocumentEditor extends BaseComponent {
   handleRemoveRow(event) {
     event?.preventDefault();
     
-    const button = event.target;
-    const fieldId = button.dataset.fieldId;
-    const rowIndex = parseInt(button.dataset.rowIndex);
+    const button = event.currentTarget;
+    const fieldId = button.dataset.field;
+    const rowIndex = parseInt(button.dataset.row);
     
     if (!fieldId) {
       console.error('[DocumentEditor] No field ID found for remove row action');
@@ -725,14 +1513,12 @@ class DocumentEditor extends BaseComponent {
       return;
     }
     
-    // Initialize field data if it doesn't exist
-    if (!Array.isArray(this.document.data[fieldId])) {
-      this.document.data[fieldId] = [];
-    }
+    const rows = this.getArrayField(fieldId);
     
     // Remove the row at the specified index
-    if (rowIndex >= 0 && rowIndex < this.document.data[fieldId].length) {
-      this.document.data[fieldId].splice(rowIndex, 1);
+    if (rowIndex >= 0 && rowIndex < rows.length) {
+      rows.splice(rowIndex, 1);
+      this.documentEngine.templateLogic.applyComputedFields(this.template, this.document.data);
       
       // Mark as dirty and schedule auto-save
       this.isDirty = true;
@@ -750,21 +1536,15 @@ class DocumentEditor extends BaseComponent {
   handleAddItem(event) {
     event?.preventDefault();
     
-    const button = event.target;
-    const fieldId = button.dataset.fieldId;
+    const fieldId = event.currentTarget.dataset.field;
     
     if (!fieldId) {
       console.error('[DocumentEditor] No field ID found for add item action');
       return;
     }
     
-    // Initialize field data if it doesn't exist
-    if (!Array.isArray(this.document.data[fieldId])) {
-      this.document.data[fieldId] = [];
-    }
-    
     // Add a new empty item to the list
-    this.document.data[fieldId].push('');
+    this.getArrayField(fieldId).push('');
     
     // Mark as dirty and schedule auto-save
     this.isDirty = true;
@@ -779,9 +1559,9 @@ class DocumentEditor extends BaseComponent {
   handleRemoveItem(event) {
     event?.preventDefault();
     
-    const button = event.target;
-    const fieldId = button.dataset.fieldId;
-    const itemIndex = parseInt(button.dataset.itemIndex);
+    const button = event.currentTarget;
+    const fieldId = button.dataset.field;
+    const itemIndex = parseInt(button.dataset.index);
     
     if (!fieldId) {
       console.error('[DocumentEditor] No field ID found for remove item action');
@@ -793,14 +1573,11 @@ class DocumentEditor extends BaseComponent {
       return;
     }
     
-    // Initialize field data if it doesn't exist
-    if (!Array.isArray(this.document.data[fieldId])) {
-      this.document.data[fieldId] = [];
-    }
+    const items = this.getArrayField(fieldId);
     
     // Remove the item at the specified index
-    if (itemIndex >= 0 && itemIndex < this.document.data[fieldId].length) {
-      this.document.data[fieldId].splice(itemIndex, 1);
+    if (itemIndex >= 0 && itemIndex < items.length) {
+      items.splice(itemIndex, 1);
       
       // Mark as dirty and schedule auto-save
       this.isDirty = true;
@@ -822,11 +1599,36 @@ class DocumentEditor extends BaseComponent {
     
     this.autoSaveTimer = setTimeout(() => {
       if (this.isDirty) {
-        this.handleSave();
+        this.saveDocument('autosave');
       }
     }, this.autoSaveDelay);
   }
 
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    // Quotes too, so values are also safe inside attributes
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  downloadFile(exportResult) {
+    const blob = new Blob([exportResult.content], { type: exportResult.mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = exportResult.filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
   showError(message) {
     console.error('[DocumentEditor]', message);
     // Could emit an error event here for notification system
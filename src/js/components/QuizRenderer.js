@@ -7,6 +7,8 @@
  * 
  * Features:
  * - Multiple question types with immediate feedback
+ * - Partial credit for fill-in-the-blank questions
+ * - Optional confidence rating per answer with certainty-based scoring and a calibration chart
  * - Mobile-first responsive design
  * - Progress tracking and scoring
  * - Accessibility compliance
@@ -17,6 +19,104 @@
  * @since 2.0.0
  */
 
+import QuestionTypes from '../assessment/QuestionTypes.js';
+import ScoringEngine, { CONFIDENCE_LEVELS } from '../assessment/ScoringEngine.js';
+
+const CONFIDENCE_LABELS = {
+  low: 'Poco seguro',
+  medium: 'Bastante seguro',
+  high: 'Muy seguro'
+};
+
+const CALIBRATION_STATUS_LABELS = {
+  overconfident: 'Exceso de confianza',
+  underconfident: 'Falta de confianza',
+  calibrated: 'Bien calibrado'
+};
+
+const escapeHtml = text => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Markup of the confidence rating of an answer; each level shows what a right and a wrong answer are worth
+ * @param {string} questionId - Question the rating belongs to
+ * @param {string} [rating] - Level already chosen
+ * @returns {string} HTML of the rating fieldset
+ */
+export function renderConfidenceScale(questionId, rating) {
+  return `
+    <fieldset class="confidence-scale">
+      <legend>¿Qué tan seguro estás de tu respuesta?</legend>
+      <div class="confidence-options">
+        ${Object.entries(CONFIDENCE_LEVELS).map(([level, marks]) => `
+          <label class="confidence-option ${rating === level ? 'selected' : ''}">
+            <input type="radio"
+                   name="confidence_${escapeHtml(questionId)}"
+                   value="${level}"
+                   ${rating === level ? 'checked' : ''}
+                   class="confidence-input">
+            <span class="confidence-label">${CONFIDENCE_LABELS[level]}</span>
+            <span class="confidence-marks">Acierto +${marks.correct} · Error ${marks.incorrect === 0 ? '0' : `−${Math.abs(marks.incorrect)}`}</span>
+          </label>
+        `).join('')}
+      </div>
+    </fieldset>
+  `;
+}
+
+/**
+ * Markup of the certainty score and the calibration chart of a set of rated answers
+ * Each bar is the accuracy of the answers given at one confidence level, drawn over the
+ * accuracy range that level is meant for; bars short of their range show overconfidence.
+ * @param {Object} certainty - Certainty score ({ percentage, calibration })
+ * @param {Function} questionText - Text of a question by its ID
+ * @returns {string} HTML of the report
+ */
+export function renderCalibrationReport({ percentage, calibration }, questionText) {
+  const percent = value => `${Math.round(value * 100)}%`;
+
+  let summary = 'Tu confianza corresponde a tu nivel de acierto.';
+  if (calibration.overconfident) {
+    summary = 'Tiendes a confiar de más: algunas respuestas marcadas con seguridad eran incorrectas. Antes del examen de certificación, repasa los temas de esas preguntas.';
+  } else if (calibration.underconfident) {
+    summary = 'Sabes más de lo que crees: podrías marcar más respuestas con mayor seguridad.';
+  }
+
+  return `
+    <h4 class="calibration-title">Calibración de la confianza</h4>
+    <p class="calibration-score">Puntuación por certeza: <strong>${percentage}%</strong></p>
+    <div class="calibration-chart" role="list">
+      ${calibration.levels.map(level => `
+        <div class="calibration-row ${level.status || 'empty'}" role="listitem">
+          <span class="calibration-level">${CONFIDENCE_LABELS[level.level]}</span>
+          <div class="calibration-track"
+               aria-label="${level.accuracy === null ? 'Sin respuestas' : `${percent(level.accuracy)} de acierto; lo esperado es entre ${percent(level.expected.min)} y ${percent(level.expected.max)}`}">
+            <div class="calibration-expected" style="left: ${level.expected.min * 100}%; width: ${(level.expected.max - level.expected.min) * 100}%;"></div>
+            ${level.accuracy === null ? '' : `<div class="calibration-bar" style="width: ${level.accuracy * 100}%;"></div>`}
+          </div>
+          <span class="calibration-value">
+            ${level.accuracy === null ? '—' : `${percent(level.accuracy)} (${level.count})`}
+            ${level.status ? `<small>${CALIBRATION_STATUS_LABELS[level.status]}</small>` : ''}
+          </span>
+        </div>
+      `).join('')}
+    </div>
+    <p class="calibration-legend">La franja sombreada es el acierto esperado para cada nivel de certeza.</p>
+    <p class="calibration-summary">${summary}</p>
+    ${calibration.confidentErrors.length > 0 ? `
+      <div class="calibration-errors">
+        <h5>Respuestas incorrectas marcadas como "Muy seguro"</h5>
+        <ul>
+          ${calibration.confidentErrors.map(questionId => `<li>${escapeHtml(questionText(questionId))}</li>`).join('')}
+        </ul>
+      </div>
+    ` : ''}
+  `;
+}
+
 class QuizRenderer {
   constructor(container, eventBus) {
     this.container = container;
@@ -31,6 +131,10 @@ class QuizRenderer {
     this.isCompleted = false;
     this.showImmediateFeedback = true;
     this.allowRetries = true;
+    this.questionTypes = new QuestionTypes();
+    this.scoringEngine = new ScoringEngine();
+    this.confidenceBased = false;
+    this.confidenceRatings = new Map();
     
     this.init();
   }
@@ -138,6 +242,7 @@ class QuizRenderer {
               </div>
             </div>
           </div>
+          <div class="calibration-report" style="display: none;"></div>
           <div class="results-actions">
             <button class="btn btn-secondary retry-quiz">
               <span class="btn-icon">🔄</span>
@@ -170,6 +275,7 @@ class QuizRenderer {
     this.submitButton = this.element.querySelector('.submit-quiz');
     this.feedbackElement = this.element.querySelector('.question-feedback');
     this.resultsElement = this.element.querySelector('.quiz-results');
+    this.calibrationElement = this.element.querySelector('.calibration-report');
   }
 
   /**
@@ -199,11 +305,13 @@ class QuizRenderer {
     this.currentQuiz = quizConfig;
     this.currentQuestionIndex = 0;
     this.userAnswers.clear();
+    this.confidenceRatings.clear();
     this.isCompleted = false;
     this.quizStartTime = Date.now();
 
     // Setup quiz configuration
     this.showImmediateFeedback = quizConfig.immediateFeedback !== false;
+    this.confidenceBased = quizConfig.confidenceBased === true;
     this.allowRetries = quizConfig.allowRetries !== false;
     this.timeLimit = quizConfig.timeLimit || null;
 
@@ -265,12 +373,6 @@ class QuizRenderer {
       case 'fill_blank':
         this.renderFillBlankQuestion(question);
         break;
-      case 'matching':
-        this.renderMatchingQuestion(question);
-        break;
-      case 'ordering':
-        this.renderOrderingQuestion(question);
-        break;
       default:
         console.warn('[QuizRenderer] Unknown question type:', question.type);
         this.renderGenericQuestion(question);
@@ -322,6 +424,8 @@ class QuizRenderer {
           }).join('')}
         </div>
         
+        ${this.renderConfidenceScale(question)}
+
         ${this.showImmediateFeedback ? `
           <div class="question-actions">
             <button class="btn btn-primary check-answer" disabled>
@@ -377,6 +481,8 @@ class QuizRenderer {
           </label>
         </div>
         
+        ${this.renderConfidenceScale(question)}
+
         ${this.showImmediateFeedback ? `
           <div class="question-actions">
             <button class="btn btn-primary check-answer" disabled>
@@ -422,6 +528,8 @@ class QuizRenderer {
           </div>
         ` : ''}
         
+        ${this.renderConfidenceScale(question)}
+
         ${this.showImmediateFeedback ? `
           <div class="question-actions">
             <button class="btn btn-primary check-answer" disabled>
@@ -436,11 +544,30 @@ class QuizRenderer {
     this.setupQuestionInteractions(question);
   }
 
+  /**
+   * Render the confidence rating of the current answer, when the quiz uses certainty-based scoring
+   */
+  renderConfidenceScale(question) {
+    if (!this.confidenceBased) return '';
+
+    return renderConfidenceScale(question.id, this.confidenceRatings.get(question.id));
+  }
+
   /**
    * Setup question interactions
    */
   setupQuestionInteractions(question) {
     const questionElement = this.questionContainer.querySelector('.question');
+
+    questionElement.querySelectorAll('.confidence-input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        questionElement.querySelectorAll('.confidence-option').forEach(option => {
+          option.classList.toggle('selected', option.contains(e.target));
+        });
+        this.confidenceRatings.set(question.id, e.target.value);
+        this.updateNavigationButtons();
+      });
+    });
     
     if (question.type === 'multiple_choice' || question.type === 'true_false') {
       // Radio button interactions
@@ -518,8 +645,26 @@ class QuizRenderer {
       return;
     }
 
-    const isCorrect = this.validateAnswer(question, userAnswer);
-    const feedback = {
+    const confidence = this.confidenceRatings.get(question.id);
+    if (this.confidenceBased && !confidence) {
+      this.showFeedback({
+        isCorrect: false,
+        title: 'Indica tu nivel de certeza',
+        message: 'Elige qué tan seguro estás de tu respuesta antes de verificarla.',
+        type: 'warning'
+      });
+      return;
+    }
+
+    const credit = this.getAnswerCredit(question, userAnswer);
+    const isCorrect = credit === 1;
+    const feedback = credit > 0 && credit < 1 ? {
+      isCorrect,
+      title: 'Parcialmente correcto',
+      message: question.partialFeedback || `Obtuviste el ${Math.round(credit * 100)}% de los puntos de esta pregunta.`,
+      type: 'warning',
+      explanation: question.explanation
+    } : {
       isCorrect,
       title: isCorrect ? '¡Correcto!' : 'Incorrecto',
       message: isCorrect ? 
@@ -529,6 +674,11 @@ class QuizRenderer {
       explanation: question.explanation
     };
 
+    if (this.confidenceBased) {
+      const mark = this.scoringEngine.getCertaintyMark(credit, confidence);
+      feedback.message += ` Respondiste "${CONFIDENCE_LABELS[confidence].toLowerCase()}": ${mark > 0 ? '+' : ''}${mark} ${Math.abs(mark) === 1 ? 'punto' : 'puntos'} de certeza.`;
+    }
+
     this.showFeedback(feedback);
 
     // Disable check button after answering
@@ -542,6 +692,8 @@ class QuizRenderer {
       questionId: question.id,
       questionIndex: this.currentQuestionIndex,
       isCorrect,
+      credit,
+      confidence,
       userAnswer,
       correctAnswer: question.correctAnswer
     });
@@ -551,34 +703,24 @@ class QuizRenderer {
    * Validate user answer
    */
   validateAnswer(question, userAnswer) {
+    return this.getAnswerCredit(question, userAnswer) === 1;
+  }
+
+  /**
+   * Fraction of the question points earned by an answer
+   * Fill in the blank answers are scored by QuestionTypes with partial credit.
+   */
+  getAnswerCredit(question, userAnswer) {
     switch (question.type) {
       case 'multiple_choice':
       case 'true_false':
-        return userAnswer === question.correctAnswer;
+        return userAnswer === question.correctAnswer ? 1 : 0;
         
       case 'fill_blank':
-        const correctAnswers = question.correctAnswer.split('|');
-        const userAnswers = userAnswer.split('|');
-        
-        if (correctAnswers.length !== userAnswers.length) {
-          return false;
-        }
-        
-        return correctAnswers.every((correct, index) => {
-          const user = userAnswers[index]?.trim().toLowerCase();
-          const correctLower = correct.trim().toLowerCase();
-          
-          // Check for exact match or acceptable alternatives
-          if (question.acceptableAnswers && question.acceptableAnswers[index]) {
-            const alternatives = question.acceptableAnswers[index].map(alt => alt.toLowerCase());
-            return alternatives.includes(user) || user === correctLower;
-          }
-          
-          return user === correctLower;
-        });
+        return userAnswer === undefined ? 0 : this.questionTypes.getCredit(question, userAnswer);
         
       default:
-        return false;
+        return 0;
     }
   }
 
@@ -653,7 +795,7 @@ class QuizRenderer {
   updateNavigationButtons() {
     const isFirstQuestion = this.currentQuestionIndex === 0;
     const isLastQuestion = this.currentQuestionIndex === this.currentQuiz.questions.length - 1;
-    const hasAnsweredCurrent = this.userAnswers.has(this.currentQuiz.questions[this.currentQuestionIndex].id);
+    const hasAnsweredCurrent = this.isQuestionAnswered(this.currentQuiz.questions[this.currentQuestionIndex]);
     
     // Previous button
     this.prevButton.disabled = isFirstQuestion;
@@ -674,9 +816,14 @@ class QuizRenderer {
    * Check if all questions have been answered
    */
   hasAnsweredAllQuestions() {
-    return this.currentQuiz.questions.every(question => 
-      this.userAnswers.has(question.id)
-    );
+    return this.currentQuiz.questions.every(question => this.isQuestionAnswered(question));
+  }
+
+  /**
+   * A question is answered once it has an answer and, in confidence-based quizzes, a confidence rating
+   */
+  isQuestionAnswered(question) {
+    return this.userAnswers.has(question.id) && (!this.confidenceBased || this.confidenceRatings.has(question.id));
   }
 
   /**
@@ -727,6 +874,7 @@ class QuizRenderer {
       correctAnswers: results.correctCount,
       totalQuestions: results.totalCount,
       timeSpent: results.timeSpent,
+      certaintyScore: results.certainty?.percentage ?? null,
       results: results
     });
   }
@@ -736,26 +884,34 @@ class QuizRenderer {
    */
   calculateResults() {
     let correctCount = 0;
+    let earnedCredit = 0;
     const totalCount = this.currentQuiz.questions.length;
     const questionResults = [];
 
     this.currentQuiz.questions.forEach(question => {
       const userAnswer = this.userAnswers.get(question.id);
-      const isCorrect = this.validateAnswer(question, userAnswer);
+      const credit = this.getAnswerCredit(question, userAnswer);
+      const isCorrect = credit === 1;
       
       if (isCorrect) correctCount++;
+      earnedCredit += credit;
       
+      const confidence = this.confidenceBased ? this.confidenceRatings.get(question.id) : undefined;
+
       questionResults.push({
         questionId: question.id,
         question: question.question,
         userAnswer,
         correctAnswer: question.correctAnswer,
-        isCorrect
+        isCorrect,
+        credit,
+        ...(confidence ? { confidence, certaintyMark: this.scoringEngine.getCertaintyMark(credit, confidence) } : {})
       });
     });
 
-    const score = Math.round((correctCount / totalCount) * 100);
+    const score = Math.round((earnedCredit / totalCount) * 100);
     const timeSpent = Date.now() - this.quizStartTime;
+    const certainty = this.confidenceBased ? this.scoringEngine.getCertaintySummary(questionResults) : null;
 
     return {
       score,
@@ -763,6 +919,7 @@ class QuizRenderer {
       totalCount,
       timeSpent,
       questionResults,
+      certainty,
       passed: score >= (this.currentQuiz.passingScore || 70)
     };
   }
@@ -803,6 +960,24 @@ class QuizRenderer {
     if (retryButton) {
       retryButton.style.display = this.allowRetries ? 'inline-flex' : 'none';
     }
+
+    this.renderCalibrationReport(results);
+  }
+
+  /**
+   * Render the certainty score and the calibration chart of a confidence-based quiz
+   */
+  renderCalibrationReport(results) {
+    if (!results.certainty) {
+      this.calibrationElement.style.display = 'none';
+      this.calibrationElement.innerHTML = '';
+      return;
+    }
+
+    const questionText = questionId => results.questionResults.find(result => result.questionId === questionId)?.question || questionId;
+
+    this.calibrationElement.style.display = 'block';
+    this.calibrationElement.innerHTML = renderCalibrationReport(results.certainty, questionText);
   }
 
   /**
@@ -846,6 +1021,7 @@ class QuizRenderer {
    */
   retryQuiz() {
     this.userAnswers.clear();
+    this.confidenceRatings.clear();
     this.isCompleted = false;
     this.currentQuestionIndex = 0;
     this.quizStartTime = Date.now();
@@ -911,6 +1087,7 @@ class QuizRenderer {
     }
     
     this.userAnswers.clear();
+    this.confidenceRatings.clear();
     
     console.log('[QuizRenderer] Destroyed');
   }
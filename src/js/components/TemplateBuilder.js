@@ -0,0 +1,631 @@
+/**
+ * Template Builder Component - Visual editor for custom JSON template packs
+ * Lets authors create template packs or variants of built-in templates, validate them and install or download the JSON
+ */
+import BaseComponent from './BaseComponent.js';
+import { PACK_FORMAT, PACK_SCHEMA_VERSION, ELEMENTS, SECTION_TYPES } from '../templates/TemplatePackValidator.js';
+
+const ELEMENT_LABELS = {
+  E0875: 'Elemento 1 - Identificación',
+  E0876: 'Elemento 2 - Desarrollo',
+  E0877: 'Elemento 3 - Presentación'
+};
+
+const SECTION_TYPE_LABELS = {
+  textarea: 'Texto largo',
+  text: 'Texto corto',
+  list: 'Lista',
+  matrix: 'Matriz',
+  table: 'Tabla',
+  structured: 'Estructurado',
+  form: 'Formulario',
+  date: 'Fecha',
+  currency: 'Moneda',
+  template: 'Texto con formato',
+  signature: 'Firma',
+  gantt: 'Cronograma',
+  questionBuilder: 'Banco de preguntas'
+};
+
+// Types allowed inside structured sections and forms
+const CHILD_TYPES = ['textarea', 'text', 'list', 'date', 'currency'];
+
+class TemplateBuilder extends BaseComponent {
+  constructor(element, options = {}) {
+    super('TemplateBuilder', element, {
+      dependencies: [],
+      events: {
+        'change .builder-input': 'handleInputChange',
+        'click .builder-action': 'handleAction',
+        'change .pack-file-input': 'handlePackFile',
+        'click .close-builder-btn': 'handleClose'
+      },
+      autoMount: true,
+      reactive: true
+    });
+
+    this.documentEngine = options.documentEngine || null;
+
+    // Builder state
+    this.pack = this.createEmptyPack();
+    this.selectedTemplateIndex = 0;
+    this.validation = null;
+  }
+
+  async onInitialize() {
+    if (!this.documentEngine) {
+      throw new Error('DocumentEngine not available for the template builder');
+    }
+  }
+
+  createEmptyPack() {
+    return {
+      format: PACK_FORMAT,
+      schemaVersion: PACK_SCHEMA_VERSION,
+      id: 'mi_paquete',
+      name: 'Mi paquete de plantillas',
+      version: '1.0.0',
+      author: '',
+      description: '',
+      templates: [this.createEmptyTemplate(1)]
+    };
+  }
+
+  createEmptyTemplate(number) {
+    return {
+      id: `plantilla_${number}`,
+      title: `Nueva plantilla ${number}`,
+      element: 'E0875',
+      description: '',
+      estimatedTime: 30,
+      required: false,
+      evaluationCriteria: [],
+      sections: [this.createEmptySection(1)]
+    };
+  }
+
+  createEmptySection(number) {
+    return {
+      id: `seccion_${number}`,
+      title: `Sección ${number}`,
+      type: 'textarea',
+      required: true,
+      placeholder: ''
+    };
+  }
+
+  defaultTemplate() {
+    const template = this.pack.templates[this.selectedTemplateIndex];
+
+    return `
+      <div class="template-builder">
+        <div class="builder-header">
+          <div>
+            <h2>Constructor de Plantillas</h2>
+            <p>Diseñe plantillas propias o variantes de las plantillas EC0249 y compártalas como paquetes JSON.</p>
+          </div>
+          <button class="btn btn-outline close-builder-btn" aria-label="Cerrar constructor">✕</button>
+        </div>
+
+        <div class="builder-toolbar">
+          <button class="btn btn-outline builder-action" data-builder-action="new-pack">📄 Nuevo paquete</button>
+          <button class="btn btn-outline builder-action" data-builder-action="load-pack">📂 Cargar JSON</button>
+          <input type="file" class="pack-file-input" accept=".json,application/json" hidden>
+          <button class="btn btn-outline builder-action" data-builder-action="validate">✔️ Validar</button>
+          <button class="btn btn-outline builder-action" data-builder-action="download">💾 Descargar JSON</button>
+          <button class="btn btn-primary builder-action" data-builder-action="install">📥 Instalar paquete</button>
+        </div>
+
+        <div class="builder-layout">
+          <div class="builder-main">
+            ${this.renderPackFields()}
+            ${this.renderTemplateTabs()}
+            ${template ? this.renderTemplateEditor(template, this.selectedTemplateIndex) : ''}
+          </div>
+          <aside class="builder-sidebar">
+            ${this.renderValidation()}
+            ${this.renderInstalledPacks()}
+            <div class="builder-panel">
+              <h3>Vista previa JSON</h3>
+              <pre class="builder-json-preview">${this.escapeHtml(JSON.stringify(this.pack, null, 2))}</pre>
+            </div>
+          </aside>
+        </div>
+      </div>
+    `;
+  }
+
+  renderPackFields() {
+    return `
+      <div class="builder-panel">
+        <h3>Paquete</h3>
+        <div class="builder-grid">
+          ${this.renderInput('Identificador', 'id', this.pack.id)}
+          ${this.renderInput('Nombre', 'name', this.pack.name)}
+          ${this.renderInput('Versión', 'version', this.pack.version)}
+          ${this.renderInput('Autor', 'author', this.pack.author)}
+        </div>
+        ${this.renderTextarea('Descripción', 'description', this.pack.description)}
+      </div>
+    `;
+  }
+
+  renderTemplateTabs() {
+    return `
+      <div class="builder-tabs" role="tablist">
+        ${this.pack.templates.map((template, index) => `
+          <button class="builder-tab builder-action ${index === this.selectedTemplateIndex ? 'active' : ''}"
+                  role="tab" aria-selected="${index === this.selectedTemplateIndex}"
+                  data-builder-action="select-template" data-index="${index}">
+            ${this.escapeHtml(template.title || template.id || `Plantilla ${index + 1}`)}
+          </button>
+        `).join('')}
+        <button class="builder-tab builder-action add-tab" data-builder-action="add-template">➕ Plantilla</button>
+      </div>
+    `;
+  }
+
+  renderTemplateEditor(template, index) {
+    const path = `templates.${index}`;
+    const builtIns = this.documentEngine.getAvailableTemplates().filter(candidate => !candidate.pack);
+
+    return `
+      <div class="builder-panel builder-template">
+        <div class="builder-panel-header">
+          <h3>Plantilla</h3>
+          <button class="btn btn-sm btn-outline builder-action" data-builder-action="remove-template" data-index="${index}"
+                  ${this.pack.templates.length === 1 ? 'disabled' : ''}>🗑️ Eliminar plantilla</button>
+        </div>
+        <div class="builder-grid">
+          ${this.renderInput('Identificador', `${path}.id`, template.id)}
+          ${this.renderInput('Título', `${path}.title`, template.title)}
+          <label class="builder-field">
+            <span>Elemento</span>
+            <select class="builder-input" data-path="${path}.element">
+              ${ELEMENTS.map(element => `
+                <option value="${element}" ${template.element === element ? 'selected' : ''}>${ELEMENT_LABELS[element]}</option>
+              `).join('')}
+            </select>
+          </label>
+          <label class="builder-field">
+            <span>Basada en</span>
+            <select class="builder-input" data-path="${path}.basedOn" data-rerender="true">
+              <option value="">Plantilla nueva</option>
+              ${builtIns.map(candidate => `
+                <option value="${candidate.id}" ${template.basedOn === candidate.id ? 'selected' : ''}>${this.escapeHtml(candidate.title)}</option>
+              `).join('')}
+            </select>
+          </label>
+          ${this.renderInput('Tiempo estimado (min)', `${path}.estimatedTime`, template.estimatedTime, 'number')}
+          <label class="builder-field builder-checkbox">
+            <input type="checkbox" class="builder-input" data-path="${path}.required" data-format="boolean" ${template.required ? 'checked' : ''}>
+            <span>Obligatoria</span>
+          </label>
+        </div>
+        ${this.renderTextarea('Descripción', `${path}.description`, template.description)}
+        ${this.renderTextarea('Criterios de evaluación (uno por línea)', `${path}.evaluationCriteria`, (template.evaluationCriteria || []).join('\n'), 'lines')}
+
+        <div class="builder-sections">
+          <h4>Secciones</h4>
+          ${(template.sections || []).map((section, sectionIndex) => this.renderSectionEditor(section, `${path}.sections.${sectionIndex}`, sectionIndex, template.sections.length)).join('')}
+          <button class="btn btn-sm btn-outline builder-action" data-builder-action="add-section" data-path="${path}.sections">➕ Agregar sección</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderSectionEditor(section, path, index, count) {
+    const childKey = section.type === 'form' ? 'fields' : 'subsections';
+    const hasChildren = section.type === 'structured' || section.type === 'form';
+    const parentPath = path.substring(0, path.lastIndexOf('.'));
+
+    return `
+      <div class="builder-section">
+        <div class="builder-section-header">
+          <span class="builder-section-number">${index + 1}</span>
+          <div class="builder-section-actions">
+            <button class="btn btn-sm btn-outline builder-action" data-builder-action="move-item" data-path="${parentPath}" data-index="${index}" data-offset="-1"
+                    ${index === 0 ? 'disabled' : ''} aria-label="Subir sección">↑</button>
+            <button class="btn btn-sm btn-outline builder-action" data-builder-action="move-item" data-path="${parentPath}" data-index="${index}" data-offset="1"
+                    ${index === count - 1 ? 'disabled' : ''} aria-label="Bajar sección">↓</button>
+            <button class="btn btn-sm btn-outline builder-action" data-builder-action="remove-item" data-path="${parentPath}" data-index="${index}"
+                    aria-label="Eliminar sección">✕</button>
+          </div>
+        </div>
+        <div class="builder-grid">
+          ${this.renderInput('Identificador', `${path}.id`, section.id)}
+          ${this.renderInput('Título', `${path}.title`, section.title)}
+          ${this.renderTypeSelect(`${path}.type`, section.type, SECTION_TYPES)}
+          ${this.renderInput('Longitud mínima', `${path}.validation.minLength`, section.validation?.minLength ?? '', 'number')}
+          <label class="builder-field builder-checkbox">
+            <input type="checkbox" class="builder-input" data-path="${path}.required" data-format="boolean" ${section.required ? 'checked' : ''}>
+            <span>Obligatoria</span>
+          </label>
+        </div>
+        ${this.renderInput('Texto de ayuda', `${path}.placeholder`, section.placeholder)}
+        ${section.type === 'matrix' || section.type === 'table' ? `
+          ${this.renderInput('Encabezados (separados por comas)', `${path}.headers`, (section.headers || []).join(', '), 'csv')}
+        ` : ''}
+        ${hasChildren ? `
+          <div class="builder-children">
+            <h5>${section.type === 'form' ? 'Campos' : 'Subsecciones'}</h5>
+            ${(section[childKey] || []).map((child, childIndex) => `
+              <div class="builder-child">
+                ${this.renderInput('Identificador', `${path}.${childKey}.${childIndex}.id`, child.id)}
+                ${this.renderInput('Título', `${path}.${childKey}.${childIndex}.${childKey === 'fields' ? 'label' : 'title'}`, childKey === 'fields' ? child.label : child.title)}
+                ${this.renderTypeSelect(`${path}.${childKey}.${childIndex}.type`, child.type, CHILD_TYPES)}
+                <button class="btn btn-sm btn-outline builder-action" data-builder-action="remove-item" data-path="${path}.${childKey}" data-index="${childIndex}"
+                        aria-label="Eliminar">✕</button>
+              </div>
+            `).join('')}
+            <button class="btn btn-sm btn-outline builder-action" data-builder-action="add-child" data-path="${path}.${childKey}">
+              ➕ Agregar ${section.type === 'form' ? 'campo' : 'subsección'}
+            </button>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderTypeSelect(path, value, types) {
+    return `
+      <label class="builder-field">
+        <span>Tipo</span>
+        <select class="builder-input" data-path="${path}" data-rerender="true">
+          ${types.map(type => `
+            <option value="${type}" ${value === type ? 'selected' : ''}>${SECTION_TYPE_LABELS[type]}</option>
+          `).join('')}
+        </select>
+      </label>
+    `;
+  }
+
+  renderInput(label, path, value, format = 'text') {
+    return `
+      <label class="builder-field">
+        <span>${label}</span>
+        <input type="${format === 'number' ? 'number' : 'text'}" class="builder-input" data-path="${path}" data-format="${format}"
+               value="${this.escapeAttribute(value ?? '')}" ${format === 'number' ? 'min="0"' : ''}>
+      </label>
+    `;
+  }
+
+  renderTextarea(label, path, value, format = 'text') {
+    return `
+      <label class="builder-field builder-field-wide">
+        <span>${label}</span>
+        <textarea class="builder-input" data-path="${path}" data-format="${format}" rows="3">${this.escapeHtml(value ?? '')}</textarea>
+      </label>
+    `;
+  }
+
+  renderValidation() {
+    if (!this.validation) return '';
+
+    const { isValid, errors, warnings } = this.validation;
+    return `
+      <div class="builder-panel builder-validation ${isValid ? 'valid' : 'invalid'}" role="status">
+        <h3>${isValid ? '✅ Paquete válido' : `❌ ${errors.length} error(es)`}</h3>
+        ${errors.length > 0 ? `
+          <ul class="builder-errors">${errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}</ul>
+        ` : ''}
+        ${warnings.length > 0 ? `
+          <ul class="builder-warnings">${warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}</ul>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderInstalledPacks() {
+    const packs = this.documentEngine.getTemplatePacks();
+
+    return `
+      <div class="builder-panel builder-installed">
+        <h3>Paquetes instalados</h3>
+        ${packs.length === 0 ? '<p class="builder-empty">Aún no hay paquetes instalados.</p>' : `
+          <ul class="installed-pack-list">
+            ${packs.map(pack => `
+              <li class="installed-pack">
+                <div>
+                  <strong>${this.escapeHtml(pack.name)}</strong>
+                  <span class="installed-pack-meta">v${pack.version} · ${pack.templates.length} plantilla(s)</span>
+                </div>
+                <div class="installed-pack-actions">
+                  <button class="btn btn-sm btn-outline builder-action" data-builder-action="edit-pack" data-pack-id="${pack.id}">Editar</button>
+                  <button class="btn btn-sm btn-outline builder-action" data-builder-action="export-pack" data-pack-id="${pack.id}">Exportar</button>
+                  <button class="btn btn-sm btn-outline builder-action" data-builder-action="remove-pack" data-pack-id="${pack.id}">Eliminar</button>
+                </div>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+      </div>
+    `;
+  }
+
+  /**
+   * Event handlers
+   */
+  handleInputChange(event) {
+    const input = event.currentTarget;
+    const path = input.dataset.path;
+    let value;
+
+    switch (input.dataset.format) {
+      case 'boolean':
+        value = input.checked;
+        break;
+      case 'number':
+        value = input.value === '' ? undefined : Number(input.value);
+        break;
+      case 'lines':
+        value = input.value.split('\n').map(line => line.trim()).filter(Boolean);
+        break;
+      case 'csv':
+        value = input.value.split(',').map(item => item.trim()).filter(Boolean);
+        break;
+      default:
+        value = input.value.trim();
+    }
+
+    if (path.endsWith('.basedOn')) {
+      this.applyBaseTemplate(path, value);
+    } else {
+      this.setValue(path, value);
+    }
+
+    if (path.endsWith('.type')) {
+      this.prepareSectionType(this.getValue(path.substring(0, path.lastIndexOf('.'))));
+    }
+
+    if (input.dataset.rerender) {
+      this.render();
+    } else {
+      // Keep focus in the form; only the preview needs refreshing
+      const preview = this.element.querySelector('.builder-json-preview');
+      if (preview) {
+        preview.textContent = JSON.stringify(this.pack, null, 2);
+      }
+    }
+  }
+
+  async handleAction(event) {
+    event.preventDefault();
+    const button = event.currentTarget;
+    const { builderAction, path, packId } = button.dataset;
+    const index = Number(button.dataset.index);
+
+    switch (builderAction) {
+      case 'select-template':
+        this.selectedTemplateIndex = index;
+        break;
+
+      case 'add-template':
+        this.pack.templates.push(this.createEmptyTemplate(this.pack.templates.length + 1));
+        this.selectedTemplateIndex = this.pack.templates.length - 1;
+        break;
+
+      case 'remove-template':
+        if (!confirm('¿Eliminar esta plantilla del paquete?')) return;
+        this.pack.templates.splice(index, 1);
+        this.selectedTemplateIndex = Math.max(0, Math.min(this.selectedTemplateIndex, this.pack.templates.length - 1));
+        break;
+
+      case 'add-section': {
+        const sections = this.getValue(path);
+        sections.push(this.createEmptySection(sections.length + 1));
+        break;
+      }
+
+      case 'add-child': {
+        const children = this.getValue(path);
+        const number = children.length + 1;
+        children.push(path.endsWith('.fields')
+          ? { id: `campo_${number}`, label: `Campo ${number}`, type: 'text' }
+          : { id: `subseccion_${number}`, title: `Subsección ${number}`, type: 'textarea' });
+        break;
+      }
+
+      case 'move-item': {
+        const items = this.getValue(path);
+        const target = index + Number(button.dataset.offset);
+        if (target < 0 || target >= items.length) return;
+        [items[index], items[target]] = [items[target], items[index]];
+        break;
+      }
+
+      case 'remove-item':
+        this.getValue(path).splice(index, 1);
+        break;
+
+      case 'new-pack':
+        if (!confirm('¿Descartar el paquete actual y empezar uno nuevo?')) return;
+        this.pack = this.createEmptyPack();
+        this.selectedTemplateIndex = 0;
+        this.validation = null;
+        break;
+
+      case 'load-pack': {
+        const fileInput = this.element.querySelector('.pack-file-input');
+        if (fileInput) {
+          fileInput.value = '';
+          fileInput.click();
+        }
+        return;
+      }
+
+      case 'validate':
+        this.validation = this.documentEngine.validateTemplatePack(this.pack);
+        break;
+
+      case 'download':
+        this.validation = this.documentEngine.validateTemplatePack(this.pack);
+        if (this.validation.isValid) {
+          this.downloadFile({
+            content: JSON.stringify(this.pack, null, 2),
+            filename: `${this.pack.id}_v${this.pack.version}.json`,
+            mimeType: 'application/json'
+          });
+        }
+        break;
+
+      case 'install':
+        await this.installPack();
+        break;
+
+      case 'edit-pack': {
+        const pack = this.documentEngine.getTemplatePacks().find(candidate => candidate.id === packId);
+        this.loadPack(JSON.parse(JSON.stringify(pack)));
+        break;
+      }
+
+      case 'export-pack':
+        this.downloadFile(this.documentEngine.exportTemplatePack(packId));
+        return;
+
+      case 'remove-pack':
+        if (!confirm('¿Eliminar este paquete y sus plantillas?')) return;
+        try {
+          await this.documentEngine.removeTemplatePack(packId);
+          this.emit('template-builder:changed', { packId });
+        } catch (error) {
+          this.validation = { isValid: false, errors: [error.message], warnings: [] };
+        }
+        break;
+
+      default:
+        console.warn(`[TemplateBuilder] Unknown action: ${builderAction}`);
+        return;
+    }
+
+    this.render();
+  }
+
+  async handlePackFile(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const pack = JSON.parse(await file.text());
+      this.loadPack(pack);
+    } catch (error) {
+      console.error('[TemplateBuilder] Failed to load pack file:', error);
+      this.validation = { isValid: false, errors: ['El archivo no es un JSON válido'], warnings: [] };
+    }
+
+    this.render();
+  }
+
+  handleClose(event) {
+    event?.preventDefault();
+    this.emit('template-builder:close');
+  }
+
+  async installPack() {
+    this.validation = this.documentEngine.validateTemplatePack(this.pack);
+    if (!this.validation.isValid) return;
+
+    try {
+      const result = await this.documentEngine.installTemplatePack(this.pack);
+      this.validation = {
+        isValid: true,
+        errors: [],
+        warnings: [
+          result.previousVersion
+            ? `Paquete actualizado de la versión ${result.previousVersion} a la ${result.pack.version}`
+            : `Paquete instalado con ${result.templates.length} plantilla(s)`,
+          ...result.warnings
+        ]
+      };
+      this.emit('template-builder:changed', { packId: result.pack.id });
+    } catch (error) {
+      this.validation = { isValid: false, errors: error.validation?.errors || [error.message], warnings: [] };
+    }
+  }
+
+  loadPack(pack) {
+    this.pack = {
+      ...this.createEmptyPack(),
+      ...pack,
+      templates: Array.isArray(pack.templates) && pack.templates.length > 0 ? pack.templates : [this.createEmptyTemplate(1)]
+    };
+    this.selectedTemplateIndex = 0;
+    this.validation = this.documentEngine.validateTemplatePack(this.pack);
+  }
+
+  applyBaseTemplate(path, baseId) {
+    const template = this.getValue(path.substring(0, path.lastIndexOf('.')));
+    if (!baseId) {
+      delete template.basedOn;
+      return;
+    }
+
+    // Start the variant from a copy of the base so the author edits real sections
+    const base = this.documentEngine.getTemplate(baseId);
+    template.basedOn = baseId;
+    template.element = base.element;
+    template.estimatedTime = base.estimatedTime;
+    template.evaluationCriteria = [...(base.evaluationCriteria || [])];
+    template.sections = JSON.parse(JSON.stringify(base.sections));
+    if (!template.title || /^Nueva plantilla \d+$/.test(template.title)) {
+      template.title = `${base.title} (variante)`;
+    }
+  }
+
+  prepareSectionType(section) {
+    if ((section.type === 'matrix' || section.type === 'table') && !section.headers) {
+      section.headers = ['Columna 1', 'Columna 2'];
+    }
+    if (section.type === 'structured' && !section.subsections) {
+      section.subsections = [{ id: 'subseccion_1', title: 'Subsección 1', type: 'textarea' }];
+    }
+    if (section.type === 'form' && !section.fields) {
+      section.fields = [{ id: 'campo_1', label: 'Campo 1', type: 'text' }];
+    }
+  }
+
+  getValue(path) {
+    return path.split('.').reduce((target, key) => target?.[key], this.pack);
+  }
+
+  setValue(path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((current, key) => {
+      if (current[key] === undefined) current[key] = {};
+      return current[key];
+    }, this.pack);
+
+    if (value === undefined || value === '') {
+      delete target[last];
+    } else {
+      target[last] = value;
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  escapeAttribute(text) {
+    return this.escapeHtml(String(text)).replace(/"/g, '&quot;');
+  }
+
+  downloadFile(exportResult) {
+    const blob = new Blob([exportResult.content], { type: exportResult.mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = exportResult.filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+export default TemplateBuilder;
@@ -0,0 +1,226 @@
+/**
+ * Annotation Manager - Reviewer annotations anchored to document sections
+ * Creates annotations and reads/writes the JSON review files exchanged between mentor and candidate
+ */
+import DocumentBlockBuilder from '../exporters/DocumentBlockBuilder.js';
+
+const REVIEW_FORMAT = 'ec0249-review';
+const REVIEW_VERSION = 1;
+
+// Annotation ids end up in data attributes of the editor
+const ANNOTATION_ID_PATTERN = /^[\w-]+$/;
+
+const AUTHOR_ROLES = {
+  mentor: 'Mentor',
+  candidate: 'Candidato(a)'
+};
+
+class AnnotationManager {
+  constructor() {
+    this.blockBuilder = new DocumentBlockBuilder();
+  }
+
+  /**
+   * Create a new annotation
+   * @param {Object} template - Document template, used to validate the anchor
+   * @param {Object} input - Annotation input ({ sectionId, fieldId, text, author, authorRole })
+   * @returns {Object} Annotation
+   */
+  createAnnotation(template, { sectionId, fieldId = null, text, author = '', authorRole = 'candidate' }) {
+    if (!text || !text.trim()) {
+      throw new Error('El comentario no puede estar vacío');
+    }
+    this.validateAnchor(template, sectionId, fieldId);
+
+    const now = Date.now();
+    return {
+      id: `ann_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      sectionId,
+      fieldId: fieldId || null,
+      text: text.trim(),
+      author: author.trim(),
+      authorRole: AUTHOR_ROLES[authorRole] ? authorRole : 'candidate',
+      status: 'open',
+      createdAt: now,
+      updatedAt: now,
+      resolvedAt: null,
+      resolvedBy: null
+    };
+  }
+
+  /**
+   * Change the status of an annotation
+   * @param {Object} annotation - Annotation to update
+   * @param {string} status - 'open' or 'resolved'
+   * @param {string} actor - Name of who changed the status
+   * @returns {Object} Updated annotation
+   */
+  setStatus(annotation, status, actor = '') {
+    if (status !== 'open' && status !== 'resolved') {
+      throw new Error(`Invalid annotation status: ${status}`);
+    }
+
+    const now = Date.now();
+    return {
+      ...annotation,
+      status,
+      updatedAt: now,
+      resolvedAt: status === 'resolved' ? now : null,
+      resolvedBy: status === 'resolved' ? actor : null
+    };
+  }
+
+  /**
+   * Get the fields an annotation can be anchored to inside a section
+   * @param {Object} section - Template section
+   * @returns {Array} Anchors ({ id, title })
+   */
+  getFieldAnchors(section) {
+    return (section.subsections || section.fields || []).map(field => ({
+      id: field.id || field.name,
+      title: field.title || field.label || field.id || field.name
+    }));
+  }
+
+  validateAnchor(template, sectionId, fieldId) {
+    const section = template.sections.find(candidate => candidate.id === sectionId);
+    if (!section) {
+      throw new Error(`La sección "${sectionId}" no existe en la plantilla ${template.id}`);
+    }
+    if (fieldId && !this.getFieldAnchors(section).some(anchor => anchor.id === fieldId)) {
+      throw new Error(`El campo "${fieldId}" no existe en la sección "${section.title}"`);
+    }
+  }
+
+  /**
+   * Build a review file for a document
+   * The document data travels with the review so a mentor without the document can open it
+   * @param {Object} document - Reviewed document
+   * @param {Object} options - Export options (exportedBy)
+   * @returns {Object} Review file contents
+   */
+  createReviewFile(document, { exportedBy = '' } = {}) {
+    return {
+      format: REVIEW_FORMAT,
+      version: REVIEW_VERSION,
+      exportedAt: new Date().toISOString(),
+      exportedBy,
+      document: {
+        id: document.id,
+        templateId: document.templateId,
+        title: document.title,
+        version: document.version,
+        data: document.data
+      },
+      annotations: document.metadata?.annotations || []
+    };
+  }
+
+  /**
+   * Build the downloadable review file for a document
+   * @param {Object} document - Reviewed document
+   * @param {Object} options - Export options (exportedBy)
+   * @returns {Object} Export result ({ content, filename, mimeType })
+   */
+  exportReviewFile(document, options = {}) {
+    return {
+      content: JSON.stringify(this.createReviewFile(document, options), null, 2),
+      filename: `revision_${this.blockBuilder.toFilename(document.title)}.json`,
+      mimeType: 'application/json'
+    };
+  }
+
+  /**
+   * Parse and validate a review file
+   * Annotations without a plain id are dropped and the rest are rebuilt field by field,
+   * so nothing else in the file reaches the editor.
+   * @param {string|Object} content - Review file text or parsed object
+   * @param {Map} templates - Available templates
+   * @returns {Object} Validated review
+   */
+  parseReviewFile(content, templates) {
+    let review = content;
+    if (typeof content === 'string') {
+      try {
+        review = JSON.parse(content);
+      } catch (error) {
+        throw new Error('El archivo de revisión no es un JSON válido');
+      }
+    }
+
+    if (!review || review.format !== REVIEW_FORMAT) {
+      throw new Error('El archivo no es una revisión de documentos EC0249');
+    }
+    if (review.version > REVIEW_VERSION) {
+      throw new Error(`Versión de archivo de revisión no soportada: ${review.version}`);
+    }
+    if (!review.document?.id || !review.document?.templateId) {
+      throw new Error('El archivo de revisión no identifica el documento revisado');
+    }
+
+    const template = templates.get(review.document.templateId);
+    if (!template) {
+      throw new Error(`La plantilla ${review.document.templateId} del archivo de revisión no está disponible`);
+    }
+    if (!Array.isArray(review.annotations)) {
+      throw new Error('El archivo de revisión no contiene comentarios');
+    }
+
+    const annotations = [];
+    review.annotations.forEach((annotation, index) => {
+      if (!annotation?.id || typeof annotation.text !== 'string' || !['open', 'resolved'].includes(annotation.status)) {
+        throw new Error(`El comentario ${index + 1} del archivo de revisión está incompleto`);
+      }
+      if (typeof annotation.id !== 'string' || !ANNOTATION_ID_PATTERN.test(annotation.id)) return;
+      this.validateAnchor(template, annotation.sectionId, annotation.fieldId);
+
+      annotations.push({
+        id: annotation.id,
+        sectionId: annotation.sectionId,
+        fieldId: annotation.fieldId || null,
+        text: annotation.text,
+        author: String(annotation.author ?? ''),
+        authorRole: AUTHOR_ROLES[annotation.authorRole] ? annotation.authorRole : 'candidate',
+        status: annotation.status,
+        createdAt: Number(annotation.createdAt) || 0,
+        updatedAt: Number(annotation.updatedAt) || 0,
+        resolvedAt: annotation.resolvedAt ? Number(annotation.resolvedAt) || null : null,
+        resolvedBy: annotation.resolvedBy ? String(annotation.resolvedBy) : null
+      });
+    });
+
+    return { ...review, annotations };
+  }
+
+  /**
+   * Merge imported annotations into the existing ones; the most recently updated copy wins
+   * @param {Array} existing - Current annotations
+   * @param {Array} incoming - Imported annotations
+   * @returns {Object} Merge result ({ annotations, added, updated })
+   */
+  merge(existing = [], incoming = []) {
+    const merged = new Map(existing.map(annotation => [annotation.id, annotation]));
+    let added = 0;
+    let updated = 0;
+
+    incoming.forEach(annotation => {
+      const current = merged.get(annotation.id);
+      if (!current) {
+        merged.set(annotation.id, { ...annotation });
+        added++;
+      } else if ((annotation.updatedAt || 0) > (current.updatedAt || 0)) {
+        merged.set(annotation.id, { ...annotation });
+        updated++;
+      }
+    });
+
+    const annotations = Array.from(merged.values()).sort((a, b) => a.createdAt - b.createdAt);
+    return { annotations, added, updated };
+  }
+
+  getAuthorRoles() {
+    return AUTHOR_ROLES;
+  }
+}
+
+export default AnnotationManager;
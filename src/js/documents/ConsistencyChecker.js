@@ -0,0 +1,361 @@
+/**
+ * Consistency Checker - Cross-document validation for Element 1 products
+ * Compares the problem description against the impact and information integration documents
+ */
+
+// Templates compared by the checker, in the order they are produced
+const RELATED_TEMPLATES = [
+  'problem_description',
+  'current_situation_impact',
+  'information_integration',
+  'impact_analysis_report'
+];
+
+const IMPACT_CATEGORIES = {
+  operational: { label: 'operacional', keywords: ['operac', 'operat', 'proces', 'product', 'calidad', 'retras', 'eficien', 'logist', 'tiempo'] },
+  financial: { label: 'financiero', keywords: ['financ', 'econom', 'costo', 'gasto', 'venta', 'ingres', 'utilid', 'perdid', 'rentab', 'presupu'] },
+  human: { label: 'en el personal', keywords: ['human', 'person', 'emplead', 'rotaci', 'clima', 'motiva', 'ausent', 'capacit', 'colabor'] },
+  strategic: { label: 'estratégico', keywords: ['estrat', 'mercad', 'compet', 'client', 'imagen', 'reputa', 'crecim'] }
+};
+
+const EXCLUSION_PATTERN = /(?:no incluye|no se incluye|no contempla|no abarca|excluye|queda fuera|quedan fuera|fuera del alcance)\s*:?\s*([^.;\n]+)/g;
+
+const STOPWORDS = new Set([
+  'para', 'como', 'pero', 'porque', 'sobre', 'entre', 'desde', 'hasta', 'durante', 'donde', 'cuando',
+  'este', 'esta', 'estos', 'estas', 'ese', 'esa', 'esos', 'esas', 'aquel', 'aquella', 'otro', 'otra', 'otros', 'otras',
+  'cada', 'todo', 'toda', 'todos', 'todas', 'mismo', 'misma', 'muy', 'mas', 'menos', 'tambien', 'solo', 'sino',
+  'que', 'cual', 'cuales', 'quien', 'quienes', 'cuyo', 'cuya', 'sus', 'nuestro', 'nuestra', 'nuestros', 'nuestras',
+  'ser', 'son', 'era', 'fue', 'han', 'hay', 'haber', 'sido', 'tiene', 'tienen', 'tener', 'puede', 'pueden', 'estar',
+  'estan', 'hace', 'hacen', 'debe', 'deben', 'forma', 'parte', 'manera', 'embargo', 'ademas', 'asi', 'dicho',
+  'empresa', 'organizacion', 'area', 'areas', 'problema', 'situacion', 'actual'
+]);
+
+class ConsistencyChecker {
+  /**
+   * @param {Object} options - Checker options
+   * @param {number} options.minProblemCoverage - Share of key problem terms a related document must mention
+   * @param {number} options.maxKeyTerms - Key terms taken from the problem statement
+   */
+  constructor({ minProblemCoverage = 0.2, maxKeyTerms = 12 } = {}) {
+    this.minProblemCoverage = minProblemCoverage;
+    this.maxKeyTerms = maxKeyTerms;
+  }
+
+  /**
+   * IDs of the templates compared by the checker
+   * @returns {Array<string>} Template IDs
+   */
+  getRelatedTemplateIds() {
+    return [...RELATED_TEMPLATES];
+  }
+
+  /**
+   * Check the related Element 1 documents against each other
+   * @param {Object} documents - Latest document per template ID
+   * @param {Map} templates - Template definitions
+   * @returns {Object} Consistency report ({ isConsistent, score, issues, checkedDocuments, checkedAt })
+   */
+  check(documents, templates) {
+    const issues = [];
+    const title = templateId => templates.get(templateId)?.title || templateId;
+
+    RELATED_TEMPLATES.forEach(templateId => {
+      if (!documents[templateId]) {
+        issues.push({
+          type: 'info',
+          rule: 'missing_document',
+          templates: [templateId],
+          message: `No se ha creado "${title(templateId)}"; se omitieron las verificaciones que lo involucran.`
+        });
+      }
+    });
+
+    const data = Object.fromEntries(RELATED_TEMPLATES.map(templateId => [templateId, documents[templateId]?.data || null]));
+
+    if (data.problem_description) {
+      issues.push(...this.checkProblemReferences(data, title));
+      issues.push(...this.checkScope(data, templates, title));
+    }
+    issues.push(...this.checkImpactCategories(data, templates, title));
+    if (data.current_situation_impact && data.information_integration) {
+      issues.push(...this.checkImpactSupport(data, templates, title));
+    }
+
+    const errors = issues.filter(issue => issue.type === 'error').length;
+    const warnings = issues.filter(issue => issue.type === 'warning').length;
+
+    return {
+      isConsistent: errors === 0 && warnings === 0,
+      score: Math.max(0, 100 - errors * 25 - warnings * 10),
+      issues: issues.map((issue, index) => ({ id: `consistency_${index + 1}`, ...issue })),
+      checkedDocuments: RELATED_TEMPLATES.map(templateId => ({
+        templateId,
+        title: title(templateId),
+        documentId: documents[templateId]?.id || null
+      })),
+      checkedAt: Date.now()
+    };
+  }
+
+  /**
+   * Related documents must talk about the problem that was described
+   */
+  checkProblemReferences(data, title) {
+    const problem = data.problem_description;
+    const keyTerms = this.getKeyTerms(`${this.toText(problem.problem_statement)}\n${this.toText(problem.problem_interpretation)}`);
+    if (keyTerms.length < 3) return [];
+
+    const related = {
+      current_situation_impact: d => [d.impact_analysis, d.identified_impacts],
+      information_integration: d => [d.congruency_analysis, d.information_interpretation, d.collected_information],
+      impact_analysis_report: d => [d.situation_definition, d.identified_impacts]
+    };
+
+    const issues = [];
+    Object.entries(related).forEach(([templateId, pickText]) => {
+      if (!data[templateId]) return;
+
+      const text = pickText(data[templateId]).map(value => this.toText(value)).join('\n');
+      const terms = new Set(this.getTerms(text));
+      if (terms.size === 0) return;
+
+      const missing = keyTerms.filter(({ term }) => !terms.has(term));
+      if ((keyTerms.length - missing.length) / keyTerms.length < this.minProblemCoverage) {
+        issues.push({
+          type: 'warning',
+          rule: 'missing_problem_reference',
+          templates: ['problem_description', templateId],
+          message: `"${title(templateId)}" no hace referencia al problema planteado en "${title('problem_description')}".`,
+          details: `Términos clave del problema no mencionados: ${missing.slice(0, 5).map(({ word }) => word).join(', ')}`
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Affected areas must fall inside the scope of the problem
+   */
+  checkScope(data, templates, title) {
+    const problem = data.problem_description;
+    const scopeText = this.normalize(this.toText(problem.scope_definition));
+    if (!scopeText) return [];
+
+    const excludedTerms = new Set();
+    for (const match of scopeText.matchAll(EXCLUSION_PATTERN)) {
+      this.getTerms(match[1]).forEach(term => excludedTerms.add(term));
+    }
+
+    const includedText = scopeText.replace(EXCLUSION_PATTERN, ' ');
+    const problemTerms = new Set(this.getTerms(`${includedText}\n${this.toText(problem.problem_statement)}`));
+
+    const issues = [];
+    this.getAffectedAreas(data, templates).forEach(({ area, templateId }) => {
+      const areaTerms = this.getTerms(area);
+      if (areaTerms.length === 0) return;
+
+      if (areaTerms.some(term => excludedTerms.has(term))) {
+        issues.push({
+          type: 'error',
+          rule: 'scope_contradiction',
+          templates: ['problem_description', templateId],
+          message: `"${area}" aparece como afectada en "${title(templateId)}", pero el alcance del problema la excluye explícitamente.`
+        });
+      } else if (!areaTerms.some(term => problemTerms.has(term))) {
+        issues.push({
+          type: 'warning',
+          rule: 'scope_mismatch',
+          templates: ['problem_description', templateId],
+          message: `"${area}" aparece como afectada en "${title(templateId)}", pero no se menciona en el alcance del problema.`
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  /**
+   * Impact types must match across the description, the impact matrix and the impact report
+   */
+  checkImpactCategories(data, templates, title) {
+    const sources = {};
+
+    if (data.problem_description) {
+      const impact = data.problem_description.current_impact || {};
+      sources.problem_description = new Set(
+        [['operational', impact.operational_impact], ['financial', impact.financial_impact], ['human', impact.human_impact]]
+          .filter(([, value]) => this.toText(value))
+          .map(([category]) => category)
+      );
+    }
+
+    if (data.current_situation_impact) {
+      const rows = this.getMatrixRows(data.current_situation_impact.identified_impacts, templates, 'current_situation_impact', 'identified_impacts');
+      sources.current_situation_impact = new Set(rows.map(row => this.classifyImpact(`${row[1]} ${row[3]}`)).filter(Boolean));
+    }
+
+    if (data.impact_analysis_report) {
+      const impacts = data.impact_analysis_report.identified_impacts || {};
+      sources.impact_analysis_report = new Set(
+        [['operational', impacts.operational_impacts], ['financial', impacts.financial_impacts],
+         ['human', impacts.human_impacts], ['strategic', impacts.strategic_impacts]]
+          .filter(([, value]) => this.toText(value))
+          .map(([category]) => category)
+      );
+    }
+
+    const pairs = [
+      ['problem_description', 'current_situation_impact'],
+      ['current_situation_impact', 'impact_analysis_report'],
+      ['problem_description', 'impact_analysis_report']
+    ];
+
+    const issues = [];
+    pairs.forEach(([first, second]) => {
+      const a = sources[first];
+      const b = sources[second];
+      if (!a || !b || a.size === 0 || b.size === 0) return;
+
+      // The problem description has no strategic impact section, so it can't disagree on it
+      const comparable = category => category !== 'strategic' || first !== 'problem_description';
+
+      [[a, b, first, second], [b, a, second, first]].forEach(([present, other, from, to]) => {
+        present.forEach(category => {
+          if (comparable(category) && !other.has(category)) {
+            issues.push({
+              type: 'warning',
+              rule: 'impact_mismatch',
+              templates: [from, to],
+              message: `"${title(from)}" describe un impacto ${IMPACT_CATEGORIES[category].label} que no aparece en "${title(to)}".`
+            });
+          }
+        });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Each detected impact must be backed by the integrated information
+   */
+  checkImpactSupport(data, templates, title) {
+    const integration = data.information_integration;
+    const integrationTerms = new Set(this.getTerms(
+      [integration.collected_information, integration.congruency_analysis, integration.information_interpretation]
+        .map(value => this.toText(value)).join('\n')
+    ));
+    if (integrationTerms.size === 0) return [];
+
+    const rows = this.getMatrixRows(data.current_situation_impact.identified_impacts, templates, 'current_situation_impact', 'identified_impacts');
+
+    return rows
+      .filter(row => {
+        const terms = this.getTerms(`${row[0]} ${row[3]}`);
+        return terms.length > 0 && !terms.some(term => integrationTerms.has(term));
+      })
+      .map(row => ({
+        type: 'warning',
+        rule: 'unsupported_impact',
+        templates: ['current_situation_impact', 'information_integration'],
+        message: `El impacto "${row[0] || row[3]}" de "${title('current_situation_impact')}" no tiene sustento en "${title('information_integration')}".`
+      }));
+  }
+
+  /**
+   * Affected areas listed in the impact matrix
+   */
+  getAffectedAreas(data, templates) {
+    if (!data.current_situation_impact) return [];
+
+    return this.getMatrixRows(data.current_situation_impact.identified_impacts, templates, 'current_situation_impact', 'identified_impacts')
+      .map(row => ({ area: row[0], templateId: 'current_situation_impact' }))
+      .filter(({ area }) => area);
+  }
+
+  /**
+   * Normalize matrix rows to arrays ordered like the template headers
+   */
+  getMatrixRows(value, templates, templateId, sectionId) {
+    if (!Array.isArray(value)) return [];
+
+    const headers = templates.get(templateId)?.sections.find(section => section.id === sectionId)?.headers || [];
+    return value
+      .map(row => Array.isArray(row)
+        ? headers.map((header, index) => String(row[index] ?? '').trim())
+        : headers.map(header => String(row?.[header] ?? '').trim()))
+      .filter(row => row.some(cell => cell));
+  }
+
+  classifyImpact(text) {
+    const terms = this.getTerms(text);
+    let best = null;
+    let bestHits = 0;
+
+    Object.entries(IMPACT_CATEGORIES).forEach(([category, { keywords }]) => {
+      const hits = terms.filter(term => keywords.some(keyword => term.startsWith(keyword))).length;
+      if (hits > bestHits) {
+        best = category;
+        bestHits = hits;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Most frequent terms of a text, with the first word seen for each term
+   */
+  getKeyTerms(text) {
+    const counts = new Map();
+    this.getWords(text).forEach(word => {
+      const term = this.stem(word);
+      const entry = counts.get(term) || { term, word, count: 0 };
+      entry.count++;
+      counts.set(term, entry);
+    });
+
+    return Array.from(counts.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, this.maxKeyTerms)
+      .map(({ term, word }) => ({ term, word }));
+  }
+
+  /**
+   * Normalized, stopword-free, lightly stemmed terms
+   */
+  getTerms(text) {
+    return this.getWords(text).map(word => this.stem(word));
+  }
+
+  getWords(text) {
+    return this.normalize(text)
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 3 && !STOPWORDS.has(word));
+  }
+
+  stem(word) {
+    return word
+      .replace(/(ciones|cion)$/, 'c')
+      .replace(/(es|s)$/, '')
+      .slice(0, 7);
+  }
+
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .normalize('NFC');
+  }
+
+  toText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(item => this.toText(item)).filter(Boolean).join('\n');
+    if (typeof value === 'object') return Object.values(value).map(item => this.toText(item)).filter(Boolean).join('\n');
+    return String(value).trim();
+  }
+}
+
+export default ConsistencyChecker;
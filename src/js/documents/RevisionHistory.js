@@ -0,0 +1,238 @@
+/**
+ * Revision History - Bounded per-document revision snapshots
+ * Keeps timestamped copies of saved document data and builds section-level diffs between them
+ */
+
+const REASON_LABELS = {
+  initial: 'Versión inicial',
+  autosave: 'Guardado automático',
+  save: 'Guardado manual',
+  import: 'Importación de borrador',
+  restore: 'Restauración'
+};
+
+class RevisionHistory {
+  /**
+   * @param {Object} options - History options
+   * @param {number} options.maxRevisions - Revisions kept per document
+   * @param {number} options.coalesceWindow - Consecutive autosaves within this window (ms) share one revision
+   */
+  constructor({ maxRevisions = 30, coalesceWindow = 120000 } = {}) {
+    this.maxRevisions = maxRevisions;
+    this.coalesceWindow = coalesceWindow;
+    this.revisions = new Map();
+  }
+
+  /**
+   * Load persisted revisions
+   * @param {Object} saved - Revisions keyed by document ID
+   */
+  load(saved) {
+    this.revisions.clear();
+    Object.entries(saved || {}).forEach(([documentId, revisions]) => {
+      if (Array.isArray(revisions)) {
+        this.revisions.set(documentId, revisions.slice(-this.maxRevisions));
+      }
+    });
+  }
+
+  /**
+   * Serialize revisions for storage
+   * @returns {Object} Revisions keyed by document ID
+   */
+  toJSON() {
+    return Object.fromEntries(this.revisions);
+  }
+
+  /**
+   * Record the current state of a document
+   * @param {Object} document - Saved document
+   * @param {string} reason - Why the revision was recorded (initial, autosave, save, import, restore)
+   * @returns {Object|null} Recorded revision, or null if nothing changed
+   */
+  record(document, reason = 'save') {
+    const revisions = this.revisions.get(document.id) || [];
+    const latest = revisions[revisions.length - 1];
+    const snapshot = JSON.stringify(document.data ?? {});
+    const now = Date.now();
+
+    if (latest && JSON.stringify(latest.data) === snapshot) {
+      return null;
+    }
+
+    const revision = {
+      id: `rev_${now}_${Math.random().toString(36).substr(2, 6)}`,
+      version: document.version,
+      timestamp: now,
+      completionPercentage: document.completionPercentage || 0,
+      reason,
+      data: JSON.parse(snapshot)
+    };
+
+    // Bursts of autosaves collapse into a single revision so they don't push out older work
+    if (latest && reason === 'autosave' && latest.reason === 'autosave' &&
+        now - latest.createdAt < this.coalesceWindow) {
+      revision.id = latest.id;
+      revision.createdAt = latest.createdAt;
+      revisions[revisions.length - 1] = revision;
+    } else {
+      revision.createdAt = now;
+      revisions.push(revision);
+    }
+
+    if (revisions.length > this.maxRevisions) {
+      revisions.splice(0, revisions.length - this.maxRevisions);
+    }
+
+    this.revisions.set(document.id, revisions);
+    return revision;
+  }
+
+  /**
+   * Get revisions for a document, newest first
+   * @param {string} documentId - Document identifier
+   * @returns {Array} Revisions
+   */
+  getRevisions(documentId) {
+    return (this.revisions.get(documentId) || []).slice().reverse();
+  }
+
+  /**
+   * Get a single revision
+   * @param {string} documentId - Document identifier
+   * @param {string} revisionId - Revision identifier
+   * @returns {Object|null} Revision
+   */
+  getRevision(documentId, revisionId) {
+    return (this.revisions.get(documentId) || []).find(revision => revision.id === revisionId) || null;
+  }
+
+  /**
+   * Drop all revisions of a document
+   * @param {string} documentId - Document identifier
+   */
+  remove(documentId) {
+    this.revisions.delete(documentId);
+  }
+
+  /**
+   * Drop all revisions
+   */
+  clear() {
+    this.revisions.clear();
+  }
+
+  /**
+   * Compare two versions of a document section by section
+   * @param {Object} template - Document template
+   * @param {Object} beforeData - Older document data
+   * @param {Object} afterData - Newer document data
+   * @returns {Array} Section diffs ({ sectionId, title, status, before, after, lines })
+   */
+  diff(template, beforeData = {}, afterData = {}) {
+    return template.sections.map(section => {
+      const before = this.formatValue(section, beforeData[section.id]);
+      const after = this.formatValue(section, afterData[section.id]);
+
+      let status = 'unchanged';
+      if (before !== after) {
+        if (!before) status = 'added';
+        else if (!after) status = 'removed';
+        else status = 'modified';
+      }
+
+      return {
+        sectionId: section.id,
+        title: section.title,
+        status,
+        before,
+        after,
+        lines: status === 'unchanged' ? [] : this.diffLines(before, after)
+      };
+    });
+  }
+
+  /**
+   * Line diff based on the longest common subsequence
+   * @param {string} before - Older text
+   * @param {string} after - Newer text
+   * @returns {Array} Lines ({ type: 'same'|'removed'|'added', text })
+   */
+  diffLines(before, after) {
+    const a = before ? before.split('\n') : [];
+    const b = after ? after.split('\n') : [];
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        lines.push({ type: 'same', text: a[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        lines.push({ type: 'removed', text: a[i++] });
+      } else {
+        lines.push({ type: 'added', text: b[j++] });
+      }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+    return lines;
+  }
+
+  /**
+   * Render a section value as plain text for comparison
+   * @param {Object} section - Template section
+   * @param {*} value - Section data
+   * @returns {string} Text representation
+   */
+  formatValue(section, value) {
+    if (value === null || value === undefined) return '';
+
+    if (typeof value !== 'object') {
+      return String(value).trim();
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => {
+        if (Array.isArray(item)) {
+          return item.map(cell => String(cell ?? '').trim()).join(' | ');
+        }
+        if (item && typeof item === 'object') {
+          const headers = section.headers || Object.keys(item);
+          return headers.map(header => String(item[header] ?? '').trim()).join(' | ');
+        }
+        return `• ${String(item ?? '').trim()}`;
+      }).filter(line => line.replace(/[|•\s]/g, '') !== '').join('\n');
+    }
+
+    const parts = section.subsections || section.fields || [];
+    return Object.entries(value).map(([key, subValue]) => {
+      const part = parts.find(candidate => (candidate.id || candidate.name) === key) || { id: key };
+      const text = this.formatValue(part, subValue);
+      return text ? `${part.title || part.label || key}:\n${text}` : '';
+    }).filter(Boolean).join('\n');
+  }
+
+  /**
+   * Human-readable label for a revision reason
+   * @param {string} reason - Revision reason
+   * @returns {string} Label
+   */
+  getReasonLabel(reason) {
+    return REASON_LABELS[reason] || reason;
+  }
+}
+
+export default RevisionHistory;
@@ -0,0 +1,107 @@
+/**
+ * Rubric Evaluator - Scores documents against their template evaluation criteria
+ * Builds rubric evaluations, computes per-document readiness and the portfolio readiness summary
+ */
+
+const RATINGS = {
+  met: { label: 'Cumple', weight: 1 },
+  partial: { label: 'Cumple parcialmente', weight: 0.5 },
+  not_met: { label: 'No cumple', weight: 0 }
+};
+
+const EVALUATOR_ROLES = {
+  self: 'Autoevaluación',
+  peer: 'Evaluación de un par',
+  mentor: 'Evaluación del mentor'
+};
+
+class RubricEvaluator {
+  /**
+   * @param {Object} options - Evaluator options
+   * @param {number} options.readyThreshold - Score at which a document counts as ready
+   */
+  constructor({ readyThreshold = 80 } = {}) {
+    this.readyThreshold = readyThreshold;
+  }
+
+  /**
+   * Build an evaluation for a template, keeping ratings from an existing one
+   * Criteria are matched by text so evaluations survive criteria being reordered
+   * @param {Object} template - Document template
+   * @param {Object|null} existing - Previously saved evaluation
+   * @returns {Object} Evaluation
+   */
+  createEvaluation(template, existing = null) {
+    const previous = new Map((existing?.criteria || []).map(item => [item.criterion, item]));
+
+    const evaluation = {
+      evaluatorRole: existing?.evaluatorRole || 'self',
+      evaluatorName: existing?.evaluatorName || '',
+      evaluatedAt: existing?.evaluatedAt || null,
+      criteria: (template.evaluationCriteria || []).map(criterion => ({
+        criterion,
+        rating: previous.get(criterion)?.rating || null,
+        evidence: (previous.get(criterion)?.evidence || []).map(note => ({ ...note }))
+      }))
+    };
+
+    evaluation.score = this.calculateScore(evaluation);
+    return evaluation;
+  }
+
+  /**
+   * Readiness score of an evaluation; unrated criteria count as not met
+   * @param {Object} evaluation - Rubric evaluation
+   * @returns {number} Score from 0 to 100
+   */
+  calculateScore(evaluation) {
+    const criteria = evaluation?.criteria || [];
+    if (criteria.length === 0) return 0;
+
+    const points = criteria.reduce((sum, item) => sum + (RATINGS[item.rating]?.weight || 0), 0);
+    return Math.round((points / criteria.length) * 100);
+  }
+
+  /**
+   * Summarize readiness across the required templates
+   * @param {Array} templates - Templates to consider
+   * @param {Function} getDocument - Returns the document evaluated for a template ID
+   * @returns {Object} Summary ({ score, evaluatedCount, readyCount, requiredCount, templates })
+   */
+  summarize(templates, getDocument) {
+    const required = templates.filter(template => template.required !== false);
+
+    const results = required.map(template => {
+      const evaluation = getDocument(template.id)?.metadata?.rubricEvaluation || null;
+      const score = evaluation ? this.calculateScore(evaluation) : 0;
+      return {
+        templateId: template.id,
+        title: template.title,
+        evaluated: !!evaluation?.evaluatedAt,
+        score,
+        ready: score >= this.readyThreshold
+      };
+    });
+
+    const total = results.reduce((sum, result) => sum + result.score, 0);
+
+    return {
+      score: results.length > 0 ? Math.round(total / results.length) : 0,
+      evaluatedCount: results.filter(result => result.evaluated).length,
+      readyCount: results.filter(result => result.ready).length,
+      requiredCount: results.length,
+      readyThreshold: this.readyThreshold,
+      templates: results
+    };
+  }
+
+  getRatings() {
+    return RATINGS;
+  }
+
+  getEvaluatorRoles() {
+    return EVALUATOR_ROLES;
+  }
+}
+
+export default RubricEvaluator;
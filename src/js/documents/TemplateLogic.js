@@ -0,0 +1,321 @@
+/**
+ * Template Logic - Conditional sections, computed fields and cross-document references
+ * Evaluates the dynamic parts of a template definition against document data
+ */
+
+const NUMBER_FORMAT = new Intl.NumberFormat('es-MX', { maximumFractionDigits: 2 });
+
+const COLUMN_OPERATIONS = {
+  sum: values => values.reduce((total, value) => total + value, 0),
+  multiply: values => values.reduce((total, value) => total * value, 1),
+  subtract: values => values.slice(1).reduce((total, value) => total - value, values[0])
+};
+
+class TemplateLogic {
+  /**
+   * @param {Object} context - Lookups used by cross-document rules
+   * @param {Function} context.getDocument - Returns the document used for a template ID
+   * @param {Function} context.getTemplate - Returns a template by ID
+   */
+  constructor({ getDocument = () => null, getTemplate = () => null } = {}) {
+    this.getDocument = getDocument;
+    this.getTemplate = getTemplate;
+  }
+
+  /**
+   * Restrict a template to the sections and subsections whose showIf conditions hold
+   * @param {Object} template - Document template
+   * @param {Object} data - Document data
+   * @returns {Object} Template with only the applicable sections (the same object if nothing is conditional)
+   */
+  resolveTemplate(template, data = {}) {
+    const isConditional = template.sections.some(section =>
+      section.showIf || section.subsections?.some(subsection => subsection.showIf));
+    if (!isConditional) return template;
+
+    return {
+      ...template,
+      sections: template.sections
+        .filter(section => this.isVisible(section, data))
+        .map(section => section.subsections
+          ? { ...section, subsections: section.subsections.filter(subsection => this.isVisible(subsection, data)) }
+          : section)
+    };
+  }
+
+  /**
+   * Check whether a section applies to the given data
+   * @param {Object} section - Template section or subsection
+   * @param {Object} data - Document data
+   * @returns {boolean} True if the section has no condition or its condition holds
+   */
+  isVisible(section, data = {}) {
+    return !section.showIf || this.evaluateCondition(section.showIf, data);
+  }
+
+  /**
+   * Evaluate a showIf condition
+   * Conditions name a field by its path ("section.subsection") and one operator
+   * (equals, notEquals, in, contains, filled, greaterThan); they can be combined with all/any/not
+   * and read another document's data through "document" (a template ID).
+   * @param {Object} condition - Condition definition
+   * @param {Object} data - Document data
+   * @returns {boolean} Condition result
+   */
+  evaluateCondition(condition, data = {}) {
+    if (!condition) return true;
+    if (Array.isArray(condition.all)) return condition.all.every(item => this.evaluateCondition(item, data));
+    if (Array.isArray(condition.any)) return condition.any.some(item => this.evaluateCondition(item, data));
+    if (condition.not) return !this.evaluateCondition(condition.not, data);
+
+    let source = data;
+    if (condition.document) {
+      const document = this.getDocument(condition.document);
+      if (!condition.field) {
+        return condition.exists === false ? !document : !!document;
+      }
+      source = document?.data;
+    }
+
+    const value = this.getValue(source, condition.field);
+    const text = this.normalize(this.toText(value));
+
+    if ('equals' in condition) return text === this.normalize(String(condition.equals));
+    if ('notEquals' in condition) return text !== this.normalize(String(condition.notEquals));
+    if ('in' in condition) return condition.in.some(option => this.normalize(String(option)) === text);
+    if ('contains' in condition) return text.includes(this.normalize(String(condition.contains)));
+    if ('greaterThan' in condition) return this.parseNumber(value) > condition.greaterThan;
+    if ('filled' in condition) return this.isFilled(value) === condition.filled;
+
+    return this.isFilled(value);
+  }
+
+  /**
+   * Fill in computed matrix columns and computed fields
+   * Column formulas run first so computed fields can total computed columns.
+   * @param {Object} template - Document template
+   * @param {Object} data - Document data, updated in place
+   * @returns {Object} The same data object
+   */
+  applyComputedFields(template, data) {
+    const fields = this.collectSections(template);
+
+    fields.filter(({ section }) => section.computedColumns).forEach(({ section, path }) => {
+      const rows = this.getValue(data, path);
+      if (Array.isArray(rows)) {
+        rows.forEach(row => this.computeRow(section, row));
+      }
+    });
+
+    fields.filter(({ section }) => section.computed).forEach(({ section, path }) => {
+      this.setValue(data, path, this.computeValue(section.computed, data, template));
+    });
+
+    return data;
+  }
+
+  computeRow(section, row) {
+    if (!row || typeof row !== 'object') return;
+
+    Object.entries(section.computedColumns).forEach(([header, formula]) => {
+      const [operation, operands] = Object.entries(formula)[0] || [];
+      if (!COLUMN_OPERATIONS[operation] || !Array.isArray(operands)) return;
+
+      const values = operands.map(operand => this.parseNumber(this.getCell(row, section.headers, operand)));
+      const result = values.some(value => Number.isNaN(value)) ? '' : this.formatNumber(COLUMN_OPERATIONS[operation](values));
+      this.setCell(row, section.headers, header, result);
+    });
+  }
+
+  computeValue(computed, data, template) {
+    const source = computed.document ? this.getDocument(computed.document)?.data : data;
+    const sourceSection = this.findSection(computed.document ? this.getTemplate(computed.document) : template, computed.field);
+    const rows = this.getValue(source, computed.field);
+    if (!Array.isArray(rows) || !sourceSection || !computed.sum) return '';
+
+    // Computed columns are recalculated on a copy so totals never depend on a stale save of the source
+    const values = rows
+      .map(row => {
+        const copy = JSON.parse(JSON.stringify(row ?? null));
+        if (sourceSection.computedColumns) this.computeRow(sourceSection, copy);
+        return this.parseNumber(this.getCell(copy, sourceSection.headers, computed.sum));
+      })
+      .filter(value => !Number.isNaN(value));
+
+    return values.length > 0 ? this.formatNumber(COLUMN_OPERATIONS.sum(values)) : '';
+  }
+
+  /**
+   * Column totals shown under a matrix
+   * @param {Object} section - Matrix section with a "totals" list of headers
+   * @param {Array} rows - Matrix rows
+   * @returns {Object} Formatted totals keyed by header
+   */
+  getColumnTotals(section, rows = []) {
+    return Object.fromEntries((section.totals || []).map(header => {
+      const values = rows
+        .map(row => this.parseNumber(this.getCell(row, section.headers, header)))
+        .filter(value => !Number.isNaN(value));
+      return [header, values.length > 0 ? this.formatNumber(COLUMN_OPERATIONS.sum(values)) : ''];
+    }));
+  }
+
+  /**
+   * Check whether a field is calculated and must not be edited
+   * @param {Object} section - Template section or subsection
+   * @param {string} header - Matrix column header, for computed columns
+   * @returns {boolean} True for computed fields and columns
+   */
+  isComputed(section, header = null) {
+    return header ? !!section.computedColumns?.[header] : !!section.computed;
+  }
+
+  /**
+   * Resolve the value a section pulls from another document
+   * @param {Object} reference - Reference definition ({ document, field })
+   * @returns {Object|null} Source ({ value, templateId, documentId, title }), or null if the source has no value
+   */
+  resolveReference(reference) {
+    const document = this.getDocument(reference.document);
+    const value = this.getValue(document?.data, reference.field);
+    if (!this.isFilled(value)) return null;
+
+    return {
+      value: JSON.parse(JSON.stringify(value)),
+      templateId: reference.document,
+      documentId: document.id,
+      title: this.getTemplate(reference.document)?.title || reference.document
+    };
+  }
+
+  /**
+   * Fill referenced sections from their source documents
+   * @param {Object} template - Document template
+   * @param {Object} data - Document data, updated in place
+   * @param {Object} options - Options
+   * @param {boolean} options.overwrite - Replace sections that already have content
+   * @returns {Array} Paths of the filled sections
+   */
+  applyReferences(template, data, { overwrite = false } = {}) {
+    const filled = [];
+
+    this.collectSections(template)
+      .filter(({ section }) => section.reference)
+      .forEach(({ section, path }) => {
+        if (!overwrite && this.isFilled(this.getValue(data, path))) return;
+
+        const source = this.resolveReference(section.reference);
+        if (source) {
+          this.setValue(data, path, this.adaptValue(section, source.value));
+          filled.push(path);
+        }
+      });
+
+    return filled;
+  }
+
+  adaptValue(section, value) {
+    if ((section.type === 'text' || section.type === 'textarea') && typeof value !== 'string') {
+      return this.toText(value);
+    }
+    return value;
+  }
+
+  collectSections(template) {
+    const fields = [];
+    (template?.sections || []).forEach(section => {
+      fields.push({ section, path: section.id });
+      (section.subsections || []).forEach(subsection => {
+        fields.push({ section: subsection, path: `${section.id}.${subsection.id}` });
+      });
+    });
+    return fields;
+  }
+
+  findSection(template, path) {
+    return this.collectSections(template).find(field => field.path === path)?.section || null;
+  }
+
+  /**
+   * Read a value by dotted path
+   * @param {Object} data - Document data
+   * @param {string} path - Field path ("section" or "section.subsection")
+   * @returns {*} Value, or undefined
+   */
+  getValue(data, path) {
+    if (!path) return undefined;
+    return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), data);
+  }
+
+  /**
+   * Write a value by dotted path, creating intermediate objects
+   * @param {Object} data - Document data
+   * @param {string} path - Field path
+   * @param {*} value - Value to write
+   */
+  setValue(data, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((current, key) => {
+      if (!current[key] || typeof current[key] !== 'object') current[key] = {};
+      return current[key];
+    }, data);
+    target[last] = value;
+  }
+
+  getCell(row, headers = [], header) {
+    if (Array.isArray(row)) {
+      return row[(headers || []).indexOf(header)];
+    }
+    return row?.[header];
+  }
+
+  setCell(row, headers = [], header, value) {
+    if (Array.isArray(row)) {
+      const index = (headers || []).indexOf(header);
+      if (index >= 0) row[index] = value;
+    } else {
+      row[header] = value;
+    }
+  }
+
+  /**
+   * Parse an amount typed by the user ("$1,250.50", "3", "15 %")
+   * @param {*} value - Raw value
+   * @returns {number} Parsed number, or NaN
+   */
+  parseNumber(value) {
+    if (typeof value === 'number') return value;
+    const cleaned = String(value ?? '').replace(/,/g, '').replace(/[^\d.-]/g, '');
+    return cleaned === '' ? NaN : parseFloat(cleaned);
+  }
+
+  formatNumber(value) {
+    return NUMBER_FORMAT.format(Math.round(value * 100) / 100);
+  }
+
+  isFilled(value) {
+    if (value === null || value === undefined) return false;
+    if (typeof value === 'string') return value.trim().length > 0;
+    if (Array.isArray(value)) return value.some(item => this.isFilled(item));
+    if (typeof value === 'object') return Object.values(value).some(item => this.isFilled(item));
+    return true;
+  }
+
+  toText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+      return value.map(item => this.toText(item)).filter(Boolean).join('\n');
+    }
+    if (typeof value === 'object') {
+      return Object.values(value).map(item => this.toText(item)).filter(Boolean).join('\n');
+    }
+    return String(value).trim();
+  }
+
+  normalize(text) {
+    return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+  }
+}
+
+export default TemplateLogic;
@@ -15,6 +15,11 @@
  * - Advanced scoring algorithms with weighted results
  * - Progress tracking and attempt management
  * - Question randomization and answer shuffling
+ * - Balanced test forms drawn per attempt from a tagged question bank
+ * - Computerized adaptive mode that picks each item from the current ability estimate
+ * - Rubric pre-score of open answers and a mentor review queue for essays
+ * - Spaced-repetition review deck built from missed questions and lesson concepts
+ * - Mock certification exam combining knowledge, simulations and required products
  * - Comprehensive result analysis and feedback
  * - Session management with pause/resume capability
  * - Integration with EC0249 competency standards
@@ -28,6 +33,7 @@
  * - Standard scoring: Correct/incorrect evaluation
  * - Weighted scoring: Different question values
  * - Partial credit: Graduated scoring for complex answers
+ * - Adaptive scoring: IRT ability estimate with confidence interval
  * - Competency mapping: Alignment with EC0249 standards
  * 
  * @example
@@ -47,7 +53,23 @@
 import Module from '../core/Module.js';
 import QuestionTypes from '../assessment/QuestionTypes.js';
 import AssessmentDefinitions from '../assessment/AssessmentDefinitions.js';
-import ScoringEngine from '../assessment/ScoringEngine.js';
+import QuestionBank from '../assessment/QuestionBank.js';
+import AdaptiveTester from '../assessment/AdaptiveTester.js';
+import ScoringEngine, { CONFIDENCE_LEVELS } from '../assessment/ScoringEngine.js';
+import OpenResponseGrader from '../assessment/OpenResponseGrader.js';
+import ReviewDeck from '../assessment/ReviewDeck.js';
+import CertificationReadiness from '../assessment/CertificationReadiness.js';
+import ItemAnalysis from '../assessment/ItemAnalysis.js';
+import QtiExporter from '../exporters/QtiExporter.js';
+import GiftExporter from '../exporters/GiftExporter.js';
+import QtiImporter from '../importers/QtiImporter.js';
+import GiftImporter from '../importers/GiftImporter.js';
+
+// Assessment used as the knowledge section of the mock certification exam
+const MOCK_EXAM_ID = 'ec0249_mock_certification';
+
+// Question types graded against a rubric instead of an answer key
+const OPEN_QUESTION_TYPES = ['short_answer', 'essay'];
 
 class AssessmentEngine extends Module {
   /**
@@ -65,6 +87,9 @@ class AssessmentEngine extends Module {
    * - questionTypes: Supported question type formats
    * - shuffleQuestions: Randomize question order
    * - shuffleOptions: Randomize answer options
+   * - adaptive: Stopping rules of the adaptive mode (minItems, maxItems, targetStandardError)
+   * - clockWhileAway: Whether the clock of a paused session keeps running ('run') or stops ('pause');
+   *   assessment definitions can override it
    * 
    * @constructor
    * @since 2.0.0
@@ -75,9 +100,15 @@ class AssessmentEngine extends Module {
       saveInterval: 30000,
       minPassingScore: 70,
       maxAttempts: 3,
-      questionTypes: ['multiple_choice', 'true_false', 'short_answer', 'essay', 'matching'],
+      questionTypes: ['multiple_choice', 'true_false', 'short_answer', 'essay', 'matching', 'ordering', 'fill_blank'],
       shuffleQuestions: true,
-      shuffleOptions: true
+      shuffleOptions: true,
+      clockWhileAway: 'pause',
+      adaptive: {
+        minItems: 5,
+        maxItems: 20,
+        targetStandardError: 0.5
+      }
     });
 
     this.assessments = new Map();
@@ -91,7 +122,25 @@ class AssessmentEngine extends Module {
     // Assessment components
     this.questionTypes = null;
     this.assessmentDefinitions = null;
+    this.questionBank = null;
+    this.adaptiveTester = null;
     this.scoringEngine = null;
+    this.openResponseGrader = null;
+    this.reviewDeck = null;
+    this.certificationReadiness = null;
+    this.itemAnalysis = null;
+    this.questionExporters = null;
+    this.qtiImporter = null;
+    this.giftImporter = null;
+
+    // Questions imported from QTI or GIFT files, kept to restore them in the bank
+    this.importedQuestions = new Map();
+
+    // Mock certification exam in progress and reports of finished ones
+    this.mockExam = null;
+    this.mockExamReports = [];
+    this.mockExamTimer = null;
+    this.mockExamTimeUp = false;
   }
 
   async onInitialize() {
@@ -102,7 +151,19 @@ class AssessmentEngine extends Module {
     // Initialize assessment components
     this.questionTypes = new QuestionTypes();
     this.assessmentDefinitions = new AssessmentDefinitions();
+    this.questionBank = new QuestionBank();
+    this.adaptiveTester = new AdaptiveTester(this.getConfig('adaptive'));
     this.scoringEngine = new ScoringEngine();
+    this.openResponseGrader = new OpenResponseGrader();
+    this.reviewDeck = new ReviewDeck();
+    this.certificationReadiness = new CertificationReadiness();
+    this.itemAnalysis = new ItemAnalysis();
+    this.questionExporters = {
+      qti: new QtiExporter(),
+      gift: new GiftExporter()
+    };
+    this.qtiImporter = new QtiImporter();
+    this.giftImporter = new GiftImporter();
 
     // Subscribe to assessment events
     this.subscribe('assessment:start', this.handleAssessmentStart.bind(this));
@@ -110,12 +171,19 @@ class AssessmentEngine extends Module {
     this.subscribe('assessment:complete', this.handleAssessmentComplete.bind(this));
     this.subscribe('question:answer', this.handleQuestionAnswer.bind(this));
     this.subscribe('timer:update', this.handleTimerUpdate.bind(this));
+    this.subscribe('simulation:completed', this.handleSimulationCompleted.bind(this));
 
     // Load assessment definitions
     await this.loadAssessmentDefinitions();
     
+    await this.loadImportedQuestions();
+
     // Load user progress
     await this.loadUserProgress();
+    await this.loadReviewDeck();
+    await this.loadMockExams();
+    await this.loadAssessmentSession();
+    this.scheduleMockExamDeadline();
 
     console.log('[AssessmentEngine] Initialized');
   }
@@ -146,23 +214,32 @@ class AssessmentEngine extends Module {
    * @description Initiates a new assessment session with question preparation,
    * timer setup, and session state management. Validates user eligibility,
    * prepares questions according to configuration, and sets up the assessment
-   * environment for user interaction.
+   * environment for user interaction. Assessments with a blueprint get a new form
+   * drawn from the question bank, favoring items not shown in previous attempts.
+   * In adaptive mode only the first item is chosen here; submitAnswer() picks the
+   * rest from the updated ability estimate until it is precise enough.
    * 
    * @param {string} assessmentId - Unique assessment identifier
    * @param {Object} [options={}] - Assessment session options
    * @param {boolean} [options.shuffleQuestions] - Override global shuffle setting
    * @param {boolean} [options.shuffleOptions] - Override global shuffle setting
    * @param {number} [options.timeLimit] - Override assessment time limit
-   * @param {string} [options.scoringMethod='standard'] - Scoring algorithm to use
+   * @param {string} [options.scoringMethod='standard'] - Scoring algorithm to use; 'certainty' marks each
+   *   answer by the confidence rated for it (see saveSessionProgress)
+   * @param {boolean} [options.adaptive=false] - Computerized adaptive test (blueprint assessments only)
    * 
    * @returns {Promise<Object>} Assessment session data
    * @returns {string} returns.sessionId - Unique session identifier
    * @returns {Object} returns.assessment - Assessment configuration
    * @returns {Object} returns.firstQuestion - First question to display
-   * @returns {number} returns.totalQuestions - Total number of questions
+   * @returns {number} returns.totalQuestions - Total number of questions (maximum number in adaptive mode)
    * @returns {number} returns.timeLimit - Session time limit in seconds
+   * @returns {boolean} returns.adaptive - Whether the session is adaptive
    * 
    * @throws {Error} Throws if assessment not found
+   * @throws {Error} Throws if a mock certification exam is in progress
+   * @throws {Error} Throws if adaptive mode is requested for an assessment without blueprint
+   * @throws {Error} Throws if the scoring method is unknown or does not match the adaptive mode
    * @throws {Error} Throws if maximum attempts exceeded
    * @throws {Error} Throws if user not eligible for assessment
    * 
@@ -183,15 +260,40 @@ class AssessmentEngine extends Module {
       throw new Error(`Assessment not found: ${assessmentId}`);
     }
 
+    // Another session would replace the knowledge section of the mock exam
+    if (this.mockExam) {
+      throw new Error('A mock certification exam is in progress');
+    }
+
     // Check attempt limits
     const userHistory = await this.getUserAssessmentHistory(assessmentId);
     if (userHistory.attempts >= assessment.allowedAttempts) {
       throw new Error('Maximum attempts exceeded');
     }
 
+    if (options.adaptive && !assessment.blueprint) {
+      throw new Error(`Adaptive mode requires a question bank blueprint: ${assessmentId}`);
+    }
+
+    const scoringMethod = options.adaptive ? 'adaptive' : options.scoringMethod || 'standard';
+    if (!this.scoringEngine.scoringMethods[scoringMethod]) {
+      throw new Error(`Unknown scoring method: ${scoringMethod}`);
+    }
+    if (options.scoringMethod && options.scoringMethod !== scoringMethod) {
+      throw new Error('Adaptive sessions are scored by ability estimate only');
+    }
+    if (scoringMethod === 'adaptive' && !options.adaptive) {
+      throw new Error('Adaptive scoring requires adaptive mode');
+    }
+
     // Prepare assessment session
     const sessionId = this.generateSessionId();
-    const questions = this.prepareQuestions(assessment, options);
+    const questions = options.adaptive
+      ? [this.selectAdaptiveItem(assessment, [], 0)]
+      : this.prepareQuestions(assessment, {
+        ...options,
+        exposure: this.getItemExposure(userHistory)
+      });
     
     this.currentAssessment = {
       id: sessionId,
@@ -200,9 +302,22 @@ class AssessmentEngine extends Module {
       startTime: Date.now(),
       timeLimit: assessment.timeLimit || 3600, // Default 1 hour
       responses: new Map(),
+      drafts: new Map(),
+      confidence: new Map(),
       currentQuestionIndex: 0,
-      status: 'in_progress'
+      position: 0,
+      questionStartTime: Date.now(),
+      questionTimes: {},
+      status: 'in_progress',
+      timeRemaining: assessment.timeLimit || null,
+      clockWhileAway: assessment.clockWhileAway || this.getConfig('clockWhileAway'),
+      pausedAt: null,
+      adaptive: options.adaptive
+        ? { theta: 0, standardError: 1, history: [] }
+        : null,
+      scoringMethod
     };
+    const totalQuestions = options.adaptive ? this.adaptiveTester.maxItems : questions.length;
 
     // Start timer if time limit exists
     if (assessment.timeLimit) {
@@ -215,16 +330,20 @@ class AssessmentEngine extends Module {
     this.emit('assessment:started', {
       sessionId,
       assessmentId,
-      totalQuestions: questions.length,
-      timeLimit: assessment.timeLimit
+      totalQuestions,
+      timeLimit: assessment.timeLimit,
+      adaptive: !!options.adaptive,
+      scoringMethod: this.currentAssessment.scoringMethod
     });
 
     return {
       sessionId,
       assessment: assessment,
       firstQuestion: questions[0],
-      totalQuestions: questions.length,
-      timeLimit: assessment.timeLimit
+      totalQuestions,
+      timeLimit: assessment.timeLimit,
+      adaptive: !!options.adaptive,
+      scoringMethod: this.currentAssessment.scoringMethod
     };
   }
 
@@ -233,9 +352,10 @@ class AssessmentEngine extends Module {
    * @param {string} sessionId - Session ID
    * @param {string} questionId - Question ID
    * @param {*} answer - User's answer
+   * @param {string} [confidence] - Confidence rated for the answer ('low', 'medium', 'high')
    * @returns {Object} Submission result
    */
-  async submitAnswer(sessionId, questionId, answer) {
+  async submitAnswer(sessionId, questionId, answer, confidence) {
     if (!this.currentAssessment || this.currentAssessment.id !== sessionId) {
       throw new Error('Invalid session');
     }
@@ -246,15 +366,21 @@ class AssessmentEngine extends Module {
     }
 
     // Store response
-    this.currentAssessment.responses.set(questionId, {
-      questionId,
-      answer,
-      timestamp: Date.now(),
-      timeSpent: Date.now() - (this.currentAssessment.questionStartTime || Date.now())
-    });
+    this.recordQuestionTime(questionId);
+    if (confidence) {
+      this.setConfidence(questionId, confidence);
+    }
+    this.currentAssessment.responses.set(questionId, this.createResponse(question, answer));
+    this.currentAssessment.drafts.delete(questionId);
 
     // Move to next question
     this.currentAssessment.currentQuestionIndex++;
+    this.currentAssessment.position = this.currentAssessment.currentQuestionIndex;
+
+    // Adaptive sessions only get a next question while the estimate is not precise enough
+    if (this.currentAssessment.adaptive) {
+      this.updateAdaptiveSession(question);
+    }
 
     // Save progress
     await this.saveAssessmentSession();
@@ -266,7 +392,7 @@ class AssessmentEngine extends Module {
       questionId,
       answer,
       isLastQuestion,
-      progress: (this.currentAssessment.currentQuestionIndex / this.currentAssessment.questions.length) * 100
+      progress: this.calculateProgress()
     });
 
     if (isLastQuestion) {
@@ -275,10 +401,303 @@ class AssessmentEngine extends Module {
 
     return {
       nextQuestion: this.currentAssessment.questions[this.currentAssessment.currentQuestionIndex],
-      progress: (this.currentAssessment.currentQuestionIndex / this.currentAssessment.questions.length) * 100
+      progress: this.calculateProgress()
+    };
+  }
+
+  createResponse(question, answer) {
+    const response = {
+      questionId: question.id,
+      answer,
+      timestamp: Date.now(),
+      timeSpent: this.currentAssessment.questionTimes[question.id] || 0
+    };
+
+    const confidence = this.currentAssessment.confidence.get(question.id);
+    if (confidence) {
+      response.confidence = confidence;
+    }
+
+    // Open answers get an automatic rubric pre-score; essays also wait for a mentor review
+    if (OPEN_QUESTION_TYPES.includes(question.type)) {
+      response.preScore = this.openResponseGrader.preScore(question, answer);
+      response.score = response.preScore.score;
+      response.reviewStatus = response.preScore.requiresReview ? 'pending' : 'automatic';
+    }
+
+    return response;
+  }
+
+  /**
+   * Add the time since the last change of question to a question (by default the one on screen)
+   */
+  recordQuestionTime(questionId = this.currentAssessment.questions[this.currentAssessment.position]?.id) {
+    const session = this.currentAssessment;
+    if (!session.questionStartTime) return;
+
+    if (questionId) {
+      session.questionTimes[questionId] = (session.questionTimes[questionId] || 0) + Date.now() - session.questionStartTime;
+    }
+    session.questionStartTime = Date.now();
+  }
+
+  /**
+   * Save answers and position of the current session without submitting them
+   * Saved answers are submitted when the session completes, so a reload or an expired
+   * clock does not lose them.
+   * @param {string} sessionId - Session ID
+   * @param {Object} progress - Session progress
+   * @param {Object} progress.answers - Answers by question ID
+   * @param {Object} [progress.confidence] - Confidence rated for each answer by question ID ('low', 'medium', 'high')
+   * @param {number} progress.position - Index of the question the candidate is on
+   */
+  async saveSessionProgress(sessionId, { answers = {}, confidence = {}, position } = {}) {
+    if (!this.currentAssessment || this.currentAssessment.id !== sessionId) {
+      throw new Error('Invalid session');
+    }
+
+    Object.entries(answers).forEach(([questionId, answer]) => {
+      if (!this.currentAssessment.questions.some(question => question.id === questionId)) {
+        throw new Error('Question not found');
+      }
+      this.currentAssessment.drafts.set(questionId, answer);
+    });
+    Object.entries(confidence).forEach(([questionId, level]) => this.setConfidence(questionId, level));
+
+    if (Number.isInteger(position) && position !== this.currentAssessment.position) {
+      this.recordQuestionTime();
+      this.currentAssessment.position = position;
+    }
+
+    await this.saveAssessmentSession();
+  }
+
+  setConfidence(questionId, level) {
+    if (!this.currentAssessment.questions.some(question => question.id === questionId)) {
+      throw new Error('Question not found');
+    }
+    if (!CONFIDENCE_LEVELS[level]) {
+      throw new Error(`Unknown confidence level: ${level}`);
+    }
+
+    this.currentAssessment.confidence.set(questionId, level);
+    // A rating given after the answer was submitted still counts
+    const response = this.currentAssessment.responses.get(questionId);
+    if (response) {
+      response.confidence = level;
+    }
+  }
+
+  /**
+   * Pause the current session while the candidate is away
+   * Whether the clock keeps running meanwhile depends on the session's clockWhileAway rule.
+   * @param {string} sessionId - Session ID
+   */
+  async pauseAssessment(sessionId) {
+    if (!this.currentAssessment || this.currentAssessment.id !== sessionId) {
+      throw new Error('Invalid session');
+    }
+    if (this.currentAssessment.status === 'paused') return;
+
+    this.stopTimer();
+    this.recordQuestionTime();
+    this.currentAssessment.questionStartTime = null;
+    if (this.currentAssessment.timeRemaining !== null) {
+      this.currentAssessment.timeRemaining = this.timeRemaining;
+    }
+    this.currentAssessment.status = 'paused';
+    this.currentAssessment.pausedAt = Date.now();
+
+    await this.saveAssessmentSession();
+
+    this.emit('assessment:paused', {
+      sessionId,
+      timeRemaining: this.currentAssessment.timeRemaining,
+      clockWhileAway: this.currentAssessment.clockWhileAway
+    });
+  }
+
+  /**
+   * Resume a paused session and restart its clock with the time that remains
+   * If the clock ran out while away, the session is completed with the answers saved so far.
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session state (see getCurrentSession), or null if the time ran out
+   */
+  async resumeAssessment(sessionId) {
+    if (!this.currentAssessment || this.currentAssessment.id !== sessionId) {
+      throw new Error('Invalid session');
+    }
+    if (this.currentAssessment.status !== 'paused') {
+      return this.getCurrentSession();
+    }
+
+    const timeRemaining = this.getSessionTimeRemaining();
+    const awayTime = Date.now() - this.currentAssessment.pausedAt;
+
+    this.currentAssessment.status = 'in_progress';
+    this.currentAssessment.pausedAt = null;
+    this.currentAssessment.questionStartTime = Date.now();
+
+    if (timeRemaining !== null) {
+      if (timeRemaining <= 0) {
+        this.timeRemaining = 0;
+        await this.handleTimeExpired();
+        return null;
+      }
+      this.currentAssessment.timeRemaining = timeRemaining;
+      this.startTimer(timeRemaining);
+    }
+
+    await this.saveAssessmentSession();
+
+    this.emit('assessment:resumed', {
+      sessionId,
+      timeRemaining,
+      awayTime
+    });
+
+    return this.getCurrentSession();
+  }
+
+  /**
+   * Get the state of the current session, with saved and submitted answers merged
+   * @returns {Object|null} Session ({ sessionId, assessmentId, title, questions, totalQuestions, answers, confidence,
+   *   position, status, timeRemaining, clockWhileAway, pausedAt, adaptive, scoringMethod }); adaptive sessions
+   *   only hold the questions administered so far, and totalQuestions is their maximum
+   */
+  getCurrentSession() {
+    const session = this.currentAssessment;
+    if (!session) return null;
+
+    const answers = {};
+    session.responses.forEach((response, questionId) => {
+      answers[questionId] = response.answer;
+    });
+    session.drafts.forEach((answer, questionId) => {
+      answers[questionId] = answer;
+    });
+
+    return {
+      sessionId: session.id,
+      assessmentId: session.assessmentId,
+      title: this.assessments.get(session.assessmentId)?.title || session.assessmentId,
+      questions: session.questions,
+      totalQuestions: session.adaptive ? this.adaptiveTester.maxItems : session.questions.length,
+      answers,
+      confidence: Object.fromEntries(session.confidence),
+      position: session.position,
+      status: session.status,
+      timeRemaining: this.getSessionTimeRemaining(),
+      clockWhileAway: session.clockWhileAway,
+      pausedAt: session.pausedAt,
+      adaptive: !!session.adaptive,
+      scoringMethod: session.scoringMethod
     };
   }
 
+  /**
+   * Seconds left on the clock of the current session (null when it is not timed)
+   * @returns {number|null} Time remaining
+   */
+  getSessionTimeRemaining() {
+    const session = this.currentAssessment;
+    if (!session || session.timeRemaining === null) return null;
+    if (session.status !== 'paused') return this.timeRemaining;
+
+    const awaySeconds = session.clockWhileAway === 'run'
+      ? Math.floor((Date.now() - session.pausedAt) / 1000)
+      : 0;
+    return Math.max(0, session.timeRemaining - awaySeconds);
+  }
+
+  /**
+   * Update the ability estimate of an adaptive session and queue the next item
+   * @param {Object} question - Question just answered
+   */
+  updateAdaptiveSession(question) {
+    const session = this.currentAssessment;
+    const answers = session.questions
+      .filter(item => session.responses.has(item.id))
+      .map(item => ({ item, correct: this.scoringEngine.evaluateResponse(item, session.responses.get(item.id)) }));
+
+    const estimate = this.adaptiveTester.estimateAbility(answers);
+    session.adaptive.theta = estimate.theta;
+    session.adaptive.standardError = estimate.standardError;
+    session.adaptive.history.push({
+      questionId: question.id,
+      correct: answers.find(answer => answer.item.id === question.id)?.correct || false,
+      ...estimate
+    });
+
+    const assessment = this.assessments.get(session.assessmentId);
+    const nextItem = this.adaptiveTester.shouldStop(estimate, answers.length)
+      ? null
+      : this.selectAdaptiveItem(assessment, session.questions, estimate.theta);
+
+    if (nextItem) {
+      session.questions.push(nextItem);
+    }
+
+    this.emit('assessment:ability_updated', {
+      sessionId: session.id,
+      ...estimate,
+      itemsAdministered: answers.length,
+      finished: !nextItem
+    });
+  }
+
+  /**
+   * Select the next item of an adaptive session from the assessment pool
+   * @param {Object} assessment - Assessment definition with blueprint
+   * @param {Array} administered - Items already administered
+   * @param {number} theta - Current ability estimate
+   * @returns {Object|null} Next question, or null if the pool is exhausted
+   */
+  selectAdaptiveItem(assessment, administered, theta) {
+    const item = this.adaptiveTester.selectNextItem(this.getAdaptivePool(assessment), {
+      theta,
+      administered,
+      strata: assessment.blueprint.strata || [],
+      matches: (candidate, filter) => this.questionBank.matches(candidate, filter)
+    });
+
+    if (!item && administered.length === 0) {
+      throw new Error('No question bank items match the assessment blueprint');
+    }
+
+    return item && this.getConfig('shuffleOptions') ? this.shuffleQuestionOptions(item) : item;
+  }
+
+  /**
+   * Bank items an adaptive session can use
+   * Open questions are left out: their grade may wait for a mentor, so they cannot update the estimate.
+   * @param {Object} assessment - Assessment definition with blueprint
+   * @returns {Array} Eligible items
+   */
+  getAdaptivePool(assessment) {
+    return this.questionBank.getItems(assessment.blueprint.pool)
+      .filter(item => !OPEN_QUESTION_TYPES.includes(item.type));
+  }
+
+  /**
+   * Progress of the current session
+   * Adaptive sessions report progress against the maximum test length.
+   * @returns {number} Progress percentage
+   */
+  calculateProgress() {
+    const session = this.currentAssessment;
+    if (!session) return 0;
+
+    if (session.adaptive) {
+      const answered = session.responses.size;
+      return answered >= session.questions.length
+        ? 100
+        : Math.min(100, (answered / this.adaptiveTester.maxItems) * 100);
+    }
+
+    return (session.currentQuestionIndex / session.questions.length) * 100;
+  }
+
   /**
    * Complete assessment and calculate score
    * @param {string} sessionId - Session ID
@@ -290,22 +709,36 @@ class AssessmentEngine extends Module {
     }
 
     const assessment = this.assessments.get(this.currentAssessment.assessmentId);
+
+    // Saved answers that were never submitted still count
+    this.recordQuestionTime();
+    this.currentAssessment.drafts.forEach((answer, questionId) => {
+      const question = this.currentAssessment.questions.find(item => item.id === questionId);
+      this.currentAssessment.responses.set(questionId, this.createResponse(question, answer));
+    });
+    this.currentAssessment.drafts.clear();
+
     this.currentAssessment.endTime = Date.now();
     this.currentAssessment.status = 'completed';
 
     // Stop timer
     this.stopTimer();
 
-    // Calculate score using ScoringEngine
+    // Calculate score using ScoringEngine against the form that was actually presented
     const scoreResult = this.scoringEngine.calculateScore(
-      assessment,
+      { ...assessment, questions: this.currentAssessment.questions },
       this.currentAssessment.responses,
       {
         timeSpent: (this.currentAssessment.endTime - this.currentAssessment.startTime) / 1000,
-        method: 'standard'
+        method: this.currentAssessment.scoringMethod,
+        referenceItems: this.currentAssessment.adaptive ? this.getAdaptivePool(assessment) : undefined
       }
     );
 
+    const pendingReview = this.currentAssessment.questions
+      .filter(question => this.currentAssessment.responses.get(question.id)?.reviewStatus === 'pending')
+      .map(question => question.id);
+
     // Store results
     const results = {
       sessionId,
@@ -313,7 +746,11 @@ class AssessmentEngine extends Module {
       score: scoreResult,
       completedAt: this.currentAssessment.endTime,
       duration: this.currentAssessment.endTime - this.currentAssessment.startTime,
-      responses: Array.from(this.currentAssessment.responses.entries())
+      questionIds: this.currentAssessment.questions.map(question => question.id),
+      questions: this.currentAssessment.questions,
+      responses: Array.from(this.currentAssessment.responses.entries()),
+      status: pendingReview.length > 0 ? 'pending_review' : 'completed',
+      pendingReview
     };
 
     this.assessmentResults.set(sessionId, results);
@@ -322,21 +759,482 @@ class AssessmentEngine extends Module {
     // Update user history
     await this.updateUserAssessmentHistory(this.currentAssessment.assessmentId, results);
 
+    // Missed questions go to the review deck; open responses wait for their final grade
+    await this.updateReviewDeck(
+      results,
+      results.questionIds.filter(questionId => !pendingReview.includes(questionId))
+    );
+
+    if (this.mockExam?.knowledgeSessionId === sessionId) {
+      this.emit('mock_exam:section_completed', {
+        mockExamId: this.mockExam.id,
+        section: 'knowledge',
+        score: scoreResult.percentage
+      });
+    }
+
     this.emit('assessment:completed', {
       sessionId,
       results: scoreResult,
-      passed: scoreResult.passed
+      passed: scoreResult.passed,
+      pendingReview: pendingReview.length > 0
     });
 
-    // Emit achievement events based on results
-    this.checkAchievementResults(this.currentAssessment.assessmentId, scoreResult, results);
+    // Results with essays awaiting review are provisional; achievements wait for the final grade
+    if (pendingReview.length > 0) {
+      this.emit('assessment:review_required', {
+        sessionId,
+        assessmentId: this.currentAssessment.assessmentId,
+        questionIds: pendingReview
+      });
+    } else {
+      this.checkAchievementResults(this.currentAssessment.assessmentId, scoreResult, results);
+    }
 
     // Clear current assessment
     this.currentAssessment = null;
+    await this.clearAssessmentSession();
+
+    return results;
+  }
+
+  /**
+   * Get the open responses waiting for a mentor review
+   * @returns {Array} Pending reviews by session ({ sessionId, assessmentId, title, completedAt, items })
+   */
+  getPendingReviews() {
+    return Array.from(this.assessmentResults.values())
+      .filter(results => results.status === 'pending_review')
+      .map(results => {
+        const responses = new Map(results.responses);
+
+        return {
+          sessionId: results.sessionId,
+          assessmentId: results.assessmentId,
+          title: this.assessments.get(results.assessmentId)?.title || results.assessmentId,
+          completedAt: results.completedAt,
+          items: results.pendingReview
+            .map(questionId => ({ question: this.findResultQuestion(results, questionId), response: responses.get(questionId) }))
+            .filter(({ question, response }) => question && response)
+            .map(({ question, response }) => ({
+              questionId: question.id,
+              question: question.question,
+              type: question.type,
+              rubric: this.openResponseGrader.getRubric(question),
+              answer: response.answer,
+              preScore: response.preScore || null
+            }))
+        };
+      });
+  }
+
+  /**
+   * Record a mentor grade for an open response and recompute the results
+   * Once no response is pending the results become final and achievements are awarded.
+   * @param {string} sessionId - Session ID of the completed assessment
+   * @param {string} questionId - Question ID
+   * @param {Object} grade - Mentor grade
+   * @param {Array} grade.criteria - Points per rubric criterion ({ criterion, points })
+   * @param {string} grade.feedback - Comments for the candidate
+   * @param {string} grade.reviewer - Name of the mentor
+   * @returns {Object} Updated assessment results
+   */
+  async gradeResponse(sessionId, questionId, grade = {}) {
+    const results = this.assessmentResults.get(sessionId);
+    if (!results) {
+      throw new Error(`Assessment results not found: ${sessionId}`);
+    }
+
+    const question = this.findResultQuestion(results, questionId);
+    const entry = results.responses.find(([id]) => id === questionId);
+    if (!question || !entry) {
+      throw new Error('Question not found');
+    }
+
+    const given = new Map((grade.criteria || []).map(item => [item.criterion, Number(item.points)]));
+    const criteria = this.openResponseGrader.getRubric(question).map(criterion => {
+      const points = given.get(criterion.criterion);
+      if (!Number.isFinite(points)) {
+        throw new Error(`Missing points for rubric criterion: ${criterion.criterion}`);
+      }
+      return {
+        criterion: criterion.criterion,
+        maxPoints: criterion.maxPoints,
+        points: Math.min(criterion.maxPoints, Math.max(0, points))
+      };
+    });
+
+    const maxPoints = criteria.reduce((sum, criterion) => sum + criterion.maxPoints, 0);
+    const points = criteria.reduce((sum, criterion) => sum + criterion.points, 0);
+    const response = entry[1];
+
+    response.review = {
+      criteria,
+      score: Math.round((points / maxPoints) * 100),
+      feedback: grade.feedback || '',
+      reviewer: grade.reviewer || '',
+      reviewedAt: Date.now()
+    };
+    response.score = response.review.score;
+    response.reviewStatus = 'reviewed';
+
+    results.pendingReview = (results.pendingReview || []).filter(id => id !== questionId);
+    results.status = results.pendingReview.length > 0 ? 'pending_review' : 'completed';
+    results.score = this.rescoreResults(results);
+
+    await this.saveAssessmentResults(results);
+    await this.updateUserAssessmentHistory(results.assessmentId, results);
+    await this.updateReviewDeck(results, [questionId]);
+
+    this.emit('assessment:response_graded', {
+      sessionId,
+      questionId,
+      score: response.review.score
+    });
+
+    if (results.status === 'completed') {
+      this.emit('assessment:review_completed', {
+        sessionId,
+        assessmentId: results.assessmentId,
+        results: results.score,
+        passed: results.score.passed
+      });
+      this.checkAchievementResults(results.assessmentId, results.score, results);
+      await this.refreshMockExamReports(sessionId);
+    }
 
     return results;
   }
 
+  /**
+   * Score stored results again with their current responses
+   * @param {Object} results - Assessment results
+   * @returns {Object} Score result
+   */
+  rescoreResults(results) {
+    const assessment = this.assessments.get(results.assessmentId);
+    const method = this.scoringEngine.scoringMethods[results.score?.scoringMethod] ? results.score.scoringMethod : 'standard';
+    const adaptive = method === 'adaptive';
+
+    return this.scoringEngine.calculateScore(
+      {
+        ...assessment,
+        questions: results.questionIds
+          .map(questionId => this.findResultQuestion(results, questionId))
+          .filter(Boolean)
+      },
+      new Map(results.responses),
+      {
+        timeSpent: results.duration / 1000,
+        method,
+        referenceItems: adaptive ? this.getAdaptivePool(assessment) : undefined
+      }
+    );
+  }
+
+  /**
+   * Find a question as it was presented in an attempt (options in the order the user saw them)
+   * Results saved before forms were stored fall back to the assessment or the question bank.
+   * @param {Object} results - Assessment results
+   * @param {string} questionId - Question ID
+   * @returns {Object|null} Question
+   */
+  findResultQuestion(results, questionId) {
+    return results.questions?.find(question => question.id === questionId) ||
+      this.assessments.get(results.assessmentId)?.questions?.find(question => question.id === questionId) ||
+      this.questionBank.getItem(questionId);
+  }
+
+  /**
+   * Add the missed questions of an attempt and the key concepts of their lessons to the review deck
+   * @param {Object} results - Assessment results
+   * @param {Array} questionIds - Questions to consider
+   */
+  async updateReviewDeck(results, questionIds) {
+    const answered = new Set(results.responses.map(([questionId]) => questionId));
+    const missed = (results.score.questionResults || [])
+      .filter(item => questionIds.includes(item.questionId) && answered.has(item.questionId) && !item.isCorrect)
+      .map(item => this.findResultQuestion(results, item.questionId))
+      .filter(Boolean);
+
+    if (missed.length === 0) return;
+
+    missed.forEach(question => {
+      this.reviewDeck.addMissedQuestion(question, {
+        answer: this.questionTypes.formatCorrectAnswer(question),
+        assessmentId: results.assessmentId
+      });
+      if (question.lesson) {
+        this.reviewDeck.addConcepts(question.lesson);
+      }
+    });
+
+    await this.saveReviewDeck();
+
+    this.emit('review_deck:updated', {
+      assessmentId: results.assessmentId,
+      questionIds: missed.map(question => question.id),
+      statistics: this.reviewDeck.getStatistics()
+    });
+  }
+
+  /**
+   * Get the review cards due today
+   * @returns {Array} Due cards ({ id, type, front, back, lesson, due, ... })
+   */
+  getDueReviews() {
+    return this.reviewDeck.getDueCards();
+  }
+
+  /**
+   * Record the recall quality of a review card and schedule its next review
+   * @param {string} cardId - Card ID
+   * @param {number} quality - Recall quality from 0 (forgot) to 5 (perfect)
+   * @returns {Object} Updated card
+   */
+  async recordReview(cardId, quality) {
+    const card = this.reviewDeck.review(cardId, quality);
+    await this.saveReviewDeck();
+
+    this.emit('review_deck:reviewed', {
+      cardId,
+      quality,
+      due: card.due,
+      statistics: this.reviewDeck.getStatistics()
+    });
+
+    return card;
+  }
+
+  /**
+   * Get review deck statistics
+   * @returns {Object} Statistics ({ total, due, learning, mature })
+   */
+  getReviewDeckStatistics() {
+    return this.reviewDeck.getStatistics();
+  }
+
+  /**
+   * Start a mock certification exam
+   * The knowledge section starts right away; the interview and presentation simulations
+   * completed before the exam deadline become its performance section. No other assessment
+   * can start until the exam is finished, and the exam finishes by itself at the deadline.
+   * @returns {Promise<Object>} Mock exam ({ mockExamId, session, deadline, simulations })
+   */
+  async startMockExam() {
+    if (this.mockExam) {
+      throw new Error('A mock certification exam is already in progress');
+    }
+
+    const assessment = this.assessments.get(MOCK_EXAM_ID);
+    const session = await this.startAssessment(MOCK_EXAM_ID);
+    const startTime = Date.now();
+
+    this.mockExam = {
+      id: `mock_${startTime}_${Math.random().toString(36).substring(2)}`,
+      startTime,
+      deadline: startTime + assessment.mockExam.timeLimit * 1000,
+      knowledgeSessionId: session.sessionId,
+      simulations: []
+    };
+    await this.saveMockExams();
+    this.scheduleMockExamDeadline();
+
+    this.emit('mock_exam:started', {
+      mockExamId: this.mockExam.id,
+      sessionId: session.sessionId,
+      deadline: this.mockExam.deadline
+    });
+
+    return {
+      mockExamId: this.mockExam.id,
+      session,
+      deadline: this.mockExam.deadline,
+      simulations: assessment.mockExam.simulations
+    };
+  }
+
+  /**
+   * Get the mock certification exam in progress
+   * @returns {Object|null} Exam state ({ id, deadline, timeRemaining, knowledgeInProgress, knowledgeQuestions,
+   *   knowledgeTimeRemaining, knowledgeCompleted, simulations })
+   */
+  getActiveMockExam() {
+    if (!this.mockExam) return null;
+
+    const { mockExam } = this.assessments.get(MOCK_EXAM_ID);
+    const session = this.currentAssessment?.id === this.mockExam.knowledgeSessionId ? this.currentAssessment : null;
+
+    return {
+      id: this.mockExam.id,
+      startTime: this.mockExam.startTime,
+      deadline: this.mockExam.deadline,
+      timeRemaining: Math.max(0, Math.round((this.mockExam.deadline - Date.now()) / 1000)),
+      knowledgeSessionId: this.mockExam.knowledgeSessionId,
+      knowledgeInProgress: !!session,
+      knowledgeQuestions: session ? session.questions : [],
+      knowledgeTimeRemaining: session ? this.getSessionTimeRemaining() ?? 0 : 0,
+      knowledgeCompleted: this.assessmentResults.has(this.mockExam.knowledgeSessionId),
+      simulations: mockExam.simulations.map(requirement => ({
+        ...requirement,
+        result: this.mockExam.simulations.find(simulation => simulation.type === requirement.type) || null
+      }))
+    };
+  }
+
+  /**
+   * Finish the mock exam in progress when its time runs out
+   */
+  scheduleMockExamDeadline() {
+    clearTimeout(this.mockExamTimer);
+    this.mockExamTimer = null;
+    if (!this.mockExam) return;
+
+    this.mockExamTimer = setTimeout(
+      () => this.handleMockExamDeadline(),
+      Math.max(0, this.mockExam.deadline - Date.now())
+    );
+  }
+
+  /**
+   * Listeners of mock_exam:time_up finish the exam with the products as they are at the deadline;
+   * if none does, the exam is finished without products.
+   */
+  async handleMockExamDeadline() {
+    this.mockExamTimer = null;
+    if (!this.mockExam) return;
+
+    const mockExamId = this.mockExam.id;
+    this.mockExamTimeUp = true;
+
+    try {
+      await this.emit('mock_exam:time_up', { mockExamId });
+      if (this.mockExam?.id === mockExamId) {
+        await this.completeMockExam(mockExamId);
+      }
+    } catch (error) {
+      console.error('[AssessmentEngine] Failed to finish mock exam at its deadline:', error);
+    } finally {
+      this.mockExamTimeUp = false;
+    }
+  }
+
+  /**
+   * Finish the mock certification exam and build its readiness report
+   * A knowledge section still in progress is completed with the answers given so far.
+   * When the time has run out, the exam counts as finished at the deadline.
+   * @param {string} mockExamId - Mock exam ID
+   * @param {Object} options - Completion options
+   * @param {Object} options.products - Product checklist from DocumentEngine.getProductChecklist()
+   * @returns {Promise<Object>} Readiness report
+   */
+  async completeMockExam(mockExamId, { products = null } = {}) {
+    if (!this.mockExam || this.mockExam.id !== mockExamId) {
+      throw new Error('Invalid mock exam');
+    }
+
+    if (this.currentAssessment?.id === this.mockExam.knowledgeSessionId) {
+      await this.completeAssessment(this.currentAssessment.id);
+    }
+
+    const completedAt = this.mockExamTimeUp ? this.mockExam.deadline : Date.now();
+    const report = this.buildMockExamReport(this.mockExam, products, completedAt);
+    this.mockExamReports.push(report);
+    this.mockExam = null;
+    this.scheduleMockExamDeadline();
+    await this.saveMockExams();
+
+    this.emit('mock_exam:completed', {
+      mockExamId,
+      ready: report.ready,
+      score: report.score,
+      level: report.level,
+      provisional: report.provisional
+    });
+
+    return report;
+  }
+
+  /**
+   * Get the reports of finished mock exams, oldest first
+   * @returns {Array} Readiness reports
+   */
+  getMockExamReports() {
+    return [...this.mockExamReports];
+  }
+
+  /**
+   * Get the report of the last finished mock exam
+   * @returns {Object|null} Readiness report
+   */
+  getLatestMockExamReport() {
+    return this.mockExamReports[this.mockExamReports.length - 1] || null;
+  }
+
+  buildMockExamReport(mockExam, products, completedAt) {
+    const assessment = this.assessments.get(MOCK_EXAM_ID);
+    const overtime = completedAt > mockExam.deadline;
+    const report = this.certificationReadiness.evaluate(
+      {
+        knowledge: this.assessmentResults.get(mockExam.knowledgeSessionId) || null,
+        simulations: mockExam.simulations,
+        products,
+        overtime
+      },
+      { ...assessment.mockExam, passingScore: assessment.passingScore }
+    );
+
+    return {
+      id: mockExam.id,
+      startedAt: mockExam.startTime,
+      deadline: mockExam.deadline,
+      completedAt,
+      duration: completedAt - mockExam.startTime,
+      overtime,
+      knowledgeSessionId: mockExam.knowledgeSessionId,
+      simulations: mockExam.simulations,
+      ...report
+    };
+  }
+
+  /**
+   * Rebuild the provisional reports whose knowledge section has just been reviewed
+   * @param {string} sessionId - Session ID of the knowledge section
+   */
+  async refreshMockExamReports(sessionId) {
+    const updated = [];
+
+    this.mockExamReports = this.mockExamReports.map(report => {
+      if (report.knowledgeSessionId !== sessionId || !report.provisional) return report;
+
+      const rebuilt = this.buildMockExamReport(
+        {
+          id: report.id,
+          startTime: report.startedAt,
+          deadline: report.deadline,
+          knowledgeSessionId: sessionId,
+          simulations: report.simulations
+        },
+        report.sections.products,
+        report.completedAt
+      );
+      updated.push(rebuilt);
+      return rebuilt;
+    });
+
+    if (updated.length === 0) return;
+    await this.saveMockExams();
+
+    updated.forEach(report => {
+      this.emit('mock_exam:report_updated', {
+        mockExamId: report.id,
+        ready: report.ready,
+        score: report.score,
+        level: report.level
+      });
+    });
+  }
+
   /**
    * Check for achievement-worthy results and emit appropriate events
    * @param {string} assessmentId - Assessment identifier
@@ -436,14 +1334,154 @@ class AssessmentEngine extends Module {
     }
   }
 
+  /**
+   * Item statistics for assessment authors, from the stored assessment histories
+   * Attempts whose open answers still wait for review are left out.
+   * @param {Object} options - Analysis options
+   * @param {string} options.assessmentId - Limit the analysis to one assessment
+   * @returns {Promise<Object>} Analysis ({ attempts, items }); items have difficulty, discrimination,
+   *   averageTime (seconds), distractors and flags
+   */
+  async getItemAnalysis({ assessmentId = null } = {}) {
+    const assessmentIds = assessmentId ? [assessmentId] : Array.from(this.assessments.keys());
+    const attempts = [];
+
+    for (const id of assessmentIds) {
+      const history = await this.getUserAssessmentHistory(id);
+      history.results
+        .filter(entry => entry.items && entry.status !== 'pending_review')
+        .forEach(entry => attempts.push({ ...entry, assessmentId: id }));
+    }
+
+    return this.itemAnalysis.analyze(attempts, itemId => this.questionBank.getItem(itemId));
+  }
+
+  /**
+   * Export the item analysis as CSV
+   * @param {Object} options - Analysis options (see getItemAnalysis)
+   * @returns {Promise<Object>} Export result ({ content, filename, mimeType })
+   */
+  async exportItemAnalysis(options = {}) {
+    const analysis = await this.getItemAnalysis(options);
+    const date = new Date().toISOString().slice(0, 10);
+
+    return {
+      // The byte order mark lets spreadsheet applications read the accents
+      content: `\uFEFF${this.itemAnalysis.toCSV(analysis)}`,
+      filename: `analisis_reactivos_${options.assessmentId || 'todas'}_${date}.csv`,
+      mimeType: 'text/csv;charset=utf-8'
+    };
+  }
+
+  /**
+   * Export bank questions for authoring tools
+   * Questions that do not pass validation, or that the format cannot express, are listed in skipped.
+   * @param {string} format - 'qti' (IMS QTI 2.1 package) or 'gift' (Moodle GIFT text)
+   * @param {Object} options - Export options
+   * @param {string} options.assessmentId - Limit the export to the pool of one assessment
+   * @returns {Object} Export result ({ content, filename, mimeType, count, skipped })
+   */
+  exportQuestions(format, { assessmentId = null } = {}) {
+    const exporter = this.questionExporters[format];
+    if (!exporter) {
+      throw new Error(`Unsupported question export format: ${format}`);
+    }
+
+    const assessment = assessmentId ? this.assessments.get(assessmentId) : null;
+    if (assessmentId && !assessment?.blueprint) {
+      throw new Error(`Assessment ${assessmentId} has no question pool`);
+    }
+
+    const skipped = [];
+    const questions = this.questionBank.getItems(assessment?.blueprint.pool).filter(question => {
+      if (this.questionTypes.validateQuestion(question)) return true;
+      skipped.push({ id: question.id, reason: 'La pregunta no tiene una estructura válida' });
+      return false;
+    });
+
+    const result = exporter.export(questions);
+    return {
+      ...result,
+      count: questions.length - result.skipped.length,
+      skipped: [...skipped, ...result.skipped]
+    };
+  }
+
+  /**
+   * Import questions into the bank from a QTI package or item (.zip, .xml) or a GIFT file (.gift, .txt)
+   * Each question is validated with QuestionTypes; questions with an existing ID replace it.
+   * @param {File} file - File selected by the user
+   * @param {Object} options - Import options
+   * @param {Object} options.defaults - Tags of questions the file does not tag (element, difficulty...)
+   * @returns {Promise<Object>} Import result ({ imported: question IDs, rejected: [{ id, reason }] })
+   */
+  async importQuestions(file, { defaults = {} } = {}) {
+    const name = (file.name || '').toLowerCase();
+    let result;
+
+    if (name.endsWith('.zip')) {
+      result = await this.qtiImporter.importPackage(await file.arrayBuffer(), { defaults });
+    } else if (name.endsWith('.xml')) {
+      result = this.qtiImporter.importItem(await file.text(), { defaults });
+    } else if (name.endsWith('.gift') || name.endsWith('.txt')) {
+      result = this.giftImporter.parse(await file.text(), { defaults });
+    } else {
+      throw new Error('Formato no soportado. Use un paquete QTI (.zip, .xml) o un archivo GIFT (.gift, .txt)');
+    }
+
+    const imported = [];
+    const rejected = [...result.rejected];
+
+    result.questions.forEach(parsed => {
+      const question = Object.fromEntries(Object.entries(parsed).filter(([, value]) => value !== undefined));
+      if (!this.questionTypes.validateQuestion(question)) {
+        rejected.push({ id: question.id, reason: 'La pregunta no tiene una estructura válida' });
+        return;
+      }
+
+      try {
+        this.questionBank.addItems([question]);
+        this.importedQuestions.set(question.id, question);
+        imported.push(question.id);
+      } catch (error) {
+        rejected.push({ id: question.id, reason: error.message });
+      }
+    });
+
+    if (imported.length > 0) {
+      await this.saveImportedQuestions();
+      this.emit('questions:imported', { imported, rejected: rejected.length });
+    }
+
+    return { imported, rejected };
+  }
+
+  /**
+   * Count how many times each bank item was shown in previous attempts
+   * @param {Object} history - User assessment history
+   * @returns {Map} Exposure count by question ID
+   */
+  getItemExposure(history) {
+    const exposure = new Map();
+    (history?.results || []).forEach(result => {
+      (result.questionIds || []).forEach(questionId => {
+        exposure.set(questionId, (exposure.get(questionId) || 0) + 1);
+      });
+    });
+    return exposure;
+  }
+
   /**
    * Prepare questions for assessment
    * @param {Object} assessment - Assessment definition
    * @param {Object} options - Preparation options
+   * @param {Map} [options.exposure] - Item exposure from previous attempts, for blueprint forms
    * @returns {Array} Prepared questions
    */
   prepareQuestions(assessment, options = {}) {
-    let questions = [...assessment.questions];
+    let questions = assessment.blueprint
+      ? this.questionBank.assembleForm(assessment.blueprint, { exposure: options.exposure })
+      : [...assessment.questions];
 
     // Shuffle questions if enabled
     if (this.getConfig('shuffleQuestions') && !options.preserveOrder) {
@@ -452,40 +1490,59 @@ class AssessmentEngine extends Module {
 
     // Shuffle options for multiple choice questions
     if (this.getConfig('shuffleOptions')) {
-      questions = questions.map(question => {
-        if (question.type === 'multiple_choice' && question.options) {
-          const shuffledOptions = this.shuffleArray([...question.options]);
-          // Update correct answer index
-          const correctOption = question.options[question.correct];
-          const newCorrectIndex = shuffledOptions.indexOf(correctOption);
-          
-          return {
-            ...question,
-            options: shuffledOptions,
-            correct: newCorrectIndex
-          };
-        }
-        return question;
-      });
+      questions = questions.map(question => this.shuffleQuestionOptions(question));
     }
 
     return questions;
   }
 
+  /**
+   * Shuffle the options of a multiple choice question
+   * @param {Object} question - Question
+   * @returns {Object} Question with shuffled options and updated correct index
+   */
+  shuffleQuestionOptions(question) {
+    if (question.type === 'multiple_choice' && question.options) {
+      const shuffledOptions = this.shuffleArray([...question.options]);
+      // Update correct answer index
+      const correctOption = question.options[question.correct];
+      const newCorrectIndex = shuffledOptions.indexOf(correctOption);
+      
+      return {
+        ...question,
+        options: shuffledOptions,
+        correct: newCorrectIndex
+      };
+    }
+    return question;
+  }
+
   /**
    * Start assessment timer
    * @param {number} timeLimit - Time limit in seconds
    */
   startTimer(timeLimit) {
+    this.stopTimer();
     this.timeRemaining = timeLimit;
+
+    const startedAt = Date.now();
+    let lastSave = startedAt;
+
     this.timer = setInterval(() => {
-      this.timeRemaining--;
+      // Counted against the wall clock, since background tabs throttle intervals
+      this.timeRemaining = Math.max(0, timeLimit - Math.floor((Date.now() - startedAt) / 1000));
       
       this.emit('timer:tick', {
         timeRemaining: this.timeRemaining,
         timeLimit
       });
 
+      // Keep the stored clock close to the real one in case the page is closed
+      if (this.getConfig('autoSave') && Date.now() - lastSave >= this.getConfig('saveInterval')) {
+        lastSave = Date.now();
+        this.saveAssessmentSession();
+      }
+
       if (this.timeRemaining <= 0) {
         this.handleTimeExpired();
       }
@@ -559,6 +1616,37 @@ class AssessmentEngine extends Module {
     console.log('[AssessmentEngine] Question answered:', data);
   }
 
+  /**
+   * Record a simulation as part of the mock exam in progress
+   * Only simulations started during the exam and finished before its deadline count, one per type.
+   */
+  async handleSimulationCompleted(data) {
+    const results = data?.results;
+    if (!this.mockExam || !results) return;
+
+    const required = this.assessments.get(MOCK_EXAM_ID).mockExam.simulations;
+    if (results.startTime < this.mockExam.startTime || results.endTime > this.mockExam.deadline) return;
+    if (!required.some(requirement => requirement.type === results.type)) return;
+    if (this.mockExam.simulations.some(simulation => simulation.type === results.type)) return;
+
+    this.mockExam.simulations.push({
+      type: results.type,
+      simulationId: results.simulationId,
+      sessionId: results.sessionId,
+      percentage: results.percentage,
+      certification: results.certification,
+      completedAt: results.endTime
+    });
+    await this.saveMockExams();
+
+    this.emit('mock_exam:section_completed', {
+      mockExamId: this.mockExam.id,
+      section: 'performance',
+      type: results.type,
+      score: results.certification?.score ?? results.percentage
+    });
+  }
+
   handleTimerUpdate(data) {
     if (this.currentAssessment) {
       this.timeRemaining = data.timeRemaining;
@@ -579,19 +1667,126 @@ class AssessmentEngine extends Module {
     }
   }
 
+  async loadImportedQuestions() {
+    try {
+      const questions = await this.storage.get('imported_question_items') || [];
+      questions.forEach(question => {
+        try {
+          this.questionBank.addItems([question]);
+          this.importedQuestions.set(question.id, question);
+        } catch (error) {
+          console.warn('[AssessmentEngine] Skipping invalid imported question:', question.id, error);
+        }
+      });
+    } catch (error) {
+      console.warn('[AssessmentEngine] Failed to load imported questions:', error);
+    }
+  }
+
+  async saveImportedQuestions() {
+    try {
+      await this.storage.set('imported_question_items', Array.from(this.importedQuestions.values()));
+    } catch (error) {
+      console.warn('[AssessmentEngine] Failed to save imported questions:', error);
+    }
+  }
+
+  async loadReviewDeck() {
+    try {
+      this.reviewDeck.load(await this.storage.get('review_deck'));
+    } catch (error) {
+      console.warn('[AssessmentEngine] Failed to load review deck:', error);
+    }
+  }
+
+  async saveReviewDeck() {
+    try {
+      await this.storage.set('review_deck', this.reviewDeck.toJSON());
+    } catch (error) {
+      console.warn('[AssessmentEngine] Failed to save review deck:', error);
+    }
+  }
+
+  async loadMockExams() {
+    try {
+      const data = await this.storage.get('mock_exams');
+      if (data) {
+        this.mockExam = data.active || null;
+        this.mockExamReports = data.reports || [];
+      }
+    } catch (error) {
+      console.warn('[AssessmentEngine] Failed to load mock exams:', error);
+    }
+  }
+
+  async saveMockExams() {
+    try {
+      await this.storage.set('mock_exams', {
+        active: this.mockExam,
+        reports: this.mockExamReports
+      });
+    } catch (error) {
+      console.warn('[AssessmentEngine] Failed to save mock exams:', error);
+    }
+  }
+
+  /**
+   * Restore the session that was in progress when the page was closed
+   * A session that was running is restored as paused since the moment it was last saved.
+   */
+  async loadAssessmentSession() {
+    try {
+      const session = await this.storage.get('current_assessment_session');
+      if (!session || !['in_progress', 'paused'].includes(session.status) || !this.assessments.has(session.assessmentId)) {
+        return;
+      }
+
+      const running = session.status === 'in_progress';
+      this.currentAssessment = {
+        ...session,
+        responses: new Map(session.responses || []),
+        drafts: new Map(session.drafts || []),
+        confidence: new Map(session.confidence || []),
+        scoringMethod: session.scoringMethod || (session.adaptive ? 'adaptive' : 'standard'),
+        position: session.position || 0,
+        questionStartTime: null,
+        questionTimes: session.questionTimes || {},
+        timeRemaining: session.timeRemaining ?? null,
+        clockWhileAway: session.clockWhileAway || this.getConfig('clockWhileAway'),
+        status: 'paused',
+        pausedAt: running ? session.savedAt || Date.now() : session.pausedAt
+      };
+    } catch (error) {
+      console.warn('[AssessmentEngine] Failed to load session:', error);
+    }
+  }
+
   async saveAssessmentSession() {
     if (!this.currentAssessment) return;
 
     try {
+      const running = this.currentAssessment.status !== 'paused' && this.currentAssessment.timeRemaining !== null;
       await this.storage.set('current_assessment_session', {
         ...this.currentAssessment,
-        responses: Array.from(this.currentAssessment.responses.entries())
+        responses: Array.from(this.currentAssessment.responses.entries()),
+        drafts: Array.from(this.currentAssessment.drafts.entries()),
+        confidence: Array.from(this.currentAssessment.confidence.entries()),
+        timeRemaining: running ? this.timeRemaining : this.currentAssessment.timeRemaining,
+        savedAt: Date.now()
       });
     } catch (error) {
       console.warn('[AssessmentEngine] Failed to save session:', error);
     }
   }
 
+  async clearAssessmentSession() {
+    try {
+      await this.storage.remove('current_assessment_session');
+    } catch (error) {
+      console.warn('[AssessmentEngine] Failed to clear session:', error);
+    }
+  }
+
   async saveAssessmentResults(results) {
     try {
       await this.storage.set('assessment_progress', {
@@ -607,19 +1802,31 @@ class AssessmentEngine extends Module {
     try {
       const history = await this.getUserAssessmentHistory(assessmentId);
       
-      history.attempts++;
       history.lastAttempt = results.completedAt;
       
-      if (results.score.percentage > history.bestScore) {
+      // Provisional scores of results awaiting review do not count as best score
+      if (results.status !== 'pending_review' && results.score.percentage > history.bestScore) {
         history.bestScore = results.score.percentage;
       }
       
-      history.results.push({
+      const entry = {
         sessionId: results.sessionId,
         score: results.score.percentage,
         passed: results.score.passed,
-        completedAt: results.completedAt
-      });
+        status: results.status,
+        completedAt: results.completedAt,
+        questionIds: results.questionIds,
+        items: this.itemAnalysis.summarizeAttempt(results)
+      };
+
+      // Reviewed results replace their provisional entry
+      const index = history.results.findIndex(item => item.sessionId === results.sessionId);
+      if (index === -1) {
+        history.attempts++;
+        history.results.push(entry);
+      } else {
+        history.results[index] = entry;
+      }
 
       await this.storage.set(`assessment_history_${assessmentId}`, history);
     } catch (error) {
@@ -628,8 +1835,9 @@ class AssessmentEngine extends Module {
   }
 
   async onDestroy() {
-    // Stop timer
+    // Stop timers
     this.stopTimer();
+    clearTimeout(this.mockExamTimer);
     
     // Save current session if exists
     if (this.currentAssessment) {
@@ -4,6 +4,14 @@
  */
 import Module from '../core/Module.js';
 import TemplateLoader from '../templates/TemplateLoader.js';
+import DocxExporter from '../exporters/DocxExporter.js';
+import PdfExporter from '../exporters/PdfExporter.js';
+import PortfolioExporter from '../exporters/PortfolioExporter.js';
+import RevisionHistory from '../documents/RevisionHistory.js';
+import ConsistencyChecker from '../documents/ConsistencyChecker.js';
+import RubricEvaluator from '../documents/RubricEvaluator.js';
+import AnnotationManager from '../documents/AnnotationManager.js';
+import TemplateLogic from '../documents/TemplateLogic.js';
 
 class DocumentEngine extends Module {
   constructor() {
@@ -13,6 +21,10 @@ class DocumentEngine extends Module {
       validationMode: 'strict',
       templateVersion: '1.0',
       exportFormats: ['html', 'pdf', 'docx'],
+      candidateName: '',
+      maxRevisions: 30,
+      revisionCoalesceWindow: 120000,
+      rubricReadyThreshold: 80,
       qualityThresholds: {
         completeness: 85,
         accuracy: 90,
@@ -21,11 +33,24 @@ class DocumentEngine extends Module {
     });
 
     this.templateLoader = new TemplateLoader();
+    this.docxExporter = new DocxExporter();
+    this.pdfExporter = new PdfExporter();
+    this.portfolioExporter = new PortfolioExporter();
+    this.consistencyChecker = new ConsistencyChecker();
+    this.rubricEvaluator = new RubricEvaluator({ readyThreshold: this.config.rubricReadyThreshold });
+    this.annotationManager = new AnnotationManager();
+    this.templateLogic = new TemplateLogic({
+      getDocument: templateId => this.getLatestDocument(templateId),
+      getTemplate: templateId => this.templates.get(templateId)
+    });
     this.templates = new Map();
     this.documents = new Map();
     this.validationRules = new Map();
     this.userDocuments = new Map();
-    this.documentHistory = new Map();
+    this.documentHistory = new RevisionHistory({
+      maxRevisions: this.config.maxRevisions,
+      coalesceWindow: this.config.revisionCoalesceWindow
+    });
     
     // Template loading state management
     this.templatesLoaded = false;
@@ -47,6 +72,7 @@ class DocumentEngine extends Module {
     // Load document templates and user documents
     await this.loadTemplateDefinitions();
     await this.loadUserDocuments();
+    await this.loadDocumentHistory();
 
     console.log('[DocumentEngine] Initialized');
   }
@@ -60,6 +86,7 @@ class DocumentEngine extends Module {
       
       // Load templates using the TemplateLoader
       this.templates = await this.templateLoader.loadAllTemplates();
+      await this.loadTemplatePacks();
       
       // Validate all templates
       let validTemplates = 0;
@@ -110,15 +137,17 @@ class DocumentEngine extends Module {
    * Create new document from template
    * @param {string} templateId - Template identifier
    * @param {Object} initialData - Initial document data
+   * @param {Object} options - Creation options
+   * @param {string} options.documentId - Use this ID instead of generating one
    * @returns {Object} Document instance
    */
-  createDocument(templateId, initialData = {}) {
+  createDocument(templateId, initialData = {}, options = {}) {
     const template = this.templates.get(templateId);
     if (!template) {
       throw new Error(`Template ${templateId} not found`);
     }
 
-    const documentId = this.generateDocumentId(templateId);
+    const documentId = options.documentId || this.generateDocumentId(templateId);
     const document = {
       id: documentId,
       templateId: templateId,
@@ -135,7 +164,8 @@ class DocumentEngine extends Module {
         timeSpent: 0,
         lastSection: null,
         validationResults: null,
-        videoSupport: template.videoSupport || null
+        videoSupport: template.videoSupport || null,
+        templatePack: template.pack ? { id: template.pack.id, version: template.pack.version } : null
       }
     };
 
@@ -189,6 +219,10 @@ class DocumentEngine extends Module {
       }
     });
 
+    // Referenced sections start with the content of their source document
+    this.templateLogic.applyReferences(template, data);
+    this.templateLogic.applyComputedFields(template, data);
+
     return data;
   }
 
@@ -220,15 +254,26 @@ class DocumentEngine extends Module {
    * Save document
    * @param {string} documentId - Document identifier
    * @param {Object} data - Document data
+   * @param {Object} options - Save options
+   * @param {string} options.reason - Revision reason (autosave, save, import, restore)
    */
-  async saveDocument(documentId, data) {
+  async saveDocument(documentId, data, options = {}) {
     const document = this.documents.get(documentId);
     if (!document) {
       throw new Error(`Document ${documentId} not found`);
     }
 
-    // Update document
-    document.data = { ...document.data, ...data };
+    // Documents saved before history existed get their current state as a baseline revision
+    if (this.documentHistory.getRevisions(documentId).length === 0) {
+      this.documentHistory.record(document, 'initial');
+    }
+
+    // Update document; the saved data is copied so later edits of the caller do not change the stored document
+    document.data = { ...document.data, ...JSON.parse(JSON.stringify(data)) };
+    const template = this.templates.get(document.templateId);
+    if (template) {
+      this.templateLogic.applyComputedFields(template, document.data);
+    }
     document.updatedAt = Date.now();
     document.version += 1;
 
@@ -242,8 +287,14 @@ class DocumentEngine extends Module {
       document.status = 'in_progress';
     }
 
+    // Keep a revision of the saved state
+    const revision = this.documentHistory.record(document, options.reason || 'save');
+
     // Save to storage
     await this.saveUserDocuments();
+    if (revision) {
+      await this.saveDocumentHistory();
+    }
 
     this.emit('document:saved', {
       documentId: documentId,
@@ -258,6 +309,81 @@ class DocumentEngine extends Module {
     return document;
   }
 
+  /**
+   * Get the revision history of a document
+   * @param {string} documentId - Document identifier
+   * @returns {Array} Revisions, newest first
+   */
+  getDocumentHistory(documentId) {
+    return this.documentHistory.getRevisions(documentId);
+  }
+
+  /**
+   * Compare a revision against another revision or the current document
+   * @param {string} documentId - Document identifier
+   * @param {string} fromRevisionId - Older revision
+   * @param {string|null} toRevisionId - Newer revision, or null for the current document
+   * @returns {Array} Section-level diff
+   */
+  compareRevisions(documentId, fromRevisionId, toRevisionId = null) {
+    const document = this.documents.get(documentId);
+    if (!document) {
+      throw new Error(`Document ${documentId} not found`);
+    }
+
+    const template = this.templates.get(document.templateId);
+    if (!template) {
+      throw new Error(`Template ${document.templateId} not found`);
+    }
+
+    const from = this.documentHistory.getRevision(documentId, fromRevisionId);
+    if (!from) {
+      throw new Error(`Revision ${fromRevisionId} not found`);
+    }
+
+    let toData = document.data;
+    if (toRevisionId) {
+      const to = this.documentHistory.getRevision(documentId, toRevisionId);
+      if (!to) {
+        throw new Error(`Revision ${toRevisionId} not found`);
+      }
+      toData = to.data;
+    }
+
+    return this.documentHistory.diff(template, from.data, toData);
+  }
+
+  /**
+   * Restore a document to a previous revision
+   * The restore is saved as a new revision, so it can be undone from the history as well
+   * @param {string} documentId - Document identifier
+   * @param {string} revisionId - Revision to restore
+   * @returns {Promise<Object>} Updated document
+   */
+  async restoreRevision(documentId, revisionId) {
+    const document = this.documents.get(documentId);
+    if (!document) {
+      throw new Error(`Document ${documentId} not found`);
+    }
+
+    const revision = this.documentHistory.getRevision(documentId, revisionId);
+    if (!revision) {
+      throw new Error(`Revision ${revisionId} not found`);
+    }
+
+    document.data = JSON.parse(JSON.stringify(revision.data));
+    const restored = await this.saveDocument(documentId, {}, { reason: 'restore' });
+
+    this.emit('document:restored', {
+      documentId,
+      revisionId,
+      version: restored.version,
+      timestamp: Date.now()
+    });
+
+    return restored;
+  }
+
   /**
    * Check for achievement-worthy document progress and emit appropriate events
    * @param {Object} document - Document object
@@ -310,7 +436,7 @@ class DocumentEngine extends Module {
    * Calculate document completion percentage
    */
   calculateCompletionPercentage(document) {
-    const template = this.templates.get(document.templateId);
+    const template = this.getDocumentTemplate(document);
     if (!template) return 0;
 
     let totalSections = 0;
@@ -375,7 +501,7 @@ class DocumentEngine extends Module {
       throw new Error(`Document ${documentId} not found`);
     }
 
-    const template = this.templates.get(document.templateId);
+    const template = this.getDocumentTemplate(document);
     const validationResults = {
       isValid: true,
       errors: [],
@@ -473,25 +599,390 @@ class DocumentEngine extends Module {
     return result;
   }
 
+  /**
+   * Check the Element 1 products against each other
+   * Uses the most recently updated document of each related template
+   * @returns {Object} Consistency report
+   */
+  checkDocumentConsistency() {
+    const documents = {};
+    this.consistencyChecker.getRelatedTemplateIds().forEach(templateId => {
+      const document = this.getLatestDocument(templateId);
+      if (document) {
+        documents[templateId] = document;
+      }
+    });
+
+    const report = this.consistencyChecker.check(documents, this.templates);
+
+    this.emit('documents:consistency_checked', {
+      isConsistent: report.isConsistent,
+      score: report.score,
+      issueCount: report.issues.length,
+      timestamp: report.checkedAt
+    });
+
+    return report;
+  }
+
+  /**
+   * Get the rubric evaluation of a document
+   * Returns a blank evaluation built from the template criteria if none was saved yet
+   * @param {string} documentId - Document identifier
+   * @returns {Object} Rubric evaluation
+   */
+  getRubricEvaluation(documentId) {
+    const document = this.documents.get(documentId);
+    if (!document) {
+      throw new Error(`Document ${documentId} not found`);
+    }
+
+    const template = this.templates.get(document.templateId);
+    if (!template) {
+      throw new Error(`Template ${document.templateId} not found`);
+    }
+
+    return this.rubricEvaluator.createEvaluation(template, document.metadata?.rubricEvaluation);
+  }
+
+  /**
+   * Save a rubric evaluation alongside the document
+   * @param {string} documentId - Document identifier
+   * @param {Object} evaluation - Evaluation ({ evaluatorRole, evaluatorName, criteria })
+   * @returns {Promise<Object>} Saved evaluation with its readiness score
+   */
+  async saveRubricEvaluation(documentId, evaluation) {
+    const document = this.documents.get(documentId);
+    if (!document) {
+      throw new Error(`Document ${documentId} not found`);
+    }
+
+    const template = this.templates.get(document.templateId);
+    const saved = this.rubricEvaluator.createEvaluation(template, {
+      ...evaluation,
+      evaluatedAt: Date.now()
+    });
+
+    document.metadata = { ...document.metadata, rubricEvaluation: saved };
+    await this.saveUserDocuments();
+
+    this.emit('document:rubric_evaluated', {
+      documentId,
+      templateId: document.templateId,
+      evaluatorRole: saved.evaluatorRole,
+      score: saved.score,
+      timestamp: saved.evaluatedAt
+    });
+
+    return saved;
+  }
+
+  /**
+   * Rubric readiness across all required templates
+   * Uses the most recent document of each template; templates without an evaluation score 0.
+   * Templates from custom packs are not part of the certification portfolio and are left out.
+   * @returns {Object} Readiness summary
+   */
+  getRubricReadiness() {
+    return this.rubricEvaluator.summarize(
+      this.getAvailableTemplates().filter(template => !template.pack),
+      templateId => this.getLatestDocument(templateId)
+    );
+  }
+
+  /**
+   * Check of the products required for certification
+   * A product is ready when its latest document is complete and, if it was evaluated, meets the rubric threshold.
+   * @returns {Object} Checklist ({ score, readyCount, requiredCount, items })
+   */
+  getProductChecklist() {
+    const readiness = this.getRubricReadiness();
+
+    const items = readiness.templates.map(result => {
+      const document = this.getLatestDocument(result.templateId);
+      const completion = document?.completionPercentage || 0;
+
+      return {
+        templateId: result.templateId,
+        title: result.title,
+        element: this.templates.get(result.templateId)?.element || null,
+        status: document ? document.status : 'missing',
+        completionPercentage: completion,
+        rubricScore: result.evaluated ? result.score : null,
+        score: result.evaluated ? result.score : completion,
+        ready: document?.status === 'completed' && (!result.evaluated || result.ready)
+      };
+    });
+
+    return {
+      score: items.length > 0 ? Math.round(items.reduce((sum, item) => sum + item.score, 0) / items.length) : 0,
+      readyCount: items.filter(item => item.ready).length,
+      requiredCount: items.length,
+      items
+    };
+  }
+
+  /**
+   * Get the annotations of a document
+   * @param {string} documentId - Document identifier
+   * @param {Object} filters - Optional filters (sectionId, status)
+   * @returns {Array} Annotations, oldest first
+   */
+  getAnnotations(documentId, filters = {}) {
+    const document = this.documents.get(documentId);
+    if (!document) {
+      throw new Error(`Document ${documentId} not found`);
+    }
+
+    return (document.metadata?.annotations || []).filter(annotation =>
+      (!filters.sectionId || annotation.sectionId === filters.sectionId) &&
+      (!filters.status || annotation.status === filters.status)
+    );
+  }
+
+  /**
+   * Add an annotation anchored to a section (and optionally a field inside it)
+   * @param {string} documentId - Document identifier
+   * @param {Object} input - Annotation input ({ sectionId, fieldId, text, author, authorRole })
+   * @returns {Promise<Object>} Created annotation
+   */
+  async addAnnotation(documentId, input) {
+    const document = this.documents.get(documentId);
+    if (!document) {
+      throw new Error(`Document ${documentId} not found`);
+    }
+
+    const annotation = this.annotationManager.createAnnotation(this.templates.get(document.templateId), input);
+    await this.updateAnnotations(document, [...this.getAnnotations(documentId), annotation]);
+
+    this.emit('document:annotation_added', {
+      documentId,
+      annotationId: annotation.id,
+      sectionId: annotation.sectionId,
+      authorRole: annotation.authorRole,
+      timestamp: annotation.createdAt
+    });
+
+    return annotation;
+  }
+
+  /**
+   * Resolve or reopen an annotation
+   * @param {string} documentId - Document identifier
+   * @param {string} annotationId - Annotation identifier
+   * @param {string} status - 'open' or 'resolved'
+   * @param {string} actor - Name of who changed the status
+   * @returns {Promise<Object>} Updated annotation
+   */
+  async setAnnotationStatus(documentId, annotationId, status, actor = '') {
+    const annotations = this.getAnnotations(documentId);
+    const index = annotations.findIndex(annotation => annotation.id === annotationId);
+    if (index === -1) {
+      throw new Error(`Annotation ${annotationId} not found`);
+    }
+
+    annotations[index] = this.annotationManager.setStatus(annotations[index], status, actor);
+    await this.updateAnnotations(this.documents.get(documentId), annotations);
+
+    this.emit('document:annotation_status_changed', {
+      documentId,
+      annotationId,
+      status,
+      timestamp: Date.now()
+    });
+
+    return annotations[index];
+  }
+
+  /**
+   * Delete an annotation
+   * @param {string} documentId - Document identifier
+   * @param {string} annotationId - Annotation identifier
+   */
+  async deleteAnnotation(documentId, annotationId) {
+    const annotations = this.getAnnotations(documentId);
+    await this.updateAnnotations(
+      this.documents.get(documentId),
+      annotations.filter(annotation => annotation.id !== annotationId)
+    );
+  }
+
+  async updateAnnotations(document, annotations) {
+    document.metadata = { ...document.metadata, annotations };
+    await this.saveUserDocuments();
+  }
+
+  /**
+   * Export a document and its annotations as a JSON review file
+   * @param {string} documentId - Document identifier
+   * @param {Object} options - Export options (exportedBy)
+   * @returns {Object} Export result ({ content, filename, mimeType })
+   */
+  exportReview(documentId, options = {}) {
+    const document = this.documents.get(documentId);
+    if (!document) {
+      throw new Error(`Document ${documentId} not found`);
+    }
+
+    return this.annotationManager.exportReviewFile(document, options);
+  }
+
+  /**
+   * Import a JSON review file
+   * Annotations are merged into the reviewed document; if that document does not exist here
+   * (e.g. a mentor opening a candidate's review file) it is created from the file's copy
+   * @param {string|Object} content - Review file text or parsed object
+   * @param {Object} options - Import options
+   * @param {string} options.targetDocumentId - Merge into this document instead of the one named in the file
+   * @returns {Promise<Object>} Import result ({ documentId, created, added, updated })
+   */
+  async importReview(content, options = {}) {
+    const review = this.annotationManager.parseReviewFile(content, this.templates);
+    const documentId = options.targetDocumentId || review.document.id;
+    let document = this.documents.get(documentId);
+    let created = false;
+
+    if (document && document.templateId !== review.document.templateId) {
+      throw new Error('El archivo de revisión corresponde a otra plantilla de documento');
+    }
+
+    if (!document) {
+      // Keep the original ID so the review can travel back and forth
+      document = this.createDocument(review.document.templateId, review.document.data || {}, {
+        documentId: review.document.id
+      });
+      document.title = review.document.title || document.title;
+      document.version = review.document.version || 1;
+      document.completionPercentage = this.calculateCompletionPercentage(document);
+      if (document.completionPercentage >= 100) {
+        document.status = 'completed';
+      } else if (document.completionPercentage > 0) {
+        document.status = 'in_progress';
+      }
+      created = true;
+    }
+
+    const result = this.annotationManager.merge(document.metadata?.annotations, review.annotations);
+    await this.updateAnnotations(document, result.annotations);
+
+    this.emit('document:review_imported', {
+      documentId: document.id,
+      created,
+      added: result.added,
+      updated: result.updated,
+      timestamp: Date.now()
+    });
+
+    return { documentId: document.id, created, added: result.added, updated: result.updated };
+  }
+
+  /**
+   * Validate a custom template pack without installing it
+   * @param {Object} pack - Template pack
+   * @returns {Object} Validation result ({ isValid, errors, warnings })
+   */
+  validateTemplatePack(pack) {
+    return this.templateLoader.validatePack(pack);
+  }
+
+  /**
+   * Install or upgrade a custom template pack
+   * @param {string|Object} content - Pack JSON text or parsed pack
+   * @returns {Promise<Object>} Installation result ({ pack, templates, previousVersion, warnings })
+   */
+  async installTemplatePack(content) {
+    let pack = content;
+    if (typeof content === 'string') {
+      try {
+        pack = JSON.parse(content);
+      } catch (error) {
+        throw new Error('El paquete de plantillas no es un JSON válido');
+      }
+    }
+
+    const result = this.templateLoader.registerPack(pack);
+    await this.saveTemplatePacks();
+
+    this.emit('templates:pack_installed', {
+      packId: result.pack.id,
+      version: result.pack.version,
+      previousVersion: result.previousVersion,
+      templateIds: result.templates.map(template => template.id),
+      timestamp: Date.now()
+    });
+
+    return result;
+  }
+
+  /**
+   * Remove a custom template pack
+   * Packs whose templates are still used by documents cannot be removed
+   * @param {string} packId - Pack identifier
+   * @returns {Promise<boolean>} True if the pack was removed
+   */
+  async removeTemplatePack(packId) {
+    const pack = this.templateLoader.getPack(packId);
+    if (!pack) return false;
+
+    const templateIds = new Set(pack.templates.map(template => template.id));
+    const inUse = this.getUserDocuments().filter(document => templateIds.has(document.templateId));
+    if (inUse.length > 0) {
+      throw new Error(`No se puede eliminar el paquete "${pack.name}": ${inUse.length} documento(s) usan sus plantillas`);
+    }
+
+    this.templateLoader.unregisterPack(packId);
+    await this.saveTemplatePacks();
+
+    this.emit('templates:pack_removed', {
+      packId,
+      timestamp: Date.now()
+    });
+
+    return true;
+  }
+
+  getTemplatePacks() {
+    return this.templateLoader.getPacks();
+  }
+
+  /**
+   * Export an installed template pack as JSON
+   * @param {string} packId - Pack identifier
+   * @returns {Object} Export result ({ content, filename, mimeType })
+   */
+  exportTemplatePack(packId) {
+    const pack = this.templateLoader.getPack(packId);
+    if (!pack) {
+      throw new Error(`Template pack ${packId} not found`);
+    }
+
+    return {
+      content: JSON.stringify(pack, null, 2),
+      filename: `${pack.id}_v${pack.version}.json`,
+      mimeType: 'application/json'
+    };
+  }
+
   /**
    * Export document
    * @param {string} documentId - Document identifier
    * @param {string} format - Export format (html, pdf, docx)
+   * @param {Object} options - Format-specific export options
    * @returns {Promise} Export promise
    */
-  async exportDocument(documentId, format = 'html') {
+  async exportDocument(documentId, format = 'html', options = {}) {
     const document = this.documents.get(documentId);
     if (!document) {
       throw new Error(`Document ${documentId} not found`);
     }
 
-    const template = this.templates.get(document.templateId);
+    const template = this.getDocumentTemplate(document);
     
     switch (format) {
       case 'html':
         return this.exportToHTML(document, template);
       case 'pdf':
-        return this.exportToPDF(document, template);
+        return this.exportToPDF(document, template, options);
       case 'docx':
         return this.exportToDocx(document, template);
       default:
@@ -499,23 +990,89 @@ class DocumentEngine extends Module {
     }
   }
 
+  /**
+   * Export every user document as a single evidence portfolio ZIP
+   * @param {string} format - Export format for each document (html, pdf, docx)
+   * @param {Object} options - Export options (candidateName)
+   * @returns {Promise<Object>} Export result with a ZIP Blob as content
+   */
+  async exportPortfolio(format = 'docx', options = {}) {
+    if (!this.config.exportFormats.includes(format)) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const templateOrder = Array.from(this.templates.keys());
+    const documents = this.getUserDocuments()
+      .filter(document => this.templates.has(document.templateId))
+      .sort((a, b) => templateOrder.indexOf(a.templateId) - templateOrder.indexOf(b.templateId) || a.createdAt - b.createdAt);
+
+    const entries = [];
+    for (const document of documents) {
+      entries.push({
+        document,
+        template: this.templates.get(document.templateId),
+        exportResult: await this.exportDocument(document.id, format, options)
+      });
+    }
+
+    const bundle = await this.portfolioExporter.buildBundle(entries, this.getAvailableTemplates(), {
+      format,
+      candidateName: this.getCandidateName(options)
+    });
+
+    this.emit('portfolio:exported', {
+      format,
+      documentCount: bundle.documentCount,
+      timestamp: Date.now()
+    });
+
+    return bundle;
+  }
+
+  /**
+   * Generate the evidence index without packaging the documents
+   * @param {Object} options - Index options (candidateName)
+   * @returns {Object} Export result with the HTML index
+   */
+  generatePortfolioIndex(options = {}) {
+    const entries = this.getUserDocuments()
+      .filter(document => this.templates.has(document.templateId))
+      .map(document => ({
+        document,
+        template: this.templates.get(document.templateId),
+        path: null
+      }));
+
+    return this.portfolioExporter.buildIndex(entries, this.getAvailableTemplates(), {
+      candidateName: this.getCandidateName(options)
+    });
+  }
+
+  /**
+   * Candidate name for export headers: the one given, the one in the user preferences or the configured one
+   * @param {Object} options - Export options (candidateName)
+   * @returns {string} Candidate name, empty if none is known
+   */
+  getCandidateName(options = {}) {
+    return options.candidateName || this.stateManager?.getState('preferences.candidateName') || this.config.candidateName;
+  }
+
   /**
    * Export to PDF
+   * Produces an A4 PDF Blob with running headers and page numbers
+   * @param {Object} document - Document instance
+   * @param {Object} template - Template definition
+   * @param {Object} options - Export options (candidateName)
    */
-  async exportToPDF(document, template) {
-    // First generate HTML content
-    const htmlExport = this.exportToHTML(document, template);
-    
+  async exportToPDF(document, template, options = {}) {
     try {
-      // Generate PDF using browser print functionality (opens print dialog)
-      const pdfResult = await this.generatePDFContent(htmlExport.content, document, template);
-      
-      // Return the PDF result (which opens browser print dialog)
-      return pdfResult;
-      
+      return this.pdfExporter.export(document, template, {
+        candidateName: this.getCandidateName(options)
+      });
     } catch (error) {
       console.error('[DocumentEngine] PDF export failed:', error);
       // Fallback to HTML export
+      const htmlExport = this.exportToHTML(document, template);
       return {
         ...htmlExport,
         filename: htmlExport.filename.replace('.html', '_pdf_fallback.html'),
@@ -524,181 +1081,6 @@ class DocumentEngine extends Module {
     }
   }
 
-  /**
-   * Generate PDF content using browser print API
-   */
-  async generatePDFContent(htmlContent, document, template) {
-    return new Promise((resolve, reject) => {
-      // Create a hidden iframe for PDF generation
-      const iframe = document.createElement('iframe');
-      iframe.style.cssText = `
-        position: absolute;
-        top: -9999px;
-        left: -9999px;
-        width: 210mm;
-        height: 297mm;
-      `;
-      
-      document.body.appendChild(iframe);
-      
-      const iframeDoc = iframe.contentDocument;
-      
-      // Enhanced PDF styles
-      const pdfStyles = `
-        <style>
-          @page {
-            size: A4;
-            margin: 20mm;
-          }
-          
-          @media print {
-            body {
-              font-family: 'Arial', sans-serif;
-              font-size: 12pt;
-              line-height: 1.4;
-              color: #000;
-              background: white;
-            }
-            
-            .header {
-              border-bottom: 2pt solid #333;
-              padding-bottom: 10pt;
-              margin-bottom: 15pt;
-              page-break-inside: avoid;
-            }
-            
-            .header h1 {
-              font-size: 18pt;
-              font-weight: bold;
-              margin: 0 0 5pt 0;
-              color: #1a365d;
-            }
-            
-            .section {
-              margin-bottom: 15pt;
-              page-break-inside: avoid;
-            }
-            
-            .section-title {
-              font-size: 14pt;
-              font-weight: bold;
-              color: #2d3748;
-              border-bottom: 1pt solid #e2e8f0;
-              padding-bottom: 3pt;
-              margin-bottom: 8pt;
-            }
-            
-            .table {
-              width: 100%;
-              border-collapse: collapse;
-              margin: 8pt 0;
-              font-size: 11pt;
-            }
-            
-            .table th,
-            .table td {
-              border: 1pt solid #a0aec0;
-              padding: 6pt;
-              text-align: left;
-              vertical-align: top;
-            }
-            
-            .table th {
-              background-color: #edf2f7;
-              font-weight: bold;
-            }
-            
-            .list {
-              margin: 8pt 0;
-              padding-left: 15pt;
-            }
-            
-            .list li {
-              margin: 3pt 0;
-            }
-            
-            .metadata {
-              font-size: 10pt;
-              color: #4a5568;
-              margin-bottom: 10pt;
-            }
-            
-            .footer {
-              position: fixed;
-              bottom: 10mm;
-              left: 20mm;
-              right: 20mm;
-              font-size: 10pt;
-              color: #718096;
-              text-align: center;
-              border-top: 1pt solid #e2e8f0;
-              padding-top: 5pt;
-            }
-            
-            .page-break {
-              page-break-before: always;
-            }
-          }
-        </style>
-      `;
-      
-      // Enhanced HTML content with metadata
-      const enhancedHtml = `
-        <!DOCTYPE html>
-        <html lang="es">
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>${document.title} - EC0249</title>
-          ${pdfStyles}
-        </head>
-        <body>
-          ${htmlContent}
-          <div class="footer">
-            <p>EC0249 - Proporcionar servicios de consultoría general | Generado el ${new Date().toLocaleDateString('es-ES')} | Página <span class="page-number"></span></p>
-          </div>
-        </body>
-        </html>
-      `;
-      
-      iframeDoc.open();
-      iframeDoc.write(enhancedHtml);
-      iframeDoc.close();
-      
-      // Wait for content to load
-      iframe.onload = () => {
-        try {
-          // Use browser's print to PDF functionality
-          iframe.contentWindow.print();
-          
-          // Clean up
-          setTimeout(() => {
-            document.body.removeChild(iframe);
-          }, 1000);
-          
-          // Return PDF-ready HTML content that user can save via browser
-          // This triggers the browser's print dialog where user can "Save as PDF"
-          resolve({
-            content: enhancedHtml,
-            filename: `${document.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${Date.now()}.pdf`,
-            mimeType: 'text/html',
-            isPrintReady: true,
-            note: 'PDF generated via browser print dialog - use "Save as PDF" option'
-          });
-          
-        } catch (error) {
-          document.body.removeChild(iframe);
-          reject(error);
-        }
-      };
-      
-      iframe.onerror = (error) => {
-        document.body.removeChild(iframe);
-        reject(error);
-      };
-    });
-  }
-
   /**
    * Export to HTML
    */
@@ -799,50 +1181,17 @@ class DocumentEngine extends Module {
 
   /**
    * Export to DOCX format
-   * Note: This is a placeholder implementation that exports to HTML format
-   * A full DOCX implementation would require a library like docx.js
+   * Builds a genuine Office Open XML package in the browser
    */
   async exportToDocx(document, template) {
     try {
-      console.log('[DocumentEngine] DOCX export requested - using HTML fallback');
-      
-      // For now, export as HTML with DOCX-friendly formatting
-      const htmlExport = this.exportToHTML(document, template);
-      
-      // Modify the export to be more DOCX-compatible
-      const docxCompatibleHTML = this.convertHTMLForDOCX(htmlExport.content);
-      
-      return {
-        content: docxCompatibleHTML,
-        filename: `${document.title.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${Date.now()}.html`,
-        mimeType: 'text/html',
-        note: 'Exported as HTML format - DOCX export requires additional library'
-      };
-      
+      return this.docxExporter.export(document, template);
     } catch (error) {
       console.error('[DocumentEngine] DOCX export failed:', error);
       throw new Error(`DOCX export failed: ${error.message}`);
     }
   }
 
-  /**
-   * Convert HTML to be more DOCX-compatible
-   */
-  convertHTMLForDOCX(htmlContent) {
-    // Add DOCX-compatible styling and structure
-    return htmlContent
-      .replace(/<div class="document-container">/g, '<div style="width: 21cm; margin: 0 auto; padding: 2cm; font-family: Arial, sans-serif; font-size: 12pt; line-height: 1.6;">')
-      .replace(/<h1>/g, '<h1 style="font-size: 18pt; font-weight: bold; margin-bottom: 1em;">')
-      .replace(/<h2>/g, '<h2 style="font-size: 16pt; font-weight: bold; margin: 1.5em 0 1em 0;">')
-      .replace(/<h3>/g, '<h3 style="font-size: 14pt; font-weight: bold; margin: 1em 0 0.5em 0;">')
-      .replace(/<p>/g, '<p style="margin-bottom: 1em;">')
-      .replace(/<ul>/g, '<ul style="margin: 1em 0; padding-left: 2em;">')
-      .replace(/<ol>/g, '<ol style="margin: 1em 0; padding-left: 2em;">')
-      .replace(/<table>/g, '<table style="border-collapse: collapse; width: 100%; margin: 1em 0;">')
-      .replace(/<th>/g, '<th style="border: 1px solid #333; padding: 8px; background-color: #f5f5f5; font-weight: bold;">')
-      .replace(/<td>/g, '<td style="border: 1px solid #333; padding: 8px;">');
-  }
-
   /**
    * Utility methods
    */
@@ -854,6 +1203,16 @@ class DocumentEngine extends Module {
     return this.templates.get(templateId);
   }
 
+  /**
+   * Get the template of a document restricted to the sections its showIf conditions enable
+   * @param {Object} document - Document
+   * @returns {Object|null} Resolved template
+   */
+  getDocumentTemplate(document) {
+    const template = this.templates.get(document.templateId);
+    return template ? this.templateLogic.resolveTemplate(template, document.data) : null;
+  }
+
   getDocument(documentId) {
     return this.documents.get(documentId);
   }
@@ -862,6 +1221,12 @@ class DocumentEngine extends Module {
     return Array.from(this.userDocuments.values());
   }
 
+  getLatestDocument(templateId) {
+    return this.getUserDocuments()
+      .filter(doc => doc.templateId === templateId)
+      .reduce((latest, doc) => (!latest || doc.updatedAt > latest.updatedAt ? doc : latest), null);
+  }
+
   getDocumentsByElement(elementId) {
     return this.getUserDocuments().filter(doc => {
       const template = this.templates.get(doc.templateId);
@@ -964,6 +1329,43 @@ class DocumentEngine extends Module {
     }
   }
 
+  async loadDocumentHistory() {
+    try {
+      const savedHistory = await this.storage.get('document_history');
+      this.documentHistory.load(savedHistory);
+    } catch (error) {
+      console.warn('[DocumentEngine] Failed to load document history:', error);
+    }
+  }
+
+  async saveDocumentHistory() {
+    try {
+      await this.storage.set('document_history', this.documentHistory.toJSON());
+    } catch (error) {
+      // History is a safety net; failing to persist it must not block the save itself
+      console.warn('[DocumentEngine] Failed to save document history:', error);
+    }
+  }
+
+  async loadTemplatePacks() {
+    try {
+      const savedPacks = await this.storage.get('template_packs');
+      (savedPacks || []).forEach(pack => {
+        try {
+          this.templateLoader.registerPack(pack);
+        } catch (error) {
+          console.warn(`[DocumentEngine] Skipping template pack ${pack?.id}:`, error.message);
+        }
+      });
+    } catch (error) {
+      console.warn('[DocumentEngine] Failed to load template packs:', error);
+    }
+  }
+
+  async saveTemplatePacks() {
+    await this.storage.set('template_packs', this.templateLoader.getPacks());
+  }
+
   async onDestroy() {
     this.templates.clear();
     this.documents.clear();
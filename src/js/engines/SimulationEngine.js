@@ -3,6 +3,12 @@
  * Provides realistic practice environments for EC0249 performance requirements
  */
 import Module from '../core/Module.js';
+import ScenarioLoader from '../simulations/ScenarioLoader.js';
+import EvaluationEngine, { FACT_CATEGORIES, FACT_READY_SCORE } from '../simulations/EvaluationEngine.js';
+import DialogueTree from '../simulations/DialogueTree.js';
+import LocalNluEvaluator from '../simulations/LocalNluEvaluator.js';
+import TranscriptExporter from '../exporters/TranscriptExporter.js';
+import SessionDocumentMapper from '../simulations/SessionDocumentMapper.js';
 
 class SimulationEngine extends Module {
   constructor() {
@@ -20,6 +26,7 @@ class SimulationEngine extends Module {
     this.simulations = new Map();
     this.scenarios = new Map();
     this.activeSession = null;
+    this.activeDialogue = null;
     this.sessionHistory = new Map();
     this.performanceMetrics = new Map();
   }
@@ -28,6 +35,11 @@ class SimulationEngine extends Module {
     this.stateManager = this.service('StateManager');
     this.i18n = this.service('I18nService');
     this.storage = this.service('StorageService');
+    this.scenarioLoader = new ScenarioLoader();
+    this.responseEvaluator = new LocalNluEvaluator();
+    this.evaluationEngine = new EvaluationEngine({ evaluator: this.responseEvaluator });
+    this.transcriptExporter = new TranscriptExporter();
+    this.sessionDocumentMapper = new SessionDocumentMapper();
 
     // Subscribe to simulation events
     this.subscribe('simulation:start', this.handleSimulationStart.bind(this));
@@ -43,342 +55,13 @@ class SimulationEngine extends Module {
   }
 
   /**
-   * Load simulation definitions for interviews and presentations
+   * Load simulation definitions for interviews and presentations from the scenario files
    */
   async loadSimulationDefinitions() {
-    const simulationDefinitions = {
-      // Interview Simulations (Element 1)
-      interview_director_general: {
-        id: 'interview_director_general',
-        type: 'interview',
-        title: 'Entrevista con Director General',
-        element: 'E0875',
-        difficulty: 'intermediate',
-        estimatedDuration: 30,
-        description: 'Práctica de entrevista con un directivo de alto nivel para identificar problemas organizacionales',
-        scenario: {
-          company: 'Manufacturas ABC S.A. de C.V.',
-          industry: 'Manufactura de componentes automotrices',
-          size: '200 empleados',
-          problem: 'Disminución del 15% en productividad en los últimos 6 meses',
-          context: 'La empresa ha experimentado problemas de comunicación interdepartamental y posibles deficiencias en procesos operativos.'
-        },
-        client: {
-          name: 'Carlos Mendoza Ruiz',
-          position: 'Director General',
-          personality: 'Directo, orientado a resultados, algo impaciente',
-          experience: '15 años en la industria automotriz',
-          concerns: ['Eficiencia operacional', 'Costos crecientes', 'Comunicación interna', 'Competitividad'],
-          availability: 'Limitada - máximo 30 minutos',
-          communication_style: 'Formal pero directo',
-          expectations: 'Soluciones concretas y rápidas'
-        },
-        objectives: [
-          'Obtener información clara sobre el problema de productividad',
-          'Identificar las áreas más afectadas',
-          'Recopilar datos sobre procesos y comunicación',
-          'Establecer el alcance del proyecto de consultoría'
-        ],
-        evaluationCriteria: [
-          {
-            id: 'introduction',
-            title: 'Dar su nombre al inicio de la entrevista',
-            weight: 15,
-            description: 'Presentarse profesionalmente y establecer credibilidad'
-          },
-          {
-            id: 'purpose_explanation',
-            title: 'Indicar que la razón de la entrevista es obtener datos relativos al problema',
-            weight: 20,
-            description: 'Explicar claramente el propósito y objetivos de la entrevista'
-          },
-          {
-            id: 'information_request',
-            title: 'Solicitar que la información requerida se proporcione verbalmente/por escrito',
-            weight: 15,
-            description: 'Especificar el formato en que se necesita la información'
-          },
-          {
-            id: 'evidence_request',
-            title: 'Solicitar que las evidencias que soporten sus respuestas sean proporcionadas',
-            weight: 20,
-            description: 'Pedir documentación y evidencias que respalden la información'
-          },
-          {
-            id: 'response_recording',
-            title: 'Registrar las respuestas obtenidas',
-            weight: 15,
-            description: 'Tomar notas adecuadas y confirmar la información recibida'
-          },
-          {
-            id: 'closure',
-            title: 'Cerrar la entrevista agradeciendo la participación',
-            weight: 15,
-            description: 'Finalizar profesionalmente expresando agradecimiento'
-          }
-        ],
-        dialogues: [
-          {
-            trigger: 'start',
-            client_response: 'Buenos días. Soy Carlos Mendoza, Director General de Manufacturas ABC. Le agradezco que haya venido, pero mi tiempo es limitado. ¿En qué puedo ayudarle?',
-            response_options: [
-              'Buenos días Sr. Mendoza, soy [nombre], consultor en gestión organizacional...',
-              'Gracias por recibirme. Vengo a resolver sus problemas de productividad...',
-              'Hola, necesito hacerle algunas preguntas sobre su empresa...'
-            ],
-            correct_approach: 0,
-            feedback: {
-              correct: 'Excelente presentación profesional. Ha establecido credibilidad desde el inicio.',
-              incorrect: 'La presentación debe ser más profesional y establecer credibilidad inmediatamente.'
-            }
-          },
-          {
-            trigger: 'after_introduction',
-            client_response: 'Muy bien. Como le comentaron, tenemos problemas serios de productividad. En los últimos 6 meses hemos visto una caída del 15%. Esto nos está costando dinero y clientes.',
-            response_options: [
-              'Entiendo su preocupación. ¿Podría proporcionarme datos específicos sobre esta disminución?',
-              'Eso es grave. ¿Ya intentaron algo para solucionarlo?',
-              '15% es mucho. ¿En qué departamentos específicamente?'
-            ],
-            correct_approach: 0,
-            feedback: {
-              correct: 'Buena solicitud de información específica y evidencias cuantificables.',
-              incorrect: 'Es importante solicitar datos específicos y documentación que respalde la información.'
-            }
-          },
-          {
-            trigger: 'information_gathering',
-            client_response: 'Tengo los reportes mensuales de producción y algunos datos de recursos humanos. Los problemas parecen estar en la coordinación entre producción y control de calidad.',
-            response_options: [
-              '¿Podría proporcionarme esos reportes por escrito para mi análisis?',
-              'Entiendo. ¿Qué otros departamentos están involucrados?',
-              '¿Desde cuándo notaron estos problemas de coordinación?'
-            ],
-            correct_approach: 0,
-            feedback: {
-              correct: 'Perfecto. Ha solicitado evidencia documental que respalde la información.',
-              incorrect: 'Es crucial solicitar documentación escrita que respalde las afirmaciones.'
-            }
-          }
-        ]
-      },
-
-      interview_manager_operations: {
-        id: 'interview_manager_operations',
-        type: 'interview',
-        title: 'Entrevista con Gerente de Operaciones',
-        element: 'E0875',
-        difficulty: 'beginner',
-        estimatedDuration: 25,
-        description: 'Entrevista con gerente de nivel medio para obtener información operacional detallada',
-        scenario: {
-          company: 'Servicios Logísticos Delta',
-          industry: 'Logística y distribución',
-          size: '150 empleados',
-          problem: 'Retrasos frecuentes en entregas y quejas de clientes',
-          context: 'La empresa ha crecido rápidamente pero sus procesos no se han actualizado adecuadamente.'
-        },
-        client: {
-          name: 'María Elena Vásquez',
-          position: 'Gerente de Operaciones',
-          personality: 'Colaborativa, detallista, algo defensiva sobre su área',
-          experience: '8 años en logística',
-          concerns: ['Eficiencia de procesos', 'Satisfacción del cliente', 'Capacidad del equipo'],
-          availability: '45 minutos disponibles',
-          communication_style: 'Conversacional, proporciona muchos detalles',
-          expectations: 'Que se entiendan las complejidades operacionales'
-        }
-      },
-
-      // Presentation Simulations (Element 3)
-      presentation_executive_board: {
-        id: 'presentation_executive_board',
-        type: 'presentation',
-        title: 'Presentación ante Consejo Ejecutivo',
-        element: 'E0877',
-        difficulty: 'advanced',
-        estimatedDuration: 45,
-        description: 'Presentación formal de propuesta de solución ante consejo directivo',
-        scenario: {
-          company: 'Grupo Empresarial Innovación',
-          audience: 'Consejo Ejecutivo (5 miembros)',
-          context: 'Presentación de propuesta para implementar sistema de gestión de calidad ISO 9001',
-          budget_range: '$500,000 - $750,000 USD',
-          timeline: '12 meses de implementación',
-          strategic_importance: 'Alta - relacionado con expansión internacional'
-        },
-        audience: [
-          {
-            name: 'Dr. Roberto Salinas',
-            position: 'Presidente del Consejo',
-            personality: 'Analítico, busca ROI claro',
-            concerns: ['Retorno de inversión', 'Riesgos financieros', 'Tiempo de recuperación']
-          },
-          {
-            name: 'Ing. Patricia Morales',
-            position: 'Directora de Operaciones',
-            personality: 'Práctica, orientada a implementación',
-            concerns: ['Impacto en operaciones', 'Recursos necesarios', 'Capacitación de personal']
-          },
-          {
-            name: 'Lic. Fernando Castro',
-            position: 'Director Financiero',
-            personality: 'Conservador, enfocado en costos',
-            concerns: ['Costos totales', 'Flujo de efectivo', 'Presupuesto anual']
-          }
-        ],
-        evaluationCriteria: [
-          {
-            id: 'proposal_description',
-            title: 'Describir la propuesta sugerida',
-            weight: 10,
-            description: 'Explicar claramente qué se propone implementar'
-          },
-          {
-            id: 'scope_mention',
-            title: 'Mencionar el alcance',
-            weight: 10,
-            description: 'Definir qué está incluido y qué no en la propuesta'
-          },
-          {
-            id: 'advantages_disadvantages',
-            title: 'Exponer las ventajas y desventajas',
-            weight: 10,
-            description: 'Presentar un análisis balanceado de pros y contras'
-          },
-          {
-            id: 'responsibilities',
-            title: 'Mencionar los responsables de parte del consultante y consultor',
-            weight: 10,
-            description: 'Clarificar roles y responsabilidades de ambas partes'
-          },
-          {
-            id: 'implementation_stages',
-            title: 'Mencionar las etapas de la instalación',
-            weight: 9,
-            description: 'Describir las fases del proyecto de implementación'
-          },
-          {
-            id: 'deliverables',
-            title: 'Mencionar los entregables de cada etapa',
-            weight: 9,
-            description: 'Especificar qué se entregará en cada fase'
-          },
-          {
-            id: 'implications',
-            title: 'Mencionar las implicaciones de la implantación',
-            weight: 9,
-            description: 'Explicar el impacto organizacional de la implementación'
-          },
-          {
-            id: 'resources',
-            title: 'Describir los recursos a emplear',
-            weight: 9,
-            description: 'Detallar recursos humanos, técnicos y materiales necesarios'
-          },
-          {
-            id: 'questions_response',
-            title: 'Responder las preguntas o dudas expresadas',
-            weight: 9,
-            description: 'Manejar preguntas y objeciones de manera profesional'
-          },
-          {
-            id: 'cost_benefit',
-            title: 'Explicar las implicaciones del costo/beneficio',
-            weight: 8,
-            description: 'Presentar análisis financiero y justificación económica'
-          },
-          {
-            id: 'methodological_order',
-            title: 'Mantener orden metodológico en la presentación',
-            weight: 7,
-            description: 'Seguir una secuencia lógica y profesional'
-          }
-        ],
-        presentation_flow: [
-          {
-            stage: 'opening',
-            duration: 5,
-            objectives: ['Presentarse profesionalmente', 'Establecer credibilidad', 'Presentar agenda'],
-            key_points: ['Agradecimiento por la oportunidad', 'Breve presentación personal/empresa', 'Agenda de la presentación']
-          },
-          {
-            stage: 'problem_context',
-            duration: 8,
-            objectives: ['Confirmar entendimiento del problema', 'Presentar hallazgos clave'],
-            key_points: ['Resumen del diagnóstico', 'Principales problemas identificados', 'Impacto en la organización']
-          },
-          {
-            stage: 'solution_proposal',
-            duration: 15,
-            objectives: ['Presentar solución detallada', 'Explicar beneficios y riesgos'],
-            key_points: ['Descripción de la solución', 'Ventajas y desventajas', 'Alcance del proyecto']
-          },
-          {
-            stage: 'implementation_plan',
-            duration: 10,
-            objectives: ['Explicar plan de implementación', 'Definir responsabilidades'],
-            key_points: ['Etapas de implementación', 'Cronograma', 'Entregables', 'Responsabilidades']
-          },
-          {
-            stage: 'investment_analysis',
-            duration: 5,
-            objectives: ['Presentar análisis costo-beneficio', 'Justificar inversión'],
-            key_points: ['Costo total', 'ROI esperado', 'Términos de pago']
-          },
-          {
-            stage: 'qa_closure',
-            duration: 7,
-            objectives: ['Responder preguntas', 'Cerrar profesionalmente'],
-            key_points: ['Sesión de preguntas y respuestas', 'Próximos pasos', 'Agradecimiento']
-          }
-        ],
-        potential_questions: [
-          {
-            questioner: 'Dr. Roberto Salinas',
-            question: '¿Cuál es el retorno de inversión específico que podemos esperar y en qué plazo?',
-            category: 'financial',
-            difficulty: 'high',
-            expected_elements: ['ROI específico', 'Cronograma de beneficios', 'Supuestos del cálculo']
-          },
-          {
-            questioner: 'Ing. Patricia Morales',
-            question: '¿Cómo afectará este proyecto a nuestras operaciones diarias durante la implementación?',
-            category: 'operational',
-            difficulty: 'medium',
-            expected_elements: ['Impacto operacional', 'Medidas de mitigación', 'Plan de comunicación']
-          },
-          {
-            questioner: 'Lic. Fernando Castro',
-            question: '¿Podríamos implementar esto por fases para distribuir mejor el costo?',
-            category: 'financial',
-            difficulty: 'medium',
-            expected_elements: ['Factibilidad de fases', 'Impacto en costos', 'Beneficios de implementación completa vs. fases']
-          }
-        ]
-      },
-
-      presentation_middle_management: {
-        id: 'presentation_middle_management',
-        type: 'presentation',
-        title: 'Presentación a Gerencias Medias',
-        element: 'E0877',
-        difficulty: 'intermediate',
-        estimatedDuration: 30,
-        description: 'Presentación de propuesta ante grupo de gerentes de nivel medio',
-        scenario: {
-          company: 'Retail Modernos S.A.',
-          audience: 'Gerentes de área (6 personas)',
-          context: 'Propuesta para modernizar procesos de inventario y ventas',
-          budget_range: '$150,000 - $200,000 USD',
-          timeline: '6 meses de implementación',
-          strategic_importance: 'Media - mejora de eficiencia operacional'
-        }
-      }
-    };
+    const scenarios = await this.scenarioLoader.loadAllScenarios();
 
     // Store simulation definitions
-    Object.values(simulationDefinitions).forEach(simulation => {
+    scenarios.forEach(simulation => {
       this.simulations.set(simulation.id, simulation);
     });
 
@@ -407,6 +90,7 @@ class SimulationEngine extends Module {
       progress: 0,
       actions: [],
       responses: [],
+      discoveredFacts: [],
       performance: {
         criteriaCompleted: [],
         score: 0,
@@ -420,6 +104,15 @@ class SimulationEngine extends Module {
       }
     };
 
+    // Interviews with a dialogue tree branch on what the consultant asks
+    this.activeDialogue = simulation.dialogueTree
+      ? new DialogueTree(simulation.dialogueTree, { traits: simulation.client.traits, evaluator: this.responseEvaluator })
+      : null;
+    if (this.activeDialogue) {
+      this.activeSession.state.dialogue = this.activeDialogue.createState();
+    }
+    this.activeSession.opening = this.getOpeningLine(simulation);
+
     this.emit('simulation:started', {
       sessionId: sessionId,
       simulationId: simulationId,
@@ -459,6 +152,10 @@ class SimulationEngine extends Module {
       response = this.processPresentationAction(action, simulation);
     }
 
+    if (response?.revealedFacts?.length) {
+      this.recordDiscoveredFacts(action, response.revealedFacts);
+    }
+
     // Update session state
     this.updateSessionState(action, response);
 
@@ -466,6 +163,9 @@ class SimulationEngine extends Module {
     const evaluation = this.evaluationEngine.evaluateAction(action, simulation, this.activeSession);
     this.updateSessionPerformance(evaluation);
 
+    // Kept for the transcript replay
+    this.activeSession.responses.push({ actionId: action.id, response, evaluation });
+
     this.emit('simulation:action', {
       sessionId: this.activeSession.id,
       action: action,
@@ -480,9 +180,26 @@ class SimulationEngine extends Module {
    * Process interview action
    */
   processInterviewAction(action, simulation) {
+    if (this.activeDialogue) {
+      return this.processDialogueTreeAction(action, simulation);
+    }
+
     const { client, dialogues } = simulation;
     const currentStage = this.activeSession.currentStage;
 
+    // Asking the right question makes the client reveal a hidden fact
+    const askedFacts = this.evaluationEngine.findAskedFacts(action.data.content || '', simulation, this.activeSession);
+    if (askedFacts.length > 0) {
+      return {
+        type: 'client_response',
+        speaker: client.name,
+        content: askedFacts.map(fact => fact.answer).join(' '),
+        mood: this.activeSession.state.clientMood,
+        engagement: this.activeSession.state.engagement,
+        revealedFacts: askedFacts.map(fact => this.describeFact(fact))
+      };
+    }
+
     // Find appropriate dialogue based on current stage and action
     const dialogue = dialogues.find(d => d.trigger === currentStage || d.trigger === 'general');
     
@@ -499,7 +216,7 @@ class SimulationEngine extends Module {
     // Evaluate action quality
     let responseIndex = 0;
     if (action.type === 'speak' && dialogue.response_options) {
-      responseIndex = this.evaluateResponseQuality(action.data, dialogue.response_options);
+      responseIndex = this.evaluateResponseQuality(action.data.content || '', dialogue.response_options);
     }
 
     const isCorrectApproach = responseIndex === dialogue.correct_approach;
@@ -525,6 +242,48 @@ class SimulationEngine extends Module {
     };
   }
 
+  /**
+   * Process interview action through the scenario's dialogue tree
+   * The client's reply depends on the question, their personality and patience, and the facts already uncovered.
+   */
+  processDialogueTreeAction(action, simulation) {
+    const dialogue = this.activeSession.state.dialogue;
+    const reply = this.activeDialogue.respond(action.data.content || '', dialogue);
+
+    this.activeSession.state.clientMood = reply.mood;
+    this.activeSession.state.engagement = reply.engagement;
+
+    return {
+      type: 'client_response',
+      speaker: simulation.client.name,
+      content: reply.content,
+      mood: reply.mood,
+      engagement: reply.engagement,
+      stage: reply.stage,
+      revealedFacts: reply.revealedFacts.map(id => this.describeFact(simulation.facts.find(fact => fact.id === id))),
+      patience: reply.patience,
+      interviewEnded: reply.ended
+    };
+  }
+
+  describeFact(fact) {
+    return { id: fact.id, category: fact.category, description: fact.description };
+  }
+
+  /**
+   * Record hidden facts uncovered by an action
+   */
+  recordDiscoveredFacts(action, facts) {
+    facts.forEach(fact => {
+      this.activeSession.discoveredFacts.push({
+        id: fact.id,
+        actionId: action.id,
+        stage: action.stage,
+        timestamp: action.timestamp
+      });
+    });
+  }
+
   /**
    * Process presentation action
    */
@@ -591,18 +350,14 @@ class SimulationEngine extends Module {
 
   /**
    * Evaluate response quality for interviews
+   * @returns {number} Index of the option closest to what the user said
    */
   evaluateResponseQuality(userResponse, options) {
-    // Simple keyword matching - in production would use NLP
-    const userWords = userResponse.toLowerCase().split(' ');
     let bestMatch = 0;
     let bestIndex = 0;
 
     options.forEach((option, index) => {
-      const optionWords = option.toLowerCase().split(' ');
-      const commonWords = userWords.filter(word => optionWords.includes(word));
-      const similarity = commonWords.length / optionWords.length;
-      
+      const similarity = this.responseEvaluator.similarity(userResponse, option);
       if (similarity > bestMatch) {
         bestMatch = similarity;
         bestIndex = index;
@@ -616,15 +371,23 @@ class SimulationEngine extends Module {
    * Evaluate presentation action quality
    */
   evaluatePresentationAction(action, stageInfo) {
-    // Evaluate based on stage objectives and key points
-    const content = action.data.content || '';
-    const keyWords = stageInfo.key_points.flatMap(point => point.toLowerCase().split(' '));
-    const contentWords = content.toLowerCase().split(' ');
-    
-    const coverage = contentWords.filter(word => keyWords.includes(word)).length;
-    const quality = Math.min(coverage / keyWords.length, 1.0);
-    
-    return quality;
+    // Share of the stage key points the user covered
+    return this.responseEvaluator.coverage(action.data.content || '', stageInfo.key_points).ratio;
+  }
+
+  /**
+   * Replace the evaluator that understands the user's messages (LocalNluEvaluator by default)
+   * @param {ResponseEvaluator} evaluator - Evaluator implementing matchCriterion(), matchIntent(), similarity() and coverage()
+   */
+  setResponseEvaluator(evaluator) {
+    const methods = ['matchCriterion', 'matchIntent', 'similarity', 'coverage'];
+    if (!methods.every(method => typeof evaluator?.[method] === 'function')) {
+      throw new Error('Response evaluator must implement matchCriterion(), matchIntent(), similarity() and coverage()');
+    }
+
+    this.responseEvaluator = evaluator;
+    this.evaluationEngine.setEvaluator(evaluator);
+    this.activeDialogue?.setEvaluator(evaluator);
   }
 
   /**
@@ -637,7 +400,12 @@ class SimulationEngine extends Module {
     // Advance stage if appropriate
     const simulation = this.simulations.get(this.activeSession.simulationId);
     if (simulation.type === 'interview') {
-      this.advanceInterviewStage(action);
+      if (response?.stage) {
+        // Dialogue trees place each reply in its interview stage
+        this.activeSession.currentStage = response.stage;
+      } else {
+        this.advanceInterviewStage(action);
+      }
     } else if (simulation.type === 'presentation') {
       this.advancePresentationStage(action);
     }
@@ -760,6 +528,9 @@ class SimulationEngine extends Module {
 
     const simulation = this.simulations.get(this.activeSession.simulationId);
     const session = this.activeSession;
+    const factDiscovery = simulation.facts?.length
+      ? this.evaluationEngine.evaluateFactCoverage(session, simulation)
+      : null;
     
     // Calculate final results
     const results = {
@@ -775,8 +546,10 @@ class SimulationEngine extends Module {
       criteriaCompleted: session.performance.criteriaCompleted,
       totalCriteria: simulation.evaluationCriteria.length,
       feedback: session.performance.feedback,
-      recommendations: this.generateRecommendations(session, simulation),
-      certification: this.evaluateCertificationReadiness(session, simulation)
+      factDiscovery: factDiscovery,
+      recommendations: this.generateRecommendations(session, simulation, factDiscovery),
+      certification: this.evaluateCertificationReadiness(session, simulation, factDiscovery),
+      transcript: this.buildTranscript(session, simulation)
     };
 
     // Store results
@@ -785,6 +558,7 @@ class SimulationEngine extends Module {
 
     // Clear active session
     this.activeSession = null;
+    this.activeDialogue = null;
 
     this.emit('simulation:completed', {
       sessionId: session.id,
@@ -795,10 +569,99 @@ class SimulationEngine extends Module {
     return results;
   }
 
+  /**
+   * Build the turn-by-turn record of a session: what the candidate said, the reply and the score of each action
+   */
+  buildTranscript(session, simulation) {
+    return {
+      title: simulation.title,
+      element: simulation.element,
+      opening: session.opening,
+      turns: session.actions.map((action, index) => {
+        const { response, evaluation } = session.responses.find(entry => entry.actionId === action.id) || {};
+        return {
+          number: index + 1,
+          actionId: action.id,
+          stage: action.stage,
+          timestamp: action.timestamp,
+          message: action.data?.content || '',
+          reply: response ? {
+            speaker: response.speaker || response.questioner || (simulation.type === 'interview' ? simulation.client.name : 'Audiencia'),
+            content: response.content || '',
+            feedback: response.feedback || null,
+            revealedFacts: (response.revealedFacts || []).map(fact => fact.description)
+          } : null,
+          score: evaluation?.criteriaEvaluated.length ? evaluation.score : null,
+          criteria: (evaluation?.criteriaEvaluated || []).map(criterion => ({
+            id: criterion.id,
+            title: criterion.title,
+            score: criterion.score
+          })),
+          feedback: evaluation?.feedback || ''
+        };
+      })
+    };
+  }
+
+  /**
+   * Get the results of a finished session
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Session results, with its transcript
+   */
+  getSessionResults(sessionId) {
+    return this.sessionHistory.get(sessionId) || null;
+  }
+
+  /**
+   * Export the transcript of a finished session
+   * Useful as evidence of the "registrar las respuestas" criterion of the interview.
+   * @param {string} sessionId - Session identifier
+   * @param {string} format - Export format (markdown, pdf)
+   * @param {Object} options - Export options (candidateName)
+   * @returns {Object} Export result ({ content, filename, mimeType })
+   */
+  exportTranscript(sessionId, format = 'markdown', options = {}) {
+    const results = this.sessionHistory.get(sessionId);
+    if (!results?.transcript) {
+      throw new Error(`No transcript for session ${sessionId}`);
+    }
+
+    switch (format) {
+      case 'markdown':
+        return this.transcriptExporter.toMarkdown(results);
+      case 'pdf':
+        return this.transcriptExporter.toPdf(results, options);
+      default:
+        throw new Error(`Unsupported transcript format: ${format}`);
+    }
+  }
+
+  /**
+   * Build the draft of an Element 1 document from a finished interview session
+   * The questions asked, the answers received and the facts discovered fill the template sections;
+   * pass the data to DocumentEngine.createDocument() to create the document.
+   * @param {string} sessionId - Session identifier
+   * @param {string} templateId - Template identifier (interview_guide, field_visit_report)
+   * @returns {Object} Document draft ({ title, data })
+   */
+  buildSessionDocument(sessionId, templateId) {
+    const results = this.sessionHistory.get(sessionId);
+    if (!results) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    const simulation = this.simulations.get(results.simulationId);
+    if (!simulation) {
+      throw new Error(`Simulation ${results.simulationId} not found`);
+    }
+
+    return this.sessionDocumentMapper.map(templateId, results, simulation);
+  }
+
   /**
    * Generate personalized recommendations
    */
-  generateRecommendations(session, simulation) {
+  generateRecommendations(session, simulation, factDiscovery = null) {
     const recommendations = [];
     const criteriaCompleted = session.performance.criteriaCompleted;
     
@@ -813,22 +676,41 @@ class SimulationEngine extends Module {
       }
     });
 
+    // Information the candidate failed to uncover
+    factDiscovery?.missed.forEach(fact => {
+      recommendations.push({
+        area: `Información no descubierta: ${FACT_CATEGORIES[fact.category]?.label || fact.category}`,
+        priority: fact.category === 'root_cause' ? 'high' : 'medium',
+        suggestion: `No descubrió: ${fact.description}. ${fact.hint}`,
+        resources: [`Módulo de práctica: ${['evidence', 'data_source'].includes(fact.category) ? 'evidence_request' : 'information_request'}`]
+      });
+    });
+
     return recommendations;
   }
 
   /**
    * Evaluate certification readiness
+   * Interviews with hidden facts also require discovering enough of them.
    */
-  evaluateCertificationReadiness(session, simulation) {
+  evaluateCertificationReadiness(session, simulation, factDiscovery = null) {
     const percentage = Math.round((session.performance.score / simulation.evaluationCriteria.reduce((sum, criterion) => sum + criterion.weight, 0)) * 100);
+    const factsReady = !factDiscovery || factDiscovery.score >= FACT_READY_SCORE;
+    const ready = percentage >= 80 && factsReady;
     
     return {
-      ready: percentage >= 80,
+      ready,
       score: percentage,
+      factScore: factDiscovery ? factDiscovery.score : null,
       level: percentage >= 90 ? 'excellent' : percentage >= 80 ? 'good' : percentage >= 60 ? 'acceptable' : 'needs_improvement',
-      nextSteps: percentage >= 80 ? 
+      nextSteps: ready ? 
         ['Proceder con evaluación oficial'] : 
-        ['Practicar áreas débiles', 'Repetir simulación', 'Revisar material teórico']
+        [
+          'Practicar áreas débiles',
+          ...(factsReady ? [] : [`Descubrir al menos ${FACT_READY_SCORE}% de la información del escenario, en especial las causas raíz`]),
+          'Repetir simulación',
+          'Revisar material teórico'
+        ]
     };
   }
 
@@ -1008,7 +890,7 @@ class SimulationEngine extends Module {
               <button class="btn btn-primary" onclick="ec0249App.simulationEngine.submitResponse()">
                 Enviar Respuesta
               </button>
-              <button class="btn btn-secondary" onclick="ec0249App.simulationEngine.completeSimulation()">
+              <button class="btn btn-secondary" onclick="ec0249App.simulationEngine.finishSimulation()">
                 Finalizar Simulación
               </button>
             </div>
@@ -1039,38 +921,124 @@ class SimulationEngine extends Module {
    * Render initial interaction
    */
   renderInitialInteraction(simulation) {
+    const { speaker, content } = this.activeSession.opening;
     if (simulation.type === 'interview') {
-      const firstDialogue = simulation.dialogues.find(d => d.trigger === 'start');
       return `
         <div class="interaction-message client-message">
-          <div class="speaker">${simulation.client.name}</div>
-          <div class="message">${firstDialogue?.client_response || 'Buenos días, ¿en qué puedo ayudarle?'}</div>
+          <div class="speaker">${speaker}</div>
+          <div class="message">${content}</div>
         </div>
       `;
     } else {
       return `
         <div class="interaction-message system-message">
-          <div class="message">Bienvenido a la sala de presentaciones. La audiencia está lista para escuchar su propuesta.</div>
+          <div class="message">${content}</div>
         </div>
       `;
     }
   }
 
+  /**
+   * First line of the session, said by the client or the system
+   */
+  getOpeningLine(simulation) {
+    if (simulation.type !== 'interview') {
+      return { speaker: 'Sistema', content: 'Bienvenido a la sala de presentaciones. La audiencia está lista para escuchar su propuesta.' };
+    }
+
+    const opening = this.activeDialogue
+      ? this.activeDialogue.getOpening(this.activeSession.state.dialogue)
+      : simulation.dialogues?.find(d => d.trigger === 'start')?.client_response;
+    return { speaker: simulation.client.name, content: opening || 'Buenos días, ¿en qué puedo ayudarle?' };
+  }
+
   /**
    * Submit user response
+   * @returns {Promise<Object>} Whether the client ended the interview ({ ended })
    */
-  submitResponse() {
-    const responseText = document.getElementById('userResponse').value.trim();
+  async submitResponse() {
+    const input = document.getElementById('userResponse');
+    const responseText = input.value.trim();
     if (!responseText) {
       this.showNotification('Por favor escriba una respuesta', 'warning');
-      return;
+      return { ended: false };
     }
 
     const response = this.executeAction('speak', { content: responseText });
     this.updateInteractionArea(responseText, response);
     
     // Clear input
-    document.getElementById('userResponse').value = '';
+    input.value = '';
+
+    // The client may end the interview, on a farewell or out of patience
+    if (response.interviewEnded) {
+      await this.finishSimulation();
+    }
+
+    return { ended: Boolean(response.interviewEnded) };
+  }
+
+  /**
+   * Complete the active session, lock the response area and show the results
+   * @returns {Promise<Object|null>} Session results, or null if the session could not be completed
+   */
+  async finishSimulation() {
+    clearInterval(this.sessionTimer);
+    this.setResponseAreaEnabled(false);
+
+    try {
+      const results = await this.completeSimulation();
+      this.renderSimulationResults(results);
+      return results;
+    } catch (error) {
+      console.error('[SimulationEngine] Failed to complete simulation:', error);
+      this.showNotification('Error al finalizar la simulación: ' + error.message, 'error');
+      // Completing can be retried; the dialogue already ended, so the input stays locked
+      const finishButton = document.querySelector('.response-actions .btn-secondary');
+      if (finishButton) finishButton.disabled = false;
+      return null;
+    }
+  }
+
+  setResponseAreaEnabled(enabled) {
+    document.querySelectorAll('#userResponse, .response-actions button').forEach(element => {
+      element.disabled = !enabled;
+    });
+  }
+
+  /**
+   * Replace the response area with the results of the finished session
+   */
+  renderSimulationResults(results) {
+    const responseArea = document.querySelector('.simulation-active .response-area');
+    if (!responseArea) return;
+
+    const { factDiscovery, certification } = results;
+    responseArea.innerHTML = `
+      <div class="simulation-results">
+        <h3>Simulación finalizada</h3>
+        <p class="simulation-results-score">Resultado: <strong>${results.percentage}%</strong> · ${certification.ready ? 'Listo para la evaluación oficial' : 'Requiere más práctica'}</p>
+        ${factDiscovery ? `<p>Información descubierta: ${factDiscovery.discovered.length} de ${factDiscovery.discovered.length + factDiscovery.missed.length} hechos (${factDiscovery.score}%; mínimo ${FACT_READY_SCORE}% para la evaluación oficial)</p>` : ''}
+        ${results.recommendations.length > 0 ? `
+          <h4>Recomendaciones</h4>
+          <ul>
+            ${results.recommendations.map(recommendation => `<li>${recommendation.suggestion}</li>`).join('')}
+          </ul>
+        ` : ''}
+        <div class="response-actions">
+          <button class="btn btn-secondary" onclick="history.back()">
+            Volver al Módulo
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show notification
+   */
+  showNotification(message, type = 'info') {
+    this.emit('notification:show', { message, type });
   }
 
   /**
@@ -1147,7 +1115,7 @@ class SimulationEngine extends Module {
       }
 
       if (this.activeSession.state.timeRemaining <= 0) {
-        this.completeSimulation();
+        this.finishSimulation();
       }
     }, 1000);
   }
@@ -1230,6 +1198,7 @@ class SimulationEngine extends Module {
     this.sessionHistory.clear();
     this.performanceMetrics.clear();
     this.activeSession = null;
+    this.activeDialogue = null;
     
     // Clear external components
     if (this.scenarioLoader) {
@@ -0,0 +1,163 @@
+/**
+ * Document Block Builder - Flattens a template-based document into format-neutral blocks
+ * Shared by the DOCX and PDF writers so every export maps section types the same way
+ */
+
+const ELEMENT_NAMES = {
+  E0875: 'Identificar la situación/problema planteado',
+  E0876: 'Desarrollar opciones de solución',
+  E0877: 'Presentar la propuesta de solución'
+};
+
+class DocumentBlockBuilder {
+  /**
+   * Build the block representation of a document
+   * @param {Object} document - Document instance
+   * @param {Object} template - Template definition
+   * @returns {Object} Title, metadata entries and content blocks
+   */
+  build(document, template) {
+    return {
+      title: document.title || template.title,
+      element: template.element,
+      elementName: template.elementName || ELEMENT_NAMES[template.element] || '',
+      meta: [
+        { label: 'Elemento', value: `${template.element} - ${template.elementName || ELEMENT_NAMES[template.element] || ''}` },
+        { label: 'Fecha de creación', value: this.formatDate(document.createdAt) },
+        { label: 'Última actualización', value: this.formatDate(document.updatedAt) },
+        { label: 'Avance', value: `${document.completionPercentage || 0}%` }
+      ],
+      blocks: this.buildSections(template.sections || [], document.data || {}, 1)
+    };
+  }
+
+  /**
+   * Build blocks for a list of sections
+   * @param {Array} sections - Section definitions
+   * @param {Object} data - Data keyed by section id
+   * @param {number} level - Heading level for the section titles
+   * @returns {Array} Content blocks
+   */
+  buildSections(sections, data, level) {
+    const blocks = [];
+
+    sections.forEach(section => {
+      blocks.push({ type: 'heading', level, text: section.title });
+      blocks.push(...this.buildSectionContent(section, data?.[section.id], level));
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Build blocks for a single section value
+   * @param {Object} section - Section definition
+   * @param {*} data - Section data
+   * @param {number} level - Heading level of the section
+   * @returns {Array} Content blocks
+   */
+  buildSectionContent(section, data, level) {
+    switch (section.type) {
+      case 'textarea':
+      case 'text':
+        return this.buildParagraphs(data);
+
+      case 'list': {
+        const items = (Array.isArray(data) ? data : [])
+          .map(item => this.toText(item).trim())
+          .filter(Boolean);
+        return items.length > 0 ? [{ type: 'list', items }] : [this.emptyBlock('No hay elementos')];
+      }
+
+      case 'table':
+      case 'matrix':
+      case 'gantt':
+        return this.buildTable(section, data);
+
+      case 'structured':
+        if (!section.subsections) return [this.emptyBlock('No hay datos')];
+        return this.buildSections(section.subsections, data || {}, level + 1);
+
+      case 'form':
+      case 'form_fields': {
+        const fields = section.fields || [];
+        if (fields.length === 0) return [this.emptyBlock('No hay datos')];
+        return fields.map(field => {
+          const key = field.id || field.name;
+          return {
+            type: 'field',
+            label: field.label || field.title || key,
+            value: this.toText(data?.[key])
+          };
+        });
+      }
+
+      case 'template': {
+        const text = this.toText(data);
+        return text ? this.buildParagraphs(text) : [this.emptyBlock(section.template || '')];
+      }
+
+      default:
+        return this.buildParagraphs(data);
+    }
+  }
+
+  /**
+   * Build paragraph blocks from free text, one per line break
+   */
+  buildParagraphs(data) {
+    const text = this.toText(data);
+    const paragraphs = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (paragraphs.length === 0) return [this.emptyBlock('')];
+    return paragraphs.map(paragraph => ({ type: 'paragraph', text: paragraph }));
+  }
+
+  /**
+   * Build a table block, accepting rows stored as arrays (editor) or keyed objects
+   */
+  buildTable(section, data) {
+    const rows = Array.isArray(data) ? data : [];
+    if (rows.length === 0) return [this.emptyBlock('No hay datos')];
+
+    const firstRow = rows.find(row => row && typeof row === 'object') || {};
+    const headers = section.headers || (Array.isArray(firstRow) ? firstRow.map((_, index) => `Columna ${index + 1}`) : Object.keys(firstRow));
+
+    return [{
+      type: 'table',
+      headers,
+      rows: rows.map(row => headers.map((header, index) => this.getCellValue(row, header, index)))
+    }];
+  }
+
+  getCellValue(row, header, index) {
+    if (Array.isArray(row)) return this.toText(row[index]);
+    if (row && typeof row === 'object') return this.toText(row[header] ?? row[index]);
+    return index === 0 ? this.toText(row) : '';
+  }
+
+  emptyBlock(text) {
+    return { type: 'empty', text };
+  }
+
+  toText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(item => this.toText(item)).filter(Boolean).join(', ');
+    if (typeof value === 'object') return Object.values(value).map(item => this.toText(item)).filter(Boolean).join(', ');
+    return String(value);
+  }
+
+  toFilename(title) {
+    return (title || 'documento')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/gi, '_')
+      .replace(/^_+|_+$/g, '')
+      .toLowerCase();
+  }
+
+  formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleDateString('es-MX') : '';
+  }
+}
+
+export default DocumentBlockBuilder;
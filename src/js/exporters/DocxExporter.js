@@ -0,0 +1,173 @@
+/**
+ * DOCX Exporter - Generates Office Open XML (.docx) packages client-side
+ * Maps document blocks to Word headings, bulleted lists and tables
+ */
+import ZipWriter from './ZipWriter.js';
+import DocumentBlockBuilder from './DocumentBlockBuilder.js';
+
+const MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+class DocxExporter {
+  constructor() {
+    this.blockBuilder = new DocumentBlockBuilder();
+  }
+
+  /**
+   * Export a document as a DOCX package
+   * @param {Object} document - Document instance
+   * @param {Object} template - Template definition
+   * @param {Object} options - Export options (author)
+   * @returns {Object} Export result with a Blob as content
+   */
+  export(document, template, options = {}) {
+    const model = this.blockBuilder.build(document, template);
+    const zip = new ZipWriter();
+
+    zip.addFile('[Content_Types].xml', this.buildContentTypes());
+    zip.addFile('_rels/.rels', this.buildRootRelationships());
+    zip.addFile('docProps/core.xml', this.buildCoreProperties(model, document, options));
+    zip.addFile('docProps/app.xml', this.buildAppProperties());
+    zip.addFile('word/document.xml', this.buildDocumentXml(model));
+    zip.addFile('word/styles.xml', this.buildStyles());
+    zip.addFile('word/numbering.xml', this.buildNumbering());
+    zip.addFile('word/_rels/document.xml.rels', this.buildDocumentRelationships());
+
+    return {
+      content: zip.toBlob(MIME_TYPE),
+      filename: `${this.blockBuilder.toFilename(document.title)}.docx`,
+      mimeType: MIME_TYPE
+    };
+  }
+
+  /**
+   * Build word/document.xml
+   * @param {Object} model - Block model from DocumentBlockBuilder
+   * @returns {string} Document XML
+   */
+  buildDocumentXml(model) {
+    const body = [
+      this.paragraph(model.title, { style: 'Title' }),
+      ...model.meta.map(entry => this.labeledParagraph(entry.label, entry.value, 'Metadata')),
+      ...model.blocks.map(block => this.renderBlock(block))
+    ].join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${W_NS}" xmlns:r="${R_NS}"><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+  }
+
+  /**
+   * Render a single block as WordprocessingML
+   */
+  renderBlock(block) {
+    switch (block.type) {
+      case 'heading':
+        return this.paragraph(block.text, { style: `Heading${Math.min(block.level, 3)}` });
+      case 'paragraph':
+        return this.paragraph(block.text);
+      case 'list':
+        return block.items.map(item => this.paragraph(item, { style: 'ListParagraph', numbered: true })).join('');
+      case 'table':
+        return this.table(block.headers, block.rows);
+      case 'field':
+        return this.labeledParagraph(block.label, block.value);
+      case 'empty':
+        return this.paragraph(block.text, { italic: true });
+      default:
+        return '';
+    }
+  }
+
+  paragraph(text, options = {}) {
+    const properties = [];
+    if (options.style) properties.push(`<w:pStyle w:val="${options.style}"/>`);
+    if (options.numbered) properties.push('<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>');
+
+    return `<w:p>${properties.length ? `<w:pPr>${properties.join('')}</w:pPr>` : ''}${this.run(text, options)}</w:p>`;
+  }
+
+  labeledParagraph(label, value, style = null) {
+    const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+    return `<w:p>${properties}${this.run(`${label}: `, { bold: true })}${this.run(value)}</w:p>`;
+  }
+
+  run(text, options = {}) {
+    if (!text) return '';
+    const properties = [];
+    if (options.bold) properties.push('<w:b/>');
+    if (options.italic) properties.push('<w:i/>');
+    const runProperties = properties.length ? `<w:rPr>${properties.join('')}</w:rPr>` : '';
+
+    return `<w:r>${runProperties}<w:t xml:space="preserve">${this.escapeXml(text)}</w:t></w:r>`;
+  }
+
+  table(headers, rows) {
+    const width = Math.floor(9638 / Math.max(headers.length, 1));
+    const grid = headers.map(() => `<w:gridCol w:w="${width}"/>`).join('');
+    const cell = (text, isHeader) => `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${isHeader ? '<w:shd w:val="clear" w:color="auto" w:fill="EDF2F7"/>' : ''}</w:tcPr>${this.paragraph(text, { bold: isHeader })}</w:tc>`;
+    const headerRow = `<w:tr><w:trPr><w:tblHeader/></w:trPr>${headers.map(header => cell(header, true)).join('')}</w:tr>`;
+    const bodyRows = rows.map(row => `<w:tr>${row.map(value => cell(value, false)).join('')}</w:tr>`).join('');
+
+    // An empty paragraph after the table keeps consecutive tables from merging
+    return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/></w:tblPr><w:tblGrid>${grid}</w:tblGrid>${headerRow}${bodyRows}</w:tbl><w:p/>`;
+  }
+
+  /**
+   * Package parts
+   */
+  buildContentTypes() {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/><Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/></Types>`;
+  }
+
+  buildRootRelationships() {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/><Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/></Relationships>`;
+  }
+
+  buildDocumentRelationships() {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/></Relationships>`;
+  }
+
+  buildCoreProperties(model, document, options) {
+    const created = new Date(document.createdAt || Date.now()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const modified = new Date(document.updatedAt || Date.now()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${this.escapeXml(model.title)}</dc:title><dc:subject>EC0249 ${this.escapeXml(model.element)}</dc:subject><dc:creator>${this.escapeXml(options.author || 'EC0249')}</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${modified}</dcterms:modified></cp:coreProperties>`;
+  }
+
+  buildAppProperties() {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>EC0249 Educational Platform</Application></Properties>`;
+  }
+
+  buildStyles() {
+    const heading = (level, size) => `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr><w:rPr><w:b/><w:color w:val="1A365D"/><w:sz w:val="${size}"/></w:rPr></w:style>`;
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${W_NS}"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:sz w:val="22"/><w:lang w:val="es-MX"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style><w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:color w:val="1A365D"/><w:sz w:val="36"/></w:rPr></w:style>${heading(1, 30)}${heading(2, 26)}${heading(3, 24)}<w:style w:type="paragraph" w:styleId="Metadata"><w:name w:val="Metadata"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="40"/></w:pPr><w:rPr><w:color w:val="4A5568"/><w:sz w:val="20"/></w:rPr></w:style><w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720"/></w:pPr></w:style><w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders><w:top w:val="single" w:sz="4" w:space="0" w:color="A0AEC0"/><w:left w:val="single" w:sz="4" w:space="0" w:color="A0AEC0"/><w:bottom w:val="single" w:sz="4" w:space="0" w:color="A0AEC0"/><w:right w:val="single" w:sz="4" w:space="0" w:color="A0AEC0"/><w:insideH w:val="single" w:sz="4" w:space="0" w:color="A0AEC0"/><w:insideV w:val="single" w:sz="4" w:space="0" w:color="A0AEC0"/></w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style></w:styles>`;
+  }
+
+  buildNumbering() {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${W_NS}"><w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum><w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>`;
+  }
+
+  /**
+   * Utility methods
+   */
+  escapeXml(value) {
+    return String(value ?? '')
+      // Strip characters that are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+export default DocxExporter;
@@ -0,0 +1,110 @@
+/**
+ * GIFT Exporter - Writes question bank items as Moodle GIFT text
+ * Tags, points and rubrics have no GIFT syntax; they travel in a metadata comment above each
+ * question, which Moodle ignores and GiftImporter reads back.
+ */
+
+export const GIFT_METADATA_PREFIX = '// @ec0249 ';
+
+// Item fields kept in the metadata comment
+const METADATA_FIELDS = ['element', 'competency', 'difficulty', 'lesson', 'points', 'passingScore', 'rubric', 'sampleAnswer'];
+
+class GiftExporter {
+  /**
+   * Export questions as a GIFT file, grouped in one category per element
+   * @param {Array} questions - Questions in the assessment definitions format
+   * @param {Object} options - Export options (filename)
+   * @returns {Object} Export result ({ content, filename, mimeType, skipped })
+   */
+  export(questions, options = {}) {
+    const skipped = [];
+    const blocks = [];
+    let category = null;
+
+    questions.forEach(question => {
+      const body = this.buildQuestion(question);
+      if (!body) {
+        skipped.push({ id: question.id, reason: `GIFT no admite preguntas de tipo ${question.type} como esta` });
+        return;
+      }
+
+      const element = question.element || 'sin_elemento';
+      if (element !== category) {
+        category = element;
+        blocks.push(`$CATEGORY: $course$/EC0249/${element}`);
+      }
+      blocks.push(`${this.buildMetadata(question)}\n${body}`);
+    });
+
+    return {
+      content: `${blocks.join('\n\n')}\n`,
+      filename: options.filename || `preguntas_ec0249_${new Date().toISOString().slice(0, 10)}.gift.txt`,
+      mimeType: 'text/plain;charset=utf-8',
+      skipped
+    };
+  }
+
+  /**
+   * Build the GIFT text of one question, or null if GIFT cannot express it
+   */
+  buildQuestion(question) {
+    const title = `::${this.escape(question.id)}::`;
+    const text = this.escape(question.question);
+    const feedback = question.explanation ? `####${this.escape(question.explanation)}` : '';
+
+    switch (question.type) {
+      case 'multiple_choice':
+        return `${title}${text} {\n${question.options
+          .map((option, index) => `\t${index === question.correct ? '=' : '~'}${this.escape(option)}`)
+          .join('\n')}${feedback ? `\n\t${feedback}` : ''}\n}`;
+
+      case 'true_false':
+        return `${title}${text} {${question.correct ? 'TRUE' : 'FALSE'}${feedback}}`;
+
+      case 'matching':
+        return `${title}${text} {\n${question.pairs
+          .map(pair => `\t=${this.escape(pair.left)} -> ${this.escape(pair.right)}`)
+          .join('\n')}${feedback ? `\n\t${feedback}` : ''}\n}`;
+
+      case 'short_answer':
+      case 'essay':
+        return `${title}${text} {${feedback}}`;
+
+      case 'fill_blank': {
+        // GIFT missing word questions have a single blank
+        const parts = question.question.split('[BLANK]');
+        if (parts.length !== 2) return null;
+
+        const answers = [question.correctAnswer, ...(question.acceptableAnswers?.[0] || [])];
+        return `${title}${this.escape(parts[0])}{${answers.map(answer => `=${this.escape(answer)}`).join(' ')}${feedback}}${this.escape(parts[1])}`;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  buildMetadata(question) {
+    const metadata = {};
+    METADATA_FIELDS.forEach(field => {
+      if (question[field] !== undefined) {
+        metadata[field] = question[field];
+      }
+    });
+
+    // GIFT writes short answers as essays, and a blank at the end as a short answer
+    if (['short_answer', 'fill_blank'].includes(question.type)) {
+      metadata.type = question.type;
+    }
+
+    return `${GIFT_METADATA_PREFIX}${JSON.stringify(metadata)}`;
+  }
+
+  escape(text) {
+    return String(text ?? '')
+      .replace(/([~=#{}:\\])/g, '\\$1')
+      .replace(/\r?\n/g, '\\n');
+  }
+}
+
+export default GiftExporter;
@@ -0,0 +1,393 @@
+/**
+ * PDF Exporter - Generates A4 PDF files client-side without the print dialog
+ * Lays out document blocks with the standard Helvetica fonts and adds running headers/footers
+ */
+import DocumentBlockBuilder from './DocumentBlockBuilder.js';
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56.7; // 20mm
+const HEADER_HEIGHT = 40;
+const FOOTER_HEIGHT = 30;
+const CONTENT_TOP = PAGE_HEIGHT - MARGIN - HEADER_HEIGHT;
+const CONTENT_BOTTOM = MARGIN + FOOTER_HEIGHT;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// Glyph widths (1/1000 em) for ASCII 32-126 from the Helvetica AFM metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Unicode code points of the WinAnsiEncoding slots 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+  0x2021: 0x87, 0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C,
+  0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95,
+  0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B,
+  0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+  italic: { resource: 'F3', baseFont: 'Helvetica-Oblique', widths: HELVETICA_WIDTHS }
+};
+
+const BLOCK_STYLES = {
+  title: { font: 'bold', size: 18, color: [0.10, 0.21, 0.36], spaceBefore: 0, spaceAfter: 10 },
+  heading1: { font: 'bold', size: 14, color: [0.18, 0.22, 0.28], spaceBefore: 12, spaceAfter: 6 },
+  heading2: { font: 'bold', size: 12, color: [0.18, 0.22, 0.28], spaceBefore: 8, spaceAfter: 4 },
+  heading3: { font: 'bold', size: 11, color: [0.18, 0.22, 0.28], spaceBefore: 6, spaceAfter: 3 },
+  meta: { font: 'regular', size: 10, color: [0.29, 0.33, 0.41], spaceBefore: 0, spaceAfter: 2 },
+  paragraph: { font: 'regular', size: 11, color: [0, 0, 0], spaceBefore: 0, spaceAfter: 6 },
+  label: { font: 'bold', size: 11, color: [0, 0, 0], spaceBefore: 0, spaceAfter: 1 },
+  empty: { font: 'italic', size: 10, color: [0.44, 0.5, 0.59], spaceBefore: 0, spaceAfter: 6 },
+  cell: { font: 'regular', size: 9, color: [0, 0, 0] },
+  headerCell: { font: 'bold', size: 9, color: [0, 0, 0] }
+};
+
+class PdfExporter {
+  constructor() {
+    this.blockBuilder = new DocumentBlockBuilder();
+  }
+
+  /**
+   * Export a document as a PDF file
+   * @param {Object} document - Document instance
+   * @param {Object} template - Template definition
+   * @param {Object} options - Export options (candidateName)
+   * @returns {Object} Export result with a Blob as content
+   */
+  export(document, template, options = {}) {
+    return this.exportModel(this.blockBuilder.build(document, template), options);
+  }
+
+  /**
+   * Export a block model built outside of a document template, such as a simulation transcript
+   * @param {Object} model - Block model ({ title, element, meta, blocks })
+   * @param {Object} options - Export options (candidateName)
+   * @returns {Object} Export result with a Blob as content
+   */
+  exportModel(model, options = {}) {
+    const pages = this.layout(model);
+
+    const running = {
+      candidateName: options.candidateName || 'Candidato(a) sin nombre',
+      title: model.title,
+      element: model.element,
+      generatedAt: new Date().toLocaleDateString('es-MX')
+    };
+
+    const bytes = this.buildPdf(pages.map((operations, index) =>
+      operations.concat(this.renderRunningElements(running, index + 1, pages.length))
+    ), model.title);
+
+    return {
+      content: new Blob([bytes], { type: 'application/pdf' }),
+      filename: `${this.blockBuilder.toFilename(model.title)}.pdf`,
+      mimeType: 'application/pdf',
+      pageCount: pages.length
+    };
+  }
+
+  /**
+   * Lay out the block model into pages of drawing operations
+   * @param {Object} model - Block model from DocumentBlockBuilder
+   * @returns {Array<Array<string>>} Content stream operations per page
+   */
+  layout(model) {
+    const state = { pages: [[]], y: CONTENT_TOP };
+
+    this.addText(state, model.title, BLOCK_STYLES.title);
+    model.meta.forEach(entry => this.addText(state, `${entry.label}: ${entry.value}`, BLOCK_STYLES.meta));
+    state.y -= 8;
+
+    model.blocks.forEach(block => {
+      switch (block.type) {
+        case 'heading':
+          this.addText(state, block.text, BLOCK_STYLES[`heading${Math.min(block.level, 3)}`], { keepWithNext: 40 });
+          break;
+        case 'paragraph':
+          this.addText(state, block.text, BLOCK_STYLES.paragraph);
+          break;
+        case 'list':
+          block.items.forEach(item => this.addText(state, item, BLOCK_STYLES.paragraph, { bullet: true }));
+          break;
+        case 'table':
+          this.addTable(state, block.headers, block.rows);
+          break;
+        case 'field':
+          this.addText(state, block.label, BLOCK_STYLES.label, { keepWithNext: 14 });
+          this.addText(state, block.value || '-', BLOCK_STYLES.paragraph);
+          break;
+        case 'empty':
+          if (block.text) this.addText(state, block.text, BLOCK_STYLES.empty);
+          break;
+      }
+    });
+
+    return state.pages;
+  }
+
+  /**
+   * Add wrapped text, breaking pages as needed
+   */
+  addText(state, text, style, options = {}) {
+    const indent = options.bullet ? 14 : 0;
+    const lineHeight = style.size * 1.35;
+    const lines = this.wrapText(text, style.font, style.size, CONTENT_WIDTH - indent);
+
+    state.y -= style.spaceBefore;
+    if (state.y - lineHeight - (options.keepWithNext || 0) < CONTENT_BOTTOM) {
+      this.newPage(state);
+    }
+
+    lines.forEach((line, index) => {
+      if (state.y - lineHeight < CONTENT_BOTTOM) {
+        this.newPage(state);
+      }
+      state.y -= lineHeight;
+      const page = state.pages[state.pages.length - 1];
+      if (options.bullet && index === 0) {
+        page.push(this.textOperation('•', MARGIN + 4, state.y, style));
+      }
+      page.push(this.textOperation(line, MARGIN + indent, state.y, style));
+    });
+
+    state.y -= style.spaceAfter;
+  }
+
+  /**
+   * Add a table, repeating the header row on every page it spans
+   */
+  addTable(state, headers, rows) {
+    const columnWidth = CONTENT_WIDTH / Math.max(headers.length, 1);
+    const padding = 4;
+
+    const measureRow = (cells, style) => {
+      const wrapped = cells.map(cell => this.wrapText(cell, style.font, style.size, columnWidth - padding * 2));
+      const lineCount = Math.max(1, ...wrapped.map(lines => lines.length));
+      return { wrapped, height: lineCount * style.size * 1.3 + padding * 2 };
+    };
+
+    const drawRow = (measured, style, fill) => {
+      const page = state.pages[state.pages.length - 1];
+      const top = state.y;
+      measured.wrapped.forEach((lines, columnIndex) => {
+        const x = MARGIN + columnIndex * columnWidth;
+        page.push(this.rectOperation(x, top - measured.height, columnWidth, measured.height, fill));
+        lines.forEach((line, lineIndex) => {
+          const baseline = top - padding - (lineIndex + 1) * style.size * 1.3 + style.size * 0.3;
+          page.push(this.textOperation(line, x + padding, baseline, style));
+        });
+      });
+      state.y -= measured.height;
+    };
+
+    const header = measureRow(headers, BLOCK_STYLES.headerCell);
+    if (state.y - header.height * 2 < CONTENT_BOTTOM) {
+      this.newPage(state);
+    }
+    drawRow(header, BLOCK_STYLES.headerCell, [0.93, 0.95, 0.97]);
+
+    rows.forEach(row => {
+      const measured = measureRow(row, BLOCK_STYLES.cell);
+      if (state.y - measured.height < CONTENT_BOTTOM) {
+        this.newPage(state);
+        drawRow(header, BLOCK_STYLES.headerCell, [0.93, 0.95, 0.97]);
+      }
+      drawRow(measured, BLOCK_STYLES.cell, null);
+    });
+
+    state.y -= 8;
+  }
+
+  newPage(state) {
+    state.pages.push([]);
+    state.y = CONTENT_TOP;
+  }
+
+  /**
+   * Header (candidate, title, element) and footer (page numbers) for one page
+   */
+  renderRunningElements(running, pageNumber, pageCount) {
+    const small = { font: 'regular', size: 8, color: [0.29, 0.33, 0.41] };
+    const smallBold = { ...small, font: 'bold' };
+    const headerBaseline = PAGE_HEIGHT - MARGIN + 10;
+    const footerBaseline = MARGIN - 4;
+    const elementLabel = `Elemento ${running.element}`;
+    const pageLabel = `Página ${pageNumber} de ${pageCount}`;
+    const truncatedTitle = this.wrapText(running.title, 'regular', 8, CONTENT_WIDTH - 120)[0] || '';
+
+    return [
+      this.textOperation(running.candidateName, MARGIN, headerBaseline, smallBold),
+      this.textOperation(elementLabel, PAGE_WIDTH - MARGIN - this.measureText(elementLabel, 'bold', 8), headerBaseline, smallBold),
+      this.textOperation(truncatedTitle, MARGIN, headerBaseline - 11, small),
+      this.lineOperation(MARGIN, headerBaseline - 16, PAGE_WIDTH - MARGIN, headerBaseline - 16),
+      this.lineOperation(MARGIN, footerBaseline + 12, PAGE_WIDTH - MARGIN, footerBaseline + 12),
+      this.textOperation(`EC0249 - Proporcionar servicios de consultoría general | Generado el ${running.generatedAt}`, MARGIN, footerBaseline, small),
+      this.textOperation(pageLabel, PAGE_WIDTH - MARGIN - this.measureText(pageLabel, 'regular', 8), footerBaseline, small)
+    ];
+  }
+
+  /**
+   * Drawing operations
+   */
+  textOperation(text, x, y, style) {
+    const [r, g, b] = style.color;
+    return `BT /${FONTS[style.font].resource} ${style.size} Tf ${r} ${g} ${b} rg ${x.toFixed(2)} ${y.toFixed(2)} Td (${this.encodeText(text)}) Tj ET`;
+  }
+
+  rectOperation(x, y, width, height, fill) {
+    const fillOperation = fill ? `${fill.join(' ')} rg ${x.toFixed(2)} ${y.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f ` : '';
+    return `${fillOperation}0.63 0.68 0.75 RG 0.5 w ${x.toFixed(2)} ${y.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re S`;
+  }
+
+  lineOperation(x1, y1, x2, y2) {
+    return `0.89 0.91 0.94 RG 0.75 w ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`;
+  }
+
+  /**
+   * Assemble the PDF file structure
+   * @param {Array<Array<string>>} pages - Content stream operations per page
+   * @param {string} title - Document title for the info dictionary
+   * @returns {Uint8Array} PDF bytes
+   */
+  buildPdf(pages, title) {
+    const objects = [];
+    const fontIds = {};
+    const addObject = body => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    Object.entries(FONTS).forEach(([key, font]) => {
+      fontIds[key] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+    });
+    const fontResources = Object.entries(FONTS).map(([key, font]) => `/${font.resource} ${fontIds[key]} 0 R`).join(' ');
+
+    const pageIds = pages.map(operations => {
+      const stream = operations.join('\n');
+      const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = addObject(`<< /Title (${this.encodeText(title)}) /Producer (EC0249 Educational Platform) /CreationDate (D:${this.formatPdfDate(new Date())}) >>`);
+
+    // Every character in the file is a single byte, so string length equals byte offset
+    let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(output.length);
+    for (let i = 0; i < output.length; i++) {
+      bytes[i] = output.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+  }
+
+  /**
+   * Text helpers
+   */
+  wrapText(text, font, size, maxWidth) {
+    const lines = [];
+
+    String(text ?? '').split(/\r?\n/).forEach(paragraph => {
+      let current = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (this.measureText(candidate, font, size) <= maxWidth) {
+          current = candidate;
+          return;
+        }
+        if (current) lines.push(current);
+
+        // Hard-break words longer than the available width
+        current = '';
+        for (const char of word) {
+          if (current && this.measureText(current + char, font, size) > maxWidth) {
+            lines.push(current);
+            current = '';
+          }
+          current += char;
+        }
+      });
+      lines.push(current);
+    });
+
+    return lines.length > 0 ? lines : [''];
+  }
+
+  measureText(text, font, size) {
+    const widths = FONTS[font].widths;
+    let total = 0;
+    for (const char of this.toWinAnsi(text)) {
+      const code = char.charCodeAt(0);
+      if (code >= 32 && code <= 126) {
+        total += widths[code - 32];
+      } else {
+        // Accented Latin-1 letters share the width of their base letter
+        const base = String.fromCharCode(code).normalize('NFD').charCodeAt(0);
+        total += base >= 32 && base <= 126 ? widths[base - 32] : 556;
+      }
+    }
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Map text to WinAnsiEncoding, dropping characters the standard fonts cannot show
+   */
+  toWinAnsi(text) {
+    let result = '';
+    for (const char of String(text ?? '').normalize('NFC')) {
+      const code = char.codePointAt(0);
+      if (WIN_ANSI_EXTRAS[code]) {
+        result += String.fromCharCode(WIN_ANSI_EXTRAS[code]);
+      } else if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF)) {
+        result += char;
+      } else if (code === 9) {
+        result += ' ';
+      } else if (code > 0xFF && code < 0x2000) {
+        result += '?';
+      }
+    }
+    return result;
+  }
+
+  encodeText(text) {
+    return this.toWinAnsi(text).replace(/([\\()])/g, '\\$1');
+  }
+
+  formatPdfDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  }
+}
+
+export default PdfExporter;
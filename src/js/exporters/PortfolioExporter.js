@@ -0,0 +1,190 @@
+/**
+ * Portfolio Exporter - Packages exported documents into a single evidence ZIP
+ * Generates the evidence index that cross-references each file with its EC0249 element and evaluation criteria
+ */
+import ZipWriter from './ZipWriter.js';
+import DocumentBlockBuilder from './DocumentBlockBuilder.js';
+
+const ELEMENTS = [
+  { code: 'E0875', title: 'Identificar la situación/problema planteado' },
+  { code: 'E0876', title: 'Desarrollar opciones de solución' },
+  { code: 'E0877', title: 'Presentar la propuesta de solución' }
+];
+
+const STATUS_LABELS = {
+  draft: 'Borrador',
+  in_progress: 'En progreso',
+  completed: 'Completado'
+};
+
+class PortfolioExporter {
+  constructor() {
+    this.blockBuilder = new DocumentBlockBuilder();
+  }
+
+  /**
+   * Build the portfolio ZIP
+   * @param {Array} entries - Exported documents ({ document, template, exportResult })
+   * @param {Array} templates - All available templates, used to list missing products
+   * @param {Object} options - Bundle options (format, candidateName)
+   * @returns {Promise<Object>} Export result with a ZIP Blob as content
+   */
+  async buildBundle(entries, templates, options = {}) {
+    const zip = new ZipWriter();
+    const indexEntries = [];
+
+    for (const [position, entry] of entries.entries()) {
+      const path = this.buildEntryPath(entry, position, zip);
+      zip.addFile(path, await this.toBytes(entry.exportResult.content));
+      indexEntries.push({ ...entry, path });
+    }
+
+    const index = this.buildIndex(indexEntries, templates, options);
+    zip.addFile('00_indice_de_evidencias.html', index.content);
+
+    return {
+      content: zip.toBlob(),
+      filename: `portafolio_evidencias_ec0249_${new Date().toISOString().slice(0, 10)}.zip`,
+      mimeType: 'application/zip',
+      documentCount: indexEntries.length
+    };
+  }
+
+  /**
+   * Build the evidence index as a standalone HTML document
+   * @param {Array} entries - Documents with their path inside the bundle
+   * @param {Array} templates - All available templates
+   * @param {Object} options - Index options (candidateName, format)
+   * @returns {Object} Export result for the index
+   */
+  buildIndex(entries, templates, options = {}) {
+    const generatedAt = new Date().toLocaleString('es-MX');
+    const sections = this.getIndexGroups(entries, templates).map(element => {
+      const elementEntries = entries.filter(entry => this.getElement(entry) === element.code);
+      const coveredTemplates = new Set(elementEntries.map(entry => entry.template.id));
+      const missing = templates.filter(template =>
+        (template.element || null) === element.code && template.required !== false && !coveredTemplates.has(template.id)
+      );
+      if (element.code === null && elementEntries.length === 0 && missing.length === 0) return '';
+
+      return `
+        <section class="element">
+          <h2>${[element.code, element.title].filter(Boolean).map(text => this.escapeHtml(text)).join(' - ')}</h2>
+          ${elementEntries.length > 0 ? `
+          <table>
+            <thead>
+              <tr><th>Archivo</th><th>Documento</th><th>Estado</th><th>Avance</th><th>Criterios de evaluación</th></tr>
+            </thead>
+            <tbody>
+              ${elementEntries.map(entry => `
+              <tr>
+                <td>${entry.path ? `<a href="${encodeURI(entry.path)}">${this.escapeHtml(entry.path)}</a>` : '-'}</td>
+                <td>${this.escapeHtml(entry.document.title)}</td>
+                <td>${STATUS_LABELS[entry.document.status] || this.escapeHtml(entry.document.status || '')}</td>
+                <td>${entry.document.completionPercentage || 0}%</td>
+                <td>${this.renderCriteria(entry.template.evaluationCriteria)}</td>
+              </tr>`).join('')}
+            </tbody>
+          </table>` : '<p class="empty">Sin documentos para este elemento.</p>'}
+          ${missing.length > 0 ? `
+          <p class="missing"><strong>Productos pendientes:</strong> ${missing.map(template => this.escapeHtml(template.title)).join('; ')}</p>` : ''}
+        </section>
+      `;
+    }).join('');
+
+    const html = `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="UTF-8">
+  <title>Índice de evidencias - EC0249</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 40px; color: #1a202c; }
+    .header { border-bottom: 2px solid #333; padding-bottom: 16px; margin-bottom: 24px; }
+    table { width: 100%; border-collapse: collapse; margin: 10px 0; font-size: 14px; }
+    th, td { border: 1px solid #cbd5e0; padding: 8px; text-align: left; vertical-align: top; }
+    th { background-color: #edf2f7; }
+    ul { margin: 0; padding-left: 18px; }
+    .missing { color: #c53030; }
+    .empty { color: #718096; font-style: italic; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>Índice de evidencias - EC0249 Proporcionar servicios de consultoría general</h1>
+    ${options.candidateName ? `<p><strong>Candidato(a):</strong> ${this.escapeHtml(options.candidateName)}</p>` : ''}
+    <p><strong>Documentos incluidos:</strong> ${entries.length}</p>
+    ${options.format ? `<p><strong>Formato:</strong> ${this.escapeHtml(options.format.toUpperCase())}</p>` : ''}
+    <p><strong>Generado el:</strong> ${generatedAt}</p>
+  </div>
+  ${sections}
+</body>
+</html>`;
+
+    return {
+      content: html,
+      filename: '00_indice_de_evidencias.html',
+      mimeType: 'text/html'
+    };
+  }
+
+  /**
+   * Index sections: the EC0249 elements, then any other element of the documents or templates
+   * (custom template packs), then the documents without element
+   */
+  getIndexGroups(entries, templates) {
+    const codes = [...entries.map(entry => this.getElement(entry)), ...templates.map(template => template.element)];
+    const otherCodes = [...new Set(codes)]
+      .filter(code => code && !ELEMENTS.some(element => element.code === code))
+      .sort();
+
+    return [
+      ...ELEMENTS,
+      ...otherCodes.map(code => ({ code })),
+      { code: null, title: 'Otros documentos' }
+    ];
+  }
+
+  getElement(entry) {
+    return entry.document.element || entry.template.element || null;
+  }
+
+  /**
+   * Build a unique path inside the bundle, grouped by element folder
+   */
+  buildEntryPath(entry, position, zip) {
+    const exportedName = entry.exportResult.filename || `${entry.document.id}.html`;
+    const extension = exportedName.includes('.') ? exportedName.slice(exportedName.lastIndexOf('.')) : '';
+    const baseName = this.blockBuilder.toFilename(entry.document.title);
+    const folder = this.getElement(entry) || 'otros';
+    const prefix = String(position + 1).padStart(2, '0');
+
+    let path = `${folder}/${prefix}_${baseName}${extension}`;
+    let suffix = 2;
+    while (zip.hasFile(path)) {
+      path = `${folder}/${prefix}_${baseName}_${suffix++}${extension}`;
+    }
+    return path;
+  }
+
+  renderCriteria(criteria) {
+    if (!Array.isArray(criteria) || criteria.length === 0) return '-';
+    return `<ul>${criteria.map(criterion => `<li>${this.escapeHtml(criterion)}</li>`).join('')}</ul>`;
+  }
+
+  async toBytes(content) {
+    if (content instanceof Blob) {
+      return new Uint8Array(await content.arrayBuffer());
+    }
+    return content;
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+export default PortfolioExporter;
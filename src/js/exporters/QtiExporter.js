@@ -0,0 +1,221 @@
+/**
+ * QTI Exporter - Packages question bank items as an IMS QTI 2.1 content package
+ * Each question becomes an assessmentItem listed in imsmanifest.xml. Tags, points, rubric keywords
+ * and sample answers, which QTI has no place for, go in the resource metadata for QtiImporter.
+ */
+import ZipWriter from './ZipWriter.js';
+
+export const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+export const QTI_METADATA_NS = 'urn:ec0249:question-metadata';
+export const TRUE_FALSE_CHOICES = [
+  { identifier: 'true', text: 'Verdadero' },
+  { identifier: 'false', text: 'Falso' }
+];
+
+const CP_NS = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+const RESPONSE_TEMPLATES = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates';
+
+// Item fields kept in the resource metadata
+export const METADATA_FIELDS = ['id', 'type', 'element', 'competency', 'difficulty', 'lesson', 'points', 'passingScore', 'rubric', 'sampleAnswer'];
+
+class QtiExporter {
+  /**
+   * Build the QTI package
+   * @param {Array} questions - Questions in the assessment definitions format
+   * @param {Object} options - Export options (filename)
+   * @returns {Object} Export result with a ZIP Blob as content ({ content, filename, mimeType, skipped })
+   */
+  export(questions, options = {}) {
+    const zip = new ZipWriter();
+    const resources = [];
+    const skipped = [];
+
+    questions.forEach(question => {
+      const item = this.buildItem(question);
+      if (!item) {
+        skipped.push({ id: question.id, reason: `QTI no admite preguntas de tipo ${question.type}` });
+        return;
+      }
+
+      const identifier = this.toIdentifier(question.id);
+      const href = `items/${identifier}.xml`;
+      zip.addFile(href, item);
+      resources.push({ identifier, href, question });
+    });
+
+    zip.addFile('imsmanifest.xml', this.buildManifest(resources));
+
+    return {
+      content: zip.toBlob(),
+      filename: options.filename || `preguntas_ec0249_qti_${new Date().toISOString().slice(0, 10)}.zip`,
+      mimeType: 'application/zip',
+      skipped
+    };
+  }
+
+  /**
+   * Build the assessmentItem XML of a question, or null if its type has no QTI interaction
+   */
+  buildItem(question) {
+    const body = this.buildInteraction(question);
+    if (!body) return null;
+
+    const points = question.points ?? 1;
+    const feedback = question.explanation
+      ? `<modalFeedback outcomeIdentifier="FEEDBACK" identifier="explanation" showHide="show">${this.escapeXml(question.explanation)}</modalFeedback>`
+      : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NS}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_NS} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd" identifier="${this.toIdentifier(question.id)}" title="${this.escapeXml(question.id)}" adaptive="false" timeDependent="false">
+${body.declarations}
+<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+<outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float"><defaultValue><value>${points}</value></defaultValue></outcomeDeclaration>
+<outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"><defaultValue><value>explanation</value></defaultValue></outcomeDeclaration>
+<itemBody>${body.itemBody}</itemBody>
+${body.responseProcessing}
+${feedback}
+</assessmentItem>
+`;
+  }
+
+  buildInteraction(question) {
+    const prompt = `<prompt>${this.escapeXml(question.question)}</prompt>`;
+    const matchCorrect = `<responseProcessing template="${RESPONSE_TEMPLATES}/match_correct"/>`;
+
+    switch (question.type) {
+      case 'multiple_choice':
+      case 'true_false': {
+        const choices = question.type === 'true_false'
+          ? TRUE_FALSE_CHOICES
+          : question.options.map((text, index) => ({ identifier: `choice_${index}`, text }));
+        const correct = question.type === 'true_false'
+          ? (question.correct ? 'true' : 'false')
+          : `choice_${question.correct}`;
+
+        return {
+          declarations: this.buildDeclaration('RESPONSE', 'single', 'identifier', [correct]),
+          itemBody: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="${question.type === 'multiple_choice'}" maxChoices="1">${prompt}${choices
+            .map(choice => `<simpleChoice identifier="${choice.identifier}">${this.escapeXml(choice.text)}</simpleChoice>`)
+            .join('')}</choiceInteraction>`,
+          responseProcessing: matchCorrect
+        };
+      }
+
+      case 'matching': {
+        const rights = [...new Set(question.pairs.map(pair => pair.right))];
+        const pairs = question.pairs.map((pair, index) => `left_${index} right_${rights.indexOf(pair.right)}`);
+        const points = question.points ?? 1;
+
+        return {
+          declarations: this.buildDeclaration('RESPONSE', 'multiple', 'directedPair', pairs,
+            pairs.map(pair => ({ key: pair, value: points / pairs.length }))),
+          itemBody: `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">${prompt}<simpleMatchSet>${question.pairs
+            .map((pair, index) => `<simpleAssociableChoice identifier="left_${index}" matchMax="1">${this.escapeXml(pair.left)}</simpleAssociableChoice>`)
+            .join('')}</simpleMatchSet><simpleMatchSet>${rights
+            .map((right, index) => `<simpleAssociableChoice identifier="right_${index}" matchMax="${question.pairs.filter(pair => pair.right === right).length}">${this.escapeXml(right)}</simpleAssociableChoice>`)
+            .join('')}</simpleMatchSet></matchInteraction>`,
+          responseProcessing: `<responseProcessing template="${RESPONSE_TEMPLATES}/map_response"/>`
+        };
+      }
+
+      case 'ordering':
+        return {
+          declarations: this.buildDeclaration('RESPONSE', 'ordered', 'identifier', question.items.map((item, index) => `item_${index}`)),
+          itemBody: `<orderInteraction responseIdentifier="RESPONSE" shuffle="true">${prompt}${question.items
+            .map((item, index) => `<simpleChoice identifier="item_${index}">${this.escapeXml(item)}</simpleChoice>`)
+            .join('')}</orderInteraction>`,
+          responseProcessing: matchCorrect
+        };
+
+      case 'fill_blank': {
+        const answers = question.correctAnswer.split('|');
+        const parts = question.question.split('[BLANK]');
+
+        return {
+          declarations: answers.map((answer, index) => this.buildDeclaration(`RESPONSE_${index + 1}`, 'single', 'string', [answer],
+            [answer, ...(question.acceptableAnswers?.[index] || [])].map(key => ({ key, value: 1 })))).join('\n'),
+          itemBody: `<p>${parts.map((part, index) => this.escapeXml(part) + (index < answers.length
+            ? `<textEntryInteraction responseIdentifier="RESPONSE_${index + 1}" expectedLength="${Math.max(10, answers[index].length + 5)}"/>`
+            : '')).join('')}</p>`,
+          responseProcessing: `<responseProcessing><setOutcomeValue identifier="SCORE"><sum>${answers
+            .map((answer, index) => `<mapResponse identifier="RESPONSE_${index + 1}"/>`)
+            .join('')}</sum></setOutcomeValue></responseProcessing>`
+        };
+      }
+
+      case 'short_answer':
+      case 'essay':
+        return {
+          declarations: this.buildDeclaration('RESPONSE', 'single', 'string', question.sampleAnswer ? [question.sampleAnswer] : []),
+          itemBody: `${question.rubric ? `<rubricBlock view="scorer">${question.rubric
+            .map(criterion => `<p>${this.escapeXml(criterion.criterion)} (${criterion.maxPoints} puntos)</p>`)
+            .join('')}</rubricBlock>` : ''}<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="${question.type === 'essay' ? 10 : 3}">${prompt}</extendedTextInteraction>`,
+          responseProcessing: ''
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  buildDeclaration(identifier, cardinality, baseType, correctValues, mapEntries = null) {
+    const correct = correctValues.length > 0
+      ? `<correctResponse>${correctValues.map(value => `<value>${this.escapeXml(value)}</value>`).join('')}</correctResponse>`
+      : '';
+    const mapping = mapEntries
+      ? `<mapping defaultValue="0">${mapEntries
+        .map(entry => `<mapEntry mapKey="${this.escapeXml(entry.key)}" mappedValue="${entry.value}"${baseType === 'string' ? ' caseSensitive="false"' : ''}/>`)
+        .join('')}</mapping>`
+      : '';
+
+    return `<responseDeclaration identifier="${identifier}" cardinality="${cardinality}" baseType="${baseType}">${correct}${mapping}</responseDeclaration>`;
+  }
+
+  /**
+   * Build imsmanifest.xml with one item resource per question
+   */
+  buildManifest(resources) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="${CP_NS}" xmlns:ec0249="${QTI_METADATA_NS}" identifier="MANIFEST_EC0249_${Date.now()}">
+<metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>
+<organizations/>
+<resources>
+${resources.map(resource => `<resource identifier="RES_${resource.identifier}" type="imsqti_item_xmlv2p1" href="${resource.href}">
+<metadata><ec0249:question>${this.escapeXml(JSON.stringify(this.getMetadata(resource.question)))}</ec0249:question></metadata>
+<file href="${resource.href}"/>
+</resource>`).join('\n')}
+</resources>
+</manifest>
+`;
+  }
+
+  getMetadata(question) {
+    const metadata = {};
+    METADATA_FIELDS.forEach(field => {
+      if (question[field] !== undefined) {
+        metadata[field] = question[field];
+      }
+    });
+    return metadata;
+  }
+
+  /**
+   * QTI identifiers must be valid XML names
+   */
+  toIdentifier(id) {
+    const identifier = String(id).replace(/[^\w.-]/g, '_');
+    return /^[A-Za-z_]/.test(identifier) ? identifier : `Q_${identifier}`;
+  }
+
+  escapeXml(value) {
+    return String(value ?? '')
+      // Strip characters that are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+export default QtiExporter;
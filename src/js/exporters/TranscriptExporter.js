@@ -0,0 +1,171 @@
+/**
+ * Transcript Exporter - Writes the transcript of a finished simulation as Markdown or PDF
+ * Each turn keeps what the candidate said, the reply and the evaluation of the action,
+ * so the file can be filed as evidence of the "registrar las respuestas" criterion.
+ */
+import PdfExporter from './PdfExporter.js';
+
+const STAGE_LABELS = {
+  introduction: 'Presentación',
+  after_introduction: 'Presentación',
+  purpose_explanation: 'Propósito de la entrevista',
+  information_gathering: 'Obtención de información',
+  evidence_collection: 'Solicitud de evidencias',
+  clarification: 'Aclaraciones',
+  closure: 'Cierre',
+  opening: 'Apertura',
+  problem_context: 'Contexto del problema',
+  problem_review: 'Revisión del problema',
+  current_situation: 'Situación actual',
+  solution_overview: 'Panorama de la solución',
+  solution_presentation: 'Presentación de la solución',
+  solution_proposal: 'Propuesta de solución',
+  implementation_plan: 'Plan de implementación',
+  implementation_details: 'Detalles de implementación',
+  investment_analysis: 'Análisis de la inversión',
+  qa_closure: 'Preguntas y cierre',
+  qa_commitment: 'Preguntas y compromisos',
+  qa_next_steps: 'Preguntas y siguientes pasos'
+};
+
+class TranscriptExporter {
+  constructor() {
+    this.pdfExporter = new PdfExporter();
+  }
+
+  /**
+   * Export a transcript as Markdown
+   * @param {Object} results - Simulation results with their transcript
+   * @returns {Object} Export result ({ content, filename, mimeType })
+   */
+  toMarkdown(results) {
+    const model = this.build(results);
+    const lines = [`# ${model.title}`, ''];
+
+    model.meta.forEach(entry => lines.push(`- **${entry.label}:** ${entry.value}`));
+    lines.push('');
+
+    model.blocks.forEach(block => {
+      switch (block.type) {
+        case 'heading':
+          lines.push(`${'#'.repeat(block.level + 1)} ${block.text}`, '');
+          break;
+        case 'field':
+          lines.push(`**${block.label}:** ${this.toMarkdownText(block.value)}`, '');
+          break;
+        case 'paragraph':
+          lines.push(this.toMarkdownText(block.text), '');
+          break;
+        case 'list':
+          lines.push(...block.items.map(item => `- ${this.toMarkdownText(item)}`), '');
+          break;
+        case 'table':
+          lines.push(`| ${block.headers.join(' | ')} |`, `| ${block.headers.map(() => '---').join(' | ')} |`);
+          lines.push(...block.rows.map(row => `| ${row.map(cell => this.toMarkdownText(cell).replace(/\|/g, '\\|')).join(' | ')} |`), '');
+          break;
+        case 'empty':
+          lines.push(`_${block.text}_`, '');
+          break;
+      }
+    });
+
+    return {
+      content: lines.join('\n'),
+      filename: `${this.getFilename(results)}.md`,
+      mimeType: 'text/markdown;charset=utf-8'
+    };
+  }
+
+  /**
+   * Export a transcript as an A4 PDF
+   * @param {Object} results - Simulation results with their transcript
+   * @param {Object} options - Export options (candidateName)
+   * @returns {Object} Export result with a Blob as content
+   */
+  toPdf(results, options = {}) {
+    return {
+      ...this.pdfExporter.exportModel(this.build(results), options),
+      filename: `${this.getFilename(results)}.pdf`
+    };
+  }
+
+  /**
+   * Build the format-neutral block model shared by both formats
+   */
+  build(results) {
+    const { transcript } = results;
+    const blocks = [];
+
+    blocks.push({ type: 'heading', level: 1, text: 'Resumen' });
+    blocks.push(results.criteriaCompleted.length > 0 ? {
+      type: 'table',
+      headers: ['Criterio', 'Puntuación'],
+      rows: results.criteriaCompleted.map(criterion => [criterion.title, `${criterion.score}%`])
+    } : { type: 'empty', text: 'No se evaluó ningún criterio' });
+    if (results.factDiscovery) {
+      const { discovered, missed, score } = results.factDiscovery;
+      blocks.push({ type: 'field', label: 'Información descubierta', value: `${discovered.length} de ${discovered.length + missed.length} hechos (${score}%)` });
+    }
+
+    blocks.push({ type: 'heading', level: 1, text: 'Transcripción' });
+    if (transcript.opening) {
+      blocks.push({ type: 'field', label: transcript.opening.speaker, value: transcript.opening.content });
+    }
+
+    if (transcript.turns.length === 0) {
+      blocks.push({ type: 'empty', text: 'La sesión terminó sin intervenciones del candidato' });
+    }
+
+    transcript.turns.forEach(turn => {
+      blocks.push({ type: 'heading', level: 2, text: `Turno ${turn.number} · ${this.getStageLabel(turn.stage)} · ${this.formatTime(turn.timestamp)}` });
+      blocks.push({ type: 'field', label: 'Candidato(a)', value: turn.message });
+      if (turn.reply) {
+        blocks.push({ type: 'field', label: turn.reply.speaker, value: turn.reply.content });
+        if (turn.reply.revealedFacts.length > 0) {
+          blocks.push({ type: 'list', items: turn.reply.revealedFacts.map(fact => `Información descubierta: ${fact}`) });
+        }
+      }
+
+      blocks.push({
+        type: 'paragraph',
+        text: turn.score === null
+          ? 'Evaluación: sin criterios evaluados en esta etapa'
+          : `Evaluación: ${turn.score}% (${turn.criteria.map(criterion => `${criterion.title}: ${criterion.score}%`).join('; ')})`
+      });
+      if (turn.score !== null && turn.feedback) {
+        blocks.push({ type: 'paragraph', text: turn.feedback });
+      }
+    });
+
+    return {
+      title: `Transcripción: ${transcript.title}`,
+      element: transcript.element,
+      meta: [
+        { label: 'Fecha', value: new Date(results.startTime).toLocaleString('es-MX') },
+        { label: 'Duración', value: `${Math.max(1, Math.round(results.duration / 60000))} min` },
+        { label: 'Intervenciones', value: String(transcript.turns.length) },
+        { label: 'Resultado', value: `${results.percentage}%` }
+      ],
+      blocks
+    };
+  }
+
+  getStageLabel(stage) {
+    return STAGE_LABELS[stage] || String(stage || '').replace(/_/g, ' ');
+  }
+
+  formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('es-MX', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  }
+
+  toMarkdownText(text) {
+    return String(text ?? '').replace(/([\\`*_[\]])/g, '\\$1').replace(/\n+/g, ' ');
+  }
+
+  getFilename(results) {
+    const date = new Date(results.startTime).toISOString().slice(0, 10);
+    return `${this.pdfExporter.blockBuilder.toFilename(`transcripcion ${results.transcript.title}`)}_${date}`;
+  }
+}
+
+export default TranscriptExporter;
@@ -0,0 +1,172 @@
+/**
+ * Zip Writer - Minimal client-side ZIP archive builder
+ * Stores entries uncompressed so OOXML packages and portfolio bundles can be produced without external libraries
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} path - Path inside the archive (forward slashes)
+   * @param {string|Uint8Array|ArrayBuffer} content - File content
+   * @param {Object} options - Entry options
+   * @returns {ZipWriter} This writer, for chaining
+   */
+  addFile(path, content, options = {}) {
+    if (!path) {
+      throw new Error('ZIP entry path is required');
+    }
+
+    const entryPath = path.replace(/^\/+/, '');
+    if (this.hasFile(entryPath)) {
+      throw new Error(`Duplicate ZIP entry: ${entryPath}`);
+    }
+
+    this.entries.push({
+      path: entryPath,
+      data: this.toBytes(content),
+      date: options.date || new Date()
+    });
+
+    return this;
+  }
+
+  /**
+   * Check whether an entry exists
+   * @param {string} path - Path inside the archive
+   * @returns {boolean} True if the entry exists
+   */
+  hasFile(path) {
+    return this.entries.some(entry => entry.path === path);
+  }
+
+  /**
+   * Build the archive bytes
+   * @returns {Uint8Array} ZIP archive
+   */
+  generate() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    this.entries.forEach(entry => {
+      const nameBytes = this.encoder.encode(entry.path);
+      const crc = this.crc32(entry.data);
+      const { time, date } = this.toDosDateTime(entry.date);
+
+      const localHeader = new Uint8Array(30 + nameBytes.length);
+      const local = new DataView(localHeader.buffer);
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, entry.data.length, true);
+      local.setUint32(22, entry.data.length, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);
+      localHeader.set(nameBytes, 30);
+
+      const centralHeader = new Uint8Array(46 + nameBytes.length);
+      const central = new DataView(centralHeader.buffer);
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, entry.data.length, true);
+      central.setUint32(24, entry.data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint16(30, 0, true);
+      central.setUint16(32, 0, true);
+      central.setUint16(34, 0, true);
+      central.setUint16(36, 0, true);
+      central.setUint32(38, 0, true);
+      central.setUint32(42, offset, true);
+      centralHeader.set(nameBytes, 46);
+
+      localParts.push(localHeader, entry.data);
+      centralParts.push(centralHeader);
+      offset += localHeader.length + entry.data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, this.entries.length, true);
+    endView.setUint16(10, this.entries.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    return this.concat([...localParts, ...centralParts, end]);
+  }
+
+  /**
+   * Build the archive as a Blob
+   * @param {string} mimeType - Blob MIME type
+   * @returns {Blob} ZIP archive blob
+   */
+  toBlob(mimeType = 'application/zip') {
+    return new Blob([this.generate()], { type: mimeType });
+  }
+
+  /**
+   * Utility methods
+   */
+  toBytes(content) {
+    if (content instanceof Uint8Array) return content;
+    if (content instanceof ArrayBuffer) return new Uint8Array(content);
+    return this.encoder.encode(String(content ?? ''));
+  }
+
+  crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  concat(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let position = 0;
+    parts.forEach(part => {
+      result.set(part, position);
+      position += part.length;
+    });
+    return result;
+  }
+}
+
+export default ZipWriter;
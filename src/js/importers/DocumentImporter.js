@@ -0,0 +1,576 @@
+/**
+ * Document Importer - Parses Word (.docx) and Markdown drafts into template data
+ * Maps draft headings to template sections by title similarity and keeps unmatched content for review
+ */
+import ZipReader from './ZipReader.js';
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+const STOP_WORDS = new Set([
+  'a', 'al', 'con', 'de', 'del', 'e', 'el', 'en', 'la', 'las', 'lo', 'los', 'o', 'para', 'por',
+  'que', 'se', 'su', 'sus', 'u', 'un', 'una', 'y', 'and', 'for', 'of', 'the', 'to'
+]);
+
+class DocumentImporter {
+  constructor(options = {}) {
+    this.matchThreshold = options.matchThreshold || 0.5;
+  }
+
+  /**
+   * Import a draft file against a template
+   * @param {File} file - .docx or .md file selected by the user
+   * @param {Object} template - Template definition
+   * @returns {Promise<Object>} Import result (data, mappings, unmapped, targets)
+   */
+  async importFile(file, template) {
+    const name = (file.name || '').toLowerCase();
+    let blocks;
+
+    if (name.endsWith('.docx')) {
+      blocks = await this.parseDocx(await file.arrayBuffer());
+    } else if (name.endsWith('.md') || name.endsWith('.markdown') || name.endsWith('.txt')) {
+      blocks = this.parseMarkdown(await file.text());
+    } else {
+      throw new Error('Formato no soportado. Use un archivo .docx o .md');
+    }
+
+    return this.mapToTemplate(blocks, template);
+  }
+
+  /**
+   * Parse a DOCX package into blocks
+   * @param {ArrayBuffer} buffer - DOCX file content
+   * @returns {Promise<Array>} Blocks (title, heading, paragraph, list, table)
+   */
+  async parseDocx(buffer) {
+    const zip = new ZipReader(buffer);
+    const documentXml = await zip.readText('word/document.xml');
+    if (!documentXml) {
+      throw new Error('El archivo no es un documento de Word válido');
+    }
+
+    const headingStyles = this.readHeadingStyles(await zip.readText('word/styles.xml'));
+    const xml = new DOMParser().parseFromString(documentXml, 'application/xml');
+    const body = xml.getElementsByTagNameNS(W_NS, 'body')[0];
+    const blocks = [];
+
+    const visit = parent => {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType !== 1) return;
+
+        if (node.localName === 'p') {
+          this.addDocxParagraph(blocks, node, headingStyles);
+        } else if (node.localName === 'tbl') {
+          blocks.push(this.readDocxTable(node));
+        } else if (node.localName === 'sdt' || node.localName === 'sdtContent') {
+          visit(node);
+        }
+      });
+    };
+
+    if (body) visit(body);
+    return blocks;
+  }
+
+  /**
+   * Map style ids to heading levels (0 = title), covering localized style ids such as "Ttulo1"
+   */
+  readHeadingStyles(stylesXml) {
+    const levels = new Map([['Title', 0]]);
+    for (let level = 1; level <= 6; level++) {
+      levels.set(`Heading${level}`, level);
+    }
+    if (!stylesXml) return levels;
+
+    const xml = new DOMParser().parseFromString(stylesXml, 'application/xml');
+    Array.from(xml.getElementsByTagNameNS(W_NS, 'style')).forEach(style => {
+      const styleId = style.getAttributeNS(W_NS, 'styleId') || style.getAttribute('w:styleId');
+      const name = (this.childAttribute(style, 'name', 'val') || '').toLowerCase();
+      const outline = this.childAttribute(style.getElementsByTagNameNS(W_NS, 'pPr')[0], 'outlineLvl', 'val');
+      const headingMatch = name.match(/^(heading|título|titulo)\s*(\d)$/);
+
+      if (name === 'title' || name === 'título' || name === 'titulo') {
+        levels.set(styleId, 0);
+      } else if (headingMatch) {
+        levels.set(styleId, parseInt(headingMatch[2]));
+      } else if (outline !== null && outline !== '') {
+        levels.set(styleId, parseInt(outline) + 1);
+      }
+    });
+
+    return levels;
+  }
+
+  addDocxParagraph(blocks, paragraph, headingStyles) {
+    const text = this.readDocxText(paragraph).trim();
+    if (!text) return;
+
+    const properties = paragraph.getElementsByTagNameNS(W_NS, 'pPr')[0];
+    const styleId = this.childAttribute(properties, 'pStyle', 'val');
+    const outline = this.childAttribute(properties, 'outlineLvl', 'val');
+    const isListItem = properties?.getElementsByTagNameNS(W_NS, 'numPr').length > 0 || /^List/.test(styleId || '');
+
+    let level = headingStyles.has(styleId) ? headingStyles.get(styleId) : null;
+    if (level === null && outline !== null && outline !== '') {
+      level = parseInt(outline) + 1;
+    }
+
+    if (level === 0) {
+      blocks.push({ type: 'title', text });
+    } else if (level !== null) {
+      blocks.push({ type: 'heading', level, text });
+    } else if (isListItem) {
+      const last = blocks[blocks.length - 1];
+      if (last?.type === 'list') {
+        last.items.push(text);
+      } else {
+        blocks.push({ type: 'list', items: [text] });
+      }
+    } else {
+      blocks.push({ type: 'paragraph', text });
+    }
+  }
+
+  readDocxTable(table) {
+    const rows = Array.from(table.childNodes)
+      .filter(node => node.nodeType === 1 && node.localName === 'tr')
+      .map(row => Array.from(row.childNodes)
+        .filter(node => node.nodeType === 1 && node.localName === 'tc')
+        .map(cell => Array.from(cell.getElementsByTagNameNS(W_NS, 'p'))
+          .map(paragraph => this.readDocxText(paragraph).trim())
+          .filter(Boolean)
+          .join('\n')));
+
+    return {
+      type: 'table',
+      headers: rows[0] || [],
+      rows: rows.slice(1)
+    };
+  }
+
+  readDocxText(paragraph) {
+    let text = '';
+    const walk = node => {
+      Array.from(node.childNodes).forEach(child => {
+        if (child.nodeType !== 1) return;
+        switch (child.localName) {
+          case 't':
+            text += child.textContent;
+            break;
+          case 'tab':
+            text += '\t';
+            break;
+          case 'br':
+          case 'cr':
+            text += '\n';
+            break;
+          case 'pPr':
+          case 'rPr':
+          case 'del':
+            break;
+          default:
+            walk(child);
+        }
+      });
+    };
+    walk(paragraph);
+    return text;
+  }
+
+  childAttribute(parent, localName, attribute) {
+    const child = parent?.getElementsByTagNameNS(W_NS, localName)[0];
+    if (!child) return null;
+    return child.getAttributeNS(W_NS, attribute) || child.getAttribute(`w:${attribute}`);
+  }
+
+  /**
+   * Parse Markdown text into blocks
+   * @param {string} text - Markdown source
+   * @returns {Array} Blocks (title, heading, paragraph, list, table)
+   */
+  parseMarkdown(text) {
+    const blocks = [];
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    let paragraph = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        blocks.push({ type: 'paragraph', text: this.stripInlineMarkdown(paragraph.join(' ')) });
+        paragraph = [];
+      }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+      const listItem = line.match(/^(?:[-*+]|\d+[.)])\s+(.*)$/);
+
+      if (!line) {
+        flushParagraph();
+      } else if (heading) {
+        flushParagraph();
+        blocks.push({ type: 'heading', level: heading[1].length, text: this.stripInlineMarkdown(heading[2]) });
+      } else if (line.startsWith('|') && /^\|?\s*:?-{3,}/.test((lines[i + 1] || '').trim())) {
+        flushParagraph();
+        const tableLines = [line];
+        i += 2;
+        while (i < lines.length && lines[i].trim().startsWith('|')) {
+          tableLines.push(lines[i].trim());
+          i++;
+        }
+        i--;
+        const [headers, ...rows] = tableLines.map(row => this.splitMarkdownRow(row));
+        blocks.push({ type: 'table', headers, rows });
+      } else if (listItem) {
+        flushParagraph();
+        const last = blocks[blocks.length - 1];
+        const item = this.stripInlineMarkdown(listItem[1]);
+        if (last?.type === 'list') {
+          last.items.push(item);
+        } else {
+          blocks.push({ type: 'list', items: [item] });
+        }
+      } else {
+        paragraph.push(line);
+      }
+    }
+
+    flushParagraph();
+    return blocks;
+  }
+
+  splitMarkdownRow(row) {
+    return row
+      .replace(/^\|/, '')
+      .replace(/\|$/, '')
+      .split('|')
+      .map(cell => this.stripInlineMarkdown(cell.trim()));
+  }
+
+  stripInlineMarkdown(text) {
+    return text
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|__)(.*?)\1/g, '$2')
+      .replace(/(\*|_)(.*?)\1/g, '$2')
+      .replace(/`([^`]*)`/g, '$1')
+      .trim();
+  }
+
+  /**
+   * Map parsed blocks onto a template's sections
+   * @param {Array} blocks - Parsed blocks
+   * @param {Object} template - Template definition
+   * @returns {Object} Import result (data, mappings, unmapped, targets)
+   */
+  mapToTemplate(blocks, template) {
+    const targets = this.getTargets(template);
+    const chunks = this.groupByHeading(blocks);
+    const result = { data: {}, mappings: [], unmapped: [], targets };
+    let currentParent = null;
+
+    chunks.forEach((chunk, index) => {
+      if (!chunk.heading) {
+        if (chunk.blocks.length > 0) {
+          result.unmapped.push(this.createUnmapped(`unmapped-${index}`, null, chunk.blocks));
+        }
+        return;
+      }
+
+      const match = this.findBestTarget(chunk.heading, targets, currentParent);
+      if (!match) {
+        result.unmapped.push(this.createUnmapped(`unmapped-${index}`, chunk.heading, chunk.blocks));
+        return;
+      }
+
+      const { target, score } = match;
+      if (target.type === 'structured') {
+        // Parent headings only steer the subsection matching; their own text needs review
+        currentParent = target.sectionId;
+        if (chunk.blocks.length > 0) {
+          result.unmapped.push(this.createUnmapped(`unmapped-${index}`, chunk.heading, chunk.blocks));
+        }
+        return;
+      }
+
+      if (!target.subsectionId) {
+        currentParent = null;
+      }
+
+      const { value, leftover } = this.convertBlocks(chunk.blocks, target);
+      if (!this.isEmptyValue(value)) {
+        this.setTargetValue(result.data, target, value, true);
+        result.mappings.push({ key: target.key, title: target.title, heading: chunk.heading, score: Math.round(score * 100) });
+      }
+      if (leftover.length > 0) {
+        result.unmapped.push(this.createUnmapped(`unmapped-${index}`, chunk.heading, leftover));
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Apply a reviewed import to document data
+   * @param {Object} documentData - Current document data (mutated)
+   * @param {Object} importResult - Result of mapToTemplate()
+   * @param {Object} review - { acceptedKeys: Array<string>, assignments: Object<unmappedId, targetKey> }
+   * @returns {Object} Updated document data
+   */
+  applyImport(documentData, importResult, review = {}) {
+    const acceptedKeys = new Set(review.acceptedKeys || importResult.mappings.map(mapping => mapping.key));
+    const targetsByKey = new Map(importResult.targets.map(target => [target.key, target]));
+
+    importResult.mappings.forEach(mapping => {
+      if (!acceptedKeys.has(mapping.key)) return;
+      const target = targetsByKey.get(mapping.key);
+      this.setTargetValue(documentData, target, this.getTargetValue(importResult.data, target), false);
+    });
+
+    Object.entries(review.assignments || {}).forEach(([unmappedId, targetKey]) => {
+      const item = importResult.unmapped.find(entry => entry.id === unmappedId);
+      const target = targetsByKey.get(targetKey);
+      if (!item || !target) return;
+
+      const { value } = this.convertBlocks(item.blocks, target, true);
+      this.setTargetValue(documentData, target, value, true);
+    });
+
+    return documentData;
+  }
+
+  /**
+   * Flatten template sections and subsections into matchable targets
+   */
+  getTargets(template) {
+    const targets = [];
+    (template.sections || []).forEach(section => {
+      targets.push({
+        key: section.id,
+        sectionId: section.id,
+        subsectionId: null,
+        title: section.title,
+        type: section.type,
+        definition: section
+      });
+
+      if (section.type === 'structured') {
+        (section.subsections || []).forEach(subsection => {
+          targets.push({
+            key: `${section.id}.${subsection.id}`,
+            sectionId: section.id,
+            subsectionId: subsection.id,
+            title: `${section.title} › ${subsection.title}`,
+            matchTitle: subsection.title,
+            type: subsection.type,
+            definition: subsection
+          });
+        });
+      }
+    });
+    return targets;
+  }
+
+  groupByHeading(blocks) {
+    const chunks = [{ heading: null, blocks: [] }];
+    blocks.forEach(block => {
+      if (block.type === 'heading') {
+        chunks.push({ heading: block.text, level: block.level, blocks: [] });
+      } else if (block.type !== 'title') {
+        chunks[chunks.length - 1].blocks.push(block);
+      }
+    });
+    return chunks;
+  }
+
+  findBestTarget(heading, targets, currentParent) {
+    let best = null;
+    targets.forEach(target => {
+      let score = this.titleSimilarity(heading, target.matchTitle || target.title);
+      if (currentParent && target.sectionId === currentParent && target.subsectionId) {
+        score += 0.1;
+      }
+      if (!best || score > best.score) {
+        best = { target, score: Math.min(score, 1) };
+      }
+    });
+    return best && best.score >= this.matchThreshold ? best : null;
+  }
+
+  /**
+   * Convert blocks into a value for the target's field type
+   * @returns {Object} { value, leftover } where leftover holds blocks that do not fit the type
+   */
+  convertBlocks(blocks, target, forceText = false) {
+    const leftover = [];
+
+    switch (target.type) {
+      case 'list': {
+        const items = [];
+        blocks.forEach(block => {
+          if (block.type === 'list') items.push(...block.items);
+          else if (block.type === 'paragraph') items.push(block.text);
+          else if (block.type === 'table') block.rows.forEach(row => items.push(row.filter(Boolean).join(' - ')));
+        });
+        return { value: items, leftover };
+      }
+
+      case 'matrix':
+      case 'table':
+      case 'gantt': {
+        const rows = [];
+        blocks.forEach(block => {
+          if (block.type === 'table') {
+            rows.push(...this.alignTableRows(block, target.definition.headers));
+          } else if (forceText) {
+            const texts = block.type === 'list' ? block.items : [block.text];
+            texts.forEach(text => rows.push([text]));
+          } else {
+            leftover.push(block);
+          }
+        });
+        return { value: rows, leftover };
+      }
+
+      case 'form':
+      case 'form_fields': {
+        const value = {};
+        const fields = target.definition.fields || [];
+        blocks.forEach(block => {
+          const lines = block.type === 'list' ? block.items : block.type === 'paragraph' ? [block.text] : [];
+          const unmatched = lines.filter(line => {
+            const pair = line.match(/^([^:]{2,60}):\s*(.+)$/);
+            if (!pair) return true;
+            const field = fields.find(candidate => this.titleSimilarity(pair[1], candidate.label || candidate.id) >= this.matchThreshold);
+            if (!field) return true;
+            value[field.id || field.name] = pair[2].trim();
+            return false;
+          });
+          if (block.type === 'table' || unmatched.length > 0) {
+            leftover.push(block.type === 'table' ? block : { type: 'paragraph', text: unmatched.join('\n') });
+          }
+        });
+        return { value, leftover };
+      }
+
+      default:
+        return { value: this.blocksToText(blocks), leftover };
+    }
+  }
+
+  alignTableRows(table, headers) {
+    if (!headers || headers.length === 0) return table.rows;
+
+    // Reorder columns when the draft uses the template headers in a different order
+    const columnMap = headers.map((header, index) => {
+      const found = table.headers.findIndex(candidate => this.titleSimilarity(candidate, header) >= this.matchThreshold);
+      return found >= 0 ? found : index;
+    });
+
+    return table.rows.map(row => columnMap.map(columnIndex => row[columnIndex] || ''));
+  }
+
+  blocksToText(blocks) {
+    return blocks.map(block => {
+      switch (block.type) {
+        case 'list':
+          return block.items.map(item => `- ${item}`).join('\n');
+        case 'table':
+          return [block.headers, ...block.rows].map(row => row.join(' | ')).join('\n');
+        default:
+          return block.text;
+      }
+    }).filter(Boolean).join('\n\n');
+  }
+
+  getTargetValue(data, target) {
+    return target.subsectionId ? data[target.sectionId]?.[target.subsectionId] : data[target.sectionId];
+  }
+
+  setTargetValue(data, target, value, append) {
+    let container = data;
+    let key = target.sectionId;
+
+    if (target.subsectionId) {
+      if (!data[target.sectionId] || typeof data[target.sectionId] !== 'object' || Array.isArray(data[target.sectionId])) {
+        data[target.sectionId] = {};
+      }
+      container = data[target.sectionId];
+      key = target.subsectionId;
+    }
+
+    const existing = container[key];
+    if (!append || this.isEmptyValue(existing)) {
+      container[key] = value;
+    } else if (Array.isArray(existing) && Array.isArray(value)) {
+      container[key] = existing.concat(value);
+    } else if (typeof existing === 'string' && typeof value === 'string') {
+      container[key] = `${existing}\n\n${value}`;
+    } else if (typeof existing === 'object' && typeof value === 'object') {
+      container[key] = { ...existing, ...value };
+    } else {
+      container[key] = value;
+    }
+  }
+
+  createUnmapped(id, heading, blocks) {
+    return { id, heading, blocks, text: this.blocksToText(blocks) };
+  }
+
+  isEmptyValue(value) {
+    if (value === null || value === undefined) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return String(value).trim() === '';
+  }
+
+  /**
+   * Similarity between two titles in [0, 1], tolerant to accents, numbering and word order
+   */
+  titleSimilarity(a, b) {
+    const tokensA = this.tokenize(a);
+    const tokensB = this.tokenize(b);
+    if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+    const setB = new Set(tokensB);
+    const shared = tokensA.filter(token => setB.has(token)).length;
+    const tokenScore = (2 * shared) / (tokensA.length + tokensB.length);
+
+    const bigramsA = this.bigrams(tokensA.join(' '));
+    const bigramsB = this.bigrams(tokensB.join(' '));
+    const bigramCounts = new Map();
+    bigramsB.forEach(bigram => bigramCounts.set(bigram, (bigramCounts.get(bigram) || 0) + 1));
+    let sharedBigrams = 0;
+    bigramsA.forEach(bigram => {
+      if (bigramCounts.get(bigram) > 0) {
+        sharedBigrams++;
+        bigramCounts.set(bigram, bigramCounts.get(bigram) - 1);
+      }
+    });
+    const bigramScore = bigramsA.length + bigramsB.length > 0
+      ? (2 * sharedBigrams) / (bigramsA.length + bigramsB.length)
+      : 0;
+
+    return Math.max(tokenScore, bigramScore);
+  }
+
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/^\s*(\d+(\.\d+)*|[ivx]+)[.)-]?\s+/, '')
+      .split(/[^a-z0-9]+/)
+      .filter(token => token && !STOP_WORDS.has(token));
+  }
+
+  bigrams(text) {
+    const result = [];
+    for (let i = 0; i < text.length - 1; i++) {
+      result.push(text.slice(i, i + 2));
+    }
+    return result;
+  }
+}
+
+export default DocumentImporter;
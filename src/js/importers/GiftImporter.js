@@ -0,0 +1,232 @@
+/**
+ * GIFT Importer - Reads Moodle GIFT text into questions of the assessment definitions format
+ * Supports multiple choice, true/false, matching, short answer, missing word and essay questions;
+ * the metadata comments written by GiftExporter restore tags, points and rubrics.
+ */
+import { GIFT_METADATA_PREFIX } from '../exporters/GiftExporter.js';
+
+class GiftImporter {
+  /**
+   * Parse GIFT text
+   * @param {string} text - GIFT file content
+   * @param {Object} options - Import options
+   * @param {Object} options.defaults - Fields of questions without metadata (element, difficulty...)
+   * @param {string} options.idPrefix - Prefix of the IDs of questions without title, which are
+   *   completed with a hash of the question text so untitled questions of other files keep their own IDs
+   * @returns {Object} Parsed questions and the ones that could not be read ({ questions, rejected })
+   */
+  parse(text, { defaults = {}, idPrefix = 'gift_' } = {}) {
+    const questions = [];
+    const rejected = [];
+    let category = null;
+
+    this.splitBlocks(text).forEach(block => {
+      if (block.category) {
+        category = block.category;
+        return;
+      }
+
+      const id = this.getId(block.text, idPrefix);
+      const { type: typeHint, ...metadata } = block.metadata || {};
+      try {
+        const categoryElement = category?.split('/').pop();
+        questions.push({
+          ...defaults,
+          ...(categoryElement && categoryElement !== 'sin_elemento' ? { element: categoryElement } : {}),
+          ...this.parseQuestion(block.text, typeHint),
+          ...metadata,
+          id
+        });
+      } catch (error) {
+        rejected.push({ id, reason: error.message });
+      }
+    });
+
+    return { questions, rejected };
+  }
+
+  /**
+   * Split the text into questions (separated by blank lines) and category changes
+   */
+  splitBlocks(text) {
+    const blocks = [];
+    let lines = [];
+    let metadata = null;
+
+    const flush = () => {
+      if (lines.length > 0) {
+        blocks.push({ text: lines.join('\n'), metadata });
+        metadata = null;
+      }
+      lines = [];
+    };
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+      const trimmed = line.trim();
+
+      if (trimmed.startsWith(GIFT_METADATA_PREFIX.trim())) {
+        try {
+          metadata = JSON.parse(trimmed.slice(GIFT_METADATA_PREFIX.trim().length));
+        } catch (error) {
+          console.warn('[GiftImporter] Invalid metadata comment:', trimmed);
+        }
+      } else if (trimmed.startsWith('//')) {
+        // Comment
+      } else if (trimmed.startsWith('$CATEGORY:')) {
+        flush();
+        blocks.push({ category: trimmed.slice('$CATEGORY:'.length).trim() });
+      } else if (trimmed === '') {
+        flush();
+      } else {
+        lines.push(line);
+      }
+    });
+    flush();
+
+    return blocks;
+  }
+
+  getId(text, idPrefix) {
+    const title = text.trim().match(/^::((?:\\.|[^:\\])*)::/);
+    const id = title ? this.unescape(title[1]).trim() : '';
+    return /^[\w.-]+$/.test(id) ? id : `${idPrefix}${this.hashText(text)}`;
+  }
+
+  /**
+   * FNV-1a hash of the question text with whitespace collapsed, in base 36
+   */
+  hashText(text) {
+    let hash = 0x811c9dc5;
+    for (const char of text.replace(/\s+/g, ' ').trim()) {
+      hash ^= char.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  /**
+   * Parse one question; throws if GIFT uses a type the platform does not support
+   * The type hint of the metadata tells short answers from essays, and a blank at the end from a short answer.
+   */
+  parseQuestion(text, typeHint) {
+    let source = text.trim().replace(/^::(?:\\.|[^:\\])*::/, '');
+    source = source.replace(/^\s*\[(?:html|moodle|plain|markdown)\]/, '');
+
+    const open = this.findUnescaped(source, '{');
+    const close = open === -1 ? -1 : this.findUnescaped(source, '}', open);
+    if (open === -1 || close === -1) {
+      throw new Error('Pregunta GIFT sin bloque de respuestas');
+    }
+
+    const before = source.slice(0, open).trim();
+    const after = source.slice(close + 1).trim();
+    const [answerText, generalFeedback] = this.splitUnescaped(source.slice(open + 1, close), '####');
+    const answers = answerText.trim();
+    const explanation = generalFeedback ? this.unescape(generalFeedback.trim()) : undefined;
+    const question = this.unescape(before);
+
+    if (answers === '') {
+      return { type: typeHint === 'short_answer' ? 'short_answer' : 'essay', question, explanation };
+    }
+
+    if (/^(T|TRUE|F|FALSE)(\s*#.*)?$/s.test(answers)) {
+      return { type: 'true_false', question, correct: /^T/.test(answers), explanation };
+    }
+
+    if (answers.startsWith('#')) {
+      throw new Error('Las preguntas numéricas de GIFT no son compatibles');
+    }
+
+    const choices = this.splitChoices(answers);
+
+    if (choices.some(choice => choice.text.includes('->'))) {
+      return {
+        type: 'matching',
+        question,
+        pairs: choices.map(choice => {
+          const [left, right] = this.splitUnescaped(choice.text, '->');
+          return { left: this.unescape(left.trim()), right: this.unescape((right || '').trim()) };
+        }),
+        explanation
+      };
+    }
+
+    if (choices.every(choice => choice.correct)) {
+      const values = choices.map(choice => this.unescape(choice.text.trim()));
+      return after || typeHint === 'fill_blank'
+        ? {
+          type: 'fill_blank',
+          question: [question, '[BLANK]', this.unescape(after)].filter(Boolean).join(' '),
+          correctAnswer: values[0],
+          acceptableAnswers: values.length > 1 ? [values.slice(1)] : undefined,
+          explanation
+        }
+        : { type: 'short_answer', question, sampleAnswer: values[0], explanation };
+    }
+
+    const correct = choices.findIndex(choice => choice.correct);
+    if (correct === -1 || choices.filter(choice => choice.correct).length > 1) {
+      throw new Error('Solo se admiten preguntas de opción múltiple con una respuesta correcta');
+    }
+
+    return {
+      type: 'multiple_choice',
+      question,
+      options: choices.map(choice => this.unescape(choice.text.trim())),
+      correct,
+      explanation
+    };
+  }
+
+  /**
+   * Split an answer block into its choices (=correct, ~wrong); answer feedback and weights are dropped
+   */
+  splitChoices(answers) {
+    const choices = [];
+    let current = null;
+
+    for (let i = 0; i < answers.length; i++) {
+      const char = answers[i];
+      if (char === '\\') {
+        if (current) current.text += char + (answers[i + 1] ?? '');
+        i++;
+      } else if (char === '=' || char === '~') {
+        current = { correct: char === '=', text: '' };
+        choices.push(current);
+      } else if (current) {
+        current.text += char;
+      }
+    }
+
+    return choices.map(choice => {
+      const [text] = this.splitUnescaped(choice.text, '#');
+      const weight = text.match(/^%(-?\d+(?:\.\d+)?)%/);
+      return {
+        correct: choice.correct || (weight ? parseFloat(weight[1]) === 100 : false),
+        text: weight ? text.slice(weight[0].length) : text
+      };
+    });
+  }
+
+  findUnescaped(text, token, from = 0) {
+    for (let i = from; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text.startsWith(token, i)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  splitUnescaped(text, token) {
+    const index = this.findUnescaped(text, token);
+    return index === -1 ? [text] : [text.slice(0, index), text.slice(index + token.length)];
+  }
+
+  unescape(text) {
+    return text.replace(/\\(n|[~=#{}:\\])/g, (match, char) => char === 'n' ? '\n' : char);
+  }
+}
+
+export default GiftImporter;
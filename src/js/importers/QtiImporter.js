@@ -0,0 +1,288 @@
+/**
+ * QTI Importer - Reads IMS QTI 2.1 items and content packages into questions of the assessment definitions format
+ * Supports choice, match, order, text entry and extended text interactions; the resource metadata
+ * written by QtiExporter restores tags, points and rubrics.
+ */
+import ZipReader from './ZipReader.js';
+import { QTI_NS, QTI_METADATA_NS, METADATA_FIELDS, TRUE_FALSE_CHOICES } from '../exporters/QtiExporter.js';
+
+const CP_NS = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+
+// Question IDs are limited to the characters GiftImporter accepts in titles
+const QUESTION_ID_PATTERN = /^[\w.-]+$/;
+
+// Interactions that can be mapped to a question type
+const INTERACTIONS = ['choiceInteraction', 'matchInteraction', 'orderInteraction', 'textEntryInteraction', 'extendedTextInteraction'];
+
+class QtiImporter {
+  /**
+   * Import a QTI content package
+   * @param {ArrayBuffer} buffer - ZIP file content
+   * @param {Object} options - Import options (defaults: fields of questions without metadata)
+   * @returns {Promise<Object>} Parsed questions and the ones that could not be read ({ questions, rejected })
+   */
+  async importPackage(buffer, options = {}) {
+    const zip = new ZipReader(buffer);
+    const manifestXml = await zip.readText('imsmanifest.xml');
+    if (!manifestXml) {
+      throw new Error('El paquete no contiene imsmanifest.xml');
+    }
+
+    const manifest = this.parseXml(manifestXml);
+    const questions = [];
+    const rejected = [];
+
+    for (const resource of Array.from(manifest.getElementsByTagNameNS(CP_NS, 'resource'))) {
+      if (!/^imsqti_item_xmlv2p[01]/.test(resource.getAttribute('type') || '')) continue;
+
+      const href = resource.getAttribute('href');
+      const itemXml = href ? await zip.readText(href) : null;
+      if (!itemXml) {
+        rejected.push({ id: resource.getAttribute('identifier'), reason: `No se encontró el archivo ${href}` });
+        continue;
+      }
+
+      const result = this.importItem(itemXml, { ...options, metadata: this.readMetadata(resource) });
+      questions.push(...result.questions);
+      rejected.push(...result.rejected);
+    }
+
+    if (questions.length === 0 && rejected.length === 0) {
+      throw new Error('El paquete no contiene reactivos QTI 2.1');
+    }
+
+    return { questions, rejected };
+  }
+
+  /**
+   * Import a single assessmentItem
+   * @param {string} xml - assessmentItem XML
+   * @param {Object} options - Import options (defaults, metadata)
+   * @returns {Object} Parsed question and the ones that could not be read ({ questions, rejected })
+   */
+  importItem(xml, { defaults = {}, metadata = null } = {}) {
+    const item = this.parseXml(xml).getElementsByTagNameNS(QTI_NS, 'assessmentItem')[0];
+    if (!item) {
+      throw new Error('El archivo no es un reactivo QTI 2.1 válido');
+    }
+
+    // Only the fields the exporter writes are read, so metadata cannot replace the text or answers of the item
+    const { type: typeHint, id: metadataId, ...fields } = Object.fromEntries(
+      METADATA_FIELDS.filter(field => metadata && field in metadata).map(field => [field, metadata[field]]));
+    const id = [metadataId, item.getAttribute('identifier')].find(value => typeof value === 'string' && QUESTION_ID_PATTERN.test(value));
+    if (!id) {
+      return { questions: [], rejected: [{ id: item.getAttribute('identifier'), reason: 'El reactivo no tiene un identificador válido' }] };
+    }
+
+    try {
+      const maxScore = this.getDefaultValue(item, 'MAXSCORE');
+      return {
+        questions: [{
+          ...defaults,
+          // Items from other tools keep their maximum score as points
+          ...(maxScore !== null && !metadata ? { points: parseFloat(maxScore) } : {}),
+          ...this.parseInteraction(item, typeHint),
+          explanation: this.getFeedback(item),
+          ...fields,
+          id
+        }],
+        rejected: []
+      };
+    } catch (error) {
+      return { questions: [], rejected: [{ id, reason: error.message }] };
+    }
+  }
+
+  /**
+   * Map the interaction of an item to a question; throws if the platform has no equivalent type
+   */
+  parseInteraction(item, typeHint) {
+    const body = this.child(item, 'itemBody');
+    const interactions = INTERACTIONS.flatMap(name => Array.from(body?.getElementsByTagNameNS(QTI_NS, name) || []));
+    if (interactions.length === 0) {
+      const other = Array.from(body?.getElementsByTagName('*') || []).find(node => /Interaction$/.test(node.localName));
+      throw new Error(other ? `Interacción QTI no compatible: ${other.localName}` : 'El reactivo no tiene interacción');
+    }
+
+    const interaction = interactions[0];
+    if (interaction.localName !== 'textEntryInteraction' && interactions.length > 1) {
+      throw new Error('Solo se admiten reactivos con una interacción');
+    }
+
+    const declaration = this.getDeclaration(item, interaction.getAttribute('responseIdentifier'));
+    const correct = this.getCorrectValues(declaration);
+    const prompt = this.child(interaction, 'prompt');
+    const question = prompt ? this.getText(prompt) : this.getText(body);
+
+    switch (interaction.localName) {
+      case 'choiceInteraction': {
+        const choices = this.children(interaction, 'simpleChoice').map(choice => ({
+          identifier: choice.getAttribute('identifier'),
+          text: this.getText(choice)
+        }));
+        if (correct.length !== 1) {
+          throw new Error('Solo se admiten preguntas de opción múltiple con una respuesta correcta');
+        }
+
+        const trueFalse = choices.length === 2 && choices.every(choice =>
+          TRUE_FALSE_CHOICES.some(option => option.identifier === choice.identifier));
+        if (trueFalse) {
+          return { type: 'true_false', question, correct: correct[0] === 'true' };
+        }
+
+        return {
+          type: 'multiple_choice',
+          question,
+          options: choices.map(choice => choice.text),
+          correct: choices.findIndex(choice => choice.identifier === correct[0])
+        };
+      }
+
+      case 'matchInteraction': {
+        const [lefts, rights] = this.children(interaction, 'simpleMatchSet').map(set =>
+          new Map(this.children(set, 'simpleAssociableChoice').map(choice => [choice.getAttribute('identifier'), this.getText(choice)])));
+
+        return {
+          type: 'matching',
+          question,
+          pairs: correct.map(pair => {
+            const [left, right] = pair.trim().split(/\s+/);
+            return { left: lefts?.get(left), right: rights?.get(right) };
+          })
+        };
+      }
+
+      case 'orderInteraction': {
+        const choices = new Map(this.children(interaction, 'simpleChoice').map(choice => [choice.getAttribute('identifier'), this.getText(choice)]));
+        return { type: 'ordering', question, items: correct.map(identifier => choices.get(identifier)) };
+      }
+
+      case 'textEntryInteraction': {
+        const blanks = interactions.map(entry => this.getDeclaration(item, entry.getAttribute('responseIdentifier')));
+        const answers = blanks.map(blank => this.getCorrectValues(blank)[0] || '');
+        const acceptableAnswers = blanks.map((blank, index) => this.getMapKeys(blank)
+          .filter(key => key !== answers[index]));
+
+        return {
+          type: 'fill_blank',
+          question: this.getText(body, true),
+          correctAnswer: answers.join('|'),
+          ...(acceptableAnswers.some(keys => keys.length > 0) ? { acceptableAnswers } : {})
+        };
+      }
+
+      case 'extendedTextInteraction': {
+        const rubric = this.getRubric(body);
+        return {
+          type: typeHint === 'short_answer' ? 'short_answer' : 'essay',
+          question,
+          ...(rubric.length > 0 ? { rubric } : {}),
+          ...(correct[0] ? { sampleAnswer: correct[0] } : {})
+        };
+      }
+
+      default:
+        throw new Error(`Interacción QTI no compatible: ${interaction.localName}`);
+    }
+  }
+
+  /**
+   * Read the question metadata written by QtiExporter in a manifest resource
+   */
+  readMetadata(resource) {
+    const node = resource.getElementsByTagNameNS(QTI_METADATA_NS, 'question')[0];
+    if (!node) return null;
+
+    try {
+      const metadata = JSON.parse(node.textContent);
+      return metadata && typeof metadata === 'object' ? metadata : null;
+    } catch (error) {
+      console.warn('[QtiImporter] Invalid question metadata:', resource.getAttribute('identifier'));
+      return null;
+    }
+  }
+
+  /**
+   * Scorer rubric blocks written as "criterion (N puntos)"; keywords are only kept in the metadata
+   */
+  getRubric(body) {
+    const block = Array.from(body?.getElementsByTagNameNS(QTI_NS, 'rubricBlock') || [])
+      .find(node => (node.getAttribute('view') || '').includes('scorer'));
+    if (!block) return [];
+
+    return this.children(block, 'p')
+      .map(paragraph => this.getText(paragraph).match(/^(.+?)\s*\((\d+(?:\.\d+)?)\s*puntos?\)$/))
+      .filter(Boolean)
+      .map(match => ({ criterion: match[1], maxPoints: parseFloat(match[2]), keywords: [] }));
+  }
+
+  getFeedback(item) {
+    const feedback = this.children(item, 'modalFeedback').map(node => node.textContent.trim()).filter(Boolean);
+    return feedback.length > 0 ? feedback.join('\n') : undefined;
+  }
+
+  getDeclaration(item, identifier) {
+    return this.children(item, 'responseDeclaration').find(node => node.getAttribute('identifier') === identifier) || null;
+  }
+
+  getCorrectValues(declaration) {
+    const correct = declaration && this.child(declaration, 'correctResponse');
+    return correct ? this.children(correct, 'value').map(value => value.textContent.trim()) : [];
+  }
+
+  getMapKeys(declaration) {
+    const mapping = declaration && this.child(declaration, 'mapping');
+    return mapping ? this.children(mapping, 'mapEntry').map(entry => entry.getAttribute('mapKey')) : [];
+  }
+
+  getDefaultValue(item, identifier) {
+    const outcome = this.children(item, 'outcomeDeclaration').find(node => node.getAttribute('identifier') === identifier);
+    const value = outcome && this.child(this.child(outcome, 'defaultValue'), 'value');
+    return value ? value.textContent.trim() : null;
+  }
+
+  /**
+   * Text of a node without its interactions and rubric blocks; text entries become [BLANK] markers
+   */
+  getText(node, markBlanks = false) {
+    if (!node) return '';
+
+    const parts = [];
+    const visit = parent => {
+      Array.from(parent.childNodes).forEach(child => {
+        if (child.nodeType === 3 || child.nodeType === 4) {
+          parts.push(child.nodeValue);
+        } else if (child.nodeType === 1) {
+          if (child.localName === 'textEntryInteraction') {
+            if (markBlanks) parts.push('[BLANK]');
+          } else if (child.localName === 'br') {
+            parts.push('\n');
+          } else if (!INTERACTIONS.includes(child.localName) && child.localName !== 'rubricBlock') {
+            visit(child);
+          }
+        }
+      });
+    };
+    visit(node);
+
+    return parts.join('').replace(/[ \t\r\n]+/g, ' ').trim();
+  }
+
+  child(parent, localName) {
+    return parent ? this.children(parent, localName)[0] || null : null;
+  }
+
+  children(parent, localName) {
+    return Array.from(parent.childNodes).filter(node => node.nodeType === 1 && node.localName === localName);
+  }
+
+  parseXml(xml) {
+    const document = new DOMParser().parseFromString(xml, 'application/xml');
+    if (document.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('El archivo XML no es válido');
+    }
+    return document;
+  }
+}
+
+export default QtiImporter;
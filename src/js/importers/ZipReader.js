@@ -0,0 +1,121 @@
+/**
+ * Zip Reader - Minimal client-side ZIP archive reader
+ * Reads stored and deflated entries; deflate relies on the browser DecompressionStream API
+ */
+
+class ZipReader {
+  /**
+   * @param {ArrayBuffer|Uint8Array} data - ZIP archive bytes
+   */
+  constructor(data) {
+    this.bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    this.entries = this.readCentralDirectory();
+  }
+
+  /**
+   * Get the paths of all entries
+   * @returns {Array<string>} Entry paths
+   */
+  getFileNames() {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Check whether an entry exists
+   * @param {string} path - Entry path
+   * @returns {boolean} True if the entry exists
+   */
+  hasFile(path) {
+    return this.entries.has(path);
+  }
+
+  /**
+   * Read an entry as bytes
+   * @param {string} path - Entry path
+   * @returns {Promise<Uint8Array|null>} Entry content, or null if missing
+   */
+  async readFile(path) {
+    const entry = this.entries.get(path);
+    if (!entry) return null;
+
+    const nameLength = this.view.getUint16(entry.localHeaderOffset + 26, true);
+    const extraLength = this.view.getUint16(entry.localHeaderOffset + 28, true);
+    const start = entry.localHeaderOffset + 30 + nameLength + extraLength;
+    const compressed = this.bytes.subarray(start, start + entry.compressedSize);
+
+    switch (entry.method) {
+      case 0:
+        return compressed;
+      case 8:
+        return this.inflate(compressed);
+      default:
+        throw new Error(`Unsupported ZIP compression method ${entry.method} for ${path}`);
+    }
+  }
+
+  /**
+   * Read an entry as UTF-8 text
+   * @param {string} path - Entry path
+   * @returns {Promise<string|null>} Entry text, or null if missing
+   */
+  async readText(path) {
+    const bytes = await this.readFile(path);
+    return bytes ? new TextDecoder('utf-8').decode(bytes) : null;
+  }
+
+  /**
+   * Parse the central directory into an entry map
+   */
+  readCentralDirectory() {
+    const endOffset = this.findEndOfCentralDirectory();
+    const entryCount = this.view.getUint16(endOffset + 10, true);
+    let offset = this.view.getUint32(endOffset + 16, true);
+    const decoder = new TextDecoder('utf-8');
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+      if (this.view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('Invalid ZIP central directory');
+      }
+
+      const nameLength = this.view.getUint16(offset + 28, true);
+      const extraLength = this.view.getUint16(offset + 30, true);
+      const commentLength = this.view.getUint16(offset + 32, true);
+      const path = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      entries.set(path, {
+        method: this.view.getUint16(offset + 10, true),
+        compressedSize: this.view.getUint32(offset + 20, true),
+        size: this.view.getUint32(offset + 24, true),
+        localHeaderOffset: this.view.getUint32(offset + 42, true)
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  findEndOfCentralDirectory() {
+    // The end record is 22 bytes plus an optional comment of up to 64KB
+    const minOffset = Math.max(0, this.bytes.length - 22 - 0xFFFF);
+    for (let offset = this.bytes.length - 22; offset >= minOffset; offset--) {
+      if (this.view.getUint32(offset, true) === 0x06054b50) {
+        return offset;
+      }
+    }
+    throw new Error('Not a ZIP archive');
+  }
+
+  async inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress ZIP files (DecompressionStream not supported)');
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+}
+
+export default ZipReader;
@@ -0,0 +1,223 @@
+/**
+ * Dialogue Tree - Branching client dialogue for interview simulations
+ * Picks the client's next reply from what the consultant said, the client's personality traits,
+ * their remaining patience and the facts uncovered so far in the session.
+ */
+import LocalNluEvaluator from './LocalNluEvaluator.js';
+
+// Patience adjustments by client personality trait
+const TRAIT_EFFECTS = {
+  impatient: { initial: -1, offTopic: 1 },
+  patient: { initial: 1 },
+  direct: { repeat: 1 },
+  cooperative: { initial: 1, offTopic: -1 }
+};
+
+class DialogueTree {
+  /**
+   * @param {Object} tree - Dialogue tree definition of an interview scenario
+   * @param {Object} options - Tree options
+   * @param {Array} options.traits - Client personality traits
+   * @param {Function} options.random - Random number generator, replaceable for repeatable runs
+   * @param {ResponseEvaluator} options.evaluator - Evaluator that detects the intents (LocalNluEvaluator by default)
+   */
+  constructor(tree, { traits = [], random = Math.random, evaluator = new LocalNluEvaluator() } = {}) {
+    this.tree = tree;
+    this.traits = traits;
+    this.random = random;
+    this.evaluator = evaluator;
+    this.patience = this.getPatienceRules();
+  }
+
+  /**
+   * Create the dialogue state of a new session
+   * @returns {Object} Dialogue state ({ node, patience, maxPatience, uncoveredFacts, visited, ended })
+   */
+  createState() {
+    const [min, max] = this.tree.patience?.initial || [5, 5];
+    const patience = Math.max(1, min + Math.floor(this.random() * (max - min + 1)) + this.patience.initial);
+
+    return {
+      node: this.tree.start,
+      patience,
+      maxPatience: patience,
+      uncoveredFacts: [],
+      visited: [this.tree.start],
+      ended: false
+    };
+  }
+
+  /**
+   * Opening line of the client
+   * @param {Object} state - Dialogue state
+   * @returns {string} Reply text
+   */
+  getOpening(state) {
+    return this.pickReply(this.tree.nodes[this.tree.start].replies, state, false)?.text || '';
+  }
+
+  /**
+   * Move the dialogue forward with what the consultant said; updates the state in place
+   * @param {string} utterance - Consultant's message
+   * @param {Object} state - Dialogue state
+   * @returns {Object} Client reply ({ node, stage, intent, content, revealedFacts, patience, mood, engagement, ended })
+   */
+  respond(utterance, state) {
+    if (state.ended) {
+      throw new Error('Dialogue has already ended');
+    }
+
+    const current = this.tree.nodes[state.node];
+    const scores = this.detectIntents(utterance);
+    const edge = this.selectTransition(current, scores, state);
+
+    let nodeId = edge ? this.resolveTarget(edge, state) : null;
+    let node = nodeId ? this.tree.nodes[nodeId] : null;
+    const revisit = nodeId ? state.visited.includes(nodeId) : false;
+
+    // Off-topic messages wear out the client's patience, and so do questions they already answered
+    const delta = node ? node.patience || 0 : -this.patience.offTopic;
+    state.patience = Math.min(state.maxPatience, state.patience + delta);
+
+    let reply = null;
+    let revealedFacts = [];
+    if (state.patience > 0 || node?.ends) {
+      reply = this.pickReply(node ? node.replies : current.fallback || this.tree.fallback || [], state, revisit);
+      revealedFacts = this.reveal(reply?.reveals ?? node?.reveals ?? [], state);
+      if (node && revisit && revealedFacts.length === 0) {
+        state.patience -= this.patience.repeat;
+      }
+    }
+
+    // Out of patience, the client ends the interview
+    if (state.patience <= 0 && !node?.ends) {
+      nodeId = this.tree.exhausted;
+      node = this.tree.nodes[nodeId];
+      reply = this.pickReply(node.replies, state, false);
+    }
+
+    if (node) {
+      state.node = nodeId;
+      if (!revisit) state.visited.push(nodeId);
+    }
+    state.ended = Boolean(node?.ends);
+
+    return {
+      node: state.node,
+      stage: node?.stage || null,
+      intent: edge?.intent || null,
+      content: reply?.text || '',
+      revealedFacts,
+      patience: Math.max(0, state.patience),
+      ...this.getMood(state),
+      ended: state.ended
+    };
+  }
+
+  /**
+   * Replace the evaluator that detects the intents
+   * @param {ResponseEvaluator} evaluator - Evaluator implementing matchIntent()
+   */
+  setEvaluator(evaluator) {
+    this.evaluator = evaluator;
+  }
+
+  /**
+   * Score each intent by the number of its keywords found in the message
+   */
+  detectIntents(utterance) {
+    const scores = new Map();
+
+    Object.entries(this.tree.intents || {}).forEach(([intent, keywords]) => {
+      const hits = this.evaluator.matchIntent(utterance, keywords).length;
+      if (hits > 0) scores.set(intent, hits);
+    });
+
+    return scores;
+  }
+
+  /**
+   * Pick the transition for the detected intents; the node's own transitions win over the ones available anytime
+   */
+  selectTransition(node, scores, state) {
+    const groups = [node.transitions || [], node.anytime === false ? [] : this.tree.anytime || []];
+
+    for (const transitions of groups) {
+      const candidates = transitions
+        .filter(edge => scores.has(edge.intent))
+        .filter(edge => edge.otherwise || this.meetsConditions(edge, state))
+        .sort((a, b) => scores.get(b.intent) - scores.get(a.intent));
+
+      if (candidates.length > 0) return candidates[0];
+    }
+
+    return null;
+  }
+
+  resolveTarget(edge, state) {
+    return this.meetsConditions(edge, state) ? edge.to : edge.otherwise;
+  }
+
+  /**
+   * Pick a reply among the most specific variants whose conditions hold; ties are broken at random
+   */
+  pickReply(replies, state, revisit) {
+    const matching = replies.filter(reply => this.meetsConditions(reply.when || {}, state, revisit));
+    if (matching.length === 0) return null;
+
+    const specificity = reply => {
+      const when = reply.when || {};
+      return (when.patience ? 1 : 0) + (when.revisit !== undefined ? 1 : 0) +
+        (when.requires?.length || 0) + (when.unless?.length || 0);
+    };
+    const best = Math.max(...matching.map(specificity));
+    const candidates = matching.filter(reply => specificity(reply) === best);
+
+    return candidates[Math.floor(this.random() * candidates.length)];
+  }
+
+  meetsConditions(conditions, state, revisit = false) {
+    const { requires = [], unless = [], traits = [], patience, revisit: onRevisit } = conditions;
+
+    if (!requires.every(fact => state.uncoveredFacts.includes(fact))) return false;
+    if (unless.some(fact => state.uncoveredFacts.includes(fact))) return false;
+    if (!traits.every(trait => this.traits.includes(trait))) return false;
+    if (patience && patience !== (state.patience <= this.patience.low ? 'low' : 'high')) return false;
+    if (onRevisit !== undefined && onRevisit !== revisit) return false;
+
+    return true;
+  }
+
+  reveal(facts, state) {
+    const revealed = facts.filter(fact => !state.uncoveredFacts.includes(fact));
+    state.uncoveredFacts.push(...revealed);
+    return revealed;
+  }
+
+  getMood(state) {
+    const ratio = state.patience / state.maxPatience;
+    if (ratio >= 0.6) return { mood: 'positive', engagement: 'high' };
+    if (ratio >= 0.3) return { mood: 'neutral', engagement: 'medium' };
+    return { mood: 'negative', engagement: 'low' };
+  }
+
+  /**
+   * Patience rules of the tree adjusted by the client's traits
+   */
+  getPatienceRules() {
+    const { low = 2, offTopic = 1, repeat = 1 } = this.tree.patience || {};
+    const rules = { initial: 0, low, offTopic, repeat };
+
+    this.traits.forEach(trait => {
+      Object.entries(TRAIT_EFFECTS[trait] || {}).forEach(([rule, change]) => {
+        rules[rule] += change;
+      });
+    });
+    rules.offTopic = Math.max(0, rules.offTopic);
+    rules.repeat = Math.max(0, rules.repeat);
+
+    return rules;
+  }
+}
+
+export default DialogueTree;
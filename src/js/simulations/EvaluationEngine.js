@@ -2,15 +2,48 @@
  * Evaluation Engine - Handles performance evaluation for simulations
  * Provides scoring, feedback, and performance analysis for EC0249 simulations
  */
+import LocalNluEvaluator from './LocalNluEvaluator.js';
+import TextNormalizer from '../assessment/TextNormalizer.js';
+
+// Hidden fact categories of interview scenarios; root causes weigh most in the discovery score
+export const FACT_CATEGORIES = {
+  root_cause: { label: 'Causa raíz', weight: 3 },
+  data_source: { label: 'Fuente de datos', weight: 2 },
+  evidence: { label: 'Documento de evidencia', weight: 2 },
+  context: { label: 'Contexto del problema', weight: 1 }
+};
+
+// Similarity from which a message counts as one of the questions that reveal a fact
+const FACT_QUESTION_THRESHOLD = 0.6;
+
+// Keywords of a fact that a question must mention to ask about it, counted as the dialogue tree counts intents
+const FACT_KEYWORD_HITS = 2;
+
+// Fact discovery score from which an interview with hidden facts counts towards certification
+export const FACT_READY_SCORE = 60;
 
 class EvaluationEngine {
-  constructor() {
+  /**
+   * @param {Object} options - Engine options
+   * @param {ResponseEvaluator} options.evaluator - Evaluator that understands the user's messages (LocalNluEvaluator by default)
+   */
+  constructor(options = {}) {
+    this.evaluator = options.evaluator || new LocalNluEvaluator();
+    this.textNormalizer = new TextNormalizer();
     this.evaluationCriteria = {
       interview: ['introduction', 'purpose_explanation', 'information_request', 'evidence_request', 'response_recording', 'closure'],
       presentation: ['proposal_description', 'scope_mention', 'advantages_disadvantages', 'responsibilities', 'implementation_stages', 'deliverables', 'implications', 'resources', 'questions_response', 'cost_benefit', 'methodological_order']
     };
   }
 
+  /**
+   * Replace the response evaluator
+   * @param {ResponseEvaluator} evaluator - Evaluator implementing matchCriterion(), similarity() and coverage()
+   */
+  setEvaluator(evaluator) {
+    this.evaluator = evaluator;
+  }
+
   /**
    * Evaluate simulation action
    */
@@ -226,114 +259,76 @@ class EvaluationEngine {
    * Interview criteria evaluation methods
    */
   evaluateIntroduction(content, actionType) {
-    const indicators = ['nombre', 'consultor', 'soy', 'me llamo', 'mi nombre'];
-    const hasIntroduction = indicators.some(indicator => content.includes(indicator));
-    return hasIntroduction ? 85 : 30;
+    return this.scoreCriterion('introduction', content, 30);
   }
 
   evaluatePurposeExplanation(content, actionType) {
-    const indicators = ['propósito', 'objetivo', 'razón', 'problema', 'datos', 'información'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 20 + 20);
+    return this.scoreCriterion('purpose_explanation', content, 20);
   }
 
   evaluateInformationRequest(content, actionType) {
-    const indicators = ['por escrito', 'documento', 'datos', 'información', 'proporcionar'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 25 + 25);
+    return this.scoreCriterion('information_request', content, 25);
   }
 
   evaluateEvidenceRequest(content, actionType) {
-    const indicators = ['evidencia', 'respaldo', 'documentación', 'soporte', 'comprobante'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 30 + 20);
+    return this.scoreCriterion('evidence_request', content, 20);
   }
 
   evaluateResponseRecording(content, actionType) {
     if (actionType === 'take_notes' || actionType === 'record_response') {
       return 90;
     }
-    const indicators = ['anotar', 'registrar', 'tomar nota', 'confirmar'];
-    const hasRecording = indicators.some(indicator => content.includes(indicator));
-    return hasRecording ? 80 : 40;
+    return this.scoreCriterion('response_recording', content, 40);
   }
 
   evaluateClosure(content, actionType) {
-    const indicators = ['gracias', 'agradezco', 'tiempo', 'participación'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 30 + 40);
+    return this.scoreCriterion('closure', content, 40);
   }
 
   /**
    * Presentation criteria evaluation methods
    */
   evaluateProposalDescription(content, actionType, stageInfo) {
-    const indicators = ['propuesta', 'solución', 'implementar', 'sistema', 'proyecto'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 25 + 25);
+    return this.scoreCriterion('proposal_description', content, 25);
   }
 
   evaluateScopeMention(content, actionType, stageInfo) {
-    const indicators = ['alcance', 'incluye', 'excluye', 'límites', 'cobertura'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 30 + 20);
+    return this.scoreCriterion('scope_mention', content, 20);
   }
 
   evaluateAdvantagesDisadvantages(content, actionType) {
-    const advantages = ['ventaja', 'beneficio', 'mejora', 'optimiza'];
-    const disadvantages = ['desventaja', 'riesgo', 'limitación', 'desafío'];
-    
-    const hasAdvantages = advantages.some(indicator => content.includes(indicator));
-    const hasDisadvantages = disadvantages.some(indicator => content.includes(indicator));
-    
-    if (hasAdvantages && hasDisadvantages) return 95;
-    if (hasAdvantages || hasDisadvantages) return 65;
-    return 30;
+    return this.scoreCriterion('advantages_disadvantages', content, 30);
   }
 
   evaluateResponsibilities(content, actionType) {
-    const indicators = ['responsabilidad', 'consultor', 'cliente', 'nuestro', 'su parte'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 25 + 25);
+    return this.scoreCriterion('responsibilities', content, 25);
   }
 
   evaluateImplementationStages(content, actionType) {
-    const indicators = ['etapa', 'fase', 'paso', 'implementación', 'cronograma'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 25 + 25);
+    return this.scoreCriterion('implementation_stages', content, 25);
   }
 
   evaluateDeliverables(content, actionType) {
-    const indicators = ['entregable', 'documento', 'reporte', 'resultado', 'producto'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 30 + 20);
+    return this.scoreCriterion('deliverables', content, 20);
   }
 
   evaluateImplications(content, actionType) {
-    const indicators = ['implicación', 'impacto', 'efecto', 'consecuencia', 'cambio'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 30 + 20);
+    return this.scoreCriterion('implications', content, 20);
   }
 
   evaluateResources(content, actionType) {
-    const indicators = ['recurso', 'personal', 'equipo', 'material', 'humano', 'técnico'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 25 + 25);
+    return this.scoreCriterion('resources', content, 25);
   }
 
   evaluateQuestionsResponse(content, actionType) {
     if (actionType === 'answer_question') {
       return 85;
     }
-    const indicators = ['pregunta', 'duda', 'consulta', 'aclaración'];
-    const hasQuestionHandling = indicators.some(indicator => content.includes(indicator));
-    return hasQuestionHandling ? 80 : 45;
+    return this.scoreCriterion('questions_response', content, 45);
   }
 
   evaluateCostBenefit(content, actionType) {
-    const indicators = ['costo', 'beneficio', 'roi', 'inversión', 'retorno', 'financiero'];
-    const score = indicators.filter(indicator => content.includes(indicator)).length;
-    return Math.min(100, score * 25 + 25);
+    return this.scoreCriterion('cost_benefit', content, 25);
   }
 
   evaluateMethodologicalOrder(content, actionType, stageInfo) {
@@ -345,6 +340,14 @@ class EvaluationEngine {
     return 50;
   }
 
+  /**
+   * Score a criterion from the evaluator's confidence, between a floor for messages that miss it and 100
+   */
+  scoreCriterion(criterionId, content, floor) {
+    const { confidence } = this.evaluator.matchCriterion(criterionId, content);
+    return Math.round(floor + (100 - floor) * confidence);
+  }
+
   /**
    * Generate feedback for interview performance
    */
@@ -435,6 +438,69 @@ class EvaluationEngine {
     return recommendations;
   }
 
+  /**
+   * Hidden facts that a message asks about; facts revealed by a dialogue tree have no questions
+   * A question asks about the facts whose keywords it mentions most, or about a fact whose sample question it rephrases.
+   * @param {string} content - User's message
+   * @param {Object} simulation - Simulation definition
+   * @param {Object} session - Active session
+   * @returns {Array} Facts not discovered yet that the message asks about
+   */
+  findAskedFacts(content, simulation, session) {
+    // Statements that mention a topic ("obtener datos de las entregas") do not ask about it
+    if (!/[¿?]/.test(content) && this.evaluator.matchCriterion('evidence_request', content).confidence === 0) {
+      return [];
+    }
+
+    const discovered = new Set(session.discoveredFacts.map(fact => fact.id));
+    const pending = (simulation.facts || []).filter(fact => !discovered.has(fact.id));
+    const hits = new Map(pending.map(fact => [fact.id, this.countFactKeywords(fact, content)]));
+    const mostHits = Math.max(FACT_KEYWORD_HITS, ...hits.values());
+
+    return pending.filter(fact => hits.get(fact.id) >= mostHits ||
+      (fact.questions || []).some(question => this.evaluator.similarity(content, question) >= FACT_QUESTION_THRESHOLD));
+  }
+
+  countFactKeywords(fact, content) {
+    const text = ` ${this.textNormalizer.normalize(content)}`;
+    return (fact.keywords || []).filter(keyword => text.includes(` ${this.textNormalizer.normalize(keyword)}`)).length;
+  }
+
+  /**
+   * Score the hidden facts uncovered in the session, weighted by category
+   * @returns {Object} Coverage ({ score, discovered, missed, byCategory })
+   */
+  evaluateFactCoverage(session, simulation) {
+    const facts = simulation.facts || [];
+    const discoveredIds = new Set(session.discoveredFacts.map(fact => fact.id));
+    const byCategory = {};
+    let earned = 0;
+    let total = 0;
+
+    facts.forEach(fact => {
+      const category = FACT_CATEGORIES[fact.category] || { label: fact.category, weight: 1 };
+      const discovered = discoveredIds.has(fact.id);
+
+      total += category.weight;
+      if (discovered) earned += category.weight;
+
+      if (!byCategory[fact.category]) {
+        byCategory[fact.category] = { label: category.label, discovered: 0, total: 0 };
+      }
+      byCategory[fact.category].total++;
+      if (discovered) byCategory[fact.category].discovered++;
+    });
+
+    return {
+      score: total > 0 ? Math.round((earned / total) * 100) : 0,
+      discovered: facts.filter(fact => discoveredIds.has(fact.id))
+        .map(({ id, category, description }) => ({ id, category, description })),
+      missed: facts.filter(fact => !discoveredIds.has(fact.id))
+        .map(({ id, category, description, hint }) => ({ id, category, description, hint })),
+      byCategory
+    };
+  }
+
   /**
    * Calculate overall session performance
    */
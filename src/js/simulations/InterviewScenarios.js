@@ -27,7 +27,8 @@ export const interviewScenarios = {
       concerns: ['Eficiencia operacional', 'Costos crecientes', 'Comunicación interna', 'Competitividad'],
       availability: 'Limitada - máximo 30 minutos',
       communication_style: 'Formal pero directo',
-      expectations: 'Soluciones concretas y rápidas'
+      expectations: 'Soluciones concretas y rápidas',
+      traits: ['direct', 'results_oriented', 'impatient']
     },
     objectives: [
       'Obtener información clara sobre el problema de productividad',
@@ -73,6 +74,16 @@ export const interviewScenarios = {
         description: 'Finalizar profesionalmente expresando agradecimiento'
       }
     ],
+    facts: [
+      { id: 'productivity_drop', category: 'context', description: 'La productividad cayó 15% en los últimos 6 meses', hint: 'Pregunte por la magnitud del problema y cuándo empezó' },
+      { id: 'quality_rework', category: 'context', description: 'El rechazo en inspección de calidad subió de 2% a casi 7%', hint: 'Pregunte qué áreas o departamentos son los más afectados' },
+      { id: 'shift_handover', category: 'root_cause', description: 'Las juntas de cambio de turno se eliminaron en la reestructura', hint: 'Pregunte cómo se comunican producción y calidad una vez identificadas las áreas afectadas' },
+      { id: 'erp_migration', category: 'root_cause', description: 'La migración al nuevo ERP hace 7 meses dejó reportes distintos en producción y calidad', hint: 'Pregunte qué cambió en la empresa antes de la caída' },
+      { id: 'supervisor_turnover', category: 'root_cause', description: 'Se fueron 3 de los 5 supervisores de producción en el año', hint: 'Pregunte por el personal y la rotación mientras el cliente aún tiene paciencia' },
+      { id: 'monthly_reports', category: 'data_source', description: 'Reportes mensuales de producción', hint: 'Solicite los datos de producción que respalden la caída' },
+      { id: 'hr_data', category: 'data_source', description: 'Datos de rotación de recursos humanos', hint: 'Solicite evidencia después de conocer la rotación de supervisores' },
+      { id: 'rejection_log', category: 'evidence', description: 'Registros de rechazo de control de calidad', hint: 'Solicite evidencia después de conocer el aumento de rechazos' }
+    ],
     dialogues: [
       {
         trigger: 'start',
@@ -116,7 +127,182 @@ export const interviewScenarios = {
           incorrect: 'Es crucial solicitar documentación escrita que respalde las afirmaciones.'
         }
       }
-    ]
+    ],
+    dialogueTree: {
+      start: 'opening',
+      exhausted: 'patience_exhausted',
+      patience: { initial: [5, 8], low: 2, offTopic: 1, repeat: 1 },
+      intents: {
+        introduction: ['soy', 'me llamo', 'mi nombre', 'consultor', 'consultora', 'me presento', 'represento'],
+        purpose: ['propósito', 'objetivo', 'razón', 'motivo', 'vengo a', 'el fin de'],
+        problem: ['productividad', 'problema', 'caída', 'disminución', 'cifras', 'indicadores', 'cuánto'],
+        areas: ['área', 'áreas', 'departamento', 'departamentos', 'dónde', 'quiénes', 'afectad'],
+        communication: ['comunicación', 'coordinación', 'juntas', 'reuniones', 'se comunican', 'se enteran'],
+        history: ['cuándo', 'desde cuándo', 'qué cambió', 'cambio', 'cambios', 'antes', 'sistema'],
+        people: ['personal', 'empleados', 'supervisores', 'rotación', 'ausentismo', 'capacitación', 'recursos humanos'],
+        evidence: ['evidencia', 'evidencias', 'documento', 'documentos', 'documentación', 'por escrito', 'copia', 'respaldo', 'soporte', 'reportes'],
+        recording: ['anoto', 'anotar', 'registro', 'registrar', 'tomo nota', 'confirmar', 'confirmo', 'si entiendo bien', 'resumiendo'],
+        closure: ['gracias', 'agradezco', 'agradecer', 'concluimos', 'terminamos', 'hasta luego']
+      },
+      anytime: [
+        { intent: 'closure', to: 'farewell' },
+        { intent: 'purpose', to: 'purpose_explained' },
+        { intent: 'problem', to: 'problem' },
+        { intent: 'areas', to: 'areas', requires: ['productivity_drop'], otherwise: 'no_context' },
+        { intent: 'communication', to: 'communication', requires: ['quality_rework'], otherwise: 'communication_denied' },
+        { intent: 'history', to: 'history', requires: ['productivity_drop'], otherwise: 'no_context' },
+        { intent: 'people', to: 'people' },
+        { intent: 'evidence', to: 'evidence', requires: ['productivity_drop'], otherwise: 'no_context' },
+        { intent: 'recording', to: 'recording', requires: ['productivity_drop'] }
+      ],
+      fallback: [
+        { text: 'No entiendo a dónde quiere llegar. ¿Qué necesita saber?' },
+        { text: 'Le recuerdo que mi tiempo es limitado. ¿Tiene alguna pregunta concreta?' },
+        { when: { patience: 'low' }, text: 'Mire, si no tiene preguntas concretas, lo dejamos para otro día.' }
+      ],
+      nodes: {
+        opening: {
+          stage: 'introduction',
+          anytime: false,
+          replies: [
+            { text: 'Buenos días. Soy Carlos Mendoza, Director General de Manufacturas ABC. Le agradezco que haya venido, pero mi tiempo es limitado. ¿En qué puedo ayudarle?' },
+            { text: 'Adelante. Carlos Mendoza, mucho gusto. Tengo junta con el consejo en media hora, así que vayamos al grano. ¿Usted es...?' },
+            { text: 'Buenos días. Me avisaron que venía de la consultora. Siéntese, por favor, y dígame quién es y qué necesita.' }
+          ],
+          transitions: [
+            { intent: 'introduction', to: 'introduced' },
+            { intent: 'purpose', to: 'unidentified' },
+            { intent: 'problem', to: 'unidentified' },
+            { intent: 'closure', to: 'farewell' }
+          ],
+          fallback: [
+            { text: 'Disculpe, todavía no sé con quién hablo. ¿Podría presentarse?' }
+          ]
+        },
+        unidentified: {
+          stage: 'introduction',
+          anytime: false,
+          patience: -1,
+          replies: [
+            { text: 'Un momento. Antes de entrar en detalles, ¿quién es usted y a quién representa?' },
+            { when: { traits: ['direct'] }, text: 'Perdón, pero no hablo de los números de la empresa con alguien que no se ha presentado. ¿Quién es usted?' }
+          ],
+          transitions: [
+            { intent: 'introduction', to: 'introduced' },
+            { intent: 'closure', to: 'farewell' }
+          ]
+        },
+        introduced: {
+          stage: 'introduction',
+          replies: [
+            { text: 'Mucho gusto. Ya me habían avisado de su visita. ¿Qué necesita saber exactamente?' },
+            { text: 'Bien, gracias por presentarse. Dígame, ¿cuál es el objetivo de esta reunión?' },
+            { when: { patience: 'low' }, text: 'Bien. Le pido que seamos breves: ¿para qué es esta reunión?' }
+          ],
+          transitions: [
+            { intent: 'purpose', to: 'purpose_explained' }
+          ]
+        },
+        purpose_explained: {
+          stage: 'after_introduction',
+          reveals: ['productivity_drop'],
+          replies: [
+            { text: 'Muy bien. Como le comentaron, tenemos problemas serios de productividad. En los últimos 6 meses hemos visto una caída del 15%. Esto nos está costando dinero y clientes.' },
+            { text: 'Perfecto, eso es justo lo que necesitamos. La productividad cayó 15% en seis meses y los clientes ya lo notan en las entregas.' },
+            { when: { revisit: true }, text: 'Ya se lo expliqué: la productividad cayó 15% en seis meses. Lo que necesito es saber qué va a hacer al respecto.' }
+          ]
+        },
+        problem: {
+          stage: 'information_gathering',
+          reveals: ['productivity_drop'],
+          replies: [
+            { text: 'En seis meses pasamos de unas 1,200 a 1,020 piezas por turno, alrededor de 15% menos. Y no es por falta de pedidos.' },
+            { when: { traits: ['results_oriented'] }, text: 'Los números son claros: 15% menos de producción en seis meses, con la misma gente y las mismas máquinas.' },
+            { when: { revisit: true }, text: 'Como le dije, la caída es de 15%. ¿Qué más necesita?' }
+          ]
+        },
+        areas: {
+          stage: 'information_gathering',
+          reveals: ['quality_rework'],
+          replies: [
+            { text: 'Donde más se nota es entre producción y control de calidad. El rechazo en inspección subió de 2% a casi 7%, y todo ese retrabajo regresa a la línea.' },
+            { when: { patience: 'low' }, text: 'Producción y calidad. No se ponen de acuerdo y el retrabajo se nos fue al 7%.' }
+          ]
+        },
+        communication: {
+          stage: 'information_gathering',
+          reveals: ['shift_handover'],
+          replies: [
+            { text: 'Desde la reestructura de hace ocho meses quitamos las juntas de cambio de turno. Los supervisores de producción se enteran de los rechazos de calidad hasta el día siguiente.' },
+            { when: { requires: ['erp_migration'] }, text: 'Y con el sistema nuevo fue peor: calidad registra los rechazos en el ERP, producción sigue con sus hojas de cálculo y, sin las juntas de cambio de turno, nadie cruza la información.' }
+          ]
+        },
+        communication_denied: {
+          stage: 'information_gathering',
+          replies: [
+            { text: '¿Comunicación? La gente aquí se habla todos los días. El problema está en los números de producción, no en las juntas.' },
+            { when: { traits: ['results_oriented'] }, text: 'No vine a hablar de cómo se llevan las personas. Necesito entender por qué producimos menos.' }
+          ]
+        },
+        history: {
+          stage: 'information_gathering',
+          reveals: ['erp_migration'],
+          replies: [
+            { text: 'Hace unos siete meses migramos al nuevo ERP. Se suponía que nos iba a ayudar, pero producción y calidad todavía generan reportes distintos.' },
+            { when: { patience: 'low', traits: ['impatient'] }, text: 'Cambiamos de sistema hace siete meses. Si me va a decir que es culpa del ERP, eso ya lo escuché.' }
+          ]
+        },
+        people: {
+          stage: 'information_gathering',
+          replies: [
+            { when: { patience: 'high' }, reveals: ['supervisor_turnover'], text: 'Le soy franco: en el año se nos fueron tres de los cinco supervisores de producción. Los que entraron todavía están aprendiendo.' },
+            { when: { patience: 'low' }, reveals: [], text: 'El personal es el de siempre. No creo que el problema esté ahí.' }
+          ]
+        },
+        evidence: {
+          stage: 'evidence_collection',
+          replies: [
+            { reveals: ['monthly_reports'], text: 'Le puedo dar los reportes mensuales de producción; es lo que tengo a la mano. Pídaselos a mi asistente.' },
+            { when: { requires: ['quality_rework'] }, reveals: ['monthly_reports', 'rejection_log'], text: 'Le consigo los reportes mensuales de producción y los registros de rechazo de calidad. Se los envío por correo hoy mismo.' },
+            { when: { requires: ['supervisor_turnover'] }, reveals: ['monthly_reports', 'hr_data'], text: 'Tengo los reportes mensuales de producción y le pido a recursos humanos los datos de rotación. Se los hago llegar por escrito.' },
+            { when: { requires: ['quality_rework', 'supervisor_turnover'] }, reveals: ['monthly_reports', 'rejection_log', 'hr_data'], text: 'Le hago llegar todo por escrito: reportes mensuales de producción, registros de rechazo de calidad y los datos de rotación de recursos humanos.' }
+          ]
+        },
+        recording: {
+          stage: 'clarification',
+          patience: 1,
+          replies: [
+            { text: 'Exacto, así es. Qué bueno que lo anote; no quiero repetirlo cada vez que venga alguien.' },
+            { when: { requires: ['shift_handover'] }, text: 'Correcto. Y subraye lo de las juntas de cambio de turno; creo que ahí hay algo.' }
+          ]
+        },
+        no_context: {
+          stage: 'information_gathering',
+          patience: -1,
+          replies: [
+            { text: 'Vamos por partes. ¿Ya le quedó claro cuál es el problema? Porque todavía no me lo ha preguntado.' },
+            { when: { traits: ['impatient'] }, text: 'Se está adelantando. Primero entienda el problema y después hablamos de detalles.' }
+          ]
+        },
+        farewell: {
+          stage: 'closure',
+          ends: true,
+          replies: [
+            { text: 'Gracias a usted. Espero su diagnóstico pronto.' },
+            { when: { requires: ['shift_handover', 'erp_migration'] }, text: 'Gracias a usted. Me deja pensando en lo de las juntas de turno y el ERP. Espero su diagnóstico la próxima semana.' },
+            { when: { patience: 'low' }, text: 'Sí, bueno. Mándeme lo que encuentre por correo.' }
+          ]
+        },
+        patience_exhausted: {
+          stage: 'closure',
+          ends: true,
+          replies: [
+            { text: 'Discúlpeme, pero tengo que atender otros asuntos. Si necesita algo más, pídaselo a mi asistente.' },
+            { text: 'Creo que no estamos aprovechando el tiempo. Lo dejamos aquí; agende otra cita con mi asistente.' }
+          ]
+        }
+      }
+    }
   },
 
   interview_manager_operations: {
@@ -188,6 +374,53 @@ export const interviewScenarios = {
         description: 'Finalizar profesionalmente expresando agradecimiento'
       }
     ],
+    facts: [
+      {
+        id: 'unplanned_growth',
+        category: 'context',
+        description: 'La plantilla creció de 80 a 150 empleados en dos años sin actualizar los procesos',
+        hint: 'Pregunte cómo ha cambiado la empresa en los últimos años',
+        keywords: ['crec', 'cambi', 'personal', 'plantilla', 'emplead', 'últimos años', 'histori'],
+        questions: ['¿Cómo ha cambiado la empresa en los últimos años?', '¿Cuánto ha crecido el personal?'],
+        answer: 'Pasamos de 80 a 150 empleados en dos años, pero los procesos son los mismos que cuando éramos la mitad.'
+      },
+      {
+        id: 'manual_routing',
+        category: 'root_cause',
+        description: 'Las rutas de reparto se planean a mano en hojas de cálculo',
+        hint: 'Pregunte cómo se planean y programan las rutas de entrega',
+        keywords: ['ruta', 'reparto', 'planea', 'planifica', 'program', 'organiza', 'entrega', 'sistema'],
+        questions: ['¿Cómo planean las rutas de entrega?', '¿Qué sistema usan para programar las entregas?'],
+        answer: 'Las rutas las arma cada mañana un coordinador en una hoja de cálculo. Con el volumen actual ya no le da tiempo de optimizarlas.'
+      },
+      {
+        id: 'loading_dock_bottleneck',
+        category: 'root_cause',
+        description: 'Un solo andén de carga para todos los turnos genera filas de hasta dos horas',
+        hint: 'Pregunte dónde se forman los cuellos de botella de la operación',
+        keywords: ['cuello de botella', 'cuellos de botella', 'atora', 'atasc', 'retras', 'demora', 'tarda', 'espera', 'carga', 'camion', 'andén', 'operación'],
+        questions: ['¿Dónde se forman los cuellos de botella?', '¿Cuánto tiempo tardan en cargar los camiones?'],
+        answer: 'El cuello de botella es el andén: tenemos uno solo para todos los turnos y los camiones llegan a esperar hasta dos horas para cargar.'
+      },
+      {
+        id: 'delivery_reports',
+        category: 'data_source',
+        description: 'Reportes de entregas de 6 meses con tiempos prometidos contra reales',
+        hint: 'Pregunte qué datos tienen de los tiempos de entrega',
+        keywords: ['datos', 'tiempo', 'entrega', 'prometid', 'real', 'mide', 'miden', 'medición', 'indicador', 'puntualidad'],
+        questions: ['¿Qué datos tienen de los tiempos de entrega?', '¿Miden los tiempos de entrega prometidos contra los reales?'],
+        answer: 'Sí, tengo reportes de los últimos seis meses con la fecha prometida y la fecha real de cada entrega, por zona.'
+      },
+      {
+        id: 'complaint_log',
+        category: 'evidence',
+        description: 'Quejas de clientes documentadas',
+        hint: 'Solicite el registro de quejas de los clientes como evidencia',
+        keywords: ['queja', 'reclam', 'cliente', 'registr', 'document', 'reporte'],
+        questions: ['¿Tienen registro de las quejas de los clientes?', '¿Cómo documentan las quejas?'],
+        answer: 'Atención a clientes registra cada queja con su folio. Le puedo pedir que le envíen el registro completo.'
+      }
+    ],
     dialogues: [
       {
         trigger: 'start',
@@ -303,6 +536,53 @@ export const interviewScenarios = {
         description: 'Finalizar profesionalmente expresando agradecimiento'
       }
     ],
+    facts: [
+      {
+        id: 'no_career_path',
+        category: 'root_cause',
+        description: 'Las entrevistas de salida señalan la falta de un plan de carrera',
+        hint: 'Pregunte por qué se van los empleados y qué dicen en las entrevistas de salida',
+        keywords: ['por qué', 'renuncia', 'se van', 'salida', 'motiv', 'carrera', 'ascens', 'desarrollo profesional'],
+        questions: ['¿Por qué se van los empleados?', '¿Por qué renuncia el personal?', '¿Qué dicen en las entrevistas de salida?'],
+        answer: 'En las entrevistas de salida casi todos dicen lo mismo: no ven cómo crecer aquí. No tenemos un plan de carrera definido.'
+      },
+      {
+        id: 'supervisor_concentration',
+        category: 'root_cause',
+        description: 'Dos supervisores concentran la mitad de las bajas',
+        hint: 'Pregunte en qué equipos o con qué supervisores se concentra la rotación',
+        keywords: ['equipo', 'supervisor', 'jefe', 'departamento', 'área', 'áreas', 'concentra', 'rotación', 'bajas'],
+        questions: ['¿En qué equipos se concentra la rotación?', '¿Hay supervisores o departamentos con más bajas?'],
+        answer: 'Le confieso que la mitad de las bajas vienen de dos equipos, y los dos tienen al mismo tipo de supervisor: muy técnico y poco cercano.'
+      },
+      {
+        id: 'salary_gap',
+        category: 'root_cause',
+        description: 'Los sueldos de desarrolladores senior están 12% debajo del mercado',
+        hint: 'Pregunte cómo se comparan los sueldos con el mercado',
+        keywords: ['sueldo', 'salari', 'pago', 'pagan', 'compensac', 'mercado', 'competitiv', 'prestacion'],
+        questions: ['¿Cómo están los sueldos comparados con el mercado?', '¿Los sueldos son competitivos?', '¿Han hecho un estudio de compensaciones?'],
+        answer: 'El estudio de compensaciones del año pasado nos ubicó 12% abajo del mercado en desarrolladores senior.'
+      },
+      {
+        id: 'turnover_database',
+        category: 'data_source',
+        description: 'Registro de bajas por departamento de los últimos tres años',
+        hint: 'Pregunte qué registros de rotación llevan por departamento',
+        keywords: ['datos', 'registro', 'rotación', 'bajas', 'departamento', 'estadística', 'cifras', 'indicador'],
+        questions: ['¿Tienen datos de rotación por departamento?', '¿Qué registros de bajas llevan?'],
+        answer: 'Llevamos un registro de todas las bajas de los últimos tres años, con departamento, antigüedad y motivo.'
+      },
+      {
+        id: 'climate_survey',
+        category: 'evidence',
+        description: 'Encuesta de clima laboral con resultados por área',
+        hint: 'Solicite los resultados de la encuesta de clima laboral',
+        keywords: ['encuesta', 'clima', 'ambiente laboral', 'satisfacción', 'resultados', 'opinión'],
+        questions: ['¿Han aplicado encuestas de clima laboral?', '¿Tiene resultados de alguna encuesta de clima?'],
+        answer: 'Aplicamos una encuesta de clima hace ocho meses. Tengo los resultados por área y se los puedo compartir.'
+      }
+    ],
     dialogues: [
       {
         trigger: 'start',
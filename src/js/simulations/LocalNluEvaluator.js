@@ -0,0 +1,332 @@
+/**
+ * Local NLU Evaluator - Offline Spanish/English response evaluator for simulations
+ * Messages are normalized, stripped of stopwords, stemmed and mapped to concepts (groups of
+ * synonyms in both languages). Each criterion lists intent patterns as concepts that must appear
+ * together, so "¿me podría compartir los reportes que lo sustenten?" counts as an evidence request.
+ */
+import ResponseEvaluator from './ResponseEvaluator.js';
+import TextNormalizer from '../assessment/TextNormalizer.js';
+
+// Concepts in both languages; entries with spaces are phrases matched word by word
+const CONCEPTS = {
+  self_reference: {
+    es: ['soy', 'me llamo', 'mi nombre', 'me presento', 'presentarme'],
+    en: ['i am', 'i m', 'my name', 'introduce myself']
+  },
+  role: {
+    es: ['consultor', 'consultora', 'consultoria', 'asesor', 'asesora', 'represento', 'despacho', 'firma'],
+    en: ['consultant', 'consulting', 'advisor', 'firm', 'represent']
+  },
+  greeting: {
+    es: ['buenos dias', 'buenas tardes', 'buenas noches', 'hola', 'mucho gusto', 'un placer'],
+    en: ['good morning', 'good afternoon', 'hello', 'nice to meet', 'pleasure']
+  },
+  purpose: {
+    es: ['proposito', 'objetivo', 'razon', 'motivo', 'finalidad', 'meta', 'vengo a', 'el fin de', 'la idea es'],
+    en: ['purpose', 'goal', 'objective', 'reason', 'aim', 'here to']
+  },
+  gather: {
+    es: ['obtener', 'recopilar', 'recabar', 'conocer', 'entender', 'comprender', 'identificar', 'reunir', 'averiguar', 'levantar'],
+    en: ['gather', 'collect', 'understand', 'learn', 'identify', 'obtain', 'find out']
+  },
+  information: {
+    es: ['informacion', 'datos', 'cifras', 'hechos', 'detalles', 'indicadores'],
+    en: ['information', 'data', 'facts', 'figures', 'details', 'metrics']
+  },
+  problem: {
+    es: ['problema', 'problematica', 'situacion', 'dificultad', 'caida', 'disminucion', 'necesidad'],
+    en: ['problem', 'issue', 'situation', 'decline', 'drop', 'need']
+  },
+  request: {
+    es: ['solicitar', 'solicito', 'pedir', 'pido', 'proporcionar', 'compartir', 'enviar', 'facilitar', 'mostrar',
+      'dar', 'podria', 'puede', 'necesito', 'necesitaria', 'hacer llegar', 'mandar', 'prestar'],
+    en: ['request', 'ask', 'provide', 'share', 'send', 'give', 'show', 'could', 'can you', 'need', 'would you']
+  },
+  format: {
+    es: ['por escrito', 'verbalmente', 'de forma verbal', 'de palabra', 'formato', 'digital', 'electronico', 'correo', 'impreso'],
+    en: ['in writing', 'written', 'verbally', 'orally', 'format', 'email', 'printed']
+  },
+  evidence: {
+    es: ['evidencia', 'documento', 'documentacion', 'respaldo', 'soporte', 'comprobante', 'reporte', 'informe',
+      'registro', 'archivo', 'copia', 'prueba', 'constancia', 'expediente', 'bitacora', 'minuta'],
+    en: ['evidence', 'document', 'documentation', 'record', 'report', 'file', 'proof', 'copy', 'backup', 'log']
+  },
+  support: {
+    es: ['respaldar', 'sustentar', 'demostrar', 'demuestre', 'comprobar', 'compruebe', 'avalar', 'fundamentar', 'acreditar'],
+    en: ['support', 'back up', 'prove', 'substantiate', 'demonstrate', 'verify']
+  },
+  note_taking: {
+    es: ['anotar', 'registrar', 'tomar nota', 'tomo nota', 'apuntar', 'apunto', 'escribir', 'notas'],
+    en: ['note', 'write down', 'record', 'jot down', 'notes']
+  },
+  confirmation: {
+    es: ['confirmar', 'verificar', 'corroborar', 'si entiendo bien', 'si le entendi', 'es correcto', 'resumiendo', 'en resumen', 'repasar'],
+    en: ['confirm', 'verify', 'if i understand', 'to summarize', 'correct me', 'recap']
+  },
+  gratitude: {
+    es: ['gracias', 'agradezco', 'agradecer', 'agradecido', 'agradecida', 'aprecio'],
+    en: ['thank', 'thanks', 'appreciate', 'grateful']
+  },
+  participation: {
+    es: ['tiempo', 'participacion', 'disposicion', 'atencion', 'colaboracion', 'apoyo'],
+    en: ['time', 'participation', 'help', 'cooperation']
+  },
+  farewell: {
+    es: ['hasta luego', 'nos vemos', 'que tenga buen dia', 'concluimos', 'terminamos', 'proximos pasos', 'siguientes pasos'],
+    en: ['goodbye', 'see you', 'wrap up', 'follow up', 'next steps']
+  },
+  staff: {
+    es: ['empleado', 'personal', 'trabajador', 'colaborador', 'plantilla', 'gente'],
+    en: ['employee', 'staff', 'worker', 'workforce', 'people']
+  },
+  resignation: {
+    es: ['renuncia', 'renunciar', 'renuncian', 'baja', 'bajas', 'rotacion', 'salida', 'se van', 'dejan la empresa'],
+    en: ['resign', 'quit', 'leave', 'turnover', 'attrition']
+  },
+  salary: {
+    es: ['sueldo', 'salario', 'compensacion', 'remuneracion', 'pago', 'prestaciones'],
+    en: ['salary', 'pay', 'wage', 'compensation', 'benefits package']
+  },
+  proposal: {
+    es: ['propuesta', 'proponemos', 'proponer', 'solucion', 'proyecto', 'recomendamos', 'recomendacion', 'implementar', 'sistema'],
+    en: ['proposal', 'propose', 'solution', 'project', 'recommend', 'implement', 'system']
+  },
+  scope: {
+    es: ['alcance', 'incluye', 'excluye', 'abarca', 'limites', 'cobertura', 'comprende', 'no contempla', 'fuera del proyecto'],
+    en: ['scope', 'includes', 'excludes', 'covers', 'boundaries', 'out of scope', 'limits']
+  },
+  advantage: {
+    es: ['ventaja', 'beneficio', 'mejora', 'optimiza', 'fortaleza', 'ahorro', 'oportunidad'],
+    en: ['advantage', 'benefit', 'improvement', 'strength', 'saving', 'upside']
+  },
+  disadvantage: {
+    es: ['desventaja', 'riesgo', 'limitacion', 'desafio', 'reto', 'inconveniente', 'debilidad', 'resistencia'],
+    en: ['disadvantage', 'risk', 'limitation', 'challenge', 'drawback', 'downside', 'weakness']
+  },
+  responsibility: {
+    es: ['responsabilidad', 'responsable', 'encargado', 'a cargo', 'rol', 'le corresponde', 'nos corresponde', 'su parte', 'nuestra parte'],
+    en: ['responsibility', 'responsible', 'in charge', 'role', 'owner', 'accountable']
+  },
+  party: {
+    es: ['consultor', 'consultora', 'cliente', 'empresa', 'equipo', 'nosotros', 'ustedes'],
+    en: ['consultant', 'client', 'company', 'team', 'we', 'you']
+  },
+  stage: {
+    es: ['etapa', 'fase', 'paso', 'primero', 'despues', 'posteriormente', 'finalmente'],
+    en: ['stage', 'phase', 'step', 'first', 'then', 'finally']
+  },
+  timeline: {
+    es: ['cronograma', 'calendario', 'plazo', 'duracion', 'semana', 'mes', 'meses'],
+    en: ['timeline', 'schedule', 'deadline', 'duration', 'week', 'month', 'months']
+  },
+  deliverable: {
+    es: ['entregable', 'entregaremos', 'entregar', 'documento', 'reporte', 'informe', 'manual', 'resultado', 'producto'],
+    en: ['deliverable', 'deliver', 'report', 'document', 'manual', 'output']
+  },
+  implication: {
+    es: ['implicacion', 'implica', 'impacto', 'efecto', 'consecuencia', 'cambio', 'afectara'],
+    en: ['implication', 'implies', 'impact', 'effect', 'consequence', 'change', 'affect']
+  },
+  resource: {
+    es: ['recurso', 'personal', 'equipo', 'material', 'humano', 'tecnico', 'herramienta', 'infraestructura', 'horas'],
+    en: ['resource', 'staff', 'people', 'equipment', 'tool', 'infrastructure', 'hours']
+  },
+  question: {
+    es: ['pregunta', 'duda', 'consulta', 'aclaracion', 'aclarar', 'inquietud', 'comentario'],
+    en: ['question', 'doubt', 'clarify', 'clarification', 'concern']
+  },
+  cost: {
+    es: ['costo', 'inversion', 'gasto', 'presupuesto', 'precio', 'pesos', 'financiero'],
+    en: ['cost', 'investment', 'expense', 'budget', 'price', 'financial']
+  },
+  return: {
+    es: ['beneficio', 'retorno', 'roi', 'ahorro', 'recuperacion', 'rentabilidad', 'utilidad', 'ganancia'],
+    en: ['benefit', 'return', 'roi', 'savings', 'payback', 'profit']
+  }
+};
+
+// Intent patterns per criterion: concepts that must appear together and the confidence they give
+const CRITERION_PATTERNS = {
+  introduction: [
+    { concepts: ['self_reference', 'role'], confidence: 1 },
+    { concepts: ['self_reference'], confidence: 0.7 },
+    { concepts: ['greeting', 'role'], confidence: 0.6 }
+  ],
+  purpose_explanation: [
+    { concepts: ['purpose', 'information'], confidence: 1 },
+    { concepts: ['purpose', 'problem'], confidence: 1 },
+    { concepts: ['gather', 'information'], confidence: 0.8 },
+    { concepts: ['gather', 'problem'], confidence: 0.8 },
+    { concepts: ['purpose'], confidence: 0.6 },
+    { concepts: ['information', 'problem'], confidence: 0.5 }
+  ],
+  information_request: [
+    { concepts: ['request', 'information', 'format'], confidence: 1 },
+    { concepts: ['request', 'format'], confidence: 0.9 },
+    { concepts: ['request', 'information'], confidence: 0.7 },
+    { concepts: ['information', 'format'], confidence: 0.7 }
+  ],
+  evidence_request: [
+    { concepts: ['request', 'evidence'], confidence: 1 },
+    { concepts: ['evidence', 'support'], confidence: 1 },
+    { concepts: ['support'], confidence: 0.7 },
+    { concepts: ['evidence'], confidence: 0.5 }
+  ],
+  response_recording: [
+    { concepts: ['note_taking', 'confirmation'], confidence: 1 },
+    { concepts: ['note_taking'], confidence: 0.9 },
+    { concepts: ['confirmation'], confidence: 0.9 }
+  ],
+  closure: [
+    { concepts: ['gratitude', 'participation'], confidence: 1 },
+    { concepts: ['gratitude', 'farewell'], confidence: 1 },
+    { concepts: ['gratitude'], confidence: 0.8 },
+    { concepts: ['farewell'], confidence: 0.5 }
+  ],
+  proposal_description: [
+    { concepts: ['proposal', 'problem'], confidence: 1 },
+    { concepts: ['proposal', 'advantage'], confidence: 1 },
+    { concepts: ['proposal'], confidence: 0.8 }
+  ],
+  scope_mention: [
+    { concepts: ['scope'], confidence: 1 }
+  ],
+  advantages_disadvantages: [
+    { concepts: ['advantage', 'disadvantage'], confidence: 1 },
+    { concepts: ['advantage'], confidence: 0.5 },
+    { concepts: ['disadvantage'], confidence: 0.5 }
+  ],
+  responsibilities: [
+    { concepts: ['responsibility', 'party'], confidence: 1 },
+    { concepts: ['responsibility'], confidence: 0.7 }
+  ],
+  implementation_stages: [
+    { concepts: ['stage', 'timeline'], confidence: 1 },
+    { concepts: ['stage'], confidence: 0.7 },
+    { concepts: ['timeline'], confidence: 0.5 }
+  ],
+  deliverables: [
+    { concepts: ['deliverable', 'stage'], confidence: 1 },
+    { concepts: ['deliverable'], confidence: 0.8 }
+  ],
+  implications: [
+    { concepts: ['implication', 'party'], confidence: 1 },
+    { concepts: ['implication'], confidence: 0.8 }
+  ],
+  resources: [
+    { concepts: ['resource', 'cost'], confidence: 1 },
+    { concepts: ['resource'], confidence: 0.8 }
+  ],
+  questions_response: [
+    { concepts: ['question'], confidence: 1 }
+  ],
+  cost_benefit: [
+    { concepts: ['cost', 'return'], confidence: 1 },
+    { concepts: ['cost'], confidence: 0.6 },
+    { concepts: ['return'], confidence: 0.6 }
+  ]
+};
+
+class LocalNluEvaluator extends ResponseEvaluator {
+  constructor() {
+    super();
+    this.textNormalizer = new TextNormalizer();
+
+    // Concepts by stem, by exact word and by phrase
+    this.stemIndex = new Map();
+    this.wordIndex = new Map();
+    this.phrases = [];
+    Object.entries(CONCEPTS).forEach(([concept, languages]) => {
+      Object.entries(languages).forEach(([language, entries]) => {
+        entries.forEach(entry => {
+          const words = this.textNormalizer.normalize(entry).split(' ');
+          if (words.length > 1) {
+            this.phrases.push({ concept, words });
+          } else {
+            this.addToIndex(this.stemIndex, this.textNormalizer.stem(words[0], language), concept);
+            this.addToIndex(this.wordIndex, words[0], concept);
+          }
+        });
+      });
+    });
+  }
+
+  matchCriterion(criterionId, text) {
+    const patterns = CRITERION_PATTERNS[criterionId];
+    if (!patterns) {
+      return { confidence: 0, matched: [] };
+    }
+
+    const concepts = this.analyze(text).concepts;
+    const matched = patterns.filter(pattern => pattern.concepts.every(concept => concepts.has(concept)));
+
+    return {
+      confidence: matched.reduce((best, pattern) => Math.max(best, pattern.confidence), 0),
+      matched: matched.map(pattern => pattern.concepts.join('+'))
+    };
+  }
+
+  matchIntent(text, keywords) {
+    const tokens = this.textNormalizer.normalize(text).split(' ').filter(Boolean);
+
+    // The last word of a keyword only has to start a word of the message
+    return keywords.filter(keyword => {
+      const words = this.textNormalizer.normalize(keyword).split(' ');
+      return tokens.some((token, i) => words.every((word, offset) => offset === words.length - 1
+        ? tokens[i + offset]?.startsWith(word)
+        : tokens[i + offset] === word));
+    });
+  }
+
+  similarity(text, reference) {
+    const expected = this.analyze(reference);
+    if (expected.terms.length === 0) return 0;
+
+    // A term is covered when the message uses it or a synonym of it
+    const actual = this.analyze(text);
+    const covered = expected.terms.filter(term => actual.terms.includes(term) ||
+      Array.from(this.stemIndex.get(term) || []).some(concept => actual.concepts.has(concept)));
+
+    return covered.length / expected.terms.length;
+  }
+
+  coverage(text, keyPoints) {
+    const covered = keyPoints.filter(point => this.similarity(text, point) >= 0.5);
+    return { ratio: keyPoints.length > 0 ? covered.length / keyPoints.length : 0, covered };
+  }
+
+  /**
+   * Analyze a message: language, stemmed terms without stopwords and the concepts it mentions
+   * @param {string} text - Message
+   * @returns {Object} Analysis ({ language, tokens, terms, concepts })
+   */
+  analyze(text) {
+    const tokens = this.textNormalizer.normalize(text).split(' ').filter(Boolean);
+    const language = this.textNormalizer.detectLanguage(tokens);
+    const terms = this.textNormalizer.removeStopwords(tokens, language)
+      .map(token => this.textNormalizer.stem(token, language));
+
+    const concepts = new Set();
+    terms.forEach(term => this.stemIndex.get(term)?.forEach(concept => concepts.add(concept)));
+    tokens.forEach(token => this.wordIndex.get(token)?.forEach(concept => concepts.add(concept)));
+    this.phrases
+      .filter(phrase => this.containsPhrase(tokens, phrase.words))
+      .forEach(phrase => concepts.add(phrase.concept));
+
+    return { language, tokens, terms, concepts };
+  }
+
+  addToIndex(index, key, concept) {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(concept);
+  }
+
+  containsPhrase(tokens, phrase) {
+    for (let i = 0; i <= tokens.length - phrase.length; i++) {
+      if (phrase.every((word, offset) => tokens[i + offset] === word)) return true;
+    }
+    return false;
+  }
+}
+
+export default LocalNluEvaluator;
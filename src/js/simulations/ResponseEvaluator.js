@@ -0,0 +1,50 @@
+/**
+ * Response Evaluator - Interface for understanding what the user says in a simulation
+ * EvaluationEngine and SimulationEngine only talk to an evaluator through these methods;
+ * LocalNluEvaluator is the built-in offline implementation, and any other evaluator can be
+ * plugged in with SimulationEngine.setResponseEvaluator().
+ */
+
+class ResponseEvaluator {
+  /**
+   * Detect whether a message fulfils an evaluation criterion
+   * @param {string} criterionId - Criterion identifier (introduction, evidence_request...)
+   * @param {string} text - User's message
+   * @returns {Object} Match result ({ confidence: 0-1, matched: labels of the detected intents })
+   */
+  matchCriterion(criterionId, text) {
+    throw new Error(`${this.constructor.name} must implement matchCriterion()`);
+  }
+
+  /**
+   * Keywords of a dialogue tree intent that the message says
+   * @param {string} text - User's message
+   * @param {Array} keywords - Intent keywords; a keyword may be the start of a word (afectad)
+   * @returns {Array} Keywords found
+   */
+  matchIntent(text, keywords) {
+    throw new Error(`${this.constructor.name} must implement matchIntent()`);
+  }
+
+  /**
+   * How much of a reference text the message says, in other words or not
+   * @param {string} text - User's message
+   * @param {string} reference - Reference text
+   * @returns {number} Similarity between 0 and 1
+   */
+  similarity(text, reference) {
+    throw new Error(`${this.constructor.name} must implement similarity()`);
+  }
+
+  /**
+   * Share of key points the message covers
+   * @param {string} text - User's message
+   * @param {Array} keyPoints - Key points
+   * @returns {Object} Coverage ({ ratio: 0-1, covered: key points covered })
+   */
+  coverage(text, keyPoints) {
+    throw new Error(`${this.constructor.name} must implement coverage()`);
+  }
+}
+
+export default ResponseEvaluator;
@@ -131,6 +131,66 @@ class ScenarioLoader {
       return false;
     }
 
+    // Validate hidden facts
+    if (scenario.facts && !this.validateFacts(scenario)) {
+      return false;
+    }
+
+    // Validate dialogue tree
+    if (scenario.dialogueTree && !this.validateDialogueTree(scenario)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate hidden facts; without a dialogue tree to reveal them, each fact needs the keywords or questions that do
+   */
+  validateFacts(scenario) {
+    const invalidFact = scenario.facts.find(fact =>
+      !fact.id || !fact.description ||
+      !['root_cause', 'data_source', 'evidence', 'context'].includes(fact.category) ||
+      (!scenario.dialogueTree && ((!fact.keywords?.length && !fact.questions?.length) || !fact.answer)));
+
+    if (invalidFact) {
+      console.error(`[ScenarioLoader] Invalid fact '${invalidFact.id}' in scenario:`, scenario.id);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Validate that every transition of a dialogue tree leads to an existing node through a known intent
+   */
+  validateDialogueTree(scenario) {
+    const { start, exhausted, nodes = {}, intents = {}, anytime = [] } = scenario.dialogueTree;
+    const facts = new Set((scenario.facts || []).map(fact => fact.id));
+
+    if (!nodes[start] || !nodes[exhausted]) {
+      console.error(`[ScenarioLoader] Dialogue tree without start or exhausted node in scenario:`, scenario.id);
+      return false;
+    }
+
+    const transitions = [...anytime, ...Object.values(nodes).flatMap(node => node.transitions || [])];
+    const invalidTransition = transitions.find(edge =>
+      !intents[edge.intent] || !nodes[edge.to] || (edge.otherwise && !nodes[edge.otherwise]));
+    if (invalidTransition) {
+      console.error(`[ScenarioLoader] Invalid dialogue transition '${invalidTransition.intent}' in scenario:`, scenario.id);
+      return false;
+    }
+
+    const revealed = Object.values(nodes).flatMap(node => [
+      ...(node.reveals || []),
+      ...(node.replies || []).flatMap(reply => reply.reveals || [])
+    ]);
+    const unknownFact = revealed.find(fact => !facts.has(fact));
+    if (unknownFact) {
+      console.error(`[ScenarioLoader] Unknown dialogue fact '${unknownFact}' in scenario:`, scenario.id);
+      return false;
+    }
+
     return true;
   }
 
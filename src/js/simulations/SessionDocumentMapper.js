@@ -0,0 +1,189 @@
+/**
+ * Session Document Mapper - Turns a finished interview simulation into the data of an Element 1 document
+ * Maps the questions asked, the answers received and the facts discovered in the session to the sections
+ * of the interview guide and field visit report templates, so the candidate starts from a draft.
+ */
+import { FACT_CATEGORIES } from './EvaluationEngine.js';
+import TextNormalizer from '../assessment/TextNormalizer.js';
+
+// Templates that can be drafted from an interview session
+export const SESSION_DOCUMENT_TEMPLATES = ['interview_guide', 'field_visit_report'];
+
+// Criterion score from which a message is taken as an example of the criterion
+const CRITERION_THRESHOLD = 60;
+
+// Keywords that place an answer in an observations subsection; answers without a match are process observations
+const OBSERVATION_KEYWORDS = {
+  system_observations: ['sistema', 'erp', 'software', 'hoja de calculo', 'hojas de calculo', 'base de datos', 'plataforma', 'reporte', 'registro'],
+  personnel_observations: ['personal', 'supervisor', 'emplead', 'plantilla', 'rotacion', 'renuncia', 'salario', 'sueldo', 'capacitacion', 'coordinador', 'clima'],
+  infrastructure_observations: ['anden', 'instalacion', 'planta', 'almacen', 'bodega', 'maquinaria', 'vehiculo', 'camion', 'espacio']
+};
+
+class SessionDocumentMapper {
+  constructor() {
+    this.textNormalizer = new TextNormalizer();
+  }
+
+  /**
+   * Build the draft of a document from a finished interview session
+   * @param {string} templateId - Template identifier (interview_guide, field_visit_report)
+   * @param {Object} results - Simulation results with their transcript
+   * @param {Object} simulation - Interview simulation definition
+   * @returns {Object} Document draft ({ title, data })
+   */
+  map(templateId, results, simulation) {
+    if (results.type !== 'interview' || !results.transcript) {
+      throw new Error('Only interview sessions with a transcript can be mapped to a document');
+    }
+
+    const session = this.collect(results, simulation);
+
+    switch (templateId) {
+      case 'interview_guide':
+        return {
+          title: `Guía de entrevista: ${simulation.client.name}`,
+          data: this.mapInterviewGuide(session)
+        };
+      case 'field_visit_report':
+        return {
+          title: `Reporte de visita: ${simulation.scenario.company}`,
+          data: this.mapFieldVisitReport(session)
+        };
+      default:
+        throw new Error(`Template ${templateId} cannot be created from a simulation session`);
+    }
+  }
+
+  /**
+   * Gather what the documents need from the session: questions, answers and facts
+   */
+  collect(results, simulation) {
+    const turns = results.transcript.turns.filter(turn => turn.message.trim());
+    const discovered = results.factDiscovery?.discovered || turns.flatMap(turn =>
+      (turn.reply?.revealedFacts || []).map(description => ({ description, category: null })));
+
+    const questionTurns = turns.filter(turn => /[¿?]/.test(turn.message) ||
+      turn.criteria.some(criterion => ['information_request', 'evidence_request'].includes(criterion.id) && criterion.score >= CRITERION_THRESHOLD));
+
+    return {
+      scenario: simulation.scenario,
+      client: simulation.client,
+      date: new Date(results.startTime).toLocaleDateString('es-MX'),
+      turns,
+      questions: questionTurns.map(turn => turn.message.trim()),
+      // Replies to greetings and statements carry no information unless they revealed a fact
+      answers: turns.filter(turn => turn.reply?.content && (questionTurns.includes(turn) || turn.reply.revealedFacts.length > 0)),
+      discovered,
+      missed: results.factDiscovery?.missed || []
+    };
+  }
+
+  mapInterviewGuide(session) {
+    const { scenario, client, questions, discovered, missed } = session;
+    const byCategory = categories => discovered.filter(fact => categories.includes(fact.category));
+    const purposeMessage = this.findMessage(session, 'purpose_explanation');
+
+    return {
+      interview_purpose: [
+        `Obtener de ${client.name}, ${client.position} de ${scenario.company}, los datos relativos al problema planteado: ${scenario.problem}.`,
+        scenario.context,
+        purposeMessage ? `Propósito expresado en la entrevista: "${purposeMessage}"` : ''
+      ].filter(Boolean).join('\n\n'),
+      opening_section: {
+        // The first message is the candidate's presentation when no turn was scored as one
+        introduction: this.findMessage(session, 'introduction') || session.turns[0]?.message.trim() || '',
+        purpose_explanation: purposeMessage,
+        confidentiality: ''
+      },
+      activities_responsibilities: questions,
+      information_requests: {
+        documents_needed: [
+          ...byCategory(['evidence', 'data_source']).map(fact => fact.description),
+          ...session.turns
+            .filter(turn => turn.criteria.some(criterion => criterion.id === 'evidence_request' && criterion.score >= CRITERION_THRESHOLD))
+            .map(turn => `Solicitado: "${turn.message.trim()}"`)
+        ],
+        information_types: byCategory(['context', 'root_cause', null])
+          .map(fact => fact.category ? `${FACT_CATEGORIES[fact.category].label}: ${fact.description}` : fact.description),
+        delivery_format: ''
+      },
+      interview_closure: {
+        summary_confirmation: discovered.length > 0
+          ? `Se confirmó con ${client.name} la información obtenida:\n${discovered.map(fact => `- ${fact.description}`).join('\n')}`
+          : '',
+        next_steps: missed.length > 0
+          ? `Información pendiente de obtener:\n${missed.map(fact => `- ${fact.hint}`).join('\n')}`
+          : '',
+        thank_you: this.findMessage(session, 'closure')
+      }
+    };
+  }
+
+  mapFieldVisitReport(session) {
+    const { scenario, client, date, answers, discovered, missed } = session;
+    const observations = {
+      process_observations: [],
+      system_observations: [],
+      personnel_observations: [],
+      infrastructure_observations: []
+    };
+
+    answers.forEach(turn => {
+      const entry = [
+        `Pregunta: ${turn.message.trim()}`,
+        `Respuesta (${turn.reply.speaker}): ${turn.reply.content}`,
+        ...turn.reply.revealedFacts.map(fact => `Hallazgo: ${fact}`)
+      ].join('\n');
+      observations[this.classifyObservation(`${turn.reply.content} ${turn.reply.revealedFacts.join(' ')}`)].push(entry);
+    });
+
+    const rootCausesFirst = [...discovered].sort((a, b) =>
+      (FACT_CATEGORIES[b.category]?.weight || 0) - (FACT_CATEGORIES[a.category]?.weight || 0));
+
+    return {
+      visit_objective: `Obtener información de primera mano en ${scenario.company} (${scenario.industry}) sobre el problema planteado: ${scenario.problem}. ${scenario.context}`,
+      visit_scope: `Entrevista con ${client.name}, ${client.position}, realizada el ${date}. ` +
+        `Se registraron ${session.turns.length} intervenciones y ${answers.length} respuestas del entrevistado; ` +
+        `quedan fuera del alcance las áreas y documentos no revisados durante la entrevista.`,
+      observations_description: Object.fromEntries(
+        Object.entries(observations).map(([id, entries]) => [id, entries.join('\n\n')])
+      ),
+      visit_results: {
+        key_findings: rootCausesFirst.map(fact => fact.description),
+        recommendations: [],
+        follow_up_actions: [
+          ...discovered.filter(fact => fact.category === 'evidence').map(fact => `Recopilar: ${fact.description}`),
+          ...missed.map(fact => `Pendiente: ${fact.hint}`)
+        ]
+      }
+    };
+  }
+
+  /**
+   * Message of the session that best fulfils a criterion
+   */
+  findMessage(session, criterionId) {
+    let best = null;
+    session.turns.forEach(turn => {
+      const criterion = turn.criteria.find(entry => entry.id === criterionId);
+      if (criterion && criterion.score >= CRITERION_THRESHOLD && (!best || criterion.score > best.score)) {
+        best = { score: criterion.score, message: turn.message.trim() };
+      }
+    });
+    return best ? best.message : '';
+  }
+
+  classifyObservation(text) {
+    const normalized = this.textNormalizer.normalize(text);
+    let best = { id: 'process_observations', hits: 0 };
+
+    Object.entries(OBSERVATION_KEYWORDS).forEach(([id, keywords]) => {
+      const hits = keywords.filter(keyword => normalized.includes(keyword)).length;
+      if (hits > best.hits) best = { id, hits };
+    });
+
+    return best.id;
+  }
+}
+
+export default SessionDocumentMapper;
@@ -229,6 +229,15 @@ const element1Templates = {
         headers: ['Tipo de Información', 'Fuente', 'Método de Recopilación', 'Responsable'],
         validation: { minRows: 3, required: true }
       },
+      {
+        id: 'questionnaire_sample',
+        title: 'Muestra del Cuestionario Aplicado',
+        required: true,
+        type: 'textarea',
+        placeholder: 'Incluya preguntas representativas del cuestionario utilizado y a quién se aplicó...',
+        showIf: { field: 'studies_tests.study_types', contains: 'cuestionario' },
+        validation: { minLength: 150, required: true }
+      },
       {
         id: 'field_observation_program',
         title: 'Programa de Observaciones de Campo',
@@ -137,19 +137,23 @@ const element2Templates = {
             id: 'implementation_costs', 
             title: 'Costos de Implementación', 
             type: 'matrix', 
-            headers: ['Categoría', 'Concepto', 'Cantidad', 'Costo Unitario', 'Costo Total']
+            headers: ['Categoría', 'Concepto', 'Cantidad', 'Costo Unitario', 'Costo Total'],
+            computedColumns: { 'Costo Total': { multiply: ['Cantidad', 'Costo Unitario'] } },
+            totals: ['Costo Total']
           },
           { 
             id: 'operational_costs', 
             title: 'Costos Operacionales', 
             type: 'matrix', 
-            headers: ['Categoría', 'Concepto', 'Frecuencia', 'Costo Periódico']
+            headers: ['Categoría', 'Concepto', 'Frecuencia', 'Costo Periódico'],
+            totals: ['Costo Periódico']
           },
           { 
             id: 'quantified_benefits', 
             title: 'Beneficios Cuantificados', 
             type: 'matrix', 
-            headers: ['Beneficio', 'Período', 'Valor Estimado', 'Método de Cálculo']
+            headers: ['Beneficio', 'Período', 'Valor Estimado', 'Método de Cálculo'],
+            totals: ['Valor Estimado']
           },
           { id: 'roi_analysis', title: 'Análisis de ROI', type: 'textarea' }
         ],
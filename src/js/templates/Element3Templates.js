@@ -38,6 +38,7 @@ const element3Templates = {
         required: true,
         type: 'textarea',
         placeholder: 'Proporcione los antecedentes y diagnóstico de la situación...',
+        reference: { document: 'problem_description', field: 'problem_statement' },
         validation: { minLength: 300, required: true }
       },
       {
@@ -132,7 +133,9 @@ const element3Templates = {
             id: 'cost_breakdown', 
             title: 'Desglose de Costos', 
             type: 'matrix', 
-            headers: ['Categoría', 'Concepto', 'Cantidad', 'Precio Unitario', 'Total']
+            headers: ['Categoría', 'Concepto', 'Cantidad', 'Precio Unitario', 'Total'],
+            computedColumns: { Total: { multiply: ['Cantidad', 'Precio Unitario'] } },
+            totals: ['Total']
           },
           { id: 'payment_terms', title: 'Términos de Pago', type: 'textarea' },
           { id: 'cost_assumptions', title: 'Supuestos de Costo', type: 'list' }
@@ -455,12 +458,18 @@ const element3Templates = {
         required: true,
         type: 'structured',
         subsections: [
-          { id: 'total_cost', title: 'Costo Total', type: 'currency' },
+          {
+            id: 'total_cost',
+            title: 'Costo Total',
+            type: 'currency',
+            computed: { field: 'solution_cost.cost_breakdown_agreement', sum: 'Monto' }
+          },
           { 
             id: 'cost_breakdown_agreement', 
             title: 'Desglose de Costos', 
             type: 'matrix', 
-            headers: ['Categoría', 'Concepto', 'Monto', 'Moneda']
+            headers: ['Categoría', 'Concepto', 'Monto', 'Moneda'],
+            totals: ['Monto']
           },
           { id: 'cost_adjustments', title: 'Ajustes de Costo', type: 'textarea' }
         ],
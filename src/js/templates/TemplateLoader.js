@@ -5,10 +5,14 @@
 import element1Templates from './Element1Templates.js';
 import element2Templates from './Element2Templates.js';
 import element3Templates from './Element3Templates.js';
+import TemplatePackValidator from './TemplatePackValidator.js';
 
 class TemplateLoader {
   constructor() {
     this.templates = new Map();
+    this.builtInTemplateIds = new Set();
+    this.packs = new Map();
+    this.packValidator = new TemplatePackValidator();
   }
 
   /**
@@ -25,6 +29,7 @@ class TemplateLoader {
     // Store templates in map for fast lookup
     Object.values(allTemplates).forEach(template => {
       this.templates.set(template.id, template);
+      this.builtInTemplateIds.add(template.id);
     });
 
     return this.templates;
@@ -88,6 +93,115 @@ class TemplateLoader {
     return true;
   }
 
+  /**
+   * Validate a custom template pack against the pack schema
+   * @param {Object} pack - Template pack
+   * @returns {Object} Validation result ({ isValid, errors, warnings })
+   */
+  validatePack(pack) {
+    const installed = this.packs.get(pack?.id);
+    return this.packValidator.validatePack(pack, {
+      templates: this.templates,
+      ownTemplateIds: new Set((installed?.templates || []).map(template => template.id))
+    });
+  }
+
+  /**
+   * Register a custom template pack
+   * A pack already registered under the same ID is only replaced by a newer version
+   * @param {Object} pack - Template pack
+   * @returns {Object} Registration result ({ pack, templates, previousVersion, warnings })
+   */
+  registerPack(pack) {
+    const validation = this.validatePack(pack);
+    if (!validation.isValid) {
+      const error = new Error(`El paquete de plantillas no es válido: ${validation.errors[0]}`);
+      error.validation = validation;
+      throw error;
+    }
+
+    const installed = this.packs.get(pack.id);
+    if (installed && this.packValidator.compareVersions(pack.version, installed.version) <= 0) {
+      throw new Error(`Ya está instalada la versión ${installed.version} del paquete "${installed.name}"; incremente la versión para actualizarlo`);
+    }
+
+    // Resolve variants before the previous version goes away, since they may build on its templates
+    const stored = JSON.parse(JSON.stringify(pack));
+    const templates = stored.templates.map(template => this.resolvePackTemplate(template, stored));
+
+    if (installed) {
+      this.removePackTemplates(installed);
+    }
+    templates.forEach(template => this.templates.set(template.id, template));
+    this.packs.set(stored.id, stored);
+
+    return {
+      pack: stored,
+      templates,
+      previousVersion: installed?.version || null,
+      warnings: validation.warnings
+    };
+  }
+
+  /**
+   * Remove a custom template pack and its templates
+   * @param {string} packId - Pack identifier
+   * @returns {boolean} True if the pack was registered
+   */
+  unregisterPack(packId) {
+    const pack = this.packs.get(packId);
+    if (!pack) return false;
+
+    this.removePackTemplates(pack);
+    this.packs.delete(packId);
+    return true;
+  }
+
+  resolvePackTemplate(template, pack) {
+    const base = template.basedOn ? JSON.parse(JSON.stringify(this.templates.get(template.basedOn))) : {};
+    delete base.pack;
+
+    return {
+      ...base,
+      ...template,
+      pack: { id: pack.id, name: pack.name, version: pack.version }
+    };
+  }
+
+  removePackTemplates(pack) {
+    pack.templates.forEach(template => {
+      if (!this.builtInTemplateIds.has(template.id)) {
+        this.templates.delete(template.id);
+      }
+    });
+  }
+
+  /**
+   * Get registered template packs
+   * @returns {Array} Template packs
+   */
+  getPacks() {
+    return Array.from(this.packs.values());
+  }
+
+  /**
+   * Get a registered template pack
+   * @param {string} packId - Pack identifier
+   * @returns {Object|null} Template pack
+   */
+  getPack(packId) {
+    return this.packs.get(packId) || null;
+  }
+
+  /**
+   * Check whether a template ships with the application
+   * @param {string} templateId - Template identifier
+   * @returns {boolean} True for built-in templates
+   */
+  isBuiltInTemplate(templateId) {
+    return this.builtInTemplateIds.has(templateId);
+  }
+
   /**
    * Get template statistics
    * @returns {Object} Template statistics
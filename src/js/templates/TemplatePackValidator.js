@@ -0,0 +1,243 @@
+/**
+ * Template Pack Validator - Schema validation for custom JSON template packs
+ * Checks pack metadata, template and section structure, variants of built-in templates and pack versions
+ */
+
+export const PACK_FORMAT = 'ec0249-template-pack';
+export const PACK_SCHEMA_VERSION = 1;
+
+export const ELEMENTS = ['E0875', 'E0876', 'E0877'];
+
+export const SECTION_TYPES = ['textarea', 'text', 'list', 'matrix', 'table', 'structured', 'form', 'date', 'currency', 'template', 'signature', 'gantt', 'questionBuilder'];
+
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const MARKUP_PATTERN = /<\/?[a-z!][^>]*>/i;
+
+class TemplatePackValidator {
+  /**
+   * Validate a template pack
+   * @param {Object} pack - Parsed pack
+   * @param {Object} context - Validation context
+   * @param {Map} context.templates - Templates already available (used for variants and ID clashes)
+   * @param {Set} context.ownTemplateIds - Template IDs that belong to the installed version of this pack
+   * @returns {Object} Result ({ isValid, errors, warnings })
+   */
+  validatePack(pack, { templates = new Map(), ownTemplateIds = new Set() } = {}) {
+    const errors = [];
+    const warnings = [];
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      return { isValid: false, errors: ['El paquete debe ser un objeto JSON'], warnings };
+    }
+
+    if (pack.format !== PACK_FORMAT) {
+      errors.push(`El campo "format" debe ser "${PACK_FORMAT}"`);
+    }
+    if (!Number.isInteger(pack.schemaVersion) || pack.schemaVersion < 1) {
+      errors.push('El campo "schemaVersion" debe ser un número entero');
+    } else if (pack.schemaVersion > PACK_SCHEMA_VERSION) {
+      errors.push(`Versión de esquema ${pack.schemaVersion} no soportada (máximo ${PACK_SCHEMA_VERSION})`);
+    }
+    if (!ID_PATTERN.test(pack.id || '')) {
+      errors.push('El identificador del paquete ("id") debe usar minúsculas, números y guiones bajos');
+    }
+    if (!this.isNonEmptyString(pack.name)) {
+      errors.push('El paquete requiere un nombre ("name")');
+    }
+    if (!VERSION_PATTERN.test(pack.version || '')) {
+      errors.push('La versión del paquete debe tener el formato MAYOR.MENOR.PARCHE (p. ej. 1.0.0)');
+    }
+    if (!Array.isArray(pack.templates) || pack.templates.length === 0) {
+      errors.push('El paquete debe incluir al menos una plantilla');
+      return { isValid: false, errors, warnings };
+    }
+
+    // Pack texts are shown as element content as-is, so markup is rejected; texts written into
+    // attributes (placeholders, titles) are escaped where they are rendered, since quotes are allowed
+    const markupPath = this.findMarkup(pack);
+    if (markupPath) {
+      errors.push(`El campo "${markupPath}" contiene etiquetas HTML, que no están permitidas`);
+    }
+
+    const seenIds = new Set();
+    pack.templates.forEach((template, index) => {
+      const label = `Plantilla ${index + 1}${template?.id ? ` (${template.id})` : ''}`;
+      this.validateTemplate(template, label, { templates, ownTemplateIds, seenIds, errors, warnings });
+    });
+
+    return { isValid: errors.length === 0, errors, warnings };
+  }
+
+  validateTemplate(template, label, { templates, ownTemplateIds, seenIds, errors, warnings }) {
+    if (!template || typeof template !== 'object') {
+      errors.push(`${label}: debe ser un objeto`);
+      return;
+    }
+
+    if (!ID_PATTERN.test(template.id || '')) {
+      errors.push(`${label}: el identificador debe usar minúsculas, números y guiones bajos`);
+    } else if (seenIds.has(template.id)) {
+      errors.push(`${label}: el identificador está repetido en el paquete`);
+    } else if (templates.has(template.id) && !ownTemplateIds.has(template.id)) {
+      errors.push(`${label}: ya existe una plantilla con este identificador; use "basedOn" para crear una variante`);
+    }
+    seenIds.add(template.id);
+
+    // Variants inherit everything they don't override from their base template
+    const base = template.basedOn ? templates.get(template.basedOn) : null;
+    if (template.basedOn && !base) {
+      errors.push(`${label}: la plantilla base "${template.basedOn}" no existe`);
+    }
+
+    const resolved = { ...(base || {}), ...template };
+
+    if (!this.isNonEmptyString(resolved.title)) {
+      errors.push(`${label}: requiere un título`);
+    }
+    if (!ELEMENTS.includes(resolved.element)) {
+      errors.push(`${label}: el elemento debe ser uno de ${ELEMENTS.join(', ')}`);
+    }
+    if (resolved.estimatedTime !== undefined && !(Number(resolved.estimatedTime) > 0)) {
+      errors.push(`${label}: "estimatedTime" debe ser un número de minutos mayor que cero`);
+    }
+    if (resolved.evaluationCriteria !== undefined &&
+        (!Array.isArray(resolved.evaluationCriteria) || !resolved.evaluationCriteria.every(item => this.isNonEmptyString(item)))) {
+      errors.push(`${label}: "evaluationCriteria" debe ser una lista de textos`);
+    } else if (!resolved.evaluationCriteria?.length) {
+      warnings.push(`${label}: no tiene criterios de evaluación; no podrá evaluarse con rúbrica`);
+    }
+
+    if (!Array.isArray(resolved.sections) || resolved.sections.length === 0) {
+      errors.push(`${label}: debe tener al menos una sección`);
+      return;
+    }
+
+    const sectionIds = new Set();
+    resolved.sections.forEach((section, index) => {
+      const sectionLabel = `${label}, sección ${index + 1}${section?.id ? ` (${section.id})` : ''}`;
+      if (section?.id && sectionIds.has(section.id)) {
+        errors.push(`${sectionLabel}: el identificador está repetido`);
+      }
+      sectionIds.add(section?.id);
+      this.validateSection(section, sectionLabel, errors, true);
+    });
+  }
+
+  validateSection(section, label, errors, allowNested) {
+    if (!section || typeof section !== 'object') {
+      errors.push(`${label}: debe ser un objeto`);
+      return;
+    }
+    if (!ID_PATTERN.test(section.id || '')) {
+      errors.push(`${label}: el identificador debe usar minúsculas, números y guiones bajos`);
+    }
+    if (!this.isNonEmptyString(section.title) && !this.isNonEmptyString(section.label)) {
+      errors.push(`${label}: requiere un título`);
+    }
+    if (!SECTION_TYPES.includes(section.type)) {
+      errors.push(`${label}: tipo "${section.type}" no soportado (${SECTION_TYPES.join(', ')})`);
+      return;
+    }
+
+    if ((section.type === 'matrix' || section.type === 'table') &&
+        (!Array.isArray(section.headers) || section.headers.length === 0 || !section.headers.every(header => this.isNonEmptyString(header)))) {
+      errors.push(`${label}: las matrices requieren encabezados ("headers")`);
+    }
+
+    if (section.type === 'structured' || section.type === 'form') {
+      const key = section.type === 'structured' ? 'subsections' : 'fields';
+      const children = section[key];
+
+      if (!allowNested) {
+        errors.push(`${label}: no se permiten secciones anidadas en más de un nivel`);
+      } else if (!Array.isArray(children) || children.length === 0) {
+        errors.push(`${label}: requiere al menos un elemento en "${key}"`);
+      } else {
+        const childIds = new Set();
+        children.forEach((child, index) => {
+          const childLabel = `${label}, ${key === 'subsections' ? 'subsección' : 'campo'} ${index + 1}`;
+          if (child?.id && childIds.has(child.id)) {
+            errors.push(`${childLabel}: el identificador está repetido`);
+          }
+          childIds.add(child?.id);
+          this.validateSection(child, childLabel, errors, false);
+        });
+      }
+    }
+
+    this.validateLogic(section, label, errors);
+
+    if (section.validation !== undefined) {
+      const { minLength, maxLength, minRows, minItems } = section.validation || {};
+      [['minLength', minLength], ['maxLength', maxLength], ['minRows', minRows], ['minItems', minItems]].forEach(([name, value]) => {
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+          errors.push(`${label}: "validation.${name}" debe ser un entero positivo`);
+        }
+      });
+    }
+  }
+
+  findMarkup(value, path = '') {
+    if (typeof value === 'string') {
+      return MARKUP_PATTERN.test(value) ? path : null;
+    }
+    if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        const found = this.findMarkup(child, Array.isArray(value) ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  validateLogic(section, label, errors) {
+    if (section.showIf !== undefined && (!section.showIf || typeof section.showIf !== 'object')) {
+      errors.push(`${label}: "showIf" debe ser una condición (p. ej. { "field": "seccion", "filled": true })`);
+    }
+    if (section.reference !== undefined &&
+        (!this.isNonEmptyString(section.reference?.document) || !this.isNonEmptyString(section.reference?.field))) {
+      errors.push(`${label}: "reference" requiere "document" (plantilla) y "field" (ruta de la sección)`);
+    }
+    if (section.computed !== undefined &&
+        (!this.isNonEmptyString(section.computed?.field) || !this.isNonEmptyString(section.computed?.sum))) {
+      errors.push(`${label}: "computed" requiere "field" (matriz de origen) y "sum" (columna a sumar)`);
+    }
+
+    const headers = section.headers || [];
+    Object.entries(section.computedColumns || {}).forEach(([header, formula]) => {
+      const [operation, operands] = Object.entries(formula || {})[0] || [];
+      if (!headers.includes(header)) {
+        errors.push(`${label}: la columna calculada "${header}" no está en los encabezados`);
+      } else if (!['sum', 'multiply', 'subtract'].includes(operation) || !Array.isArray(operands) ||
+                 !operands.every(operand => headers.includes(operand))) {
+        errors.push(`${label}: la fórmula de "${header}" debe usar sum, multiply o subtract con columnas existentes`);
+      }
+    });
+    (section.totals || []).forEach(header => {
+      if (!headers.includes(header)) {
+        errors.push(`${label}: la columna de totales "${header}" no está en los encabezados`);
+      }
+    });
+  }
+
+  /**
+   * Compare two MAJOR.MINOR.PATCH versions
+   * @returns {number} Negative if a < b, zero if equal, positive if a > b
+   */
+  compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+    for (let i = 0; i < 3; i++) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+
+  isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+  }
+}
+
+export default TemplatePackValidator;
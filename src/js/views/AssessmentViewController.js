@@ -3,6 +3,35 @@
  * Handles knowledge tests, simulations, and competency evaluations
  */
 import BaseViewController from './BaseViewController.js';
+import { SESSION_DOCUMENT_TEMPLATES } from '../simulations/SessionDocumentMapper.js';
+import { BLANK_MARKER } from '../assessment/QuestionTypes.js';
+import { renderConfidenceScale, renderCalibrationReport } from '../components/QuizRenderer.js';
+
+// Labels of the item analysis flags
+const ITEM_FLAG_LABELS = {
+  too_easy: 'Muy fácil',
+  too_hard: 'Muy difícil',
+  low_discrimination: 'Discrimina poco',
+  negative_discrimination: 'Discriminación negativa',
+  misleading_distractor: 'Distractor engañoso'
+};
+
+// Engine assessments behind the assessment types of the overview
+const ASSESSMENT_IDS = {
+  module1: 'fundamentals_assessment',
+  element1: 'element1_assessment',
+  element2: 'element2_assessment',
+  element3: 'element3_assessment',
+  comprehensive: 'ec0249_practice_exam',
+  mock_certification: 'ec0249_mock_certification'
+};
+
+// Ways of answering an assessment, with the options they start the engine session with
+const ASSESSMENT_MODES = {
+  standard: { label: 'Estándar', options: {} },
+  certainty: { label: 'Con nivel de certeza', options: { scoringMethod: 'certainty' } },
+  adaptive: { label: 'Adaptativa', options: { adaptive: true } }
+};
 
 class AssessmentViewController extends BaseViewController {
   constructor(viewId, app) {
@@ -12,8 +41,13 @@ class AssessmentViewController extends BaseViewController {
     this.simulationEngine = null;
     this.currentQuestionIndex = 0;
     this.userAnswers = new Map();
-    this.assessmentTimer = null;
+    this.confidenceRatings = new Map();
+    this.shuffledItems = new Map();
+    this.pendingMatch = null;
+    this.grabbedItem = null;
+    this.assessmentMode = 'standard';
     this.timeRemaining = 0;
+    this.draftSaveTimeout = null;
   }
 
   async onInitialize() {
@@ -31,41 +65,145 @@ class AssessmentViewController extends BaseViewController {
   }
 
   bindEvents() {
-    // Assessment type selection
-    this.findElements('.assessment-type-card').forEach(card => {
-      card.addEventListener('click', (e) => {
+    // Cards and buttons are rendered after binding, so clicks are delegated
+    this.element.addEventListener('click', (e) => {
+      // Assessment navigation buttons
+      const button = e.target.closest('[data-assessment-action]');
+      if (button) {
         e.preventDefault();
-        const assessmentType = card.getAttribute('data-assessment-type');
-        if (assessmentType) {
-          this.startAssessment(assessmentType);
-        }
-      });
-    });
+        this.handleAssessmentAction(button.getAttribute('data-assessment-action'), button);
+        return;
+      }
 
-    // Assessment navigation buttons
-    this.findElements('[data-assessment-action]').forEach(button => {
-      button.addEventListener('click', (e) => {
+      // Assessment type selection
+      const assessmentType = e.target.closest('.assessment-type-card')?.getAttribute('data-assessment-type');
+      if (assessmentType) {
         e.preventDefault();
-        const action = button.getAttribute('data-assessment-action');
-        this.handleAssessmentAction(action, button);
-      });
-    });
+        this.startAssessment(assessmentType);
+        return;
+      }
 
-    // Simulation type selection
-    this.findElements('.simulation-card').forEach(card => {
-      card.addEventListener('click', (e) => {
+      // Simulation type selection
+      const simulationType = e.target.closest('.simulation-card')?.getAttribute('data-simulation-type');
+      if (simulationType) {
         e.preventDefault();
-        const simulationType = card.getAttribute('data-simulation-type');
-        if (simulationType) {
-          this.startSimulation(simulationType);
-        }
-      });
+        this.startSimulation(simulationType);
+      }
     });
 
     // Answer selection
     this.element.addEventListener('change', (e) => {
       if (e.target.matches('input[name="answer"]')) {
         this.recordAnswer(e.target.value);
+      } else if (e.target.matches('.confidence-input')) {
+        this.recordConfidence(e.target);
+      } else if (e.target.matches('select[name="assessment-mode"]')) {
+        this.assessmentMode = e.target.value;
+      }
+    });
+
+    // Open answers and blanks
+    this.element.addEventListener('input', (e) => {
+      if (e.target.matches('textarea[name="open-answer"]')) {
+        this.userAnswers.set(this.currentQuestionIndex, e.target.value);
+      } else if (e.target.matches('input[name="blank-answer"]')) {
+        const blanks = this.element.querySelectorAll('input[name="blank-answer"]');
+        this.userAnswers.set(this.currentQuestionIndex, Array.from(blanks, input => input.value));
+      } else {
+        return;
+      }
+      clearTimeout(this.draftSaveTimeout);
+      this.draftSaveTimeout = setTimeout(() => this.saveProgress(), 1000);
+    });
+
+    // Matching and ordering questions from the keyboard
+    this.element.addEventListener('keydown', (e) => {
+      if (e.target.matches('.matching-slot') && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        this.activateMatchingSlot(Number(e.target.dataset.promptIndex));
+      } else if (e.target.matches('.ordering-item')) {
+        this.handleOrderingKeydown(Number(e.target.dataset.position), e);
+      } else if (e.key === 'Escape' && this.getPendingMatch() !== null) {
+        e.preventDefault();
+        this.pendingMatch = null;
+        this.announce('Selección cancelada.');
+        this.refreshQuestion(this.getFocusSelector(e.target));
+      }
+    });
+
+    // Matching and ordering questions by drag and drop
+    this.element.addEventListener('dragstart', (e) => {
+      const item = e.target.closest?.('.question-options [draggable="true"]');
+      if (!item) return;
+
+      const data = item.matches('.ordering-item') ? `ordering:${item.dataset.position}` : `matching:${item.dataset.optionIndex}`;
+      e.dataTransfer.setData('text/plain', data);
+      e.dataTransfer.effectAllowed = 'move';
+      item.classList.add('dragging');
+    });
+
+    this.element.addEventListener('dragend', (e) => {
+      e.target.closest?.('[draggable="true"]')?.classList.remove('dragging');
+    });
+
+    this.element.addEventListener('dragover', (e) => {
+      const zone = e.target.closest?.('.question-options .drop-zone, .question-options .ordering-item');
+      if (!zone) return;
+
+      e.preventDefault();
+      zone.classList.add('drag-over');
+    });
+
+    this.element.addEventListener('dragleave', (e) => {
+      const zone = e.target.closest?.('.drop-zone, .ordering-item');
+      if (zone && !zone.contains(e.relatedTarget)) {
+        zone.classList.remove('drag-over');
+      }
+    });
+
+    this.element.addEventListener('drop', (e) => {
+      const zone = e.target.closest?.('.question-options .drop-zone, .question-options .ordering-item');
+      if (!zone) return;
+
+      e.preventDefault();
+      zone.classList.remove('drag-over');
+      this.handleDrop(zone, e.dataTransfer.getData('text/plain'));
+    });
+
+    // Answers typed since the last save are kept if the page is closed
+    window.addEventListener('pagehide', () => this.saveProgress());
+
+    // The assessment engine runs the clock
+    this.subscribe('timer:tick', (data) => {
+      if (this.currentAssessment && !this.currentAssessment.submitted) {
+        this.timeRemaining = data.timeRemaining;
+        this.updateTimerDisplay();
+      }
+    });
+
+    // Sessions completed by the engine when the time runs out
+    this.subscribe('assessment:completed', (data) => {
+      if (this.currentAssessment?.sessionId === data.sessionId && !this.currentAssessment.submitted) {
+        this.currentAssessment.submitted = true;
+        this.showNotification('Se acabó el tiempo; la evaluación se envió con tus respuestas', 'warning');
+        this.showSessionResults(data.results, Date.now() - this.currentAssessment.startTime);
+      }
+    });
+
+    // Simulations recorded in the mock exam in progress
+    this.subscribe('mock_exam:section_completed', () => {
+      if (!this.currentAssessment) {
+        this.renderAssessmentOverview();
+      }
+    });
+
+    // The mock exam ends when its time runs out; products are checked as they are at that moment
+    this.subscribe('mock_exam:time_up', () => this.finishMockExam({ timeUp: true }));
+
+    // Finished simulations can be replayed from their transcript
+    this.subscribe('simulation:completed', () => {
+      if (!this.currentAssessment) {
+        this.renderAssessmentOverview();
       }
     });
   }
@@ -78,6 +216,13 @@ class AssessmentViewController extends BaseViewController {
     await this.loadAssessmentData();
   }
 
+  onHide() {
+    // Leaving the view pauses the session; it can be resumed from the overview
+    if (this.currentAssessment && !this.currentAssessment.submitted) {
+      this.pauseSession();
+    }
+  }
+
   async onRender() {
     // Render assessment overview
     this.renderAssessmentOverview();
@@ -111,17 +256,50 @@ class AssessmentViewController extends BaseViewController {
     // Clear existing content
     overviewContainer.innerHTML = '';
 
+    // Session paused or interrupted by a reload
+    const suspended = this.assessmentEngine?.getCurrentSession?.();
+    if (suspended?.status === 'paused') {
+      overviewContainer.appendChild(this.createSuspendedSessionBanner(suspended));
+    }
+
     // Create assessment types section
     const typesSection = this.createAssessmentTypesSection();
     overviewContainer.appendChild(typesSection);
 
+    // Mock certification exam
+    if (this.assessmentEngine?.getActiveMockExam) {
+      overviewContainer.appendChild(this.createMockExamSection());
+    }
+
     // Create simulations section
     const simulationsSection = this.createSimulationsSection();
     overviewContainer.appendChild(simulationsSection);
 
+    // Transcripts of finished simulations
+    const simulationHistory = (this.simulationEngine?.getSessionHistory?.() || []).filter(results => results.transcript);
+    if (simulationHistory.length > 0) {
+      overviewContainer.appendChild(this.createSimulationTranscriptsSection(simulationHistory));
+    }
+
     // Create progress section
     const progressSection = this.createProgressSection();
     overviewContainer.appendChild(progressSection);
+
+    // Open answers waiting for a mentor grade
+    const pendingReviews = this.assessmentEngine?.getPendingReviews?.() || [];
+    if (pendingReviews.some(review => review.items.length > 0)) {
+      overviewContainer.appendChild(this.createReviewQueueSection(pendingReviews));
+    }
+
+    // Item statistics for assessment authors
+    if (this.assessmentEngine?.getItemAnalysis) {
+      overviewContainer.appendChild(this.createItemAnalysisSection());
+    }
+
+    // Question import and export for authoring tools
+    if (this.assessmentEngine?.exportQuestions) {
+      overviewContainer.appendChild(this.createQuestionBankSection());
+    }
   }
 
   /**
@@ -134,6 +312,21 @@ class AssessmentViewController extends BaseViewController {
     title.textContent = 'Evaluaciones de Conocimientos';
     section.appendChild(title);
 
+    const mode = this.createElement('label', ['assessment-mode']);
+    mode.innerHTML = `
+      <span class="assessment-mode-label">Modo de respuesta</span>
+      <select name="assessment-mode" class="assessment-mode-select">
+        ${Object.entries(ASSESSMENT_MODES).map(([id, definition]) => `
+          <option value="${id}" ${id === this.assessmentMode ? 'selected' : ''}>${definition.label}</option>
+        `).join('')}
+      </select>
+      <small class="assessment-mode-hint">
+        Con nivel de certeza indicas qué tan seguro estás de cada respuesta: un acierto seguro suma más y un error seguro resta.
+        En la adaptativa cada pregunta se elige según tus respuestas anteriores y la evaluación termina cuando tu nivel está estimado.
+      </small>
+    `;
+    section.appendChild(mode);
+
     const typesGrid = this.createElement('div', ['assessment-types-grid']);
 
     // Module assessments
@@ -230,6 +423,284 @@ class AssessmentViewController extends BaseViewController {
     return card;
   }
 
+  /**
+   * Create the banner of a paused session, with the time left and whether the clock runs meanwhile
+   */
+  createSuspendedSessionBanner(session) {
+    const banner = this.createElement('section', ['suspended-session']);
+    const answered = session.questions.filter(question => question.id in session.answers).length;
+
+    banner.innerHTML = `
+      <div class="suspended-session-info">
+        <h3>⏸️ Evaluación en pausa: ${this.escapeHtml(session.title)}</h3>
+        <p>
+          ${answered} de ${session.adaptive ? `hasta ${session.totalQuestions}` : session.questions.length} preguntas respondidas
+          ${session.timeRemaining !== null ? ` · Tiempo restante: ${this.formatClock(session.timeRemaining)}` : ''}
+        </p>
+        <p class="suspended-session-rule">
+          ${session.clockWhileAway === 'run'
+            ? 'El reloj sigue corriendo mientras no estás.'
+            : 'El reloj se detiene mientras no estás.'}
+        </p>
+      </div>
+      <button class="btn btn-primary" data-session-action="resume">Continuar</button>
+    `;
+
+    banner.querySelector('[data-session-action="resume"]').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.resumeSession();
+    });
+
+    return banner;
+  }
+
+  /**
+   * Create the mock certification exam section: start button, or the status of the exam in progress
+   */
+  createMockExamSection() {
+    const section = this.createElement('section', ['mock-exam-section']);
+    const active = this.assessmentEngine.getActiveMockExam();
+    const report = this.assessmentEngine.getLatestMockExamReport();
+    const timeLimit = this.assessmentEngine.getAssessment(ASSESSMENT_IDS.mock_certification)?.mockExam.timeLimit;
+
+    section.innerHTML = `
+      <h2 class="section-title">Examen Simulado de Certificación</h2>
+      <p class="mock-exam-description">
+        Ensayo completo de la evaluación EC0249: cuestionario de conocimientos de los tres elementos,
+        entrevista y presentación simuladas, y revisión de los productos requeridos.
+        ${timeLimit ? `Tienes ${this.formatTimeLimit(timeLimit)} para terminarlo; al agotarse el tiempo el examen se finaliza solo.` : ''}
+      </p>
+      ${active ? `
+        <ul class="mock-exam-parts">
+          <li class="mock-exam-part">
+            <span class="mock-exam-part-title">📝 Conocimientos</span>
+            ${active.knowledgeCompleted
+              ? '<span class="mock-exam-part-status">✅ Terminada</span>'
+              : active.knowledgeInProgress
+                ? '<button class="btn btn-sm btn-primary" data-mock-action="knowledge">Responder</button>'
+                : '<span class="mock-exam-part-status">⏳ No disponible</span>'}
+          </li>
+          ${active.simulations.map(simulation => `
+            <li class="mock-exam-part">
+              <span class="mock-exam-part-title">${simulation.type === 'interview' ? '🎤' : '📊'} ${simulation.title}</span>
+              ${simulation.result
+                ? `<span class="mock-exam-part-status">✅ ${simulation.result.certification?.score ?? simulation.result.percentage}%</span>`
+                : `<button class="btn btn-sm btn-outline" data-mock-action="simulation" data-simulation-type="${simulation.type}">Iniciar</button>`}
+            </li>
+          `).join('')}
+          <li class="mock-exam-part">
+            <span class="mock-exam-part-title">📁 Productos</span>
+            <span class="mock-exam-part-status">Se revisan al finalizar o al agotarse el tiempo</span>
+          </li>
+        </ul>
+        <p class="mock-exam-time">Tiempo restante: ${this.formatDuration(active.timeRemaining)}</p>
+        <button class="btn btn-primary" data-mock-action="finish">Finalizar y ver reporte</button>
+      ` : `
+        ${report ? `
+          <p class="mock-exam-last">
+            Último resultado: <strong>${report.score}%</strong> · ${report.ready ? '🎓 Listo para certificación' : '⏳ Aún no listo'}
+          </p>
+        ` : ''}
+        <div class="mock-exam-actions">
+          <button class="btn btn-primary" data-mock-action="start">Iniciar examen simulado</button>
+          ${report ? '<button class="btn btn-outline" data-mock-action="report">Ver último reporte</button>' : ''}
+        </div>
+      `}
+    `;
+
+    section.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-mock-action]');
+      if (button) {
+        e.preventDefault();
+        this.handleMockExamAction(button.dataset.mockAction, button);
+      }
+    });
+
+    return section;
+  }
+
+  /**
+   * Handle mock exam actions
+   */
+  async handleMockExamAction(action, button) {
+    switch (action) {
+      case 'start':
+        await this.startMockExam();
+        break;
+      case 'knowledge':
+        await this.startMockKnowledgeSection();
+        break;
+      case 'simulation':
+        this.startSimulation(button.dataset.simulationType);
+        break;
+      case 'finish':
+        await this.finishMockExam();
+        break;
+      case 'report':
+        this.showMockExamReport(this.assessmentEngine.getLatestMockExamReport());
+        break;
+      default:
+        console.warn('[AssessmentViewController] Unknown mock exam action:', action);
+    }
+  }
+
+  /**
+   * Start a mock certification exam with its knowledge section
+   */
+  async startMockExam() {
+    if (!this.confirmDiscardSuspended()) return;
+
+    try {
+      await this.assessmentEngine.startMockExam();
+      await this.startMockKnowledgeSection();
+    } catch (error) {
+      console.error('[AssessmentViewController] Failed to start mock exam:', error);
+      this.showNotification('No se pudo iniciar el examen simulado', 'error');
+    }
+  }
+
+  /**
+   * Show the knowledge section of the mock exam in the assessment interface
+   */
+  async startMockKnowledgeSection() {
+    const active = this.assessmentEngine.getActiveMockExam();
+    if (!active?.knowledgeInProgress) {
+      this.showNotification('La sección de conocimientos ya no está disponible', 'info');
+      return;
+    }
+
+    await this.resumeSession();
+  }
+
+  toEngineAnswer(question, answer) {
+    return question.type === 'true_false' ? answer === 0 : answer;
+  }
+
+  toViewAnswer(question, answer) {
+    if (question.type === 'true_false') {
+      return answer ? 0 : 1;
+    }
+    return answer;
+  }
+
+  /**
+   * Finish the mock exam, checking the required products in the document engine
+   */
+  async finishMockExam({ timeUp = false } = {}) {
+    const active = this.assessmentEngine.getActiveMockExam();
+    if (!active) return;
+
+    const pending = !active.knowledgeCompleted || active.simulations.some(simulation => !simulation.result);
+    if (timeUp) {
+      this.showNotification('Se acabó el tiempo del examen simulado', 'warning');
+      // The knowledge section on screen is submitted with the exam
+      if (this.currentAssessment?.sessionId === active.knowledgeSessionId) {
+        clearTimeout(this.draftSaveTimeout);
+        await this.saveProgress();
+        this.resetAssessmentState();
+      }
+    } else if (pending && !confirm('Hay partes del examen sin terminar y contarán como no aprobadas. ¿Deseas finalizar?')) {
+      return;
+    }
+
+    try {
+      const documentEngine = this.getModule('documentEngine');
+      const products = documentEngine?.areTemplatesLoaded() ? documentEngine.getProductChecklist() : null;
+      const report = await this.assessmentEngine.completeMockExam(active.id, { products });
+      this.showMockExamReport(report);
+    } catch (error) {
+      console.error('[AssessmentViewController] Failed to finish mock exam:', error);
+      this.showNotification('No se pudo finalizar el examen simulado', 'error');
+    }
+  }
+
+  /**
+   * Show the readiness report of a mock exam
+   */
+  showMockExamReport(report) {
+    const container = this.findElement('.assessment-container');
+    if (!container || !report) return;
+
+    const { knowledge, performance, products } = report.sections;
+    const sectionCard = (title, section, detail) => `
+      <div class="mock-report-section ${section.passed ? 'passed' : 'failed'}">
+        <h4>${title}</h4>
+        <span class="mock-report-score">${section.score}%</span>
+        <span class="mock-report-status">${section.passed ? '✅ Aprobada' : '❌ No aprobada'}</span>
+        <p>${detail}</p>
+      </div>
+    `;
+
+    container.innerHTML = `
+      <div class="mock-exam-report">
+        <div class="results-header">
+          <h2>${report.ready ? '🎓 Listo para Certificación' : 'Aún no estás listo para la certificación'}</h2>
+          <div class="score-display">
+            <span class="score-value">${report.score}%</span>
+            <span class="score-label">Preparación general</span>
+          </div>
+        </div>
+        ${report.provisional ? '<p class="mock-report-note">Resultado provisional: hay respuestas abiertas esperando la revisión de un mentor.</p>' : ''}
+        ${report.overtime ? `<p class="mock-report-note">El examen se terminó después del tiempo límite de ${this.formatTimeLimit((report.deadline - report.startedAt) / 1000)}.</p>` : ''}
+        <div class="mock-report-sections">
+          ${sectionCard('Conocimientos', knowledge, knowledge.status === 'missing'
+            ? 'Sección no presentada'
+            : `Mínimo aprobatorio: ${knowledge.passingScore}%`)}
+          ${sectionCard('Desempeños', performance, performance.items
+            .map(item => `${this.escapeHtml(item.title)}: ${item.completed ? `${item.score}%` : 'no realizada'}`)
+            .join('<br>'))}
+          ${sectionCard('Productos', products, `${products.readyCount} de ${products.requiredCount} documentos listos`)}
+        </div>
+        <div class="mock-report-elements">
+          <h3>Por elemento</h3>
+          ${report.elements.map(element => `
+            <div class="progress-card">
+              <h4>${element.element}: ${element.title}</h4>
+              <div class="progress-bar">
+                <div class="progress-fill" style="width: ${element.score}%"></div>
+              </div>
+              <span class="progress-text">${element.score}%</span>
+            </div>
+          `).join('')}
+        </div>
+        <div class="mock-report-steps">
+          <h3>Próximos pasos</h3>
+          <ol>
+            ${report.nextSteps.map(step => `<li>${this.escapeHtml(step)}</li>`).join('')}
+          </ol>
+        </div>
+        <div class="results-actions">
+          <button class="btn btn-primary mock-report-exit">Volver a Evaluaciones</button>
+        </div>
+      </div>
+    `;
+
+    container.querySelector('.mock-report-exit').addEventListener('click', () => {
+      container.innerHTML = '';
+      this.exitAssessment();
+    });
+  }
+
+  formatClock(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes.toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+  }
+
+  formatTimeLimit(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return [
+      hours > 0 ? `${hours} ${hours === 1 ? 'hora' : 'horas'}` : '',
+      minutes > 0 ? `${minutes} minutos` : ''
+    ].filter(Boolean).join(' y ');
+  }
+
+  formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${hours}:${minutes.toString().padStart(2, '0')} h`;
+  }
+
   /**
    * Create simulations section
    */
@@ -308,6 +779,195 @@ class AssessmentViewController extends BaseViewController {
     return card;
   }
 
+  /**
+   * Create the list of finished simulations with a transcript, newest first
+   */
+  createSimulationTranscriptsSection(simulationHistory) {
+    const section = this.createElement('section', ['simulation-transcripts-section']);
+    section.innerHTML = `
+      <h2 class="section-title">Transcripciones de Simulaciones</h2>
+      <p class="simulation-transcripts-description">
+        Repase turno por turno lo que dijo en cada simulación y cómo se evaluó cada intervención.
+        Exporte la transcripción como evidencia del registro de las respuestas de la entrevista.
+      </p>
+      <ul class="simulation-transcripts-list">
+        ${simulationHistory
+          .slice()
+          .sort((a, b) => b.startTime - a.startTime)
+          .map(results => `
+            <li class="simulation-transcript-item">
+              <div>
+                <span class="simulation-transcript-title">${results.type === 'interview' ? '🎤' : '📊'} ${this.escapeHtml(results.transcript.title)}</span>
+                <small class="simulation-transcript-meta">
+                  ${new Date(results.startTime).toLocaleString('es-MX')} · ${results.transcript.turns.length} intervenciones · ${results.percentage}%
+                </small>
+              </div>
+              <button class="btn btn-sm btn-outline" data-transcript-session="${results.sessionId}">Ver transcripción</button>
+            </li>
+          `).join('')}
+      </ul>
+    `;
+
+    section.querySelectorAll('[data-transcript-session]').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.showSimulationTranscript(button.dataset.transcriptSession);
+      });
+    });
+
+    return section;
+  }
+
+  /**
+   * Replay the transcript of a finished simulation one turn at a time
+   */
+  showSimulationTranscript(sessionId) {
+    const container = this.findElement('.assessment-container');
+    const results = this.simulationEngine?.getSessionResults(sessionId);
+    if (!container || !results?.transcript) return;
+
+    const { transcript } = results;
+    const documentEngine = this.getModule('documentEngine');
+    const scoreLevel = score => score >= 80 ? 'high' : score >= 50 ? 'medium' : 'low';
+    let shownTurns = Math.min(1, transcript.turns.length);
+
+    container.innerHTML = `
+      <div class="simulation-transcript">
+        <div class="simulation-transcript-header">
+          <h2>${this.escapeHtml(transcript.title)}</h2>
+          <span class="simulation-transcript-meta">
+            ${new Date(results.startTime).toLocaleString('es-MX')} · Resultado: ${results.percentage}%
+          </span>
+        </div>
+        <div class="simulation-transcript-turns">
+          ${transcript.opening ? `
+            <div class="interaction-message client-message">
+              <div class="speaker">${this.escapeHtml(transcript.opening.speaker)}</div>
+              <div class="message">${this.escapeHtml(transcript.opening.content)}</div>
+            </div>
+          ` : ''}
+          ${transcript.turns.map((turn, index) => `
+            <div class="simulation-transcript-turn" data-turn-index="${index}" ${index >= shownTurns ? 'hidden' : ''}>
+              <div class="interaction-message user-message">
+                <div class="speaker">Usted · Turno ${turn.number}</div>
+                <div class="message">${this.escapeHtml(turn.message)}</div>
+              </div>
+              ${turn.reply ? `
+                <div class="interaction-message client-message">
+                  <div class="speaker">${this.escapeHtml(turn.reply.speaker)}</div>
+                  <div class="message">${this.escapeHtml(turn.reply.content)}</div>
+                  ${turn.reply.revealedFacts.map(fact => `<div class="feedback positive">🔎 ${this.escapeHtml(fact)}</div>`).join('')}
+                </div>
+              ` : ''}
+              <div class="simulation-transcript-evaluation">
+                ${turn.score === null ? `
+                  <span class="simulation-transcript-score">Sin criterios evaluados</span>
+                ` : `
+                  <span class="simulation-transcript-score ${scoreLevel(turn.score)}">${turn.score}%</span>
+                  <ul>
+                    ${turn.criteria.map(criterion => `<li>${this.escapeHtml(criterion.title)}: ${criterion.score}%</li>`).join('')}
+                  </ul>
+                  <p>${this.escapeHtml(turn.feedback)}</p>
+                `}
+              </div>
+            </div>
+          `).join('')}
+          ${transcript.turns.length === 0 ? '<p class="simulation-transcripts-description">La sesión terminó sin intervenciones.</p>' : ''}
+        </div>
+        <div class="simulation-transcript-controls">
+          <button class="btn btn-outline" data-transcript-action="prev">← Anterior</button>
+          <span class="simulation-transcript-position"></span>
+          <button class="btn btn-outline" data-transcript-action="next">Siguiente →</button>
+          <button class="btn btn-outline" data-transcript-action="all">Ver completa</button>
+        </div>
+        ${results.type === 'interview' ? `
+          <div class="simulation-transcript-documents">
+            <h3>Crear documento a partir de esta sesión</h3>
+            <p class="simulation-transcripts-description">
+              Las preguntas que hizo, las respuestas que recibió y la información descubierta se vacían en un borrador del documento.
+            </p>
+            ${SESSION_DOCUMENT_TEMPLATES.map(templateId => `
+              <button class="btn btn-outline" data-session-document="${templateId}">
+                ${this.escapeHtml(documentEngine?.getTemplate(templateId)?.title || templateId)}
+              </button>
+            `).join('')}
+          </div>
+        ` : ''}
+        <div class="results-actions">
+          <button class="btn btn-primary" data-transcript-action="markdown">Exportar Markdown</button>
+          <button class="btn btn-primary" data-transcript-action="pdf">Exportar PDF</button>
+          <button class="btn btn-secondary" data-assessment-action="exit-assessment">Volver a Evaluaciones</button>
+        </div>
+      </div>
+    `;
+
+    const updateReplay = () => {
+      container.querySelectorAll('.simulation-transcript-turn').forEach(turn => {
+        turn.hidden = Number(turn.dataset.turnIndex) >= shownTurns;
+      });
+      container.querySelector('.simulation-transcript-position').textContent = `Turno ${shownTurns} de ${transcript.turns.length}`;
+      container.querySelector('[data-transcript-action="prev"]').disabled = shownTurns <= 1;
+      container.querySelector('[data-transcript-action="next"]').disabled = shownTurns >= transcript.turns.length;
+      container.querySelector('[data-transcript-action="all"]').disabled = shownTurns >= transcript.turns.length;
+    };
+    updateReplay();
+
+    container.querySelector('.simulation-transcript-controls').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-transcript-action]')?.dataset.transcriptAction;
+      if (action === 'prev') shownTurns = Math.max(1, shownTurns - 1);
+      if (action === 'next') shownTurns = Math.min(transcript.turns.length, shownTurns + 1);
+      if (action === 'all') shownTurns = transcript.turns.length;
+
+      updateReplay();
+      container.querySelector(`[data-turn-index="${shownTurns - 1}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    });
+
+    container.querySelectorAll('[data-transcript-action="markdown"], [data-transcript-action="pdf"]').forEach(button => {
+      button.addEventListener('click', () => {
+        try {
+          this.downloadExport(this.simulationEngine.exportTranscript(sessionId, button.dataset.transcriptAction, {
+            candidateName: this.getCandidateName()
+          }));
+        } catch (error) {
+          console.error('[AssessmentViewController] Failed to export transcript:', error);
+          this.showNotification('No se pudo exportar la transcripción', 'error');
+        }
+      });
+    });
+
+    container.querySelectorAll('[data-session-document]').forEach(button => {
+      button.addEventListener('click', () => this.createDocumentFromSession(sessionId, button.dataset.sessionDocument));
+    });
+  }
+
+  /**
+   * Create a document draft from a finished interview and open it in the editor
+   */
+  async createDocumentFromSession(sessionId, templateId) {
+    const documentEngine = this.getModule('documentEngine');
+    if (!documentEngine?.areTemplatesLoaded()) {
+      this.showNotification('Motor de documentos no disponible', 'error');
+      return;
+    }
+
+    try {
+      const draft = this.simulationEngine.buildSessionDocument(sessionId, templateId);
+      const document = documentEngine.createDocument(templateId, draft.data);
+      document.title = draft.title;
+      await documentEngine.saveDocument(document.id, {}, { reason: 'import' });
+
+      this.showNotification(`Documento "${document.title}" creado a partir de la simulación`, 'success');
+      this.emit('app:open-document-editor', {
+        templateId,
+        documentId: document.id,
+        isNew: false
+      });
+    } catch (error) {
+      console.error('[AssessmentViewController] Failed to create document from session:', error);
+      this.showNotification('No se pudo crear el documento a partir de la sesión', 'error');
+    }
+  }
+
   /**
    * Create progress section
    */
@@ -345,10 +1005,353 @@ class AssessmentViewController extends BaseViewController {
       progressGrid.appendChild(competencyProgress);
     });
 
-    progressGrid.insertBefore(overallProgress, progressGrid.firstChild);
-    section.appendChild(progressGrid);
+    progressGrid.insertBefore(overallProgress, progressGrid.firstChild);
+    section.appendChild(progressGrid);
+
+    return section;
+  }
+
+  /**
+   * Create the queue of open answers waiting for a mentor grade
+   */
+  createReviewQueueSection(pendingReviews) {
+    const section = this.createElement('section', ['review-queue-section']);
+
+    const title = this.createElement('h2', ['section-title']);
+    title.textContent = 'Respuestas Pendientes de Revisión';
+    section.appendChild(title);
+
+    const description = this.createElement('p', ['review-queue-description']);
+    description.textContent = 'El resultado de estas evaluaciones es provisional hasta que un mentor califique las respuestas abiertas con su rúbrica.';
+    section.appendChild(description);
+
+    pendingReviews.forEach(review => {
+      review.items.forEach(item => {
+        section.appendChild(this.createReviewCard(review, item));
+      });
+    });
+
+    return section;
+  }
+
+  /**
+   * Create the entry point of the item analysis report
+   */
+  createItemAnalysisSection() {
+    const section = this.createElement('section', ['item-analysis-section']);
+    section.innerHTML = `
+      <h2 class="section-title">Análisis de Reactivos</h2>
+      <p class="item-analysis-description">
+        Dificultad, discriminación, elección de distractores y tiempo promedio de cada pregunta,
+        calculados a partir de los intentos registrados. Útil para detectar preguntas demasiado fáciles o engañosas.
+      </p>
+      <button class="btn btn-outline" data-item-analysis-action="open">Ver reporte</button>
+    `;
+
+    section.querySelector('[data-item-analysis-action="open"]').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.showItemAnalysisReport();
+    });
+
+    return section;
+  }
+
+  /**
+   * Show the item analysis report of one assessment, or of all of them
+   */
+  async showItemAnalysisReport(assessmentId = '') {
+    const container = this.findElement('.assessment-container');
+    if (!container) return;
+
+    let analysis;
+    try {
+      analysis = await this.assessmentEngine.getItemAnalysis({ assessmentId: assessmentId || null });
+    } catch (error) {
+      console.error('[AssessmentViewController] Failed to load item analysis:', error);
+      this.showNotification('No se pudo calcular el análisis de reactivos', 'error');
+      return;
+    }
+
+    const percent = value => value === null ? '—' : `${Math.round(value * 100)}%`;
+    const assessmentOptions = Object.values(ASSESSMENT_IDS)
+      .map(id => this.assessmentEngine.getAssessment(id))
+      .filter(Boolean);
+
+    container.innerHTML = `
+      <div class="item-analysis-report">
+        <div class="item-analysis-header">
+          <h2>Análisis de Reactivos</h2>
+          <select class="item-analysis-filter" aria-label="Evaluación">
+            <option value="">Todas las evaluaciones</option>
+            ${assessmentOptions.map(assessment => `
+              <option value="${assessment.id}" ${assessment.id === assessmentId ? 'selected' : ''}>${this.escapeHtml(assessment.title)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <p class="item-analysis-summary">
+          ${analysis.attempts} intentos analizados · ${analysis.items.length} preguntas ·
+          ${analysis.items.filter(item => item.flags.length > 0).length} con alertas
+        </p>
+        ${analysis.items.length === 0 ? `
+          <p class="item-analysis-empty">Aún no hay intentos terminados para analizar.</p>
+        ` : `
+          <div class="item-analysis-table-wrapper">
+            <table class="item-analysis-table">
+              <thead>
+                <tr>
+                  <th>Pregunta</th>
+                  <th>Elemento</th>
+                  <th>Intentos</th>
+                  <th title="Proporción de aciertos">Dificultad (p)</th>
+                  <th title="Correlación entre el reactivo y el resto del examen">Discriminación</th>
+                  <th>Tiempo promedio</th>
+                  <th>Distractores</th>
+                  <th>Alertas</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${analysis.items.map(item => `
+                  <tr class="${item.flags.length > 0 ? 'flagged' : ''}">
+                    <td>
+                      <span class="item-analysis-question">${this.escapeHtml(item.question)}</span>
+                      <small class="item-analysis-id">${this.escapeHtml(item.questionId)}</small>
+                    </td>
+                    <td>${this.escapeHtml(item.element || '—')}</td>
+                    <td>${item.attempts}</td>
+                    <td>${percent(item.difficulty)}</td>
+                    <td>${item.discrimination ?? '—'}</td>
+                    <td>${item.averageTime === null ? '—' : `${item.averageTime} s`}</td>
+                    <td>
+                      ${item.distractors.length === 0 ? '—' : `
+                        <ul class="item-analysis-distractors">
+                          ${item.distractors.map(distractor => `
+                            <li class="${distractor.correct ? 'correct' : ''}">
+                              ${this.escapeHtml(distractor.option ?? 'Sin respuesta')}: ${percent(distractor.frequency)}
+                            </li>
+                          `).join('')}
+                        </ul>
+                      `}
+                    </td>
+                    <td>${item.flags.map(flag => `<span class="item-analysis-flag">${ITEM_FLAG_LABELS[flag] || flag}</span>`).join(' ') || '—'}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        `}
+        <div class="results-actions">
+          <button class="btn btn-primary" data-item-analysis-action="export" ${analysis.items.length === 0 ? 'disabled' : ''}>Exportar CSV</button>
+          <button class="btn btn-secondary" data-assessment-action="exit-assessment">Volver a Evaluaciones</button>
+        </div>
+      </div>
+    `;
+
+    container.querySelector('.item-analysis-filter').addEventListener('change', (e) => {
+      this.showItemAnalysisReport(e.target.value);
+    });
+
+    container.querySelector('[data-item-analysis-action="export"]').addEventListener('click', async () => {
+      try {
+        this.downloadExport(await this.assessmentEngine.exportItemAnalysis({ assessmentId: assessmentId || null }));
+      } catch (error) {
+        console.error('[AssessmentViewController] Failed to export item analysis:', error);
+        this.showNotification('No se pudo exportar el análisis de reactivos', 'error');
+      }
+    });
+  }
+
+  /**
+   * Create the question bank import and export controls
+   * Questions can be authored in Moodle (GIFT) or any QTI 2.1 tool and brought back into the bank
+   */
+  createQuestionBankSection() {
+    const section = this.createElement('section', ['question-bank-section']);
+    const assessmentOptions = Object.values(ASSESSMENT_IDS)
+      .map(id => this.assessmentEngine.getAssessment(id))
+      .filter(assessment => assessment?.blueprint);
+
+    section.innerHTML = `
+      <h2 class="section-title">Banco de Preguntas</h2>
+      <p class="question-bank-description">
+        Exporte las preguntas para editarlas en Moodle o en cualquier herramienta compatible con QTI 2.1,
+        e importe las preguntas creadas allí. Cada pregunta se valida antes de agregarse al banco.
+      </p>
+      <div class="question-bank-panels">
+        <form class="question-bank-panel" data-question-bank-form="export">
+          <h3>Exportar</h3>
+          <label>
+            Formato
+            <select name="format">
+              <option value="qti">Paquete IMS QTI 2.1 (.zip)</option>
+              <option value="gift">Moodle GIFT (.txt)</option>
+            </select>
+          </label>
+          <label>
+            Preguntas
+            <select name="assessmentId">
+              <option value="">Todo el banco</option>
+              ${assessmentOptions.map(assessment => `
+                <option value="${assessment.id}">${this.escapeHtml(assessment.title)}</option>
+              `).join('')}
+            </select>
+          </label>
+          <button type="submit" class="btn btn-outline">Exportar preguntas</button>
+        </form>
+        <form class="question-bank-panel" data-question-bank-form="import">
+          <h3>Importar</h3>
+          <label>
+            Archivo QTI o GIFT
+            <input type="file" name="file" accept=".zip,.xml,.gift,.txt" required>
+          </label>
+          <label>
+            Elemento de las preguntas sin etiqueta
+            <select name="element">
+              ${['E0875', 'E0876', 'E0877'].map(element => `
+                <option value="${element}">${element} - ${this.getCompetencyName(element)}</option>
+              `).join('')}
+            </select>
+          </label>
+          <button type="submit" class="btn btn-outline">Importar preguntas</button>
+        </form>
+      </div>
+      <div class="question-bank-result" hidden></div>
+    `;
+
+    section.querySelector('[data-question-bank-form="export"]').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.exportQuestions(e.target.format.value, e.target.assessmentId.value);
+    });
+
+    section.querySelector('[data-question-bank-form="import"]').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const file = e.target.file.files[0];
+      if (file) {
+        this.importQuestions(file, e.target.element.value, section.querySelector('.question-bank-result'));
+      }
+    });
+
+    return section;
+  }
+
+  exportQuestions(format, assessmentId) {
+    try {
+      const result = this.assessmentEngine.exportQuestions(format, { assessmentId: assessmentId || null });
+      this.downloadExport(result);
+
+      const skipped = result.skipped.length > 0 ? ` (${result.skipped.length} omitidas por no ser compatibles con el formato)` : '';
+      this.showNotification(`${result.count} preguntas exportadas${skipped}`, 'success');
+    } catch (error) {
+      console.error('[AssessmentViewController] Failed to export questions:', error);
+      this.showNotification('No se pudieron exportar las preguntas', 'error');
+    }
+  }
+
+  async importQuestions(file, element, resultContainer) {
+    let result;
+    try {
+      result = await this.assessmentEngine.importQuestions(file, {
+        defaults: { element, difficulty: 'intermediate' }
+      });
+    } catch (error) {
+      console.error('[AssessmentViewController] Failed to import questions:', error);
+      this.showNotification(`No se pudieron importar las preguntas: ${error.message}`, 'error');
+      return;
+    }
+
+    this.showNotification(
+      `${result.imported.length} preguntas importadas${result.rejected.length > 0 ? `, ${result.rejected.length} rechazadas` : ''}`,
+      result.imported.length > 0 ? 'success' : 'warning'
+    );
+
+    resultContainer.hidden = result.rejected.length === 0;
+    resultContainer.innerHTML = result.rejected.length === 0 ? '' : `
+      <h4>Preguntas rechazadas</h4>
+      <ul>
+        ${result.rejected.map(question => `
+          <li><strong>${this.escapeHtml(question.id || 'Sin identificador')}</strong>: ${this.escapeHtml(question.reason)}</li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * Create the grading form of one open answer
+   * Criterion points start at the automatic pre-score so the mentor only adjusts them
+   */
+  createReviewCard(review, item) {
+    const form = this.createElement('form', ['review-card']);
+    const preScored = new Map((item.preScore?.criteria || []).map(criterion => [criterion.criterion, criterion]));
+    const idPrefix = this.escapeHtml(`review_${review.sessionId}_${item.questionId}`);
+
+    form.innerHTML = `
+      <div class="review-card-header">
+        <h3>${this.escapeHtml(review.title)}</h3>
+        <span class="review-date">${new Date(review.completedAt).toLocaleDateString()}</span>
+      </div>
+      <p class="review-question">${this.escapeHtml(item.question)}</p>
+      <blockquote class="review-answer">${this.escapeHtml(item.answer || 'Sin respuesta')}</blockquote>
+      ${item.preScore ? `
+        <p class="review-prescore">Pre-calificación automática: <strong>${item.preScore.score}%</strong></p>
+      ` : ''}
+      <fieldset class="review-rubric">
+        <legend>Rúbrica</legend>
+        ${item.rubric.map((criterion, index) => {
+          const preScore = preScored.get(criterion.criterion);
+          return `
+            <div class="review-criterion">
+              <label for="${idPrefix}_${index}">${this.escapeHtml(criterion.criterion)}</label>
+              <input type="number" id="${idPrefix}_${index}" name="criterion_${index}"
+                     min="0" max="${this.escapeHtml(criterion.maxPoints)}" step="0.5"
+                     value="${preScore?.points ?? ''}" required>
+              <span class="review-max">/ ${this.escapeHtml(criterion.maxPoints)}</span>
+              ${preScore?.missing?.length ? `
+                <small class="review-hint">No menciona: ${preScore.missing.map(keyword => this.escapeHtml(keyword)).join(', ')}</small>
+              ` : ''}
+            </div>
+          `;
+        }).join('')}
+      </fieldset>
+      <label class="review-field" for="${idPrefix}_feedback">Comentarios para el candidato</label>
+      <textarea id="${idPrefix}_feedback" name="feedback" rows="3"></textarea>
+      <label class="review-field" for="${idPrefix}_reviewer">Mentor</label>
+      <input type="text" id="${idPrefix}_reviewer" name="reviewer" autocomplete="name">
+      <div class="review-actions">
+        <button type="submit" class="btn btn-primary">Guardar calificación</button>
+      </div>
+    `;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitReview(review, item, form);
+    });
+
+    return form;
+  }
 
-    return section;
+  /**
+   * Send a mentor grade to the assessment engine
+   */
+  async submitReview(review, item, form) {
+    const data = new FormData(form);
+
+    try {
+      const results = await this.assessmentEngine.gradeResponse(review.sessionId, item.questionId, {
+        criteria: item.rubric.map((criterion, index) => ({
+          criterion: criterion.criterion,
+          points: data.get(`criterion_${index}`)
+        })),
+        feedback: data.get('feedback'),
+        reviewer: data.get('reviewer')
+      });
+
+      this.showNotification(results.status === 'completed'
+        ? `Revisión terminada: ${results.score.percentage}% (${results.score.passed ? 'aprobada' : 'no aprobada'})`
+        : 'Calificación guardada', 'success');
+      this.renderAssessmentOverview();
+    } catch (error) {
+      console.error('[AssessmentViewController] Failed to grade response:', error);
+      this.showNotification('No se pudo guardar la calificación', 'error');
+    }
   }
 
   /**
@@ -360,33 +1363,142 @@ class AssessmentViewController extends BaseViewController {
       return;
     }
 
+    if (this.assessmentEngine.getActiveMockExam()) {
+      this.showNotification('Termina el examen simulado antes de iniciar otra evaluación', 'warning');
+      return;
+    }
+
+    if (!this.confirmDiscardSuspended()) return;
+
+    try {
+      await this.assessmentEngine.startAssessment(
+        ASSESSMENT_IDS[assessmentType] || assessmentType,
+        ASSESSMENT_MODES[this.assessmentMode]?.options
+      );
+      this.openSession(assessmentType);
+    } catch (error) {
+      console.error('[AssessmentViewController] Failed to start assessment:', error);
+      this.showNotification('Error al iniciar la evaluación', 'error');
+    }
+  }
+
+  /**
+   * Starting another assessment discards the paused one, so ask first
+   */
+  confirmDiscardSuspended() {
+    const suspended = this.assessmentEngine.getCurrentSession();
+    return !suspended || confirm(`Tienes en pausa "${suspended.title}". Si inicias otra evaluación se perderá. ¿Deseas continuar?`);
+  }
+
+  /**
+   * Resume the paused session of the assessment engine
+   */
+  async resumeSession() {
+    const session = this.assessmentEngine.getCurrentSession();
+    if (!session) return;
+
     try {
-      // Load assessment questions
-      const questions = await this.assessmentEngine.getAssessmentQuestions(assessmentType);
-      
-      if (!questions || questions.length === 0) {
-        this.showNotification('No hay preguntas disponibles para esta evaluación', 'warning');
+      const resumed = await this.assessmentEngine.resumeAssessment(session.sessionId);
+      if (!resumed) {
+        this.showNotification('El tiempo se agotó mientras no estabas; la evaluación se envió con tus respuestas guardadas', 'warning');
+        this.renderAssessmentOverview();
         return;
       }
 
-      // Initialize assessment state
-      this.currentAssessment = {
-        type: assessmentType,
-        questions: questions,
-        startTime: Date.now()
-      };
-      this.currentQuestionIndex = 0;
-      this.userAnswers.clear();
+      const type = Object.keys(ASSESSMENT_IDS).find(key => ASSESSMENT_IDS[key] === resumed.assessmentId);
+      this.openSession(type || resumed.assessmentId);
+    } catch (error) {
+      console.error('[AssessmentViewController] Failed to resume assessment:', error);
+      this.showNotification('No se pudo reanudar la evaluación', 'error');
+    }
+  }
+
+  /**
+   * Pause the session on screen; its answers and position are saved in the assessment engine
+   */
+  async pauseSession() {
+    const { sessionId } = this.currentAssessment;
+    clearTimeout(this.draftSaveTimeout);
+
+    try {
+      await this.saveProgress();
+      await this.assessmentEngine.pauseAssessment(sessionId);
+    } catch (error) {
+      console.error('[AssessmentViewController] Failed to pause assessment:', error);
+    }
+
+    this.exitAssessment();
+  }
+
+  /**
+   * Show the session in progress of the assessment engine, restoring its answers and position
+   */
+  openSession(type) {
+    const session = this.assessmentEngine.getCurrentSession();
+    if (!session) return;
+
+    this.currentAssessment = {
+      type,
+      questions: session.questions,
+      startTime: Date.now(),
+      sessionId: session.sessionId,
+      timeLimit: session.timeRemaining,
+      totalQuestions: session.totalQuestions,
+      adaptive: session.adaptive,
+      scoringMethod: session.scoringMethod
+    };
+    this.userAnswers.clear();
+    this.confidenceRatings.clear();
+    this.shuffledItems.clear();
+    this.pendingMatch = null;
+    this.grabbedItem = null;
+    session.questions.forEach((question, index) => {
+      if (question.id in session.answers) {
+        this.userAnswers.set(index, this.toViewAnswer(question, session.answers[question.id]));
+      }
+      if (session.confidence[question.id]) {
+        this.confidenceRatings.set(index, session.confidence[question.id]);
+      }
+    });
+    // Adaptive sessions go on from the question not answered yet
+    this.currentQuestionIndex = session.adaptive
+      ? session.questions.length - 1
+      : Math.min(session.position, session.questions.length - 1);
+
+    this.renderAssessmentInterface();
+    this.startAssessmentTimer();
+  }
 
-      // Render assessment interface
-      this.renderAssessmentInterface();
+  /**
+   * Save the answers and position of the session on screen in the assessment engine
+   */
+  async saveProgress() {
+    if (!this.currentAssessment || this.currentAssessment.submitted) return;
+
+    const answers = {};
+    this.userAnswers.forEach((answer, index) => {
+      const question = this.currentAssessment.questions[index];
+      if (question) {
+        answers[question.id] = this.toEngineAnswer(question, answer);
+      }
+    });
 
-      // Start timer if assessment has time limit
-      this.startAssessmentTimer();
+    const confidence = {};
+    this.confidenceRatings.forEach((level, index) => {
+      const question = this.currentAssessment.questions[index];
+      if (question) {
+        confidence[question.id] = level;
+      }
+    });
 
+    try {
+      await this.assessmentEngine.saveSessionProgress(this.currentAssessment.sessionId, {
+        answers,
+        confidence,
+        position: this.currentQuestionIndex
+      });
     } catch (error) {
-      console.error('[AssessmentViewController] Failed to start assessment:', error);
-      this.showNotification('Error al iniciar la evaluación', 'error');
+      console.warn('[AssessmentViewController] Failed to save progress:', error);
     }
   }
 
@@ -426,9 +1538,7 @@ class AssessmentViewController extends BaseViewController {
 
     const progress = this.createElement('div', ['assessment-progress']);
     progress.innerHTML = `
-      <span class="question-counter">
-        Pregunta ${this.currentQuestionIndex + 1} de ${this.currentAssessment.questions.length}
-      </span>
+      <span class="question-counter">${this.getQuestionCounter()}</span>
       <div class="progress-bar">
         <div class="progress-fill" style="width: ${this.getAssessmentProgress()}%"></div>
       </div>
@@ -454,6 +1564,7 @@ class AssessmentViewController extends BaseViewController {
         <h3 class="question-text"></h3>
         <div class="question-options"></div>
       </div>
+      <div class="assessment-announcer sr-only" aria-live="polite" aria-atomic="true"></div>
     `;
     return display;
   }
@@ -478,6 +1589,11 @@ class AssessmentViewController extends BaseViewController {
     submitButton.setAttribute('data-assessment-action', 'submit-assessment');
     submitButton.style.display = 'none';
 
+    const pauseButton = this.createElement('button', ['btn', 'btn-outline']);
+    pauseButton.textContent = 'Pausar';
+    pauseButton.setAttribute('data-assessment-action', 'pause-assessment');
+
+    navigation.appendChild(pauseButton);
     navigation.appendChild(prevButton);
     navigation.appendChild(nextButton);
     navigation.appendChild(submitButton);
@@ -494,18 +1610,36 @@ class AssessmentViewController extends BaseViewController {
     const question = this.currentAssessment.questions[this.currentQuestionIndex];
     if (!question) return;
 
-    // Update question text
+    // Update question text; fill in the blank questions are answered inside it
     const questionText = this.findElement('.question-text');
     if (questionText) {
-      questionText.textContent = question.question;
+      if (question.type === 'fill_blank') {
+        this.renderBlanks(questionText, question);
+      } else {
+        questionText.textContent = question.question;
+      }
     }
+    this.findElement('.question-content')?.classList.toggle('fill-blank-question', question.type === 'fill_blank');
 
     // Update options
     const optionsContainer = this.findElement('.question-options');
     if (optionsContainer) {
       optionsContainer.innerHTML = '';
 
-      question.options.forEach((option, index) => {
+      if (['short_answer', 'essay'].includes(question.type)) {
+        const textarea = this.createElement('textarea', ['open-answer']);
+        textarea.name = 'open-answer';
+        textarea.rows = question.type === 'essay' ? 8 : 3;
+        textarea.value = this.userAnswers.get(this.currentQuestionIndex) || '';
+        optionsContainer.appendChild(textarea);
+      } else if (question.type === 'matching') {
+        optionsContainer.appendChild(this.createMatchingBoard(question));
+      } else if (question.type === 'ordering') {
+        optionsContainer.appendChild(this.createOrderingList(question));
+      }
+
+      const options = question.type === 'true_false' ? ['Verdadero', 'Falso'] : (question.options || []);
+      options.forEach((option, index) => {
         const optionElement = this.createElement('label', ['option-label']);
         
         const input = this.createElement('input', []);
@@ -526,6 +1660,11 @@ class AssessmentViewController extends BaseViewController {
         optionElement.appendChild(text);
         optionsContainer.appendChild(optionElement);
       });
+
+      if (this.currentAssessment.scoringMethod === 'certainty') {
+        optionsContainer.insertAdjacentHTML('beforeend',
+          renderConfidenceScale(question.id, this.confidenceRatings.get(this.currentQuestionIndex)));
+      }
     }
 
     // Update navigation buttons
@@ -535,6 +1674,152 @@ class AssessmentViewController extends BaseViewController {
     this.updateAssessmentProgress();
   }
 
+  /**
+   * Replace each blank of the question text with an input
+   */
+  renderBlanks(questionText, question) {
+    const answers = this.userAnswers.get(this.currentQuestionIndex) || [];
+    const parts = question.question.split(BLANK_MARKER);
+
+    questionText.textContent = '';
+    parts.forEach((part, index) => {
+      questionText.appendChild(document.createTextNode(part));
+      if (index === parts.length - 1) return;
+
+      const input = this.createElement('input', ['blank-input'], {
+        type: 'text',
+        name: 'blank-answer',
+        'aria-label': `Espacio ${index + 1} de ${parts.length - 1}`
+      });
+      input.value = answers[index] || '';
+      questionText.appendChild(input);
+    });
+  }
+
+  /**
+   * Matching question: answers are dragged onto their concept, or picked with Enter/Space and placed the same way
+   */
+  createMatchingBoard(question) {
+    const options = this.getShuffledItems(question, question.pairs.map(pair => pair.right));
+    const assignments = this.getMatchingAssignments();
+    const assignedValues = Array.from(assignments.values());
+    const selected = this.getPendingMatch();
+    const idPrefix = `matching_${this.currentQuestionIndex}`;
+
+    const board = this.createElement('div', ['matching-question']);
+    board.innerHTML = `
+      <p class="interaction-instructions" id="${idPrefix}_instructions">
+        Arrastra cada respuesta junto a su concepto, o selecciónala con Enter o Espacio y después elige el concepto. Esc cancela la selección.
+      </p>
+      <div class="matching-board">
+        <ul class="matching-prompts">
+          ${question.pairs.map((pair, index) => {
+            const assigned = assignments.get(pair.left);
+            return `
+              <li class="matching-row">
+                <span class="matching-prompt" id="${idPrefix}_prompt_${index}">${this.escapeHtml(pair.left)}</span>
+                <div class="drop-zone matching-slot ${assigned ? 'filled' : ''}"
+                     role="button"
+                     tabindex="0"
+                     data-assessment-action="activate-matching-slot"
+                     data-prompt-index="${index}"
+                     aria-labelledby="${idPrefix}_prompt_${index} ${idPrefix}_slot_${index}"
+                     aria-describedby="${idPrefix}_instructions">
+                  <span id="${idPrefix}_slot_${index}">
+                    ${assigned ? `
+                      <span class="matching-chip assigned ${assigned === selected ? 'selected' : ''}" draggable="true" data-option-index="${options.indexOf(assigned)}">${this.escapeHtml(assigned)}</span>
+                    ` : '<span class="zone-placeholder">Sin respuesta</span>'}
+                  </span>
+                </div>
+                ${assigned ? `
+                  <button type="button" class="matching-clear" data-assessment-action="clear-matching-slot" data-prompt-index="${index}"
+                          aria-label="Quitar la respuesta de ${this.escapeHtml(pair.left)}">✕</button>
+                ` : ''}
+              </li>
+            `;
+          }).join('')}
+        </ul>
+        <div class="drop-zone matching-options" role="group" aria-label="Respuestas disponibles">
+          ${options.filter(option => !assignedValues.includes(option)).map(option => `
+            <button type="button"
+                    class="draggable-item matching-chip ${option === selected ? 'selected' : ''}"
+                    draggable="true"
+                    data-assessment-action="select-matching-option"
+                    data-option-index="${options.indexOf(option)}"
+                    aria-pressed="${option === selected}"
+                    aria-describedby="${idPrefix}_instructions">
+              <span class="drag-handle" aria-hidden="true">⋮⋮</span>
+              <span class="item-text">${this.escapeHtml(option)}</span>
+            </button>
+          `).join('') || '<span class="zone-placeholder">Todas las respuestas están asignadas</span>'}
+        </div>
+      </div>
+    `;
+
+    return board;
+  }
+
+  /**
+   * Ordering question: the items start shuffled and are dragged, moved with the arrow buttons,
+   * or grabbed with Enter/Space and moved with the arrow keys
+   */
+  createOrderingList(question) {
+    if (!Array.isArray(this.userAnswers.get(this.currentQuestionIndex))) {
+      this.userAnswers.set(this.currentQuestionIndex, [...this.getShuffledItems(question, question.items)]);
+    }
+
+    const order = this.userAnswers.get(this.currentQuestionIndex);
+    const grabbed = this.getGrabbedItem();
+    const instructionsId = `ordering_${this.currentQuestionIndex}_instructions`;
+
+    const container = this.createElement('div', ['ordering-question']);
+    container.innerHTML = `
+      <p class="interaction-instructions" id="${instructionsId}">
+        Arrastra los elementos o usa las flechas para ordenarlos. Con el teclado, Enter o Espacio toma un elemento, las flechas lo mueven y Enter lo suelta; Esc cancela el movimiento.
+      </p>
+      <ol class="ordering-list" aria-describedby="${instructionsId}">
+        ${order.map((item, position) => `
+          <li class="draggable-item ordering-item ${grabbed?.position === position ? 'grabbed' : ''}"
+              draggable="true"
+              tabindex="0"
+              data-position="${position}"
+              aria-label="${this.escapeHtml(item)}, posición ${position + 1} de ${order.length}">
+            <span class="drag-handle" aria-hidden="true">⋮⋮</span>
+            <span class="ordering-position" aria-hidden="true">${position + 1}</span>
+            <span class="item-text">${this.escapeHtml(item)}</span>
+            <span class="ordering-controls">
+              <button type="button" class="ordering-move" data-assessment-action="move-ordering-item" data-position="${position}" data-offset="-1"
+                      aria-label="Subir ${this.escapeHtml(item)}" ${position === 0 ? 'disabled' : ''}>↑</button>
+              <button type="button" class="ordering-move" data-assessment-action="move-ordering-item" data-position="${position}" data-offset="1"
+                      aria-label="Bajar ${this.escapeHtml(item)}" ${position === order.length - 1 ? 'disabled' : ''}>↓</button>
+            </span>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+
+    return container;
+  }
+
+  /**
+   * Shuffle the items of a question once per session, never leaving them in their original order
+   */
+  getShuffledItems(question, items) {
+    if (!this.shuffledItems.has(question.id)) {
+      const shuffled = [...items];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      if (shuffled.every((item, index) => item === items[index])) {
+        shuffled.push(shuffled.shift());
+      }
+      this.shuffledItems.set(question.id, shuffled);
+    }
+
+    return this.shuffledItems.get(question.id);
+  }
+
   /**
    * Handle assessment actions
    */
@@ -549,9 +1834,31 @@ class AssessmentViewController extends BaseViewController {
       case 'submit-assessment':
         this.submitAssessment();
         break;
+      case 'pause-assessment':
+        this.pauseSession();
+        break;
       case 'exit-assessment':
         this.exitAssessment();
         break;
+      case 'select-matching-option':
+        this.toggleMatchingSelection(Number(button.dataset.optionIndex));
+        break;
+      case 'activate-matching-slot':
+        this.activateMatchingSlot(Number(button.dataset.promptIndex));
+        break;
+      case 'clear-matching-slot': {
+        const question = this.currentAssessment.questions[this.currentQuestionIndex];
+        const assigned = this.getMatchingAssignments().get(question.pairs[Number(button.dataset.promptIndex)].left);
+        this.removeMatch(assigned, `.matching-slot[data-prompt-index="${button.dataset.promptIndex}"]`);
+        break;
+      }
+      case 'move-ordering-item': {
+        const position = Number(button.dataset.position);
+        const offset = Number(button.dataset.offset);
+        this.moveOrderingItem(position, position + offset,
+          `[data-assessment-action="move-ordering-item"][data-position="${position + offset}"][data-offset="${offset}"]:not(:disabled)`);
+        break;
+      }
       default:
         console.warn('[AssessmentViewController] Unknown assessment action:', action);
     }
@@ -562,6 +1869,258 @@ class AssessmentViewController extends BaseViewController {
    */
   recordAnswer(answerIndex) {
     this.userAnswers.set(this.currentQuestionIndex, parseInt(answerIndex));
+    this.saveProgress();
+  }
+
+  /**
+   * Record how sure the candidate is of the answer to the current question
+   */
+  recordConfidence(input) {
+    this.element.querySelectorAll('.confidence-option').forEach(option => {
+      option.classList.toggle('selected', option.contains(input));
+    });
+    this.confidenceRatings.set(this.currentQuestionIndex, input.value);
+    this.saveProgress();
+  }
+
+  /**
+   * Answer picked with the keyboard or a click and not yet placed on a concept
+   */
+  getPendingMatch() {
+    return this.pendingMatch?.questionIndex === this.currentQuestionIndex ? this.pendingMatch.value : null;
+  }
+
+  /**
+   * Ordering item grabbed with the keyboard
+   */
+  getGrabbedItem() {
+    return this.grabbedItem?.questionIndex === this.currentQuestionIndex ? this.grabbedItem : null;
+  }
+
+  /**
+   * Current matches of the matching question (concept → answer)
+   */
+  getMatchingAssignments() {
+    return new Map((this.userAnswers.get(this.currentQuestionIndex) || []).map(pair => [pair.left, pair.right]));
+  }
+
+  /**
+   * Store the matches of the matching question as its answer ({ left, right } pairs)
+   */
+  setMatchingAssignments(question, assignments) {
+    if (assignments.size === 0) {
+      this.userAnswers.delete(this.currentQuestionIndex);
+    } else {
+      this.userAnswers.set(this.currentQuestionIndex, question.pairs
+        .filter(pair => assignments.has(pair.left))
+        .map(pair => ({ left: pair.left, right: assignments.get(pair.left) })));
+    }
+    this.saveProgress();
+  }
+
+  /**
+   * Select or deselect an available answer of the matching question
+   */
+  toggleMatchingSelection(optionIndex) {
+    const question = this.currentAssessment.questions[this.currentQuestionIndex];
+    const value = this.getShuffledItems(question, question.pairs.map(pair => pair.right))[optionIndex];
+
+    if (this.getPendingMatch() === value) {
+      this.pendingMatch = null;
+      this.announce('Selección cancelada.');
+    } else {
+      this.pendingMatch = { questionIndex: this.currentQuestionIndex, value };
+      this.announce(`${value} seleccionada. Elige el concepto con el que se relaciona.`);
+    }
+
+    this.refreshQuestion(`.matching-options .matching-chip[data-option-index="${optionIndex}"]`);
+  }
+
+  /**
+   * Activate a concept: place the selected answer, or pick up the answer already placed there
+   */
+  activateMatchingSlot(promptIndex) {
+    const question = this.currentAssessment.questions[this.currentQuestionIndex];
+    const selected = this.getPendingMatch();
+    const assigned = this.getMatchingAssignments().get(question.pairs[promptIndex].left);
+
+    if (selected !== null && selected !== assigned) {
+      this.placeMatch(promptIndex, selected);
+      return;
+    }
+
+    if (selected !== null) {
+      this.pendingMatch = null;
+      this.announce('Selección cancelada.');
+    } else if (assigned) {
+      this.pendingMatch = { questionIndex: this.currentQuestionIndex, value: assigned };
+      this.announce(`${assigned} seleccionada. Elige otro concepto o pulsa Esc para cancelar.`);
+    } else {
+      this.announce('Primero selecciona una respuesta.');
+      return;
+    }
+
+    this.refreshQuestion(`.matching-slot[data-prompt-index="${promptIndex}"]`);
+  }
+
+  /**
+   * Match an answer with a concept; an answer already placed elsewhere moves to the new concept
+   */
+  placeMatch(promptIndex, value) {
+    const question = this.currentAssessment.questions[this.currentQuestionIndex];
+    const left = question.pairs[promptIndex].left;
+    const assignments = this.getMatchingAssignments();
+
+    assignments.forEach((right, key) => {
+      if (right === value) assignments.delete(key);
+    });
+    assignments.set(left, value);
+
+    this.pendingMatch = null;
+    this.setMatchingAssignments(question, assignments);
+    this.announce(`${value} relacionada con ${left}.`);
+    this.refreshQuestion(`.matching-slot[data-prompt-index="${promptIndex}"]`);
+  }
+
+  /**
+   * Return a matched answer to the available answers
+   */
+  removeMatch(value, focusSelector) {
+    const question = this.currentAssessment.questions[this.currentQuestionIndex];
+    const assignments = this.getMatchingAssignments();
+
+    assignments.forEach((right, key) => {
+      if (right === value) assignments.delete(key);
+    });
+
+    this.pendingMatch = null;
+    this.setMatchingAssignments(question, assignments);
+    this.announce(`${value} regresó a las respuestas disponibles.`);
+    this.refreshQuestion(focusSelector);
+  }
+
+  /**
+   * Drop a dragged answer on a concept or back on the available answers, or a dragged item on another position
+   */
+  handleDrop(zone, data) {
+    const question = this.currentAssessment?.questions[this.currentQuestionIndex];
+    const [kind, index] = data.split(':');
+    if (!question || !/^\d+$/.test(index || '')) return;
+
+    if (kind === 'ordering' && question.type === 'ordering' && zone.matches('.ordering-item')) {
+      const to = Number(zone.dataset.position);
+      if (Number(index) !== to) {
+        this.moveOrderingItem(Number(index), to);
+      }
+    } else if (kind === 'matching' && question.type === 'matching') {
+      const value = this.getShuffledItems(question, question.pairs.map(pair => pair.right))[Number(index)];
+      if (value === undefined) return;
+
+      if (zone.matches('.matching-slot')) {
+        this.placeMatch(Number(zone.dataset.promptIndex), value);
+      } else if (Array.from(this.getMatchingAssignments().values()).includes(value)) {
+        this.removeMatch(value, '.matching-options');
+      }
+    }
+  }
+
+  /**
+   * Reorder from the keyboard: Enter/Space grabs and drops, arrows move, Escape cancels
+   */
+  handleOrderingKeydown(position, e) {
+    const order = this.userAnswers.get(this.currentQuestionIndex);
+    const grabbed = this.getGrabbedItem();
+
+    switch (e.key) {
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        if (grabbed) {
+          this.grabbedItem = null;
+          this.announce(`${order[position]} colocado en la posición ${position + 1} de ${order.length}.`);
+        } else {
+          this.grabbedItem = { questionIndex: this.currentQuestionIndex, position, startPosition: position, startOrder: [...order] };
+          this.announce(`${order[position]} tomado. Usa las flechas para moverlo y Enter para soltarlo.`);
+        }
+        this.refreshQuestion(`.ordering-item[data-position="${position}"]`);
+        break;
+
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        e.preventDefault();
+        const target = position + (e.key === 'ArrowUp' ? -1 : 1);
+        if (target < 0 || target >= order.length) return;
+
+        if (grabbed) {
+          this.moveOrderingItem(position, target);
+        } else {
+          this.findElement(`.ordering-item[data-position="${target}"]`)?.focus();
+        }
+        break;
+      }
+
+      case 'Escape':
+        if (grabbed) {
+          e.preventDefault();
+          this.userAnswers.set(this.currentQuestionIndex, grabbed.startOrder);
+          this.grabbedItem = null;
+          this.announce(`Movimiento cancelado. ${grabbed.startOrder[grabbed.startPosition]} regresa a la posición ${grabbed.startPosition + 1}.`);
+          this.refreshQuestion(`.ordering-item[data-position="${grabbed.startPosition}"]`);
+          this.saveProgress();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Move an item of an ordering question to a new position, keeping the focus on it
+   */
+  moveOrderingItem(from, to, focusSelector = `.ordering-item[data-position="${to}"]`) {
+    const order = [...this.userAnswers.get(this.currentQuestionIndex)];
+    if (to < 0 || to >= order.length) return;
+
+    const [item] = order.splice(from, 1);
+    order.splice(to, 0, item);
+    this.userAnswers.set(this.currentQuestionIndex, order);
+
+    const grabbed = this.getGrabbedItem();
+    if (grabbed) {
+      grabbed.position = to;
+    }
+
+    this.announce(`${item} en la posición ${to + 1} de ${order.length}.`);
+    this.refreshQuestion(focusSelector);
+    this.saveProgress();
+  }
+
+  /**
+   * Re-render the current question and restore the keyboard focus
+   */
+  refreshQuestion(focusSelector) {
+    this.renderCurrentQuestion();
+    if (focusSelector) {
+      this.findElement(focusSelector)?.focus();
+    }
+  }
+
+  getFocusSelector(element) {
+    if (element.dataset?.promptIndex !== undefined) {
+      return `.matching-slot[data-prompt-index="${element.dataset.promptIndex}"]`;
+    }
+    if (element.dataset?.optionIndex !== undefined) {
+      return `.matching-chip[data-option-index="${element.dataset.optionIndex}"]`;
+    }
+    return null;
+  }
+
+  /**
+   * Announce a change to screen reader users
+   */
+  announce(message) {
+    const announcer = this.findElement('.assessment-announcer');
+    if (announcer) {
+      announcer.textContent = message;
+    }
   }
 
   /**
@@ -571,6 +2130,7 @@ class AssessmentViewController extends BaseViewController {
     if (this.currentQuestionIndex > 0) {
       this.currentQuestionIndex--;
       this.renderCurrentQuestion();
+      this.saveProgress();
     }
   }
 
@@ -578,9 +2138,56 @@ class AssessmentViewController extends BaseViewController {
    * Go to next question
    */
   goToNextQuestion() {
+    if (this.currentAssessment.adaptive) {
+      this.submitAdaptiveAnswer();
+      return;
+    }
+
     if (this.currentQuestionIndex < this.currentAssessment.questions.length - 1) {
       this.currentQuestionIndex++;
       this.renderCurrentQuestion();
+      this.saveProgress();
+    }
+  }
+
+  /**
+   * Submit the answer to the current question of an adaptive session; the engine picks the next
+   * question from the updated ability estimate or finishes the session
+   */
+  async submitAdaptiveAnswer() {
+    if (this.currentAssessment.submitted) return;
+
+    const question = this.currentAssessment.questions[this.currentQuestionIndex];
+    const answer = this.userAnswers.get(this.currentQuestionIndex);
+    const answered = Array.isArray(answer) ? answer.some(item => item !== '') : answer !== undefined && answer !== '';
+    if (!answered) {
+      this.showNotification('Responde la pregunta para continuar', 'warning');
+      return;
+    }
+
+    clearTimeout(this.draftSaveTimeout);
+    // The session may complete with this answer
+    this.currentAssessment.submitted = true;
+
+    try {
+      const result = await this.assessmentEngine.submitAnswer(
+        this.currentAssessment.sessionId,
+        question.id,
+        this.toEngineAnswer(question, answer)
+      );
+
+      if (result.nextQuestion) {
+        this.currentAssessment.submitted = false;
+        this.currentAssessment.questions = this.assessmentEngine.getCurrentSession().questions;
+        this.currentQuestionIndex++;
+        this.renderCurrentQuestion();
+      } else {
+        this.showSessionResults(result.score, result.duration);
+      }
+    } catch (error) {
+      this.currentAssessment.submitted = false;
+      console.error('[AssessmentViewController] Failed to submit answer:', error);
+      this.showNotification('Error al enviar la respuesta', 'error');
     }
   }
 
@@ -596,6 +2203,13 @@ class AssessmentViewController extends BaseViewController {
       prevButton.disabled = this.currentQuestionIndex === 0;
     }
 
+    // Adaptive answers are final and the engine decides when the session ends
+    if (this.currentAssessment.adaptive) {
+      if (prevButton) prevButton.style.display = 'none';
+      if (submitButton) submitButton.style.display = 'none';
+      return;
+    }
+
     if (nextButton && submitButton) {
       const isLastQuestion = this.currentQuestionIndex === this.currentAssessment.questions.length - 1;
       nextButton.style.display = isLastQuestion ? 'none' : 'inline-block';
@@ -615,41 +2229,29 @@ class AssessmentViewController extends BaseViewController {
     }
 
     if (questionCounter) {
-      questionCounter.textContent = `Pregunta ${this.currentQuestionIndex + 1} de ${this.currentAssessment.questions.length}`;
+      questionCounter.textContent = this.getQuestionCounter();
     }
   }
 
+  getQuestionCounter() {
+    const { adaptive, totalQuestions } = this.currentAssessment;
+    return `Pregunta ${this.currentQuestionIndex + 1} de ${adaptive ? `hasta ${totalQuestions}` : totalQuestions}`;
+  }
+
   /**
    * Get assessment progress percentage
    */
   getAssessmentProgress() {
     if (!this.currentAssessment) return 0;
-    return Math.round(((this.currentQuestionIndex + 1) / this.currentAssessment.questions.length) * 100);
+    return Math.round(((this.currentQuestionIndex + 1) / this.currentAssessment.totalQuestions) * 100);
   }
 
   /**
-   * Start assessment timer
+   * Start assessment timer display; the engine's ticks keep it up to date
    */
   startAssessmentTimer() {
-    // Set time limit based on assessment type
-    const timeLimits = {
-      module1: 15 * 60, // 15 minutes
-      element1: 20 * 60, // 20 minutes
-      element2: 15 * 60, // 15 minutes
-      element3: 20 * 60, // 20 minutes
-      comprehensive: 30 * 60 // 30 minutes
-    };
-
-    this.timeRemaining = timeLimits[this.currentAssessment.type] || 15 * 60;
-    
-    this.assessmentTimer = setInterval(() => {
-      this.timeRemaining--;
-      this.updateTimerDisplay();
-      
-      if (this.timeRemaining <= 0) {
-        this.submitAssessment(true); // Auto-submit when time runs out
-      }
-    }, 1000);
+    this.timeRemaining = this.currentAssessment.timeLimit;
+    this.updateTimerDisplay();
   }
 
   /**
@@ -657,10 +2259,8 @@ class AssessmentViewController extends BaseViewController {
    */
   updateTimerDisplay() {
     const timerDisplay = this.findElement('#timer-display');
-    if (timerDisplay) {
-      const minutes = Math.floor(this.timeRemaining / 60);
-      const seconds = this.timeRemaining % 60;
-      timerDisplay.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    if (timerDisplay && this.timeRemaining !== null) {
+      timerDisplay.textContent = this.formatClock(this.timeRemaining);
       
       // Change color when time is running low
       if (this.timeRemaining <= 60) {
@@ -674,58 +2274,45 @@ class AssessmentViewController extends BaseViewController {
   /**
    * Submit assessment
    */
-  async submitAssessment(autoSubmit = false) {
-    if (!this.currentAssessment) return;
+  async submitAssessment() {
+    if (!this.currentAssessment || this.currentAssessment.submitted) return;
 
     try {
-      // Stop timer
-      if (this.assessmentTimer) {
-        clearInterval(this.assessmentTimer);
-        this.assessmentTimer = null;
-      }
-
-      // Calculate score
-      const score = this.calculateAssessmentScore();
-      
-      // Save assessment result
-      const result = {
-        type: this.currentAssessment.type,
-        score: score,
-        answers: Array.from(this.userAnswers.entries()),
-        completedAt: Date.now(),
-        timeSpent: Date.now() - this.currentAssessment.startTime,
-        autoSubmitted: autoSubmit
-      };
-
-      // Save to progress service
-      const progressService = this.getService('ProgressService');
-      if (progressService) {
-        await progressService.saveAssessmentResult(result);
-      }
+      clearTimeout(this.draftSaveTimeout);
+      await this.saveProgress();
 
-      // Show results
-      this.showAssessmentResults(result);
+      // The assessment engine scores the saved answers
+      this.currentAssessment.submitted = true;
+      const results = await this.assessmentEngine.completeAssessment(this.currentAssessment.sessionId);
+      this.showSessionResults(results.score, results.duration);
 
     } catch (error) {
+      this.currentAssessment.submitted = false;
       console.error('[AssessmentViewController] Failed to submit assessment:', error);
       this.showNotification('Error al enviar la evaluación', 'error');
     }
   }
 
   /**
-   * Calculate assessment score
+   * Show the results of a completed session; the mock exam returns to its overview instead
    */
-  calculateAssessmentScore() {
-    let correctAnswers = 0;
-    
-    this.currentAssessment.questions.forEach((question, index) => {
-      const userAnswer = this.userAnswers.get(index);
-      if (userAnswer !== undefined && userAnswer === question.correct) {
-        correctAnswers++;
-      }
-    });
+  showSessionResults(score, timeSpent) {
+    if (this.currentAssessment.type === 'mock_certification') {
+      this.showNotification('Sección de conocimientos enviada', 'success');
+      this.exitAssessment();
+      return;
+    }
 
-    return Math.round((correctAnswers / this.currentAssessment.questions.length) * 100);
+    this.showAssessmentResults({
+      type: this.currentAssessment.type,
+      score: score.percentage,
+      passed: score.passed,
+      correctAnswers: score.correctAnswers,
+      completedAt: Date.now(),
+      timeSpent,
+      certainty: score.scoringMethod === 'certainty' ? score : null,
+      ability: score.ability || null
+    });
   }
 
   /**
@@ -750,7 +2337,7 @@ class AssessmentViewController extends BaseViewController {
     `;
 
     const details = this.createElement('div', ['results-details']);
-    const isPassing = result.score >= 70;
+    const isPassing = result.passed ?? result.score >= 70;
     details.innerHTML = `
       <div class="result-status ${isPassing ? 'passing' : 'failing'}">
         ${isPassing ? '✅ Aprobado' : '❌ No Aprobado'}
@@ -762,8 +2349,9 @@ class AssessmentViewController extends BaseViewController {
         }
       </p>
       <div class="result-stats">
-        <span>Preguntas correctas: ${Math.round(result.score * this.currentAssessment.questions.length / 100)}/${this.currentAssessment.questions.length}</span>
+        <span>Preguntas correctas: ${result.correctAnswers ?? Math.round(result.score * this.currentAssessment.questions.length / 100)}/${this.currentAssessment.questions.length}</span>
         <span>Tiempo: ${Math.round((result.timeSpent || 0) / 60000)} minutos</span>
+        ${result.ability ? `<span>Puntuación estimada: entre ${result.ability.scoreInterval.lower}% y ${result.ability.scoreInterval.upper}%</span>` : ''}
       </div>
     `;
 
@@ -779,6 +2367,12 @@ class AssessmentViewController extends BaseViewController {
 
     resultsDisplay.appendChild(header);
     resultsDisplay.appendChild(details);
+    if (result.certainty) {
+      const calibration = this.createElement('div', ['calibration-report']);
+      calibration.innerHTML = renderCalibrationReport(result.certainty, questionId =>
+        this.currentAssessment.questions.find(question => question.id === questionId)?.question || questionId);
+      resultsDisplay.appendChild(calibration);
+    }
     resultsDisplay.appendChild(actions);
     container.appendChild(resultsDisplay);
   }
@@ -800,10 +2394,9 @@ class AssessmentViewController extends BaseViewController {
    * Exit assessment
    */
   exitAssessment() {
-    // Stop timer
-    if (this.assessmentTimer) {
-      clearInterval(this.assessmentTimer);
-      this.assessmentTimer = null;
+    const container = this.findElement('.assessment-container');
+    if (container) {
+      container.innerHTML = '';
     }
 
     // Reset state
@@ -820,6 +2413,10 @@ class AssessmentViewController extends BaseViewController {
     this.currentAssessment = null;
     this.currentQuestionIndex = 0;
     this.userAnswers.clear();
+    this.confidenceRatings.clear();
+    this.shuffledItems.clear();
+    this.pendingMatch = null;
+    this.grabbedItem = null;
     this.timeRemaining = 0;
   }
 
@@ -850,7 +2447,8 @@ class AssessmentViewController extends BaseViewController {
       element1: 'Elemento 1: Identificación de Problemas',
       element2: 'Elemento 2: Desarrollo de Soluciones',
       element3: 'Elemento 3: Presentación de Propuestas',
-      comprehensive: 'Evaluación Integral EC0249'
+      comprehensive: 'Evaluación Integral EC0249',
+      mock_certification: 'Examen Simulado: Conocimientos'
     };
     return titles[type] || 'Evaluación';
   }
@@ -189,6 +189,44 @@ class BaseViewController {
     this.emit('notification:show', { message, type });
   }
 
+  /**
+   * Candidate name kept in the user preferences, shown in the header of exported evidence
+   */
+  getCandidateName() {
+    return this.app.getState('preferences.candidateName') || '';
+  }
+
+  /**
+   * Trigger a browser download for an export result
+   * @param {Object} exportResult - Export result ({ content, filename, mimeType })
+   */
+  downloadExport(exportResult) {
+    const blob = exportResult.content instanceof Blob
+      ? exportResult.content
+      : new Blob([exportResult.content], { type: exportResult.mimeType || 'text/plain' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = exportResult.filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Escape user-provided text for insertion into HTML markup
+   */
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
    * Create element with classes and attributes
    */
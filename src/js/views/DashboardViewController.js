@@ -40,6 +40,11 @@ class DashboardViewController extends BaseViewController {
     this.subscribe('progress:updated', (data) => {
       this.updateProgressDisplay(data);
     });
+
+    // Missed questions added to the review deck
+    this.subscribe('review_deck:updated', () => {
+      this.updateRecommendations();
+    });
   }
 
   async onShow() {
@@ -178,9 +183,23 @@ class DashboardViewController extends BaseViewController {
     recommendations.forEach(rec => {
       const stepItem = this.createElement('li', ['step-item']);
       stepItem.innerHTML = `
-        <span class="step-icon">${rec.completed ? '✅' : '⏳'}</span>
+        <span class="step-icon">${rec.icon || (rec.completed ? '✅' : '⏳')}</span>
         <span>${rec.text}</span>
       `;
+
+      if (rec.action) {
+        stepItem.classList.add('step-item-action');
+        stepItem.setAttribute('role', 'button');
+        stepItem.setAttribute('tabindex', '0');
+        stepItem.addEventListener('click', () => this.handleAction(rec.action));
+        stepItem.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.handleAction(rec.action);
+          }
+        });
+      }
+
       stepsList.appendChild(stepItem);
     });
   }
@@ -190,9 +209,16 @@ class DashboardViewController extends BaseViewController {
    */
   generateRecommendations() {
     const recommendations = [];
+
+    // Reviews due today come first
+    const reviewRecommendation = this.getReviewRecommendation();
+    if (reviewRecommendation) {
+      recommendations.push(reviewRecommendation);
+    }
     
     if (!this.progressData) {
       return [
+        ...recommendations,
         { completed: false, text: 'Comenzar con el Módulo 1: Fundamentos de Consultoría' },
         { completed: false, text: 'Completar la primera lección introductoria' },
         { completed: false, text: 'Familiarizarse con la plataforma' }
@@ -225,6 +251,24 @@ class DashboardViewController extends BaseViewController {
     return recommendations.slice(0, 4); // Limit to 4 recommendations
   }
 
+  /**
+   * Recommendation for the review cards due today, if any
+   */
+  getReviewRecommendation() {
+    const assessmentEngine = this.getModule('assessmentEngine');
+    const dueCount = assessmentEngine?.reviewDeck ? assessmentEngine.getDueReviews().length : 0;
+    if (dueCount === 0) return null;
+
+    return {
+      completed: false,
+      icon: '🧠',
+      text: dueCount === 1
+        ? 'Repasar 1 tarjeta pendiente para hoy'
+        : `Repasar ${dueCount} tarjetas pendientes para hoy`,
+      action: 'review-deck'
+    };
+  }
+
   /**
    * Handle action button clicks
    */
@@ -254,6 +298,9 @@ class DashboardViewController extends BaseViewController {
       case 'continue-module':
         this.continueCurrentModule();
         break;
+      case 'review-deck':
+        this.showReviewSession();
+        break;
       default:
         console.warn('[DashboardViewController] Unknown action:', action);
     }
@@ -380,6 +427,121 @@ class DashboardViewController extends BaseViewController {
     }
   }
 
+  /**
+   * Show the review session modal with the cards due today
+   */
+  showReviewSession() {
+    const assessmentEngine = this.getModule('assessmentEngine');
+    const cards = assessmentEngine?.reviewDeck ? assessmentEngine.getDueReviews() : [];
+    if (cards.length === 0) {
+      this.showNotification('No tienes tarjetas pendientes de repaso', 'info');
+      return;
+    }
+
+    const modal = this.createElement('div', ['modal', 'review-deck-modal']);
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>Repaso del día</h3>
+          <button class="modal-close" aria-label="Cerrar">&times;</button>
+        </div>
+        <div class="modal-body"></div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.querySelector('.modal-close').addEventListener('click', () => {
+      this.closeReviewSession(modal);
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.closeReviewSession(modal);
+      }
+    });
+
+    this.renderReviewCard(modal, cards, 0);
+    modal.style.display = 'flex';
+  }
+
+  /**
+   * Render a review card: the front first, then the answer and the recall buttons
+   */
+  renderReviewCard(modal, cards, index) {
+    const body = modal.querySelector('.modal-body');
+
+    if (index >= cards.length) {
+      body.innerHTML = `
+        <div class="review-complete">
+          <span class="review-complete-icon">🎉</span>
+          <p>¡Repaso completado! Revisaste ${cards.length} ${cards.length === 1 ? 'tarjeta' : 'tarjetas'}.</p>
+          <button class="btn btn-primary review-finish">Terminar</button>
+        </div>
+      `;
+      body.querySelector('.review-finish').addEventListener('click', () => this.closeReviewSession(modal));
+      return;
+    }
+
+    const card = cards[index];
+    body.innerHTML = `
+      <div class="review-deck-card">
+        <div class="review-deck-card-meta">
+          <span class="review-deck-card-type">${card.type === 'concept' ? 'Concepto clave' : 'Pregunta fallada'}</span>
+          <span class="review-deck-card-progress">Tarjeta ${index + 1} de ${cards.length}</span>
+        </div>
+        <div class="review-deck-card-front">${this.escapeHtml(card.front)}</div>
+        <div class="review-deck-card-back" hidden>${this.escapeHtml(card.back)}</div>
+        <div class="review-deck-card-actions">
+          <button class="btn btn-primary review-show-answer">Mostrar respuesta</button>
+          <div class="review-quality" hidden>
+            <button class="btn btn-secondary" data-quality="1">Otra vez</button>
+            <button class="btn btn-secondary" data-quality="3">Difícil</button>
+            <button class="btn btn-secondary" data-quality="4">Bien</button>
+            <button class="btn btn-secondary" data-quality="5">Fácil</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const showAnswer = body.querySelector('.review-show-answer');
+    const quality = body.querySelector('.review-quality');
+
+    showAnswer.addEventListener('click', () => {
+      body.querySelector('.review-deck-card-back').hidden = false;
+      showAnswer.hidden = true;
+      quality.hidden = false;
+      quality.querySelector('button').focus();
+    });
+
+    quality.querySelectorAll('[data-quality]').forEach(button => {
+      button.addEventListener('click', async () => {
+        try {
+          await this.getModule('assessmentEngine').recordReview(card.id, parseInt(button.dataset.quality, 10));
+          this.renderReviewCard(modal, cards, index + 1);
+        } catch (error) {
+          console.error('[DashboardViewController] Failed to record review:', error);
+          this.showNotification('No se pudo guardar el repaso', 'error');
+        }
+      });
+    });
+
+    showAnswer.focus();
+  }
+
+  /**
+   * Close review session modal
+   */
+  closeReviewSession(modal) {
+    if (modal && modal.parentNode) {
+      modal.style.display = 'none';
+      setTimeout(() => {
+        modal.parentNode.removeChild(modal);
+      }, 300);
+    }
+    this.updateRecommendations();
+  }
+
   onLanguageUpdate() {
     super.onLanguageUpdate();
     
@@ -25,6 +25,7 @@
  * @since 2.0.0
  */
 import BaseViewController from './BaseViewController.js';
+import TemplateBuilder from '../components/TemplateBuilder.js';
 
 class DocumentsViewController extends BaseViewController {
   constructor(viewId, app) {
@@ -46,6 +47,10 @@ class DocumentsViewController extends BaseViewController {
     // Template data cache
     this.allTemplates = [];
     this.filteredTemplates = [];
+
+    // Template builder state
+    this.templateBuilder = null;
+    this.templateBuilderSubscriptions = [];
   }
 
   async onInitialize() {
@@ -295,6 +300,10 @@ class DocumentsViewController extends BaseViewController {
           </p>
         </div>
         <div class="footer-actions">
+          <button class="btn btn-outline" data-action="open-template-builder">
+            <span class="btn-icon">🧩</span>
+            Constructor de Plantillas
+          </button>
           <button class="btn btn-outline" data-action="view-portfolio">
             <span class="btn-icon">📂</span>
             Ver Mi Portafolio
@@ -644,6 +653,7 @@ class DocumentsViewController extends BaseViewController {
           <div class="template-meta">
             <span class="template-element ${elementConfig.class}">${elementConfig.label}</span>
             ${template.required ? '<span class="template-required">Obligatorio</span>' : '<span class="template-optional">Opcional</span>'}
+            ${template.pack ? `<span class="template-pack" title="Paquete ${this.escapeHtml(template.pack.name)} v${this.escapeHtml(template.pack.version)}">🧩 ${this.escapeHtml(template.pack.name)}</span>` : ''}
           </div>
           <div class="template-status ${statusConfig.class}" title="${statusConfig.label}">
             ${statusConfig.icon}
@@ -733,12 +743,72 @@ class DocumentsViewController extends BaseViewController {
         await this.app.switchView('portfolio');
         await this.app.switchSection('progress');
         break;
+
+      case 'open-template-builder':
+        await this.openTemplateBuilder();
+        break;
       
       default:
         console.warn(`[DocumentsViewController] Unknown action: ${action}`);
     }
   }
 
+  /**
+   * Open the visual template builder
+   */
+  async openTemplateBuilder() {
+    if (!this.documentEngine) {
+      this.showNotification('Motor de documentos no disponible', 'error');
+      return;
+    }
+
+    await this.closeTemplateBuilder();
+
+    const builderContainer = document.createElement('div');
+    builderContainer.id = 'template-builder-container';
+    builderContainer.className = 'template-builder-overlay';
+    document.body.appendChild(builderContainer);
+
+    try {
+      this.templateBuilder = new TemplateBuilder(builderContainer, { documentEngine: this.documentEngine });
+      await this.templateBuilder.initialize(this.app.container, this.app.eventBus);
+      if (!this.templateBuilder.mounted) {
+        await this.templateBuilder.mount();
+      }
+
+      if (this.app.eventBus) {
+        this.templateBuilderSubscriptions = [
+          this.app.eventBus.subscribe('template-builder:close', () => this.closeTemplateBuilder()),
+          this.app.eventBus.subscribe('template-builder:changed', () => this.loadTemplateDataWithRetry())
+        ];
+      }
+    } catch (error) {
+      console.error('[DocumentsViewController] Failed to open template builder:', error);
+      builderContainer.remove();
+      this.templateBuilder = null;
+      this.showNotification('Error al abrir el constructor de plantillas', 'error');
+    }
+  }
+
+  /**
+   * Close the visual template builder
+   */
+  async closeTemplateBuilder() {
+    this.templateBuilderSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.templateBuilderSubscriptions = [];
+
+    if (this.templateBuilder) {
+      try {
+        await this.templateBuilder.destroy();
+      } catch (error) {
+        console.warn('[DocumentsViewController] Error destroying template builder:', error);
+      }
+      this.templateBuilder = null;
+    }
+
+    document.getElementById('template-builder-container')?.remove();
+  }
+
   /**
    * Handle template-specific actions
    */
@@ -911,6 +981,7 @@ class DocumentsViewController extends BaseViewController {
             <div class="template-preview-meta">
               <span class="template-element ${elementConfig.class}">${elementConfig.label}</span>
               ${template.required ? '<span class="template-required">Obligatorio</span>' : '<span class="template-optional">Opcional</span>'}
+              ${template.pack ? `<span class="template-pack">🧩 ${this.escapeHtml(template.pack.name)} v${this.escapeHtml(template.pack.version)}</span>` : ''}
               <span class="template-status ${statusConfig.class}">
                 ${statusConfig.icon} ${statusConfig.label}
               </span>
@@ -1036,7 +1107,14 @@ class DocumentsViewController extends BaseViewController {
       'list': 'Lista',
       'number': 'Numérico',
       'date': 'Fecha',
-      'select': 'Selección'
+      'select': 'Selección',
+      'table': 'Tabla',
+      'form': 'Formulario',
+      'currency': 'Moneda',
+      'template': 'Texto con formato',
+      'signature': 'Firma',
+      'gantt': 'Cronograma',
+      'questionBuilder': 'Banco de preguntas'
     };
     return labels[type] || type;
   }
@@ -91,6 +91,17 @@ class PortfolioViewController extends BaseViewController {
       });
     });
 
+    // Review file input
+    const reviewInput = this.findElement('#portfolio-review-input');
+    if (reviewInput) {
+      reviewInput.addEventListener('change', (e) => {
+        const file = e.target.files?.[0];
+        if (file) {
+          this.importReviewFile(file);
+        }
+      });
+    }
+
     // Search input
     const searchInput = this.findElement('#portfolio-search');
     if (searchInput) {
@@ -412,6 +423,14 @@ class PortfolioViewController extends BaseViewController {
     // Create elements navigation section
     const navSection = this.createElementsNavigationSection();
     overviewContainer.appendChild(navSection);
+
+    // Create Element 1 consistency section
+    const consistencySection = this.createConsistencySection();
+    overviewContainer.appendChild(consistencySection);
+
+    // Create evidence portfolio export section
+    const exportSection = this.createPortfolioExportSection();
+    overviewContainer.appendChild(exportSection);
   }
 
   /**
@@ -531,6 +550,103 @@ class PortfolioViewController extends BaseViewController {
     return section;
   }
 
+  /**
+   * Create evidence portfolio export section
+   */
+  createPortfolioExportSection() {
+    const section = this.createElement('section', ['portfolio-export-section']);
+
+    section.innerHTML = `
+      <h3 class="section-title">Portafolio de Evidencias</h3>
+      <p class="section-description">Descarga todos tus documentos en un solo archivo ZIP, con un índice que relaciona cada archivo con su elemento EC0249 y sus criterios de evaluación.</p>
+      <div class="portfolio-export-controls">
+        <input type="text" id="portfolio-candidate-name" class="export-candidate-input" placeholder="Nombre del candidato(a)"
+          aria-label="Nombre del candidato(a)" autocomplete="name" value="${this.escapeHtml(this.getCandidateName())}" />
+        <select id="portfolio-export-format" class="export-format-select" aria-label="Formato de exportación">
+          <option value="docx">Word (.docx)</option>
+          <option value="pdf">PDF (.pdf)</option>
+          <option value="html">HTML (.html)</option>
+        </select>
+        <button class="btn btn-primary" data-portfolio-action="export-all-documents">
+          📦 Descargar portafolio de evidencias
+        </button>
+        <button class="btn btn-secondary" data-portfolio-action="generate-portfolio-report">
+          📑 Descargar índice de evidencias
+        </button>
+        <button class="btn btn-secondary" data-portfolio-action="import-review">
+          💬 Importar archivo de revisión
+        </button>
+        <input type="file" id="portfolio-review-input" accept=".json,application/json" hidden />
+      </div>
+    `;
+
+    return section;
+  }
+
+  /**
+   * Create Element 1 cross-document consistency section
+   */
+  createConsistencySection() {
+    const section = this.createElement('section', ['consistency-section']);
+
+    section.innerHTML = `
+      <div class="consistency-header">
+        <div>
+          <h3 class="section-title">Congruencia entre documentos del Elemento 1</h3>
+          <p class="section-description">Compara el problema planteado con la afectación detectada, la integración de la información y el reporte de afectaciones.</p>
+        </div>
+        <button class="btn btn-secondary" data-portfolio-action="check-consistency">
+          🔍 Verificar congruencia
+        </button>
+      </div>
+      <div class="consistency-report">
+        <p class="consistency-placeholder">Verificando documentos...</p>
+      </div>
+    `;
+
+    this.updateConsistencyReport(section.querySelector('.consistency-report'));
+    return section;
+  }
+
+  /**
+   * Run the consistency checker and render its report
+   * @param {HTMLElement} container - Report container
+   */
+  async updateConsistencyReport(container = this.findElement('.consistency-report')) {
+    if (!container) return;
+
+    if (!this.documentEngine) {
+      await this.waitForDocumentEngine();
+    }
+    if (!this.documentEngine) {
+      container.innerHTML = '<p class="consistency-placeholder">El motor de documentos no está disponible.</p>';
+      return;
+    }
+
+    const report = this.documentEngine.checkDocumentConsistency();
+    const findings = report.issues.filter(issue => issue.type !== 'info');
+    const skipped = report.issues.filter(issue => issue.type === 'info');
+    const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+
+    container.innerHTML = `
+      <div class="consistency-summary ${report.isConsistent ? 'consistent' : 'inconsistent'}">
+        <span class="consistency-score">${report.score}%</span>
+        <span>${report.isConsistent
+          ? 'No se encontraron contradicciones entre los documentos revisados.'
+          : `${findings.length} ${findings.length === 1 ? 'observación' : 'observaciones'} de congruencia`}</span>
+      </div>
+      ${[...findings, ...skipped].map(issue => `
+        <div class="consistency-issue ${issue.type}">
+          <span class="consistency-icon">${icons[issue.type]}</span>
+          <div>
+            <div class="consistency-message">${this.escapeHtml(issue.message)}</div>
+            ${issue.details ? `<div class="consistency-details">${this.escapeHtml(issue.details)}</div>` : ''}
+          </div>
+        </div>
+      `).join('')}
+    `;
+  }
+
   /**
    * Create elements navigation section
    */
@@ -1228,6 +1344,17 @@ class PortfolioViewController extends BaseViewController {
       case 'export-all-documents':
         this.exportAllDocuments();
         break;
+      case 'check-consistency':
+        this.updateConsistencyReport();
+        break;
+      case 'import-review': {
+        const reviewInput = this.findElement('#portfolio-review-input');
+        if (reviewInput) {
+          reviewInput.value = '';
+          reviewInput.click();
+        }
+        break;
+      }
       default:
         console.warn('[PortfolioViewController] Unknown portfolio action:', action);
     }
@@ -1412,12 +1539,92 @@ class PortfolioViewController extends BaseViewController {
     return labels[status] || 'Borrador';
   }
 
-  generatePortfolioReport() {
-    this.showNotification('Generación de reportes en desarrollo', 'info');
+  async generatePortfolioReport() {
+    if (!this.documentEngine) {
+      await this.waitForDocumentEngine();
+    }
+    if (!this.documentEngine) {
+      this.showNotification('El motor de documentos no está disponible', 'error');
+      return;
+    }
+
+    this.downloadExport(this.documentEngine.generatePortfolioIndex({
+      candidateName: await this.saveCandidateName()
+    }));
+  }
+
+  /**
+   * Keep the name typed in the export controls as the candidate name of the user preferences
+   * @returns {Promise<string>} Candidate name for the export headers
+   */
+  async saveCandidateName() {
+    const input = this.findElement('#portfolio-candidate-name');
+    const candidateName = input ? input.value.trim() : this.getCandidateName();
+
+    if (candidateName !== this.getCandidateName()) {
+      await this.app.setState('SET_PROPERTY', {
+        path: 'preferences.candidateName',
+        value: candidateName
+      });
+    }
+
+    return candidateName;
+  }
+
+  async exportAllDocuments() {
+    if (!this.documentEngine) {
+      await this.waitForDocumentEngine();
+    }
+    if (!this.documentEngine) {
+      this.showNotification('El motor de documentos no está disponible', 'error');
+      return;
+    }
+
+    if (this.documentEngine.getUserDocuments().length === 0) {
+      this.showNotification('No hay documentos para exportar', 'warning');
+      return;
+    }
+
+    const format = this.findElement('#portfolio-export-format')?.value || 'docx';
+
+    try {
+      this.showNotification('Generando portafolio de evidencias...', 'info');
+      const bundle = await this.documentEngine.exportPortfolio(format, {
+        candidateName: await this.saveCandidateName()
+      });
+      this.downloadExport(bundle);
+      this.showNotification(`Portafolio generado con ${bundle.documentCount} documentos`, 'success');
+    } catch (error) {
+      console.error('[PortfolioViewController] Failed to export portfolio:', error);
+      this.showNotification('Error al generar el portafolio de evidencias', 'error');
+    }
   }
 
-  exportAllDocuments() {
-    this.showNotification('Exportación masiva en desarrollo', 'info');
+  /**
+   * Import a mentor/candidate review file
+   * Creates the reviewed document when it does not exist yet, otherwise merges its annotations
+   * @param {File} file - JSON review file
+   */
+  async importReviewFile(file) {
+    if (!this.documentEngine) {
+      await this.waitForDocumentEngine();
+    }
+    if (!this.documentEngine) {
+      this.showNotification('El motor de documentos no está disponible', 'error');
+      return;
+    }
+
+    try {
+      const result = await this.documentEngine.importReview(await file.text());
+      const message = result.created
+        ? `Documento de revisión agregado con ${result.added} comentarios`
+        : `Revisión importada: ${result.added} comentarios nuevos, ${result.updated} actualizados`;
+      this.showNotification(message, 'success');
+      await this.onRender();
+    } catch (error) {
+      console.error('[PortfolioViewController] Failed to import review:', error);
+      this.showNotification(`No se pudo importar la revisión: ${error.message}`, 'error');
+    }
   }
 
   /**
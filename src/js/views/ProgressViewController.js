@@ -429,6 +429,8 @@ class ProgressViewController extends BaseViewController {
             </div>
           </div>
         </div>
+
+        ${this.createMockExamSummary()}
       </div>
     `;
     
@@ -585,6 +587,33 @@ class ProgressViewController extends BaseViewController {
    */
   calculateCertificationReadiness() {
     const overallProgress = this.progressData ? this.progressData.overall : 0;
+
+    // The last mock certification exam is the best evidence of readiness
+    const report = this.getMockExamReport();
+    if (report) {
+      if (report.ready) {
+        return {
+          level: 'ready',
+          icon: '🎓',
+          title: 'Listo para Certificación',
+          subtitle: `Examen simulado aprobado con ${report.score}%`
+        };
+      }
+      if (report.provisional) {
+        return {
+          level: 'almost',
+          icon: '⏳',
+          title: 'Resultado Provisional',
+          subtitle: 'El examen simulado espera la revisión de un mentor'
+        };
+      }
+      return {
+        level: report.score >= 60 ? 'almost' : 'progress',
+        icon: report.score >= 60 ? '🎯' : '📈',
+        title: report.score >= 60 ? 'Casi Listo' : 'En Progreso',
+        subtitle: `Examen simulado: ${report.score}% · hay secciones por aprobar`
+      };
+    }
     
     if (overallProgress >= 100) {
       return {
@@ -627,24 +656,105 @@ class ProgressViewController extends BaseViewController {
       { id: 'documents', label: 'Generar documentos requeridos', completed: false },
       { id: 'simulations', label: 'Completar simulaciones', completed: false }
     ];
+
+    const report = this.getMockExamReport();
+    requirements.push({
+      id: 'mock_exam',
+      label: 'Aprobar el examen simulado de certificación',
+      detail: report ? `Último intento: ${report.score}%` : '',
+      completed: !!report?.ready
+    });
+
+    const rubricReadiness = this.getRubricReadiness();
+    if (rubricReadiness) {
+      requirements.push({
+        id: 'rubric',
+        label: 'Documentos evaluados con la rúbrica',
+        detail: `${rubricReadiness.score}% de preparación · ${rubricReadiness.readyCount}/${rubricReadiness.requiredCount} documentos listos`,
+        completed: rubricReadiness.requiredCount > 0 && rubricReadiness.readyCount === rubricReadiness.requiredCount
+      });
+    }
     
     return requirements.map(req => `
       <div class="checklist-item ${req.completed ? 'completed' : 'pending'}">
         <span class="checklist-icon">${req.completed ? '✅' : '⏳'}</span>
         <span class="checklist-text">${req.label}</span>
+        ${req.detail ? `<span class="checklist-detail">${req.detail}</span>` : ''}
       </div>
     `).join('');
   }
 
+  /**
+   * Get the report of the last mock certification exam, if any
+   */
+  getMockExamReport() {
+    return this.getModule('assessmentEngine')?.getLatestMockExamReport?.() || null;
+  }
+
+  /**
+   * Create the summary of the last mock exam report
+   */
+  createMockExamSummary() {
+    const report = this.getMockExamReport();
+    if (!report) return '';
+
+    const { knowledge, performance, products } = report.sections;
+    const sections = [
+      { label: 'Conocimientos', section: knowledge },
+      { label: 'Desempeños', section: performance },
+      { label: 'Productos', section: products }
+    ];
+
+    return `
+      <div class="mock-exam-summary">
+        <h4>Último Examen Simulado · ${new Date(report.completedAt).toLocaleDateString()}</h4>
+        <div class="mock-exam-sections">
+          ${sections.map(({ label, section }) => `
+            <div class="mock-exam-section-score ${section.passed ? 'passed' : 'failed'}">
+              <span class="section-score">${section.score}%</span>
+              <span class="section-label">${section.passed ? '✅' : '❌'} ${label}</span>
+            </div>
+          `).join('')}
+        </div>
+        <div class="mock-exam-elements">
+          ${report.elements.map(element => `
+            <div class="mock-exam-element">
+              <span class="element-label">${element.element}: ${element.title}</span>
+              <div class="progress-bar">
+                <div class="progress-fill" style="width: ${element.score}%"></div>
+              </div>
+              <span class="element-score">${element.score}%</span>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Get rubric readiness from the document engine, if it is available
+   */
+  getRubricReadiness() {
+    const documentEngine = this.getModule('documentEngine');
+    if (!documentEngine || !documentEngine.areTemplatesLoaded()) {
+      return null;
+    }
+
+    return documentEngine.getRubricReadiness();
+  }
+
   /**
    * Create next steps
    */
   createNextSteps() {
     const overallProgress = this.progressData ? this.progressData.overall : 0;
+    const report = this.getMockExamReport();
     
     let steps = [];
     
-    if (overallProgress < 25) {
+    if (report && !report.ready) {
+      steps = report.nextSteps.slice(0, 4);
+    } else if (overallProgress < 25) {
       steps.push('Completar Módulo 1: Fundamentos');
       steps.push('Practicar con los ejercicios básicos');
     } else if (overallProgress < 50) {